@@ -0,0 +1,38 @@
+'use strict';
+
+
+define('admin/advanced/webhook', ['admin/advanced/webhooks'], function (Webhooks) {
+	var Webhook = {};
+
+	Webhook.init = function () {
+		var id = ajaxify.data.webhook.id;
+
+		$('[data-action="edit"]').on('click', function () {
+			socket.emit('admin.webhooks.get', id, function (err, webhook) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				Webhooks.showEditModal(webhook);
+			});
+		});
+
+		$('[data-action="ping"]').on('click', function () {
+			socket.emit('admin.webhooks.ping', id, onQueued);
+		});
+
+		$('[component="webhooks/deliveries"]').on('click', '[data-action="redeliver"]', function () {
+			socket.emit('admin.webhooks.redeliver', $(this).parents('[data-did]').attr('data-did'), onQueued);
+		});
+	};
+
+	function onQueued(err) {
+		if (err) {
+			return app.alertError(err.message);
+		}
+		app.alertSuccess('[[admin/advanced/webhooks:redelivered]]');
+		// Give the first attempt a moment before showing the log again
+		setTimeout(ajaxify.refresh, 1000);
+	}
+
+	return Webhook;
+});
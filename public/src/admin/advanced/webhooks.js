@@ -0,0 +1,91 @@
+'use strict';
+
+
+define('admin/advanced/webhooks', ['benchpress'], function (Benchpress) {
+	var Webhooks = {};
+
+	Webhooks.init = function () {
+		$('[data-action="create"]').on('click', function () {
+			Webhooks.showEditModal(null);
+		});
+
+		$('[component="webhooks/list"]').on('click', '[data-action="edit"]', function () {
+			socket.emit('admin.webhooks.get', $(this).parents('[data-id]').attr('data-id'), function (err, webhook) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				Webhooks.showEditModal(webhook);
+			});
+		});
+
+		$('[component="webhooks/list"]').on('click', '[data-action="delete"]', function () {
+			var id = $(this).parents('[data-id]').attr('data-id');
+			bootbox.confirm('[[admin/advanced/webhooks:confirm-delete]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('admin.webhooks.delete', id, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					ajaxify.refresh();
+				});
+			});
+		});
+	};
+
+	Webhooks.showEditModal = function (webhook) {
+		var suggested = ajaxify.data.suggestedHooks;
+		var hooks = webhook ? webhook.hooks : [];
+		Benchpress.parse('admin/partials/webhooks/edit', {
+			webhook: webhook || { enabled: true },
+			hooks: suggested.map(function (hook) {
+				return { hook: hook, checked: hooks.indexOf(hook) !== -1 };
+			}),
+			customHooks: hooks.filter(function (hook) {
+				return suggested.indexOf(hook) === -1;
+			}).join(', '),
+		}, function (html) {
+			bootbox.dialog({
+				title: webhook ? webhook.name || webhook.url : '[[admin/advanced/webhooks:create]]',
+				message: html,
+				onEscape: true,
+				buttons: {
+					save: {
+						label: '[[global:save]]',
+						className: 'btn-primary',
+						callback: function () {
+							save(this, webhook);
+							return false;
+						},
+					},
+				},
+			});
+		});
+	};
+
+	function save(modal, webhook) {
+		var form = modal.find('[component="webhooks/form"]');
+		var hooks = form.find('[name="hooks"]:checked').map(function () {
+			return $(this).val();
+		}).get().concat(form.find('[name="customHooks"]').val().split(','));
+
+		socket.emit(webhook ? 'admin.webhooks.update' : 'admin.webhooks.create', {
+			id: webhook ? webhook.id : undefined,
+			name: form.find('[name="name"]').val(),
+			url: form.find('[name="url"]').val(),
+			secret: form.find('[name="secret"]').val(),
+			hooks: hooks,
+			enabled: form.find('[name="enabled"]').is(':checked'),
+		}, function (err) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			modal.modal('hide');
+			app.alertSuccess('[[admin/advanced/webhooks:saved]]');
+			ajaxify.refresh();
+		});
+	}
+
+	return Webhooks;
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+
+define('admin/manage/canned-responses', ['benchpress'], function (Benchpress) {
+	var CannedResponses = {};
+
+	CannedResponses.init = function () {
+		$('[data-action="create"]').on('click', function () {
+			CannedResponses.showEditModal(null);
+		});
+
+		$('[component="canned-responses/list"]').on('click', '[data-action="edit"]', function () {
+			socket.emit('admin.cannedResponses.get', $(this).parents('[data-id]').attr('data-id'), function (err, response) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				CannedResponses.showEditModal(response);
+			});
+		});
+
+		$('[component="canned-responses/list"]').on('click', '[data-action="delete"]', function () {
+			var id = $(this).parents('[data-id]').attr('data-id');
+			bootbox.confirm('[[admin/manage/canned-responses:confirm-delete]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('admin.cannedResponses.delete', id, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					ajaxify.refresh();
+				});
+			});
+		});
+	};
+
+	CannedResponses.showEditModal = function (response) {
+		Benchpress.parse('admin/partials/canned-responses/edit', {
+			response: response ? {
+				title: utils.escapeHTML(response.title),
+				text: utils.escapeHTML(response.text),
+			} : {},
+		}, function (html) {
+			bootbox.dialog({
+				title: response ? utils.escapeHTML(response.title) : '[[admin/manage/canned-responses:create]]',
+				message: html,
+				onEscape: true,
+				buttons: {
+					save: {
+						label: '[[global:save]]',
+						className: 'btn-primary',
+						callback: function () {
+							save(this, response);
+							return false;
+						},
+					},
+				},
+			});
+		});
+	};
+
+	function save(modal, response) {
+		var form = modal.find('[component="canned-responses/form"]');
+		socket.emit(response ? 'admin.cannedResponses.update' : 'admin.cannedResponses.create', {
+			id: response ? response.id : undefined,
+			title: form.find('[name="title"]').val(),
+			text: form.find('[name="text"]').val(),
+		}, function (err) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			modal.modal('hide');
+			app.alertSuccess('[[admin/manage/canned-responses:saved]]');
+			ajaxify.refresh();
+		});
+	}
+
+	return CannedResponses;
+});
@@ -38,9 +38,47 @@ define('admin/manage/ip-blacklist', ['Chart', 'benchpress'], function (Chart, Be
 			});
 		});
 
+		Blacklist.handleThrottled();
 		Blacklist.setupAnalytics();
 	};
 
+	Blacklist.handleThrottled = function () {
+		var table = $('[component="blacklist/throttled"]');
+		table.find('.timeago').timeago();
+
+		table.on('click', '[data-action="release"]', function () {
+			var row = $(this).parents('[data-ip]');
+			socket.emit('blacklist.releaseThrottledIp', row.attr('data-ip'), function (err) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				row.remove();
+				app.alertSuccess('[[admin/manage/ip-blacklist:alerts.throttle-released]]');
+			});
+		});
+
+		table.on('click', '[data-action="blacklist-ip"]', function () {
+			var row = $(this).parents('[data-ip]');
+			var ip = row.attr('data-ip');
+			bootbox.confirm('[[admin/manage/ip-blacklist:alerts.confirm-blacklist-ip, ' + ip + ']]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('blacklist.addRule', ip, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					socket.emit('blacklist.releaseThrottledIp', ip, function (err) {
+						if (err) {
+							return app.alertError(err.message);
+						}
+						ajaxify.refresh();
+					});
+				});
+			});
+		});
+	};
+
 	Blacklist.setupAnalytics = function () {
 		var hourlyCanvas = document.getElementById('blacklist:hourly');
 		var	dailyCanvas = document.getElementById('blacklist:daily');
@@ -1,7 +1,7 @@
 'use strict';
 
 
-define('admin/manage/post-queue', function () {
+define('admin/manage/post-queue', ['benchpress', 'cannedResponses'], function (Benchpress, CannedResponses) {
 	var PostQueue = {};
 
 	PostQueue.init = function () {
@@ -11,21 +11,27 @@ define('admin/manage/post-queue', function () {
 			var parent = $(this).parents('[data-id]');
 			var action = $(this).attr('data-action');
 			var id = parent.attr('data-id');
-			var method = action === 'accept' ? 'posts.accept' : 'posts.reject';
 
-			socket.emit(method, { id: id }, function (err) {
-				if (err) {
-					return app.alertError(err.message);
-				}
-				parent.remove();
-			});
+			if (action === 'accept') {
+				socket.emit('posts.accept', { id: id }, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					parent.remove();
+				});
+			} else {
+				showRejectModal(id, parent);
+			}
 			return false;
 		});
 
 		$('.posts-list').on('click', '.post-content', function () {
 			var el = $(this);
-			el.addClass('hidden');
 			var textareaParent = el.parent().find('.post-content-editable');
+			if (!textareaParent.length) {
+				return;
+			}
+			el.addClass('hidden');
 			textareaParent.removeClass('hidden').find('textarea').focus();
 		});
 
@@ -48,5 +54,37 @@ define('admin/manage/post-queue', function () {
 		});
 	};
 
+	function showRejectModal(id, parent) {
+		Benchpress.parse('admin/partials/post-queue/reject', {}, function (html) {
+			var modal = bootbox.dialog({
+				title: '[[admin/manage/post-queue:reject]]',
+				message: html,
+				onEscape: true,
+				buttons: {
+					reject: {
+						label: '[[admin/manage/post-queue:reject]]',
+						className: 'btn-danger',
+						callback: function () {
+							var form = modal.find('[component="post-queue/reject"]');
+							socket.emit('posts.reject', {
+								id: id,
+								reason: form.find('[name="reason"]').val(),
+								send: CannedResponses.getSendMethod(form),
+							}, function (err) {
+								if (err) {
+									return app.alertError(err.message);
+								}
+								modal.modal('hide');
+								parent.remove();
+							});
+							return false;
+						},
+					},
+				},
+			});
+			CannedResponses.attach(modal.find('[name="reason"]'));
+		});
+	}
+
 	return PostQueue;
 });
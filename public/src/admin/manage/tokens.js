@@ -0,0 +1,50 @@
+'use strict';
+
+
+define('admin/manage/tokens', ['translator'], function (translator) {
+	var Tokens = {};
+
+	Tokens.init = function () {
+		$('[component="admin/tokens/create"]').on('submit', function (e) {
+			e.preventDefault();
+			var form = $(this);
+			var expiry = form.find('[name="expiry"]').val();
+
+			socket.emit('admin.user.createMasterToken', {
+				description: form.find('[name="description"]').val(),
+				scopes: form.find('[name="scopes"]:checked').map(function () {
+					return $(this).val();
+				}).get(),
+				expiry: expiry ? new Date(expiry).getTime() : 0,
+			}, function (err, tokenData) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				translator.translate('[[admin/manage/tokens:created-text]]', function (text) {
+					bootbox.alert({
+						title: '[[admin/manage/tokens:created-title]]',
+						message: text + '<pre>' + utils.escapeHTML(tokenData.token) + '</pre>',
+						callback: ajaxify.refresh,
+					});
+				});
+			});
+		});
+
+		$('[component="admin/tokens"]').on('click', '[data-action="revoke"]', function () {
+			var parentEl = $(this).parents('[data-token-id]');
+			bootbox.confirm('[[admin/manage/tokens:confirm-revoke]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('admin.user.revokeToken', parentEl.attr('data-token-id'), function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					parentEl.remove();
+				});
+			});
+		});
+	};
+
+	return Tokens;
+});
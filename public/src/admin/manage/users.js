@@ -1,6 +1,6 @@
 'use strict';
 
-define('admin/manage/users', ['translator', 'benchpress', 'autocomplete'], function (translator, Benchpress, autocomplete) {
+define('admin/manage/users', ['translator', 'benchpress', 'autocomplete', 'cannedResponses'], function (translator, Benchpress, autocomplete, CannedResponses) {
 	var Users = {};
 
 	Users.init = function () {
@@ -150,11 +150,12 @@ define('admin/manage/users', ['translator', 'benchpress', 'autocomplete'], funct
 									return data;
 								}, {});
 								var until = formData.length > 0 ? (Date.now() + (formData.length * 1000 * 60 * 60 * (parseInt(formData.unit, 10) ? 24 : 1))) : 0;
-								socket.emit('user.banUsers', { uids: uids, until: until, reason: formData.reason }, done('[[admin/manage/users:alerts.ban-success]]', '.ban', true));
+								socket.emit('user.banUsers', { uids: uids, until: until, reason: formData.reason, send: formData.send }, done('[[admin/manage/users:alerts.ban-success]]', '.ban', true));
 							},
 						},
 					},
 				});
+				CannedResponses.attach('.ban-modal #reason');
 			});
 		});
 
@@ -168,6 +169,51 @@ define('admin/manage/users', ['translator', 'benchpress', 'autocomplete'], funct
 			socket.emit('user.unbanUsers', uids, done('[[admin/manage/users:alerts.unban-success]]', '.ban', false));
 		});
 
+		$('.mute-user').on('click', function () {
+			var uids = getSelectedUids();
+			if (!uids.length) {
+				app.alertError('[[error:no-users-selected]]');
+				return false;	// specifically to keep the menu open
+			}
+
+			Benchpress.parse('admin/partials/temporary-mute', {}, function (html) {
+				bootbox.dialog({
+					className: 'mute-modal',
+					title: '[[user:mute_account]]',
+					message: html,
+					show: true,
+					buttons: {
+						close: {
+							label: '[[global:close]]',
+							className: 'btn-link',
+						},
+						submit: {
+							label: '[[admin/manage/users:alerts.button-mute-x, ' + uids.length + ']]',
+							callback: function () {
+								var formData = $('.mute-modal form').serializeArray().reduce(function (data, cur) {
+									data[cur.name] = cur.value;
+									return data;
+								}, {});
+								var until = formData.length > 0 ? (Date.now() + (formData.length * 1000 * 60 * 60 * (parseInt(formData.unit, 10) ? 24 : 1))) : 0;
+								socket.emit('user.muteUsers', { uids: uids, until: until, reason: formData.reason, send: formData.send }, done('[[admin/manage/users:alerts.mute-success]]', '.mute', true));
+							},
+						},
+					},
+				});
+				CannedResponses.attach('.mute-modal #reason');
+			});
+		});
+
+		$('.unmute-user').on('click', function () {
+			var uids = getSelectedUids();
+			if (!uids.length) {
+				app.alertError('[[error:no-users-selected]]');
+				return false;	// specifically to keep the menu open
+			}
+
+			socket.emit('user.unmuteUsers', uids, done('[[admin/manage/users:alerts.unmute-success]]', '.mute', false));
+		});
+
 		$('.reset-lockout').on('click', function () {
 			var uids = getSelectedUids();
 			if (!uids.length) {
@@ -177,6 +223,19 @@ define('admin/manage/users', ['translator', 'benchpress', 'autocomplete'], funct
 			socket.emit('admin.user.resetLockouts', uids, done('[[admin/manage/users:alerts.lockout-reset-success]]'));
 		});
 
+		$('.reset-2fa').on('click', function () {
+			var uids = getSelectedUids();
+			if (!uids.length) {
+				return;
+			}
+
+			bootbox.confirm('[[admin/manage/users:alerts.confirm-reset-2fa]]', function (confirm) {
+				if (confirm) {
+					socket.emit('admin.user.resetTwoFactor', uids, done('[[admin/manage/users:alerts.2fa-reset-success]]'));
+				}
+			});
+		});
+
 		$('.validate-email').on('click', function () {
 			var uids = getSelectedUids();
 			if (!uids.length) {
@@ -0,0 +1,40 @@
+'use strict';
+
+
+define('admin/manage/warnings', function () {
+	var Warnings = {};
+
+	Warnings.init = function () {
+		$('[component="warnings/rule-form"]').on('submit', function (e) {
+			e.preventDefault();
+			var form = $(this);
+			socket.emit('admin.warnings.addRule', {
+				points: form.find('[name="points"]').val(),
+				action: form.find('[name="action"]').val(),
+				duration: form.find('[name="duration"]').val(),
+			}, function (err) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				ajaxify.refresh();
+			});
+		});
+
+		$('[component="warnings/rules"]').on('click', '[data-action="remove"]', function () {
+			var id = $(this).parents('[data-id]').attr('data-id');
+			bootbox.confirm('[[admin/manage/warnings:confirm-remove]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('admin.warnings.removeRule', id, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					ajaxify.refresh();
+				});
+			});
+		});
+	};
+
+	return Warnings;
+});
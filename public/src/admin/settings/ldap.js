@@ -0,0 +1,31 @@
+'use strict';
+
+
+define('admin/settings/ldap', ['admin/settings'], function () {
+	var Module = {};
+
+	Module.init = function () {
+		$('[data-action="ldap.test"]').on('click', function () {
+			var settings = {};
+			$('#content [data-field^="ldap:"]').each(function () {
+				var field = $(this);
+				var key = field.attr('data-field').replace(/^ldap:/, '');
+				if (field.is('[type="checkbox"]')) {
+					settings[key] = field.is(':checked') ? 1 : 0;
+				} else {
+					settings[key] = field.val();
+				}
+			});
+
+			socket.emit('admin.ldap.testConnection', settings, function (err) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				app.alertSuccess('[[admin/settings/ldap:test-connection-success]]');
+			});
+			return false;
+		});
+	};
+
+	return Module;
+});
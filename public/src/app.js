@@ -94,13 +94,21 @@ app.cacheBuster = null;
 			}
 		});
 
-		require(['taskbar', 'helpers', 'forum/pagination'], function (taskbar, helpers, pagination) {
+		require(['taskbar', 'helpers', 'forum/pagination', 'drafts', 'prefixes', 'topicTemplate', 'muteNotice'], function (taskbar, helpers, pagination, drafts, prefixes, topicTemplate, muteNotice) {
 			taskbar.init();
 
 			helpers.register();
 
 			pagination.init();
 
+			drafts.init();
+
+			prefixes.init();
+
+			topicTemplate.init();
+
+			muteNotice.init();
+
 			$(window).trigger('action:app.load');
 		});
 	};
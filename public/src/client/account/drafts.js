@@ -0,0 +1,70 @@
+'use strict';
+
+
+define('forum/account/drafts', ['forum/account/header', 'components'], function (header, components) {
+	var Drafts = {};
+
+	Drafts.init = function () {
+		header.init();
+
+		var listEl = components.get('user/drafts');
+		listEl.on('click', '[data-action="continue"]', function () {
+			var context = getContext($(this));
+			socket.emit('user.getDraft', context, function (err, draft) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				if (!draft) {
+					return ajaxify.refresh();
+				}
+				openComposer(context, draft);
+			});
+		});
+
+		listEl.on('click', '[data-action="discard"]', function () {
+			var itemEl = $(this).parents('[data-type]');
+			bootbox.confirm('[[user:drafts.confirm-discard]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('user.discardDraft', getContext(itemEl), function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					itemEl.remove();
+				});
+			});
+		});
+	};
+
+	function getContext(el) {
+		var itemEl = el.is('[data-type]') ? el : el.parents('[data-type]');
+		return {
+			type: itemEl.attr('data-type'),
+			id: itemEl.attr('data-id'),
+		};
+	}
+
+	// The drafts module fills in the composer once it is loaded for the same context
+	function openComposer(context, draft) {
+		if (context.type === 'topic') {
+			$(window).trigger('action:composer.topic.new', {
+				cid: context.id,
+				title: draft.title,
+				body: draft.content,
+				tags: draft.tags,
+			});
+		} else if (context.type === 'reply') {
+			$(window).trigger('action:composer.post.new', {
+				tid: context.id,
+				text: draft.content,
+			});
+		} else if (context.type === 'edit') {
+			$(window).trigger('action:composer.post.edit', {
+				pid: context.id,
+			});
+		}
+	}
+
+	return Drafts;
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+
+define('forum/account/edit/2fa', ['forum/account/header', 'translator'], function (header, translator) {
+	var AccountEditTwoFactor = {};
+
+	AccountEditTwoFactor.init = function () {
+		header.init();
+
+		$('[component="user/2fa/enable"]').on('submit', function (e) {
+			e.preventDefault();
+			socket.emit('user.enableTwoFactor', {
+				code: $(this).find('[name="code"]').val(),
+			}, function (err, recoveryCodes) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				showRecoveryCodes(recoveryCodes);
+			});
+		});
+
+		var manageForm = $('[component="user/2fa/manage"]');
+		manageForm.on('submit', function (e) {
+			e.preventDefault();
+		});
+
+		manageForm.find('[data-action="regenerate"]').on('click', function () {
+			socket.emit('user.regenerateRecoveryCodes', {
+				code: manageForm.find('[name="code"]').val(),
+			}, function (err, recoveryCodes) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				showRecoveryCodes(recoveryCodes);
+			});
+		});
+
+		manageForm.find('[data-action="disable"]').on('click', function () {
+			socket.emit('user.disableTwoFactor', {
+				code: manageForm.find('[name="code"]').val(),
+			}, function (err) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				ajaxify.refresh();
+			});
+		});
+	};
+
+	function showRecoveryCodes(recoveryCodes) {
+		translator.translate('[[user:2fa.recovery-codes-text]]', function (text) {
+			bootbox.alert({
+				title: '[[user:2fa.recovery-codes]]',
+				message: text + '<pre>' + recoveryCodes.map(utils.escapeHTML).join('\n') + '</pre>',
+				callback: function () {
+					// The session may have been waiting on 2FA setup, so do a full reload
+					window.location.reload();
+				},
+			});
+		});
+	}
+
+	return AccountEditTwoFactor;
+});
@@ -7,7 +7,8 @@ define('forum/account/header', [
 	'components',
 	'translator',
 	'benchpress',
-], function (coverPhoto, pictureCropper, components, translator, Benchpress) {
+	'cannedResponses',
+], function (coverPhoto, pictureCropper, components, translator, Benchpress, CannedResponses) {
 	var AccountHeader = {};
 	var isAdminOrSelfOrGlobalMod;
 
@@ -51,6 +52,8 @@ define('forum/account/header', [
 
 		components.get('account/ban').on('click', banAccount);
 		components.get('account/unban').on('click', unbanAccount);
+		components.get('account/mute').on('click', muteAccount);
+		components.get('account/unmute').on('click', unmuteAccount);
 		components.get('account/delete').on('click', deleteAccount);
 		components.get('account/flag').on('click', flagAccount);
 		components.get('account/block').on('click', toggleBlockAccount);
@@ -143,6 +146,7 @@ define('forum/account/header', [
 								uids: [ajaxify.data.theirid],
 								until: until,
 								reason: formData.reason || '',
+								send: formData.send || '',
 							}, function (err) {
 								if (err) {
 									return app.alertError(err.message);
@@ -153,6 +157,7 @@ define('forum/account/header', [
 					},
 				},
 			});
+			CannedResponses.attach('.ban-modal #reason');
 		});
 	}
 
@@ -165,6 +170,58 @@ define('forum/account/header', [
 		});
 	}
 
+	function muteAccount() {
+		Benchpress.parse('admin/partials/temporary-mute', {}, function (html) {
+			bootbox.dialog({
+				className: 'mute-modal',
+				title: '[[user:mute_account]]',
+				message: html,
+				show: true,
+				buttons: {
+					close: {
+						label: '[[global:close]]',
+						className: 'btn-link',
+					},
+					submit: {
+						label: '[[user:mute_account]]',
+						callback: function () {
+							var formData = $('.mute-modal form').serializeArray().reduce(function (data, cur) {
+								data[cur.name] = cur.value;
+								return data;
+							}, {});
+
+							var until = formData.length > 0 ? (Date.now() + (formData.length * 1000 * 60 * 60 * (parseInt(formData.unit, 10) ? 24 : 1))) : 0;
+
+							socket.emit('user.muteUsers', {
+								uids: [ajaxify.data.theirid],
+								until: until,
+								reason: formData.reason || '',
+								send: formData.send || '',
+							}, function (err) {
+								if (err) {
+									return app.alertError(err.message);
+								}
+								app.alertSuccess('[[user:muted.success]]');
+								ajaxify.refresh();
+							});
+						},
+					},
+				},
+			});
+			CannedResponses.attach('.mute-modal #reason');
+		});
+	}
+
+	function unmuteAccount() {
+		socket.emit('user.unmuteUsers', [ajaxify.data.theirid], function (err) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			app.alertSuccess('[[user:unmuted.success]]');
+			ajaxify.refresh();
+		});
+	}
+
 	function deleteAccount() {
 		translator.translate('[[user:delete_this_account_confirm]]', function (translated) {
 			bootbox.confirm(translated, function (confirm) {
@@ -0,0 +1,63 @@
+'use strict';
+
+
+define('forum/account/tokens', ['forum/account/header', 'components', 'translator'], function (header, components, translator) {
+	var Tokens = {};
+
+	Tokens.init = function () {
+		header.init();
+		handleCreate();
+		handleRevoke();
+	};
+
+	function handleCreate() {
+		components.get('user/tokens/create').on('submit', function (e) {
+			e.preventDefault();
+			var form = $(this);
+			var expiry = form.find('[name="expiry"]').val();
+
+			socket.emit('user.createToken', {
+				uid: ajaxify.data.uid,
+				description: form.find('[name="description"]').val(),
+				scopes: form.find('[name="scopes"]:checked').map(function () {
+					return $(this).val();
+				}).get(),
+				expiry: expiry ? new Date(expiry).getTime() : 0,
+			}, function (err, tokenData) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+
+				translator.translate('[[user:tokens.created-text]]', function (text) {
+					bootbox.alert({
+						title: '[[user:tokens.created-title]]',
+						message: text + '<pre>' + utils.escapeHTML(tokenData.token) + '</pre>',
+						callback: ajaxify.refresh,
+					});
+				});
+			});
+		});
+	}
+
+	function handleRevoke() {
+		components.get('user/tokens').on('click', '[data-action="revoke"]', function () {
+			var parentEl = $(this).parents('[data-token-id]');
+			bootbox.confirm('[[user:tokens.confirm-revoke]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('user.revokeToken', {
+					uid: ajaxify.data.uid,
+					id: parentEl.attr('data-token-id'),
+				}, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					parentEl.remove();
+				});
+			});
+		});
+	}
+
+	return Tokens;
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+
+define('forum/account/warnings', ['forum/account/header', 'components', 'cannedResponses'], function (header, components, CannedResponses) {
+	var Warnings = {};
+
+	Warnings.init = function () {
+		header.init();
+		if (ajaxify.data.canWarn) {
+			CannedResponses.attach('#warning-reason');
+			handleWarn();
+		}
+		if (ajaxify.data.canRevoke) {
+			handleRevoke();
+		}
+	};
+
+	function handleWarn() {
+		components.get('user/warnings/create').on('submit', function (e) {
+			e.preventDefault();
+			var form = $(this);
+			socket.emit('user.warn', {
+				uid: ajaxify.data.uid,
+				reason: form.find('[name="reason"]').val(),
+				points: form.find('[name="points"]').val(),
+				expiryDays: form.find('[name="expiryDays"]').val(),
+			}, function (err, result) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				if (result.escalation) {
+					app.alertSuccess('[[user:warnings.escalated, [[admin/manage/warnings:action.' + result.escalation.action + ']]]]');
+				} else {
+					app.alertSuccess('[[user:warnings.issued-success]]');
+				}
+				ajaxify.refresh();
+			});
+		});
+	}
+
+	function handleRevoke() {
+		components.get('user/warnings').on('click', '[data-action="revoke"]', function () {
+			var parentEl = $(this).parents('[data-warning-id]');
+			bootbox.confirm('[[user:warnings.confirm-revoke]]', function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('user.revokeWarning', {
+					id: parentEl.attr('data-warning-id'),
+				}, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					ajaxify.refresh();
+				});
+			});
+		});
+	}
+
+	return Warnings;
+});
@@ -4,9 +4,10 @@
 
 define('forum/category/tools', [
 	'topicSelect',
+	'forum/topic/pin',
 	'components',
 	'translator',
-], function (topicSelect, components, translator) {
+], function (topicSelect, pin, components, translator) {
 	var CategoryTools = {};
 
 	CategoryTools.init = function (cid) {
@@ -54,7 +55,9 @@ define('forum/category/tools', [
 			if (!tids.length) {
 				return app.alertError('[[error:no-topics-selected]]');
 			}
-			socket.emit('topics.pin', { tids: tids, cid: CategoryTools.cid }, onCommandComplete);
+			pin.promptExpiry(function (expiry) {
+				socket.emit('topics.pin', { tids: tids, cid: CategoryTools.cid, expiry: expiry }, onCommandComplete);
+			});
 			return false;
 		});
 
@@ -125,8 +128,16 @@ define('forum/category/tools', [
 		socket.on('event:topic_pinned', setPinnedState);
 		socket.on('event:topic_unpinned', setPinnedState);
 		socket.on('event:topic_moved', onTopicMoved);
+
+		if (ajaxify.data.privileges && ajaxify.data.privileges.editable) {
+			$(window).on('action:topics.loaded', onTopicsLoaded);
+		}
 	};
 
+	function onTopicsLoaded(ev, data) {
+		pin.renderExpiry(data.topics);
+	}
+
 	function categoryCommand(command, tids) {
 		if (!tids.length) {
 			return app.alertError('[[error:no-topics-selected]]');
@@ -152,6 +163,7 @@ define('forum/category/tools', [
 		socket.removeListener('event:topic_pinned', setPinnedState);
 		socket.removeListener('event:topic_unpinned', setPinnedState);
 		socket.removeListener('event:topic_moved', onTopicMoved);
+		$(window).off('action:topics.loaded', onTopicsLoaded);
 	};
 
 	function closeDropDown() {
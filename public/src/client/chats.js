@@ -135,6 +135,7 @@ define('forum/chats', [
 					var previousHeight = el[0].scrollHeight;
 					html = $(html);
 					el.prepend(html);
+					messages.addFlagControls(html);
 					html.find('.timeago').timeago();
 					html.find('img:not(.not-responsive)').addClass('img-responsive');
 					el.scrollTop((el[0].scrollHeight - previousHeight) + currentScrollTop);
@@ -152,6 +153,7 @@ define('forum/chats', [
 	};
 
 	Chats.addActionHandlers = function (element, roomId) {
+		messages.addFlagControls(element);
 		element.on('click', '[data-action]', function () {
 			var messageId = $(this).parents('[data-mid]').attr('data-mid');
 			var action = this.getAttribute('data-action');
@@ -169,6 +171,15 @@ define('forum/chats', [
 			case 'restore':
 				messages.restore(messageId, roomId);
 				break;
+
+			case 'flag':
+				require(['flags'], function (flags) {
+					flags.showFlagModal({
+						type: 'chat',
+						id: messageId,
+					});
+				});
+				break;
 			}
 		});
 	};
@@ -86,6 +86,7 @@ define('forum/chats/messages', ['components', 'sounds', 'translator', 'benchpres
 		var newMessage = $(html);
 
 		newMessage.appendTo(chatContentEl);
+		messages.addFlagControls(newMessage);
 		newMessage.find('.timeago').timeago();
 		newMessage.find('img:not(.not-responsive)').addClass('img-responsive');
 		messages.scrollToBottom(chatContentEl);
@@ -113,6 +114,29 @@ define('forum/chats/messages', ['components', 'sounds', 'translator', 'benchpres
 	};
 
 
+	// Themes only render controls for the user's own messages, so the flag control is added here
+	messages.addFlagControls = function (containerEl) {
+		if (!app.user.uid) {
+			return;
+		}
+		var messageEls = containerEl.filter('[component="chat/message"]').add(containerEl.find('[component="chat/message"]'));
+		messageEls = messageEls.filter(function () {
+			var messageEl = $(this);
+			return messageEl.attr('data-mid') &&
+				parseInt(messageEl.attr('data-uid'), 10) !== parseInt(app.user.uid, 10) &&
+				!messageEl.find('[data-action="flag"]').length;
+		});
+		if (!messageEls.length) {
+			return;
+		}
+		translator.translate('[[modules:chat.flag]]', function (title) {
+			messageEls.each(function () {
+				var button = $('<button class="btn btn-xs btn-link" data-action="flag"><i class="fa fa-flag"></i></button>').attr('title', title);
+				$(this).find('[component="chat/message/body"]').after($('<div class="btn-group controls"></div>').append(button));
+			});
+		});
+	};
+
 	messages.scrollToBottom = function (containerEl) {
 		if (containerEl.length) {
 			containerEl.scrollTop(containerEl[0].scrollHeight - containerEl.height());
@@ -153,6 +177,7 @@ define('forum/chats/messages', ['components', 'sounds', 'translator', 'benchpres
 				var body = components.get('chat/message', message.messageId);
 				if (body.length) {
 					body.replaceWith(html);
+					messages.addFlagControls(components.get('chat/message', message.messageId));
 					components.get('chat/message', message.messageId).find('.timeago').timeago();
 				}
 			});
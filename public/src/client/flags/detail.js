@@ -1,6 +1,6 @@
 'use strict';
 
-define('forum/flags/detail', ['forum/flags/list', 'components', 'translator', 'benchpress'], function (FlagsList, components, translator, Benchpress) {
+define('forum/flags/detail', ['forum/flags/list', 'components', 'translator', 'benchpress', 'cannedResponses'], function (FlagsList, components, translator, Benchpress, CannedResponses) {
 	var Flags = {};
 
 	Flags.init = function () {
@@ -29,6 +29,7 @@ define('forum/flags/detail', ['forum/flags/list', 'components', 'translator', 'b
 				socket.emit('flags.appendNote', {
 					flagId: ajaxify.data.flagId,
 					note: document.getElementById('note').value,
+					send: CannedResponses.getSendMethod($('#note').parent()),
 				}, function (err, payload) {
 					if (err) {
 						return app.alertError(err.message);
@@ -43,8 +44,44 @@ define('forum/flags/detail', ['forum/flags/list', 'components', 'translator', 'b
 
 		FlagsList.enableFilterForm();
 		FlagsList.enableChatButtons();
+		showAutoAction();
+		showChatContext();
+		CannedResponses.attach('#note');
 	};
 
+	function showChatContext() {
+		if (ajaxify.data.type !== 'chat' || !ajaxify.data.chatContext) {
+			return;
+		}
+		app.parseAndTranslate('partials/flags/chat-context', {
+			chatContext: ajaxify.data.chatContext,
+			targetId: ajaxify.data.targetId,
+		}, function (html) {
+			$('#attributes').before(html);
+			html.find('.timeago').timeago();
+		});
+	}
+
+	// Lets moderators restore a post that was hidden automatically
+	function showAutoAction() {
+		if (!ajaxify.data.autoActioned) {
+			return;
+		}
+		app.parseAndTranslate('partials/flags/auto-action', {}, function (html) {
+			$('#attributes').before(html);
+			html.find('[data-action="reverseAutoAction"]').on('click', function () {
+				socket.emit('flags.reverseAutoAction', { flagId: ajaxify.data.flagId }, function (err, history) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					app.alertSuccess('[[flags:auto-action-reversed-success]]');
+					html.remove();
+					Flags.reloadHistory(history);
+				});
+			});
+		});
+	}
+
 	Flags.reloadNotes = function (notes) {
 		Benchpress.parse('flags/detail', 'notes', {
 			notes: notes,
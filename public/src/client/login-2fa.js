@@ -0,0 +1,60 @@
+'use strict';
+
+
+define('forum/login-2fa', [], function () {
+	var LoginTwoFactor = {};
+
+	LoginTwoFactor.init = function () {
+		var errorEl = $('#login-error-notify');
+		var submitEl = $('#login-2fa');
+		var formEl = $('#login-2fa-form');
+
+		submitEl.on('click', function (e) {
+			e.preventDefault();
+
+			if (submitEl.hasClass('disabled')) {
+				return;
+			}
+			errorEl.hide();
+			submitEl.addClass('disabled');
+
+			// The session changes once the code is accepted, same as a regular login
+			app.flags = app.flags || {};
+			app.flags._sessionRefresh = true;
+
+			formEl.ajaxSubmit({
+				headers: {
+					'x-csrf-token': config.csrf_token,
+				},
+				success: function (data) {
+					app.updateHeader(data, function () {
+						ajaxify.go(data.next);
+						app.flags._sessionRefresh = false;
+						$(window).trigger('action:app.loggedIn', data);
+					});
+				},
+				error: function (data) {
+					app.flags._sessionRefresh = false;
+					if (data.responseText === '[[error:2fa-session-expired]]') {
+						return ajaxify.go('login?error=' + encodeURIComponent(data.responseText));
+					}
+					errorEl.find('p').translateText(data.responseText);
+					errorEl.show();
+					submitEl.removeClass('disabled');
+					$('#code').val('').focus();
+				},
+			});
+		});
+
+		$('#login-error-notify button').on('click', function (e) {
+			e.preventDefault();
+			errorEl.hide();
+			return false;
+		});
+
+		$('#content #code').focus();
+		$('#content #noscript').val('false');
+	};
+
+	return LoginTwoFactor;
+});
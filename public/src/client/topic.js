@@ -8,11 +8,16 @@ define('forum/topic', [
 	'forum/topic/events',
 	'forum/topic/posts',
 	'forum/topic/images',
+	'forum/topic/poll',
+	'forum/topic/schedule',
+	'forum/topic/answer',
+	'forum/topic/reactions',
+	'forum/topic/timeline',
 	'navigator',
 	'sort',
 	'components',
 	'storage',
-], function (infinitescroll, threadTools, postTools, events, posts, images, navigator, sort, components, storage) {
+], function (infinitescroll, threadTools, postTools, events, posts, images, poll, schedule, answer, reactions, timeline, navigator, sort, components, storage) {
 	var	Topic = {};
 	var currentUrl = '';
 
@@ -48,6 +53,11 @@ define('forum/topic', [
 
 		postTools.init(tid);
 		threadTools.init(tid);
+		poll.init(tid);
+		schedule.init();
+		answer.init();
+		reactions.init();
+		timeline.init();
 		events.init();
 
 		sort.handleSort('topicPostSort', 'user.setTopicSort', 'topic/' + ajaxify.data.slug);
@@ -0,0 +1,26 @@
+'use strict';
+
+
+define('forum/topic/answer', ['components', 'translator', 'benchpress'], function (components, translator, Benchpress) {
+	var Answer = {};
+
+	Answer.init = function () {
+		(ajaxify.data.posts || []).forEach(function (post) {
+			if (post.accepted) {
+				components.get('post', 'pid', post.pid).addClass('accepted-answer');
+			}
+		});
+
+		var mainPost = components.get('post', 'index', 0);
+		if (!ajaxify.data.acceptedAnswer || !mainPost.length) {
+			return;
+		}
+		Benchpress.parse('partials/topic/accepted-answer', { acceptedAnswer: ajaxify.data.acceptedAnswer, config: config }, function (html) {
+			translator.translate(html, function (translated) {
+				mainPost.append(translated);
+			});
+		});
+	};
+
+	return Answer;
+});
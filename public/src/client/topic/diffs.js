@@ -8,49 +8,63 @@ define('forum/topic/diffs', ['forum/topic/images', 'benchpress', 'translator'],
 			return;
 		}
 
-		var localeStringOpts = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric' };
-
 		socket.emit('posts.getDiffs', { pid: pid }, function (err, timestamps) {
 			if (err) {
 				return app.alertError(err.message);
 			}
+			socket.emit('posts.getDiffEditors', { pid: pid }, function (err, editors) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				render(pid, timestamps, editors);
+			});
+		});
+	};
+
+	function render(pid, timestamps, editors) {
+		var localeStringOpts = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric' };
 
-			Benchpress.parse('partials/modals/post_history', {
-				diffs: timestamps.map(function (timestamp) {
-					timestamp = parseInt(timestamp, 10);
+		var diffs = timestamps.map(function (timestamp, index) {
+			timestamp = parseInt(timestamp, 10);
+			var editor = editors[index] && editors[index].user;
 
-					return {
-						timestamp: timestamp,
-						pretty: new Date(timestamp).toLocaleString(config.userLang.replace('_', '-'), localeStringOpts),
-					};
-				}),
-				numDiffs: timestamps.length,
-			}, function (html) {
-				translator.translate(html, function (html) {
-					var modal = bootbox.dialog({
-						title: '[[topic:diffs.title]]',
-						message: html,
-						size: 'large',
-					});
+			return {
+				timestamp: timestamp,
+				pretty: new Date(timestamp).toLocaleString(config.userLang.replace('_', '-'), localeStringOpts) +
+					(editor ? ' (' + editor.username + ')' : ''),
+			};
+		});
 
-					if (!timestamps.length) {
-						return;
-					}
+		Benchpress.parse('partials/modals/post_history', {
+			diffs: diffs,
+			numDiffs: timestamps.length,
+		}, function (html) {
+			translator.translate(html, function (html) {
+				var modal = bootbox.dialog({
+					title: '[[topic:diffs.title]]',
+					message: html,
+					size: 'large',
+				});
 
-					var selectEl = modal.find('select');
-					var postContainer = modal.find('ul.posts-list');
+				if (!timestamps.length) {
+					return;
+				}
 
-					selectEl.on('change', function () {
-						Diffs.load(pid, this.value, postContainer);
-					});
+				var selectEl = modal.find('select');
+				var postContainer = modal.find('ul.posts-list');
 
-					modal.on('shown.bs.modal', function () {
-						Diffs.load(pid, selectEl.val(), postContainer);
-					});
+				selectEl.on('change', function () {
+					Diffs.load(pid, this.value, postContainer);
 				});
+
+				modal.on('shown.bs.modal', function () {
+					Diffs.load(pid, selectEl.val(), postContainer);
+				});
+
+				addTools(modal, pid, diffs, selectEl, postContainer);
 			});
 		});
-	};
+	}
 
 	Diffs.load = function (pid, since, postContainer) {
 		if (!config.enablePostHistory) {
@@ -72,5 +86,90 @@ define('forum/topic/diffs', ['forum/topic/images', 'benchpress', 'translator'],
 		});
 	};
 
+	// Restore and delete act on the revision picked in the modal, the first one is the current post
+	function addTools(modal, pid, diffs, selectEl, postContainer) {
+		socket.emit('posts.getDiffPrivileges', { pid: pid }, function (err, privileges) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+
+			Benchpress.parse('partials/topic/post-history-tools', { privileges: privileges, diffs: diffs }, function (html) {
+				translator.translate(html, function (html) {
+					var toolsEl = $(html).insertAfter(selectEl);
+					var compareEl = toolsEl.find('[component="post/history/compare"]');
+					var diffContainer = $('<div class="hidden"></div>').insertAfter(postContainer);
+
+					function update() {
+						var isCurrent = selectEl.prop('selectedIndex') === 0;
+						toolsEl.find('[component="post/history/restore"], [component="post/history/delete"]').prop('disabled', isCurrent);
+
+						var compareTo = compareEl.val();
+						postContainer.toggleClass('hidden', !!compareTo);
+						diffContainer.toggleClass('hidden', !compareTo);
+						if (compareTo) {
+							Diffs.compare(pid, diffs, selectEl.val(), compareTo, diffContainer);
+						}
+					}
+
+					selectEl.on('change', update);
+					compareEl.on('change', update);
+					update();
+
+					toolsEl.on('click', '[component="post/history/restore"]', function () {
+						bootbox.confirm('[[topic:diffs.restore-confirm]]', function (confirm) {
+							if (!confirm) {
+								return;
+							}
+							socket.emit('posts.restoreDiff', { pid: pid, since: selectEl.val() }, function (err) {
+								if (err) {
+									return app.alertError(err.message);
+								}
+								modal.modal('hide');
+								app.alertSuccess('[[topic:diffs.post-restored]]');
+							});
+						});
+					});
+
+					toolsEl.on('click', '[component="post/history/delete"]', function () {
+						bootbox.confirm('[[topic:diffs.delete-confirm]]', function (confirm) {
+							if (!confirm) {
+								return;
+							}
+							socket.emit('posts.deleteDiff', { pid: pid, timestamp: selectEl.val() }, function (err) {
+								if (err) {
+									return app.alertError(err.message);
+								}
+								modal.modal('hide');
+								app.alertSuccess('[[topic:diffs.revision-deleted]]');
+								Diffs.open(pid);
+							});
+						});
+					});
+				});
+			});
+		});
+	}
+
+	// Shows the older of the two revisions on the left
+	Diffs.compare = function (pid, diffs, a, b, container) {
+		var from = Math.min(a, b);
+		var to = Math.max(a, b);
+		socket.emit('posts.compareDiffs', { pid: pid, from: from, to: to }, function (err, rows) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			var labels = {};
+			diffs.forEach(function (diff) {
+				labels[diff.timestamp] = diff.pretty;
+			});
+
+			Benchpress.parse('partials/topic/post-diff', { rows: rows, from: labels[from], to: labels[to] }, function (html) {
+				translator.translate(html, function (html) {
+					container.html(html);
+				});
+			});
+		});
+	};
+
 	return Diffs;
 });
@@ -7,10 +7,13 @@ define('forum/topic/events', [
 	'forum/topic/threadTools',
 	'forum/topic/posts',
 	'forum/topic/images',
+	'forum/topic/poll',
+	'forum/topic/reactions',
+	'forum/topic/timeline',
 	'components',
 	'translator',
 	'benchpress',
-], function (postTools, threadTools, posts, images, components, translator, Benchpress) {
+], function (postTools, threadTools, posts, images, poll, reactions, timeline, components, translator, Benchpress) {
 	var Events = {};
 
 	var events = {
@@ -22,11 +25,14 @@ define('forum/topic/events', [
 		'event:topic_restored': threadTools.setDeleteState,
 		'event:topic_purged': onTopicPurged,
 
-		'event:topic_locked': threadTools.setLockedState,
-		'event:topic_unlocked': threadTools.setLockedState,
+		'event:topic_locked': onLockedStateChange,
+		'event:topic_unlocked': onLockedStateChange,
 
-		'event:topic_pinned': threadTools.setPinnedState,
-		'event:topic_unpinned': threadTools.setPinnedState,
+		'event:topic_pinned': onPinnedStateChange,
+		'event:topic_unpinned': onPinnedStateChange,
+
+		'event:topic_wiki': threadTools.setWikiState,
+		'event:topic_unwiki': threadTools.setWikiState,
 
 		'event:topic_moved': onTopicMoved,
 
@@ -36,6 +42,9 @@ define('forum/topic/events', [
 		'event:post_deleted': togglePostDeleteState,
 		'event:post_restored': togglePostDeleteState,
 
+		'event:poll_updated': poll.onPollUpdated,
+		'event:reactions_updated': reactions.onReactionsUpdated,
+
 		'posts.bookmark': togglePostBookmark,
 		'posts.unbookmark': togglePostBookmark,
 
@@ -89,6 +98,16 @@ define('forum/topic/events', [
 		}
 	}
 
+	function onLockedStateChange(data) {
+		threadTools.setLockedState(data);
+		timeline.refresh(data);
+	}
+
+	function onPinnedStateChange(data) {
+		threadTools.setPinnedState(data);
+		timeline.refresh(data);
+	}
+
 	function onTopicMoved(data) {
 		if (data && data.slug) {
 			ajaxify.go('topic/' + data.slug, null, true);
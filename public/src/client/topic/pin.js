@@ -0,0 +1,53 @@
+'use strict';
+
+
+define('forum/topic/pin', ['translator'], function (translator) {
+	var Pin = {};
+
+	// callback receives the expiry timestamp, or 0 to keep the topic pinned until it is unpinned by hand
+	Pin.promptExpiry = function (callback) {
+		var html = '<p>[[topic:pin-expiry.help]]</p>' +
+			'<input type="datetime-local" class="form-control" component="topic/pin-expiry/input" />';
+		translator.translate(html, function (message) {
+			translator.translate('[[topic:thread_tools.pin]]', function (title) {
+				bootbox.dialog({
+					title: title,
+					message: message,
+					buttons: {
+						cancel: {
+							label: '[[global:buttons.close]]',
+							className: 'btn-default',
+						},
+						pin: {
+							label: '[[topic:thread_tools.pin]]',
+							className: 'btn-primary',
+							callback: function () {
+								var value = this.find('[component="topic/pin-expiry/input"]').val();
+								callback(value ? new Date(value).getTime() : 0);
+							},
+						},
+					},
+				});
+			});
+		});
+	};
+
+	Pin.renderExpiry = function (topics) {
+		(topics || []).forEach(function (topic) {
+			var topicEl = $('[component="category/topic"][data-tid="' + topic.tid + '"]');
+			if (!topic.pinned || !topic.pinExpiryISO || topicEl.find('[component="topic/pin-expiry"]').length) {
+				return;
+			}
+			// added before translating so a second call for the same topics finds it
+			var labelEl = $('<span class="pin-expiry" component="topic/pin-expiry"></span>');
+			topicEl.find('[component="topic/pinned"]').first().after(labelEl);
+			var html = '<i class="fa fa-calendar"></i> [[topic:pin-expiry.unpins]] <span class="timeago" title="' + topic.pinExpiryISO + '"></span>';
+			translator.translate(html, function (translated) {
+				labelEl.html(translated);
+				labelEl.find('.timeago').timeago();
+			});
+		});
+	};
+
+	return Pin;
+});
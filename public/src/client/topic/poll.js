@@ -0,0 +1,61 @@
+'use strict';
+
+
+define('forum/topic/poll', ['components', 'translator', 'benchpress'], function (components, translator, Benchpress) {
+	var Poll = {};
+
+	Poll.init = function (tid) {
+		if (ajaxify.data.poll) {
+			render(ajaxify.data.poll);
+		}
+
+		components.get('topic').on('submit', '[component="topic/poll/form"]', function (e) {
+			e.preventDefault();
+			var options = $(this).find('[name="options"]:checked').map(function () {
+				return $(this).val();
+			}).get();
+			if (!options.length) {
+				return;
+			}
+			socket.emit('topics.votePoll', { tid: tid, options: options }, onPollData);
+		});
+
+		components.get('topic').on('click', '[component="topic/poll/unvote"]', function () {
+			socket.emit('topics.unvotePoll', { tid: tid }, onPollData);
+		});
+	};
+
+	Poll.onPollUpdated = function (data) {
+		if (!data || parseInt(data.tid, 10) !== parseInt(ajaxify.data.tid, 10)) {
+			return;
+		}
+		socket.emit('topics.getPoll', { tid: data.tid }, onPollData);
+	};
+
+	function onPollData(err, poll) {
+		if (err) {
+			return app.alertError(err.message);
+		}
+		if (poll) {
+			render(poll);
+		}
+	}
+
+	function render(poll) {
+		poll.resultsAfterEnd = poll.resultsVisibility === 'ended';
+		Benchpress.parse('partials/topic/poll', { poll: poll, config: config }, function (html) {
+			translator.translate(html, function (translated) {
+				var pollEl = $(translated);
+				var existing = components.get('topic/poll');
+				if (existing.length) {
+					existing.replaceWith(pollEl);
+				} else {
+					components.get('post', 'index', 0).find('[component="post/content"]').first().after(pollEl);
+				}
+				pollEl.find('.timeago').timeago();
+			});
+		});
+	}
+
+	return Poll;
+});
@@ -129,6 +129,14 @@ define('forum/topic/postTools', [
 			});
 		});
 
+		postContainer.on('click', '[component="post/accept-answer"]', function () {
+			toggleAcceptedAnswer('posts.acceptAnswer', getData($(this), 'data-pid'));
+		});
+
+		postContainer.on('click', '[component="post/unaccept-answer"]', function () {
+			toggleAcceptedAnswer('posts.unacceptAnswer', getData($(this), 'data-pid'));
+		});
+
 		postContainer.on('click', '[component="post/edit"]', function () {
 			var btn = $(this);
 
@@ -324,6 +332,15 @@ define('forum/topic/postTools', [
 		return { text: selectedText, pid: selectedPid, username: username };
 	}
 
+	function toggleAcceptedAnswer(method, pid) {
+		socket.emit(method, { pid: pid }, function (err) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			ajaxify.refresh();
+		});
+	}
+
 	function bookmarkPost(button, pid) {
 		var method = button.attr('data-bookmarked') === 'false' ? 'posts.bookmark' : 'posts.unbookmark';
 
@@ -0,0 +1,112 @@
+'use strict';
+
+
+define('forum/topic/reactions', ['components', 'translator', 'benchpress'], function (components, translator, Benchpress) {
+	var Reactions = {};
+
+	// pid -> reactions of the post, `reacted` is only known for the current user
+	var reactionsByPid = {};
+
+	Reactions.init = function () {
+		reactionsByPid = {};
+		renderPosts(ajaxify.data.posts || []);
+		$(window).off('action:posts.loaded', onPostsLoaded).on('action:posts.loaded', onPostsLoaded);
+
+		var topicEl = components.get('topic');
+		topicEl.on('click', '[component="post/reaction"], [component="post/reaction/add"]', function (e) {
+			e.preventDefault();
+			var pid = $(this).parents('[component="post/reactions"]').attr('data-pid');
+			toggle(pid, $(this).attr('data-reaction'));
+		});
+		topicEl.on('mouseenter', '[component="post/reaction"]', function () {
+			var el = $(this);
+			if (el.attr('data-original-title')) {
+				return;
+			}
+			var pid = el.parents('[component="post/reactions"]').attr('data-pid');
+			loadReactors(el, pid, el.attr('data-reaction'));
+		});
+	};
+
+	Reactions.onReactionsUpdated = function (data) {
+		var current = reactionsByPid[data.pid];
+		if (!current) {
+			return;
+		}
+		var isSelf = parseInt(data.uid, 10) === parseInt(app.user.uid, 10);
+		render(data.pid, data.reactions.map(function (reaction) {
+			var existing = getReaction(current, reaction.name);
+			var reacted = isSelf && reaction.name === data.reaction ? data.reacted : !!(existing && existing.reacted);
+			return $.extend({}, reaction, { reacted: reacted });
+		}));
+	};
+
+	function onPostsLoaded(ev, data) {
+		if (ajaxify.data.template.topic) {
+			renderPosts(data.posts || []);
+		}
+	}
+
+	function renderPosts(posts) {
+		posts.forEach(function (post) {
+			if (post && Array.isArray(post.reactions) && post.reactions.length) {
+				render(post.pid, post.reactions);
+			}
+		});
+	}
+
+	function toggle(pid, name) {
+		var reaction = getReaction(reactionsByPid[pid] || [], name);
+		var method = reaction && reaction.reacted ? 'posts.unreact' : 'posts.react';
+		socket.emit(method, { pid: pid, reaction: name }, function (err) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+		});
+	}
+
+	function getReaction(reactions, name) {
+		return reactions.filter(function (reaction) {
+			return reaction.name === name;
+		})[0];
+	}
+
+	function loadReactors(el, pid, name) {
+		socket.emit('posts.getReactors', { pid: pid, reaction: name }, function (err, data) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			var usernames = data.users.map(function (user) {
+				return user.username;
+			}).join(', ');
+			var more = data.count - data.users.length;
+			translator.translate(more > 0 ? '[[topic:reactions.more, ' + more + ']]' : '', function (translated) {
+				el.attr('title', (usernames + ' ' + translated).trim()).tooltip('fixTitle').tooltip('show');
+			});
+		});
+	}
+
+	function render(pid, reactions) {
+		reactionsByPid[pid] = reactions;
+		var postEl = components.get('post', 'pid', pid);
+		if (!postEl.length) {
+			return;
+		}
+		var reactionsEl = $('<div component="post/reactions"></div>');
+		var existing = postEl.find('[component="post/reactions"]');
+		if (existing.length) {
+			existing.replaceWith(reactionsEl);
+		} else {
+			postEl.find('[component="post/content"]').first().after(reactionsEl);
+		}
+
+		var canReact = !!(app.user.uid && ajaxify.data.privileges && ajaxify.data.privileges['posts:react']);
+		Benchpress.parse('partials/topic/reactions', { pid: pid, reactions: reactions, canReact: canReact }, function (html) {
+			translator.translate(html, function (translated) {
+				reactionsEl.replaceWith(translated);
+			});
+		});
+	}
+
+	return Reactions;
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+
+define('forum/topic/schedule', ['components', 'translator', 'benchpress'], function (components, translator, Benchpress) {
+	var Schedule = {};
+
+	Schedule.init = function () {
+		if (!ajaxify.data.scheduled) {
+			return;
+		}
+		Benchpress.parse('partials/topic/scheduled', { timestampISO: ajaxify.data.timestampISO }, function (html) {
+			translator.translate(html, function (translated) {
+				var noticeEl = $(translated);
+				components.get('topic').before(noticeEl);
+				noticeEl.find('.timeago').timeago();
+			});
+		});
+	};
+
+	Schedule.publish = function (tid) {
+		translator.translate('[[topic:scheduled.publish-now-confirm]]', function (message) {
+			bootbox.confirm(message, function (confirm) {
+				if (!confirm) {
+					return;
+				}
+				socket.emit('topics.publish', { tid: tid }, function (err) {
+					if (err) {
+						return app.alertError(err.message);
+					}
+					app.alertSuccess('[[topic:scheduled.published]]');
+					ajaxify.refresh();
+				});
+			});
+		});
+	};
+
+	Schedule.reschedule = function (tid) {
+		var input = $('<input type="datetime-local" class="form-control" />').val(toLocalInput(ajaxify.data.timestamp));
+		translator.translate('[[topic:scheduled.reschedule]]', function (title) {
+			bootbox.dialog({
+				title: title,
+				message: input,
+				buttons: {
+					cancel: {
+						label: '[[global:buttons.close]]',
+						className: 'btn-default',
+					},
+					save: {
+						label: '[[global:save]]',
+						className: 'btn-primary',
+						callback: function () {
+							var timestamp = new Date(input.val()).getTime();
+							socket.emit('topics.reschedule', { tid: tid, timestamp: timestamp }, function (err) {
+								if (err) {
+									return app.alertError(err.message);
+								}
+								ajaxify.refresh();
+							});
+						},
+					},
+				},
+			});
+		});
+	};
+
+	// datetime-local inputs take the local time without a timezone suffix
+	function toLocalInput(timestamp) {
+		var date = new Date(timestamp);
+		date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+		return date.toISOString().slice(0, 16);
+	}
+
+	return Schedule;
+});
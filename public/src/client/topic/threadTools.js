@@ -38,7 +38,15 @@ define('forum/topic/threadTools', [
 		});
 
 		topicContainer.on('click', '[component="topic/pin"]', function () {
-			socket.emit('topics.pin', { tids: [tid], cid: ajaxify.data.cid });
+			require(['forum/topic/pin'], function (pin) {
+				pin.promptExpiry(function (expiry) {
+					socket.emit('topics.pin', { tids: [tid], cid: ajaxify.data.cid, expiry: expiry }, function (err) {
+						if (err) {
+							app.alertError(err.message);
+						}
+					});
+				});
+			});
 			return false;
 		});
 
@@ -47,6 +55,17 @@ define('forum/topic/threadTools', [
 			return false;
 		});
 
+		topicContainer.on('click', '.topic-wiki, .topic-unwiki', function () {
+			var command = $(this).hasClass('topic-wiki') ? 'wiki' : 'unwiki';
+			socket.emit('topics.' + command, { tids: [tid], cid: ajaxify.data.cid }, function (err) {
+				if (err) {
+					return app.alertError(err.message);
+				}
+				app.alertSuccess('[[topic:' + command + '.success]]');
+			});
+			return false;
+		});
+
 		topicContainer.on('click', '[component="topic/mark-unread"]', function () {
 			socket.emit('topics.markUnread', tid, function (err) {
 				if (err) {
@@ -94,6 +113,20 @@ define('forum/topic/threadTools', [
 			});
 		});
 
+		topicContainer.on('click', '.topic-publish', function () {
+			require(['forum/topic/schedule'], function (schedule) {
+				schedule.publish(tid);
+			});
+			return false;
+		});
+
+		topicContainer.on('click', '.topic-reschedule', function () {
+			require(['forum/topic/schedule'], function (schedule) {
+				schedule.reschedule(tid);
+			});
+			return false;
+		});
+
 		topicContainer.on('click', '[component="topic/following"]', function () {
 			changeWatching('follow');
 		});
@@ -247,6 +280,18 @@ define('forum/topic/threadTools', [
 		ajaxify.data.pinned = data.isPinned;
 	};
 
+	ThreadTools.setWikiState = function (data) {
+		var threadEl = components.get('topic');
+		if (parseInt(data.tid, 10) !== parseInt(threadEl.attr('data-tid'), 10)) {
+			return;
+		}
+
+		// The tools menu is rendered on first open, empty it so the toggle is reloaded
+		$('.thread-tools .dropdown-menu').html('');
+		threadEl.toggleClass('wiki', data.isWiki);
+		ajaxify.data.wiki = data.isWiki;
+	};
+
 	function setFollowState(state) {
 		var menu = components.get('topic/following/menu');
 		menu.toggleClass('hidden', state !== 'follow');
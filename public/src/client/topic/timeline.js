@@ -0,0 +1,67 @@
+'use strict';
+
+
+define('forum/topic/timeline', ['components'], function (components) {
+	var Timeline = {};
+
+	var events = [];
+
+	Timeline.init = function () {
+		events = ajaxify.data.events || [];
+		render();
+		$(window).off('action:posts.loaded', onPostsLoaded).on('action:posts.loaded', onPostsLoaded);
+	};
+
+	Timeline.refresh = function (data) {
+		if (!data || parseInt(data.tid, 10) !== parseInt(ajaxify.data.tid, 10)) {
+			return;
+		}
+		socket.emit('topics.getEvents', { tid: ajaxify.data.tid }, function (err, data) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			events = data;
+			render();
+		});
+	};
+
+	function onPostsLoaded() {
+		if (ajaxify.data.template.topic) {
+			render();
+		}
+	}
+
+	// Each event goes in front of the first later post, events outside of the loaded posts are left out
+	function render() {
+		if (config.topicPostSort !== 'oldest_to_newest') {
+			return;
+		}
+		app.parseAndTranslate('partials/topic/events', { events: events }, function (html) {
+			components.get('topic/event').remove();
+			var postEls = components.get('post');
+			if (!postEls.length) {
+				return;
+			}
+			var isLastPostLoaded = parseInt(postEls.last().attr('data-index'), 10) === ajaxify.data.postcount - 1;
+
+			html.filter('[component="topic/event"]').each(function () {
+				var eventEl = $(this);
+				var timestamp = parseInt(eventEl.attr('data-timestamp'), 10);
+				var nextPostEl = postEls.filter(function () {
+					return parseInt($(this).attr('data-timestamp'), 10) > timestamp;
+				}).first();
+
+				if (nextPostEl.length && (nextPostEl.prev('[component="post"], [component="topic/event"]').length || parseInt(nextPostEl.attr('data-index'), 10) === 0)) {
+					eventEl.insertBefore(nextPostEl);
+				} else if (!nextPostEl.length && isLastPostLoaded) {
+					eventEl.insertAfter(components.get('topic/event').add(postEls).last());
+				} else {
+					return;
+				}
+				eventEl.find('.timeago').timeago();
+			});
+		});
+	}
+
+	return Timeline;
+});
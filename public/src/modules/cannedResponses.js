@@ -0,0 +1,45 @@
+'use strict';
+
+
+define('cannedResponses', function () {
+	var CannedResponses = {};
+
+	// Inserts the response picker before `inputEl`, choosing a response replaces the text of `inputEl`
+	CannedResponses.attach = function (inputEl, callback) {
+		inputEl = $(inputEl);
+		callback = callback || function () {};
+		if (!inputEl.length) {
+			return callback();
+		}
+
+		socket.emit('modules.cannedResponses.list', function (err, data) {
+			if (err) {
+				app.alertError(err.message);
+				return callback();
+			}
+			var responses = data.responses.map(function (response) {
+				return { id: response.id, title: utils.escapeHTML(response.title) };
+			});
+			app.parseAndTranslate('partials/canned-responses', { responses: responses }, function (html) {
+				inputEl.before(html);
+				html.find('[component="canned-responses/select"]').on('change', function () {
+					var id = parseInt($(this).val(), 10);
+					var response = data.responses.filter(function (response) {
+						return response.id === id;
+					})[0];
+					if (response) {
+						inputEl.val(response.text).trigger('input');
+					}
+				});
+				callback(html);
+			});
+		});
+	};
+
+	// How the text should be passed on to the affected user, empty if it should not be
+	CannedResponses.getSendMethod = function (containerEl) {
+		return $(containerEl).find('[component="canned-responses/send"]').val() || '';
+	};
+
+	return CannedResponses;
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+
+define('drafts', function () {
+	var Drafts = {};
+
+	// Maps the composer actions to the draft contexts stored on the server
+	var contexts = {
+		'topics.post': function (data) {
+			return { type: 'topic', id: data.cid };
+		},
+		'posts.reply': function (data) {
+			return { type: 'reply', id: data.tid };
+		},
+		'posts.edit': function (data) {
+			return { type: 'edit', id: data.pid };
+		},
+	};
+
+	var saveDelay = 2000;
+	var saveTimeouts = {};
+
+	Drafts.init = function () {
+		$(window).on('action:composer.loaded', function (ev, data) {
+			if (app.user.uid && data && data.composerData) {
+				Drafts.attach(data.post_uuid, data.composerData);
+			}
+		});
+
+		// The server removes the draft once the post is saved, a pending save must not bring it back
+		$(window).on('action:composer.submit', function (ev, data) {
+			var context = data && data.composerData && Drafts.getContext(data.composerData);
+			if (context) {
+				clearTimeout(saveTimeouts[context.type + ':' + context.id]);
+			}
+		});
+
+		$(window).on('action:composer.discard', function (ev, data) {
+			var context = app.user.uid && data && data.postData && Drafts.getContext(data.postData);
+			if (context) {
+				Drafts.discard(context);
+			}
+		});
+	};
+
+	Drafts.getContext = function (composerData) {
+		var getContext = contexts[composerData.action];
+		var context = getContext && getContext(composerData);
+		return context && parseInt(context.id, 10) > 0 ? context : null;
+	};
+
+	// Restores the server draft into an empty composer and keeps it saved while typing
+	Drafts.attach = function (uuid, composerData) {
+		var context = Drafts.getContext(composerData);
+		var composerEl = $('.composer[data-uuid="' + uuid + '"]');
+		if (!context || !composerEl.length) {
+			return;
+		}
+		var bodyEl = composerEl.find('textarea.write');
+		var titleEl = composerEl.find('input.title');
+		var original = bodyEl.val();
+
+		Drafts.get(context, function (draft) {
+			if (draft && (!original || composerData.action === 'posts.edit') && draft.content !== original) {
+				bodyEl.val(draft.content).trigger('input');
+				if (draft.title && titleEl.length && !titleEl.val()) {
+					titleEl.val(draft.title);
+				}
+			}
+		});
+
+		composerEl.on('input', 'textarea.write, input.title', function () {
+			Drafts.save(context, {
+				title: titleEl.val(),
+				content: bodyEl.val(),
+			});
+		});
+	};
+
+	Drafts.get = function (context, callback) {
+		socket.emit('user.getDraft', context, function (err, draft) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			callback(draft);
+		});
+	};
+
+	Drafts.save = function (context, data) {
+		var key = context.type + ':' + context.id;
+		clearTimeout(saveTimeouts[key]);
+		saveTimeouts[key] = setTimeout(function () {
+			delete saveTimeouts[key];
+			socket.emit('user.saveDraft', $.extend({}, data, context), function (err) {
+				if (err) {
+					app.alertError(err.message);
+				}
+			});
+		}, saveDelay);
+	};
+
+	Drafts.discard = function (context, callback) {
+		clearTimeout(saveTimeouts[context.type + ':' + context.id]);
+		socket.emit('user.discardDraft', context, callback);
+	};
+
+	return Drafts;
+});
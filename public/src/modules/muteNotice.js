@@ -0,0 +1,49 @@
+'use strict';
+
+
+define('muteNotice', function () {
+	var MuteNotice = {};
+
+	MuteNotice.init = function () {
+		$(window).on('action:composer.loaded', function (ev, data) {
+			MuteNotice.attach(data.post_uuid);
+		});
+
+		socket.on('event:muted', function (data) {
+			app.user.muted = 1;
+			app.user.mutedUntilISO = data.until ? utils.toISOString(data.until) : '';
+		});
+
+		socket.on('event:unmuted', function () {
+			app.user.muted = 0;
+			app.user.mutedUntilISO = '';
+			$('[component="composer/muted"]').remove();
+		});
+	};
+
+	// The server turns posts from muted users away, this tells them before they start writing
+	MuteNotice.attach = function (uuid) {
+		if (!isMuted()) {
+			return;
+		}
+		var composerEl = $('.composer[data-uuid="' + uuid + '"]');
+		if (!composerEl.length || composerEl.find('[component="composer/muted"]').length) {
+			return;
+		}
+
+		app.parseAndTranslate('partials/muted-notice', { mutedUntilISO: app.user.mutedUntilISO }, function (html) {
+			var containerEl = composerEl.find('.composer-container');
+			(containerEl.length ? containerEl : composerEl).prepend(html);
+			html.find('.timeago').timeago();
+		});
+	};
+
+	function isMuted() {
+		if (!app.user || !app.user.muted) {
+			return false;
+		}
+		return !app.user.mutedUntilISO || new Date(app.user.mutedUntilISO).getTime() > Date.now();
+	}
+
+	return MuteNotice;
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+
+define('prefixes', ['translator'], function (translator) {
+	var Prefixes = {};
+
+	Prefixes.init = function () {
+		$(window).on('action:composer.loaded', function (ev, data) {
+			var composerData = data && data.composerData;
+			if (composerData && (composerData.action === 'topics.post' || (composerData.action === 'posts.edit' && composerData.isMain))) {
+				Prefixes.attach(data.post_uuid, composerData);
+			}
+		});
+
+		$(window).on('action:composer.submit', function (ev, data) {
+			var selectEl = data && data.composerEl && data.composerEl.find('[component="composer/prefix"]');
+			if (selectEl && selectEl.length) {
+				data.composerData.prefix = selectEl.val();
+			}
+		});
+	};
+
+	// Adds the prefixes of the category in front of the title input
+	Prefixes.attach = function (uuid, composerData) {
+		var cid = composerData.cid || ajaxify.data.cid;
+		var titleEl = $('.composer[data-uuid="' + uuid + '"] input.title');
+		if (!cid || !titleEl.length) {
+			return;
+		}
+
+		socket.emit('categories.getPrefixes', { cid: cid }, function (err, data) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			if (!data.prefixes.length) {
+				return;
+			}
+			var current = composerData.action === 'posts.edit' ? ajaxify.data.prefix : '';
+			translator.translate('[[topic:composer.no-prefix]]', function (noPrefix) {
+				var selectEl = $('<select component="composer/prefix" class="form-control pull-left"></select>').css('width', 'auto');
+				if (!data.required) {
+					selectEl.append($('<option value=""></option>').text(noPrefix));
+				}
+				data.prefixes.forEach(function (prefix) {
+					$('<option></option>').val(prefix.name).text(prefix.name)
+						.prop('selected', prefix.nameEscaped === current)
+						.appendTo(selectEl);
+				});
+				titleEl.before(selectEl);
+			});
+		});
+	};
+
+	return Prefixes;
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+
+define('topicTemplate', function () {
+	var TopicTemplate = {};
+
+	TopicTemplate.init = function () {
+		$(window).on('action:composer.loaded', function (ev, data) {
+			var composerData = data && data.composerData;
+			if (composerData && composerData.action === 'topics.post') {
+				TopicTemplate.attach(data.post_uuid, composerData);
+			}
+		});
+	};
+
+	// Fills an empty composer with the template of the category, restored drafts take precedence
+	TopicTemplate.attach = function (uuid, composerData) {
+		var cid = composerData.cid || ajaxify.data.cid;
+		var bodyEl = $('.composer[data-uuid="' + uuid + '"] textarea.write');
+		if (!cid || !bodyEl.length || bodyEl.val()) {
+			return;
+		}
+
+		socket.emit('categories.getTopicTemplate', { cid: cid }, function (err, data) {
+			if (err) {
+				return app.alertError(err.message);
+			}
+			if (data.template && !bodyEl.val()) {
+				bodyEl.val(data.template);
+			}
+		});
+	};
+
+	return TopicTemplate;
+});
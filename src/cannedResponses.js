@@ -0,0 +1,163 @@
+'use strict';
+
+const nconf = require('nconf');
+
+const db = require('./database');
+const user = require('./user');
+const posts = require('./posts');
+const topics = require('./topics');
+const categories = require('./categories');
+const messaging = require('./messaging');
+const notifications = require('./notifications');
+const translator = require('./translator');
+const plugins = require('./plugins');
+const meta = require('./meta');
+const utils = require('./utils');
+
+const CannedResponses = module.exports;
+
+// Written as `{username}` in the text of a response, unknown placeholders are left alone
+CannedResponses.placeholders = ['username', 'moderator', 'link', 'topic', 'category', 'forum'];
+
+// How the text can be passed on to the affected user
+CannedResponses.sendMethods = ['notification', 'chat'];
+
+CannedResponses.create = async function (data) {
+	const responseData = validate(data);
+	responseData.id = await db.incrObjectField('global', 'nextCannedResponseId');
+	responseData.timestamp = Date.now();
+
+	await db.setObject('cannedResponse:' + responseData.id, responseData);
+	await db.sortedSetAdd('cannedResponses:id', responseData.timestamp, responseData.id);
+	return await CannedResponses.get(responseData.id);
+};
+
+CannedResponses.update = async function (id, data) {
+	const exists = await db.isSortedSetMember('cannedResponses:id', id);
+	if (!exists) {
+		throw new Error('[[error:no-canned-response]]');
+	}
+	await db.setObject('cannedResponse:' + id, validate(data));
+	return await CannedResponses.get(id);
+};
+
+CannedResponses.delete = async function (id) {
+	await db.delete('cannedResponse:' + id);
+	await db.sortedSetRemove('cannedResponses:id', id);
+};
+
+CannedResponses.get = async function (id) {
+	const responseData = await db.getObject('cannedResponse:' + id);
+	return responseData ? modifyResponse(responseData) : null;
+};
+
+CannedResponses.list = async function () {
+	const ids = await db.getSortedSetRange('cannedResponses:id', 0, -1);
+	const responses = await db.getObjects(ids.map(id => 'cannedResponse:' + id));
+	return responses.filter(Boolean).map(modifyResponse);
+};
+
+function validate(data) {
+	if (!data || !String(data.title || '').trim() || !String(data.text || '').trim()) {
+		throw new Error('[[error:invalid-canned-response]]');
+	}
+	return {
+		title: String(data.title).trim().slice(0, 255),
+		text: String(data.text).trim(),
+	};
+}
+
+function modifyResponse(responseData) {
+	return {
+		id: parseInt(responseData.id, 10),
+		title: responseData.title,
+		text: responseData.text,
+		timestamp: parseInt(responseData.timestamp, 10) || 0,
+		timestampISO: utils.toISOString(responseData.timestamp),
+	};
+}
+
+// Values of the placeholders, `data` holds the affected user and optionally the post, topic or category
+CannedResponses.getContext = async function (data) {
+	let tid = data.tid;
+	let cid = data.cid;
+	if (data.pid) {
+		tid = await posts.getPostField(data.pid, 'tid');
+	}
+	const topicData = tid ? await topics.getTopicFields(tid, ['title', 'slug', 'cid']) : null;
+	cid = cid || (topicData && topicData.cid);
+
+	const [userData, moderatorData, categoryName] = await Promise.all([
+		user.getUserFields(data.toUid, ['username']),
+		user.getUserFields(data.fromUid, ['username']),
+		cid ? categories.getCategoryField(cid, 'name') : '',
+	]);
+
+	let path = '';
+	if (data.pid) {
+		path = '/post/' + data.pid;
+	} else if (topicData && topicData.slug) {
+		path = '/topic/' + topicData.slug;
+	}
+
+	return {
+		username: userData.username || '',
+		moderator: moderatorData.username || '',
+		link: path ? nconf.get('url') + path : '',
+		topic: topicData ? utils.decodeHTMLEntities(topicData.title || '') : '',
+		category: utils.decodeHTMLEntities(categoryName || ''),
+		forum: meta.config.title || 'NodeBB',
+		path: path,
+	};
+};
+
+CannedResponses.render = function (text, context) {
+	return String(text || '').replace(/\{(\w+)\}/g, function (match, key) {
+		return CannedResponses.placeholders.includes(key) ? context[key] : match;
+	});
+};
+
+// Fills in the placeholders and, if `data.send` is set, passes the text on to `data.toUid`
+CannedResponses.apply = async function (data) {
+	const context = await CannedResponses.getContext(data);
+	const text = CannedResponses.render(data.text, context);
+	if (data.send) {
+		await CannedResponses.send(data.fromUid, data.toUid, text, data.send, context.path);
+	}
+	return text;
+};
+
+CannedResponses.send = async function (fromUid, toUid, text, method, path) {
+	if (!CannedResponses.sendMethods.includes(method)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	if (!text || parseInt(fromUid, 10) === parseInt(toUid, 10)) {
+		return;
+	}
+
+	if (method === 'chat') {
+		let roomId = await messaging.hasPrivateChat(fromUid, toUid);
+		if (!roomId) {
+			roomId = await messaging.newRoom(fromUid, [toUid]);
+		}
+		const message = await messaging.sendMessage({
+			uid: fromUid,
+			roomId: roomId,
+			content: text,
+			timestamp: Date.now(),
+		});
+		messaging.notifyUsersInRoom(fromUid, roomId, message);
+	} else {
+		// No type, so users can not turn these off in their notification settings
+		const username = await user.getUserField(fromUid, 'username');
+		const notifObj = await notifications.create({
+			bodyShort: translator.compile('notifications:moderator_message', username, text),
+			bodyLong: text,
+			path: path || '/notifications',
+			nid: 'moderator-message:' + toUid + ':' + Date.now(),
+			from: fromUid,
+		});
+		await notifications.push(notifObj, [toUid]);
+	}
+	plugins.fireHook('action:cannedResponses.send', { fromUid: fromUid, toUid: toUid, text: text, method: method });
+};
@@ -39,6 +39,13 @@ module.exports = function (Categories) {
 			class: (data.class ? data.class : 'col-md-3 col-xs-6'),
 			imageClass: 'cover',
 			isSection: 0,
+			questionAndAnswer: data.questionAndAnswer ? 1 : 0,
+			autoLockDays: parseInt(data.autoLockDays, 10) || 0,
+			archiveCid: parseInt(data.archiveCid, 10) || 0,
+			requirePrefix: data.requirePrefix ? 1 : 0,
+			topicTemplate: String(data.topicTemplate || ''),
+			topicTemplateInherit: data.topicTemplateInherit ? 1 : 0,
+			topicTemplateRequired: data.topicTemplateRequired ? 1 : 0,
 		};
 
 		if (data.backgroundImage) {
@@ -55,14 +62,17 @@ module.exports = function (Categories) {
 			'topics:create',
 			'topics:reply',
 			'topics:tag',
+			'poll:create',
 			'posts:edit',
 			'posts:history',
 			'posts:delete',
 			'posts:upvote',
 			'posts:downvote',
+			'posts:react',
 			'topics:delete',
 		];
 		const modPrivileges = defaultPrivileges.concat([
+			'topics:schedule',
 			'posts:view_deleted',
 			'purge',
 		]);
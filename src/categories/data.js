@@ -7,6 +7,8 @@ var db = require('../database');
 const intFields = [
 	'cid', 'parentCid', 'disabled', 'isSection', 'order',
 	'topic_count', 'post_count', 'numRecentReplies',
+	'questionAndAnswer', 'autoLockDays', 'archiveCid', 'requirePrefix',
+	'topicTemplateInherit', 'topicTemplateRequired',
 ];
 
 module.exports = function (Categories) {
@@ -37,6 +37,8 @@ module.exports = function (Categories) {
 			'cid:' + cid + ':uid:watch:state',
 			'cid:' + cid + ':children',
 			'cid:' + cid + ':tag:whitelist',
+			'cid:' + cid + ':prefixes',
+			'cid:' + cid + ':prefixes:colors',
 			'category:' + cid,
 		]);
 		await groups.destroy(privileges.privilegeList.map(privilege => 'cid:' + cid + ':privileges:' + privilege));
@@ -66,6 +68,7 @@ module.exports = function (Categories) {
 			'cid:' + parentCid + ':children',
 			'cid:' + cid + ':children',
 			'cid:' + cid + ':tag:whitelist',
+			'cid:' + cid + ':prefixes',
 		]);
 	}
 };
@@ -21,6 +21,8 @@ require('./activeusers')(Categories);
 require('./recentreplies')(Categories);
 require('./update')(Categories);
 require('./watch')(Categories);
+require('./prefixes')(Categories);
+require('./topictemplate')(Categories);
 
 Categories.exists = async function (cid) {
 	if (Array.isArray(cid)) {
@@ -0,0 +1,84 @@
+'use strict';
+
+const validator = require('validator');
+
+const db = require('../database');
+const cache = require('../cache');
+const translator = require('../translator');
+
+const maxPrefixLength = 30;
+const defaultColor = '#777777';
+
+module.exports = function (Categories) {
+	Categories.getPrefixes = async function (cids) {
+		const cachedData = {};
+		const nonCachedCids = cids.filter((cid) => {
+			const data = cache.get('cid:' + cid + ':prefixes');
+			if (data !== undefined) {
+				cachedData[cid] = data;
+			}
+			return data === undefined;
+		});
+
+		if (nonCachedCids.length) {
+			const [names, colors] = await Promise.all([
+				db.getSortedSetsMembers(nonCachedCids.map(cid => 'cid:' + cid + ':prefixes')),
+				db.getObjects(nonCachedCids.map(cid => 'cid:' + cid + ':prefixes:colors')),
+			]);
+			nonCachedCids.forEach((cid, index) => {
+				cachedData[cid] = names[index].map(name => ({
+					name: name,
+					nameEscaped: translator.escape(validator.escape(String(name))),
+					color: (colors[index] && colors[index][name]) || defaultColor,
+				}));
+				cache.set('cid:' + cid + ':prefixes', cachedData[cid]);
+			});
+		}
+		return cids.map(cid => cachedData[cid].map(prefix => ({ ...prefix })));
+	};
+
+	Categories.setPrefixes = async function (cid, prefixes) {
+		const seen = new Set();
+		prefixes = prefixes.map(prefix => ({
+			name: String(prefix.name || '').trim().replace(/\s+/g, ' ').slice(0, maxPrefixLength),
+			color: /^#(?:[0-9a-f]{3}){1,2}$/i.test(prefix.color) ? prefix.color : defaultColor,
+		})).filter(prefix => prefix.name && !seen.has(prefix.name) && seen.add(prefix.name));
+
+		await db.deleteAll(['cid:' + cid + ':prefixes', 'cid:' + cid + ':prefixes:colors']);
+		if (prefixes.length) {
+			const colors = {};
+			prefixes.forEach(function (prefix) {
+				colors[prefix.name] = prefix.color;
+			});
+			await Promise.all([
+				db.sortedSetAdd('cid:' + cid + ':prefixes', prefixes.map((prefix, index) => index), prefixes.map(prefix => prefix.name)),
+				db.setObject('cid:' + cid + ':prefixes:colors', colors),
+			]);
+		}
+		cache.del('cid:' + cid + ':prefixes');
+	};
+
+	// One prefix per line, optionally followed by its colour, e.g. `Bug #d9534f`
+	Categories.parsePrefixes = function (text) {
+		return String(text || '').split('\n').map(function (line) {
+			const match = line.trim().match(/^(.*?)(?:\s+(#[0-9a-f]{3,6}))?$/i);
+			return { name: match[1], color: match[2] };
+		});
+	};
+
+	// Returns the prefix to store for a new or edited topic in `cid`
+	Categories.validatePrefix = async function (cid, prefix) {
+		prefix = String(prefix || '').trim();
+		const [prefixes, required] = await Promise.all([
+			Categories.getPrefixes([cid]),
+			Categories.getCategoryField(cid, 'requirePrefix'),
+		]);
+		if (prefix && !prefixes[0].some(p => p.name === prefix)) {
+			throw new Error('[[error:invalid-prefix]]');
+		}
+		if (!prefix && required && prefixes[0].length) {
+			throw new Error('[[error:prefix-required]]');
+		}
+		return prefix;
+	};
+};
@@ -112,6 +112,14 @@ module.exports = function (Categories) {
 				set = [set, 'tag:' + data.tag + ':topics'];
 			}
 		}
+
+		if (data.prefix) {
+			set = [].concat(set, 'prefix:' + data.prefix + ':topics');
+		}
+
+		if (topics.questions.filters.includes(data.filter)) {
+			set = [].concat(set, 'topics:' + data.filter);
+		}
 		const result = await plugins.fireHook('filter:categories.buildTopicsSortedSet', {
 			set: set,
 			data: data,
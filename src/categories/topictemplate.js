@@ -0,0 +1,54 @@
+'use strict';
+
+const translator = require('../translator');
+
+module.exports = function (Categories) {
+	// Returns the template of `cid`, or the one of the closest parent that shares its template with child categories
+	Categories.getTopicTemplate = async function (cid) {
+		const fields = ['cid', 'parentCid', 'topicTemplate', 'topicTemplateInherit', 'topicTemplateRequired'];
+		let category = await Categories.getCategoryFields(cid, fields);
+		const seen = new Set();
+		while (category && category.cid && !seen.has(category.cid)) {
+			seen.add(category.cid);
+			const template = String(category.topicTemplate || '');
+			if (template.trim()) {
+				if (category.cid !== parseInt(cid, 10) && !category.topicTemplateInherit) {
+					break;
+				}
+				return {
+					cid: category.cid,
+					template: template,
+					required: !!category.topicTemplateRequired,
+					sections: Categories.getTemplateSections(template),
+				};
+			}
+			/* eslint-disable no-await-in-loop */
+			category = category.parentCid ? await Categories.getCategoryFields(category.parentCid, fields) : null;
+		}
+		return { cid: 0, template: '', required: false, sections: [] };
+	};
+
+	// The markdown headings of a template, e.g. `## Steps to reproduce`
+	Categories.getTemplateSections = function (template) {
+		return getHeadings(template).filter((heading, index, headings) => headings.indexOf(heading) === index);
+	};
+
+	Categories.validateTopicTemplate = async function (cid, content) {
+		const templateData = await Categories.getTopicTemplate(cid);
+		if (!templateData.required || !templateData.sections.length) {
+			return;
+		}
+		const headings = getHeadings(content).map(heading => heading.toLowerCase());
+		const missing = templateData.sections.filter(section => !headings.includes(section.toLowerCase()));
+		if (missing.length) {
+			throw new Error(translator.compile('error:missing-template-sections', missing.join(' / ')));
+		}
+	};
+
+	function getHeadings(text) {
+		return String(text || '').split('\n').map(function (line) {
+			const match = line.trim().match(/^#{1,6}\s+(.*?)\s*#*$/);
+			return match ? match[1].trim() : '';
+		}).filter(Boolean);
+	}
+};
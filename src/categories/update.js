@@ -47,6 +47,8 @@ module.exports = function (Categories) {
 			return await updateParent(cid, value);
 		} else if (key === 'tagWhitelist') {
 			return await updateTagWhitelist(cid, value);
+		} else if (key === 'prefixes') {
+			return await Categories.setPrefixes(cid, Array.isArray(value) ? value : Categories.parsePrefixes(value));
 		}
 		await db.setObjectField('category:' + cid, key, value);
 		if (key === 'order') {
@@ -215,6 +215,12 @@ program
 	.action(function (count) {
 		require('./manage').listEvents(count);
 	});
+program
+	.command('import-breached-passwords <file> [dir]')
+	.description('Import a SHA-1 breached password list (e.g. Pwned Passwords) for the password policy')
+	.action(function (file, dir) {
+		require('./manage').importBreachedPasswords(file, dir);
+	});
 program
 	.command('info')
 	.description('Outputs various system info')
@@ -1,6 +1,8 @@
 'use strict';
 
 var async = require('async');
+var path = require('path');
+var nconf = require('nconf');
 var winston = require('winston');
 var childProcess = require('child_process');
 var _ = require('lodash');
@@ -216,6 +218,25 @@ function info() {
 	});
 }
 
+async function importBreachedPasswords(file, dir) {
+	await db.init();
+	const meta = require('../meta');
+	const user = require('../user');
+	await meta.configs.init();
+
+	dir = path.resolve(dir || meta.config['password:breachedPath'] || path.join(nconf.get('base_dir'), 'breached-passwords'));
+	process.stdout.write('Importing breached password hashes from ' + file + ' into ' + dir + '...\n');
+	try {
+		const count = await user.passwordPolicy.importBreachedHashes(file, dir);
+		await meta.configs.set('password:breachedPath', dir);
+		process.stdout.write(('Imported ' + count + ' hashes, new passwords will now be checked against them.\n').green);
+		process.exit();
+	} catch (err) {
+		winston.error('[import-breached-passwords] ' + err.stack);
+		process.exit(1);
+	}
+}
+
 function buildWrapper(targets, options) {
 	build.build(targets, options, function (err) {
 		if (err) {
@@ -232,3 +253,4 @@ exports.activate = activate;
 exports.listPlugins = listPlugins;
 exports.listEvents = listEvents;
 exports.info = info;
+exports.importBreachedPasswords = importBreachedPasswords;
@@ -12,6 +12,9 @@ var accountsController = {
 	notifications: require('./accounts/notifications'),
 	chats: require('./accounts/chats'),
 	sessions: require('./accounts/sessions'),
+	tokens: require('./accounts/tokens'),
+	warnings: require('./accounts/warnings'),
+	drafts: require('./accounts/drafts'),
 	blocks: require('./accounts/blocks'),
 	uploads: require('./accounts/uploads'),
 	consent: require('./accounts/consent'),
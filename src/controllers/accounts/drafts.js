@@ -0,0 +1,70 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const user = require('../../user');
+const posts = require('../../posts');
+const topics = require('../../topics');
+const categories = require('../../categories');
+const helpers = require('../helpers');
+const pagination = require('../../pagination');
+const translator = require('../../translator');
+const accountHelpers = require('./helpers');
+
+const draftsController = module.exports;
+
+draftsController.get = async function (req, res, next) {
+	const userData = await accountHelpers.getUserDataByUserSlug(req.params.userslug, req.uid);
+	if (!userData || !userData.isSelf) {
+		return next();
+	}
+
+	const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+	const itemsPerPage = 20;
+	const start = (page - 1) * itemsPerPage;
+	const stop = start + itemsPerPage - 1;
+	const [itemCount, drafts] = await Promise.all([
+		user.drafts.count(userData.uid),
+		user.drafts.list(userData.uid, start, stop),
+	]);
+
+	userData.drafts = await addContext(drafts);
+	userData.pagination = pagination.create(page, Math.ceil(itemCount / itemsPerPage), req.query);
+	userData.title = '[[pages:account/drafts, ' + userData.username + ']]';
+	userData.breadcrumbs = helpers.buildBreadcrumbs([{ text: userData.username, url: '/user/' + userData.userslug }, { text: '[[user:drafts]]' }]);
+	res.render('account/drafts', userData);
+};
+
+// Describes where each draft belongs, e.g. the category of a new topic or the topic of a reply
+async function addContext(drafts) {
+	const byType = _.groupBy(drafts, 'type');
+	const editPids = (byType.edit || []).map(draft => draft.id);
+	const postData = await posts.getPostsFields(editPids, ['pid', 'tid']);
+	const tidByPid = _.zipObject(editPids, postData.map(post => post.tid));
+
+	const tids = _.uniq((byType.reply || []).map(draft => draft.id).concat(Object.values(tidByPid)).filter(Boolean));
+	const cids = _.uniq((byType.topic || []).map(draft => draft.id));
+	const [topicData, categoryData] = await Promise.all([
+		topics.getTopicsFields(tids, ['tid', 'title', 'slug']),
+		categories.getCategoriesFields(cids, ['cid', 'name', 'slug']),
+	]);
+	const topicsByTid = _.zipObject(tids, topicData);
+	const categoriesByCid = _.zipObject(cids, categoryData);
+
+	return drafts.map(function (draft) {
+		draft.excerpt = translator.escape(validator.escape(draft.content.slice(0, 255)));
+		draft.titleEscaped = translator.escape(draft.titleEscaped);
+		if (draft.type === 'topic') {
+			const category = categoriesByCid[draft.id] || {};
+			draft.contextName = category.name;
+			draft.url = '/category/' + category.slug;
+		} else {
+			const topic = topicsByTid[draft.type === 'reply' ? draft.id : tidByPid[draft.id]] || {};
+			draft.contextName = topic.title;
+			draft.url = draft.type === 'reply' ? '/topic/' + topic.slug : '/post/' + draft.id;
+		}
+		draft.contextLabel = '[[user:drafts.' + draft.type + ']]';
+		return draft;
+	});
+}
@@ -1,5 +1,7 @@
 'use strict';
 
+const qrcode = require('qrcode');
+
 const user = require('../../user');
 const meta = require('../../meta');
 const plugins = require('../../plugins');
@@ -84,6 +86,45 @@ editController.email = async function (req, res, next) {
 	await renderRoute('email', req, res, next);
 };
 
+editController.twoFactor = async function (req, res, next) {
+	const userData = await getUserData(req);
+	if (!userData) {
+		return next();
+	}
+	const [enabled, required, recoveryCodeCount] = await Promise.all([
+		user.totp.isEnabled(userData.uid),
+		user.totp.isRequired(userData.uid),
+		user.totp.getRecoveryCodeCount(userData.uid),
+	]);
+	userData.twoFactorEnabled = enabled;
+	userData.twoFactorRequired = required;
+	userData.recoveryCodeCount = recoveryCodeCount;
+
+	// Only the account owner gets a secret to scan, admins can reset 2FA from the ACP
+	if (!enabled && userData.isSelf) {
+		const setup = await user.totp.setup(userData.uid);
+		userData.twoFactorSecret = setup.secret;
+		userData.twoFactorQrCode = await qrcode.toDataURL(setup.otpauthUrl);
+	}
+
+	userData.title = '[[pages:account/edit/2fa, ' + userData.username + ']]';
+	userData.breadcrumbs = helpers.buildBreadcrumbs([
+		{
+			text: userData.username,
+			url: '/user/' + userData.userslug,
+		},
+		{
+			text: '[[user:edit]]',
+			url: '/user/' + userData.userslug + '/edit',
+		},
+		{
+			text: '[[user:2fa]]',
+		},
+	]);
+
+	res.render('account/edit/2fa', userData);
+};
+
 async function renderRoute(name, req, res, next) {
 	const userData = await getUserData(req, next);
 	if (!userData) {
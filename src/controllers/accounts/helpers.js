@@ -94,6 +94,7 @@ helpers.getUserDataByUserSlug = async function (userslug, callerUID) {
 
 	userData.sso = results.sso.associations;
 	userData.banned = userData.banned === 1;
+	userData.muted = userData.muted === 1;
 	userData.website = validator.escape(String(userData.website || ''));
 	userData.websiteLink = !userData.website.startsWith('http') ? 'http://' + userData.website : userData.website;
 	userData.websiteName = userData.website.replace(validator.escape('http://'), '').replace(validator.escape('https://'), '');
@@ -163,6 +164,54 @@ async function getProfileMenu(uid, callerUID) {
 			admin: false,
 			canViewInfo: false,
 		},
+	}, {
+		id: '2fa',
+		route: 'edit/2fa',
+		name: '[[user:2fa]]',
+		visibility: {
+			self: true,
+			other: false,
+			moderator: false,
+			globalMod: false,
+			admin: true,
+			canViewInfo: false,
+		},
+	}, {
+		id: 'tokens',
+		route: 'tokens',
+		name: '[[user:tokens]]',
+		visibility: {
+			self: true,
+			other: false,
+			moderator: false,
+			globalMod: false,
+			admin: true,
+			canViewInfo: false,
+		},
+	}, {
+		id: 'warnings',
+		route: 'warnings',
+		name: '[[user:warnings]]',
+		visibility: {
+			self: true,
+			other: false,
+			moderator: true,
+			globalMod: true,
+			admin: true,
+			canViewInfo: false,
+		},
+	}, {
+		id: 'drafts',
+		route: 'drafts',
+		name: '[[user:drafts]]',
+		visibility: {
+			self: true,
+			other: false,
+			moderator: false,
+			globalMod: false,
+			admin: false,
+			canViewInfo: false,
+		},
 	}];
 
 	if (meta.config.gdpr_enabled) {
@@ -15,6 +15,7 @@ notificationsController.get = async function (req, res, next) {
 		{ name: '[[notifications:chat]]', filter: 'new-chat' },
 		{ name: '[[notifications:follows]]', filter: 'follow' },
 		{ name: '[[notifications:upvote]]', filter: 'upvote' },
+		{ name: '[[notifications:reaction]]', filter: 'reaction' },
 	];
 
 	const moderatorFilters = [
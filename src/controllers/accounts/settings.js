@@ -103,6 +103,7 @@ settingsController.get = async function (req, res, next) {
 	];
 
 	userData.upvoteNotifFreq = notifFreqOptions.map(name => ({ name: name, selected: name === userData.settings.upvoteNotifFreq }));
+	userData.reactionNotifFreq = notifFreqOptions.map(name => ({ name: name, selected: name === userData.settings.reactionNotifFreq }));
 
 	userData.categoryWatchState = { [userData.settings.categoryWatchState]: true };
 
@@ -0,0 +1,27 @@
+'use strict';
+
+const user = require('../../user');
+const helpers = require('../helpers');
+const accountHelpers = require('./helpers');
+
+const tokensController = module.exports;
+
+tokensController.get = async function (req, res, next) {
+	const userData = await accountHelpers.getUserDataByUserSlug(req.params.userslug, req.uid);
+	if (!userData) {
+		return next();
+	}
+
+	const [tokens, isTargetAdmin] = await Promise.all([
+		user.tokens.list(userData.uid),
+		user.isAdministrator(userData.uid),
+	]);
+	userData.tokens = tokens;
+	userData.scopes = user.tokens.scopes
+		.filter(scope => scope !== 'admin' || isTargetAdmin)
+		.map(scope => ({ name: scope, label: '[[user:tokens.scope.' + scope + ']]' }));
+	userData.title = '[[pages:account/tokens, ' + userData.username + ']]';
+	userData.breadcrumbs = helpers.buildBreadcrumbs([{ text: userData.username, url: '/user/' + userData.userslug }, { text: '[[user:tokens]]' }]);
+
+	res.render('account/tokens', userData);
+};
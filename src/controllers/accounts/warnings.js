@@ -0,0 +1,49 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const user = require('../../user');
+const meta = require('../../meta');
+const helpers = require('../helpers');
+const accountHelpers = require('./helpers');
+
+const warningsController = module.exports;
+
+// Users see their active warnings, moderators see the whole ledger
+warningsController.get = async function (req, res, next) {
+	const userData = await accountHelpers.getUserDataByUserSlug(req.params.userslug, req.uid);
+	if (!userData || (!userData.isSelf && !userData.isAdminOrGlobalModeratorOrModerator)) {
+		return next();
+	}
+	const isModerator = userData.isAdminOrGlobalModeratorOrModerator;
+	let warnings = await user.warnings.list(userData.uid);
+	if (!isModerator) {
+		warnings = warnings.filter(warning => warning.active);
+	}
+
+	const uids = isModerator ? _.uniq(_.flatten(warnings.map(warning => [warning.fromUid, warning.revokedBy])).filter(Boolean)) : [];
+	const users = await user.getUsersFields(uids, ['uid', 'username', 'userslug', 'picture']);
+	const uidToUser = _.zipObject(uids, users);
+	warnings.forEach(function (warning) {
+		warning.reason = validator.escape(String(warning.reason));
+		warning.from = uidToUser[warning.fromUid] || null;
+		warning.revokedByUser = uidToUser[warning.revokedBy] || null;
+	});
+
+	userData.warnings = warnings;
+	userData.points = warnings.filter(warning => warning.active).reduce((total, warning) => total + warning.points, 0);
+	userData.showLedger = isModerator;
+	// Only admins can warn global moderators, see SocketUser.warn
+	const isTargetGlobalMod = await user.isGlobalModerator(userData.uid);
+	userData.canWarn = userData.canBan && !userData.isSelf && (userData.isAdmin || !isTargetGlobalMod);
+	userData.canMute = userData.canWarn;
+	// Revoking is checked the same way as warning, see SocketUser.revokeWarning
+	userData.canRevoke = userData.canWarn;
+	userData.maxPoints = user.warnings.maxPoints;
+	userData.expiryDays = meta.config['warnings:expiryDays'];
+	userData.title = '[[pages:account/warnings, ' + userData.username + ']]';
+	userData.breadcrumbs = helpers.buildBreadcrumbs([{ text: userData.username, url: '/user/' + userData.userslug }, { text: '[[user:warnings]]' }]);
+
+	res.render('account/warnings', userData);
+};
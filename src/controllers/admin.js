@@ -8,6 +8,9 @@ var adminController = {
 	tags: require('./admin/tags'),
 	postQueue: require('./admin/postqueue'),
 	blacklist: require('./admin/blacklist'),
+	tokens: require('./admin/tokens'),
+	cannedResponses: require('./admin/canned-responses'),
+	warnings: require('./admin/warnings'),
 	groups: require('./admin/groups'),
 	digest: require('./admin/digest'),
 	appearance: require('./admin/appearance'),
@@ -17,6 +20,8 @@ var adminController = {
 	},
 	events: require('./admin/events'),
 	hooks: require('./admin/hooks'),
+	webhooks: require('./admin/webhooks'),
+	passwordHashing: require('./admin/password-hashing'),
 	logs: require('./admin/logs'),
 	errors: require('./admin/errors'),
 	database: require('./admin/database'),
@@ -1,18 +1,21 @@
 'use strict';
 
 const meta = require('../../meta');
+const user = require('../../user');
 const analytics = require('../../analytics');
 
 const blacklistController = module.exports;
 
 blacklistController.get = async function (req, res) {
-	const [rules, analyticsData] = await Promise.all([
+	const [rules, analyticsData, throttled] = await Promise.all([
 		meta.blacklist.get(),
 		analytics.getBlacklistAnalytics(),
+		user.auth.getThrottledIps(),
 	]);
 	res.render('admin/manage/ip-blacklist', {
 		title: '[[pages:ip-blacklist]]',
 		rules: rules,
 		analytics: analyticsData,
+		throttled: throttled,
 	});
 };
@@ -0,0 +1,21 @@
+'use strict';
+
+const validator = require('validator');
+
+const cannedResponses = require('../../cannedResponses');
+
+const cannedResponsesController = module.exports;
+
+cannedResponsesController.get = async function (req, res) {
+	const responses = await cannedResponses.list();
+	responses.forEach(function (response) {
+		response.title = validator.escape(String(response.title));
+		response.text = validator.escape(String(response.text));
+	});
+
+	res.render('admin/manage/canned-responses', {
+		title: '[[admin/menu:manage/canned-responses]]',
+		responses: responses,
+		placeholders: cannedResponses.placeholders,
+	});
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const validator = require('validator');
+
 const categories = require('../../categories');
 const analytics = require('../../analytics');
 const plugins = require('../../plugins');
@@ -8,10 +10,11 @@ const translator = require('../../translator');
 const categoriesController = module.exports;
 
 categoriesController.get = async function (req, res, next) {
-	const [categoryData, parent, allCategories] = await Promise.all([
+	const [categoryData, parent, allCategories, prefixes] = await Promise.all([
 		categories.getCategories([req.params.category_id], req.uid),
 		categories.getParents([req.params.category_id]),
 		categories.buildForSelectAll(['text', 'value']),
+		categories.getPrefixes([req.params.category_id]),
 	]);
 
 	const category = categoryData[0];
@@ -20,6 +23,7 @@ categoriesController.get = async function (req, res, next) {
 	}
 
 	category.parent = parent[0];
+	category.prefixesText = prefixes[0].map(prefix => prefix.nameEscaped + ' ' + prefix.color).join('\n');
 	allCategories.forEach(function (category) {
 		if (category) {
 			category.selected = parseInt(category.value, 10) === parseInt(req.params.category_id, 10);
@@ -35,10 +39,12 @@ categoriesController.get = async function (req, res, next) {
 	});
 	data.category.name = translator.escape(String(data.category.name));
 	data.category.description = translator.escape(String(data.category.description));
+	data.category.topicTemplate = translator.escape(validator.escape(String(data.category.topicTemplate || '')));
 
 	res.render('admin/manage/category', {
 		category: data.category,
 		allCategories: data.allCategories,
+		archiveCategories: data.allCategories.filter(category => category && parseInt(category.value, 10) !== parseInt(req.params.category_id, 10)),
 		customClasses: data.customClasses,
 	});
 };
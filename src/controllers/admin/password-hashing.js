@@ -0,0 +1,27 @@
+'use strict';
+
+const meta = require('../../meta');
+const user = require('../../user');
+const Password = require('../../password');
+
+const passwordHashingController = module.exports;
+
+passwordHashingController.get = async function (req, res) {
+	const counts = await user.getPasswordAlgorithmCounts();
+	const current = user.getPasswordAlgorithm();
+	const total = Object.keys(counts).reduce((sum, key) => sum + counts[key], 0);
+	const algorithms = Password.algorithms.concat(['unknown', 'none']).map(name => ({
+		name: name,
+		count: counts[name],
+		percent: total ? Math.round((counts[name] / total) * 1000) / 10 : 0,
+		current: name === current,
+	}));
+
+	res.render('admin/advanced/password-hashing', {
+		algorithms: algorithms,
+		current: current,
+		// argon2 is configured but its native module could not be loaded
+		argon2Missing: meta.config.passwordHashAlgorithm === 'argon2id' && current !== 'argon2id',
+		total: total,
+	});
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+const _ = require('lodash');
+
+const user = require('../../user');
+
+const tokensController = module.exports;
+
+tokensController.get = async function (req, res) {
+	const tokens = await user.tokens.listAll(0, 499);
+	const uids = _.uniq(tokens.map(token => token.uid).filter(Boolean));
+	const userData = await user.getUsersFields(uids, ['username', 'userslug']);
+	const uidToUser = _.zipObject(uids, userData);
+	tokens.forEach(function (token) {
+		token.user = uidToUser[token.uid] || null;
+	});
+
+	res.render('admin/manage/tokens', {
+		title: '[[admin/menu:manage/tokens]]',
+		masterTokens: tokens.filter(token => token.master),
+		userTokens: tokens.filter(token => !token.master),
+		scopes: user.tokens.scopes,
+	});
+};
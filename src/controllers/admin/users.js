@@ -13,7 +13,7 @@ const utils = require('../../utils');
 const usersController = module.exports;
 
 const userFields = ['uid', 'username', 'userslug', 'email', 'postcount', 'joindate', 'banned',
-	'reputation', 'picture', 'flags', 'lastonline', 'email:confirmed'];
+	'muted', 'reputation', 'picture', 'flags', 'lastonline', 'email:confirmed'];
 
 usersController.search = function (req, res) {
 	res.render('admin/manage/users', {
@@ -56,6 +56,10 @@ usersController.banned = async function (req, res) {
 	await getUsers('users:banned', 'banned', undefined, undefined, req, res);
 };
 
+usersController.muted = async function (req, res) {
+	await getUsers('users:muted', 'muted', undefined, undefined, req, res);
+};
+
 usersController.registrationQueue = async function (req, res) {
 	const page = parseInt(req.query.page, 10) || 1;
 	const itemsPerPage = 20;
@@ -116,7 +120,7 @@ async function getUsers(set, section, min, max, req, res) {
 	async function getCount() {
 		if (byScore) {
 			return await db.sortedSetCount(set, min, max);
-		} else if (set === 'users:banned' || set === 'users:notvalidated') {
+		} else if (set === 'users:banned' || set === 'users:muted' || set === 'users:notvalidated') {
 			return await db.sortedSetCard(set);
 		}
 		return await db.getObjectField('global', 'userCount');
@@ -0,0 +1,14 @@
+'use strict';
+
+const user = require('../../user');
+
+const warningsController = module.exports;
+
+warningsController.get = async function (req, res) {
+	const rules = await user.warnings.getRules();
+	res.render('admin/manage/warnings', {
+		title: '[[admin/menu:manage/warnings]]',
+		rules: rules,
+		actions: Object.keys(user.warnings.actions),
+	});
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const validator = require('validator');
+
+const webhooks = require('../../webhooks');
+const pagination = require('../../pagination');
+
+const webhooksController = module.exports;
+
+webhooksController.list = async function (req, res) {
+	const webhookData = await webhooks.list();
+	const counts = await Promise.all(webhookData.map(webhook => webhooks.getDeliveryCount(webhook.id)));
+	webhookData.forEach(function (webhook, index) {
+		webhook.deliveryCount = counts[index];
+		escape(webhook, ['name', 'url', 'secret']);
+		webhook.hooks = webhook.hooks.map(hook => validator.escape(String(hook)));
+	});
+
+	res.render('admin/advanced/webhooks', {
+		webhooks: webhookData,
+		suggestedHooks: webhooks.suggestedHooks,
+	});
+};
+
+webhooksController.get = async function (req, res, next) {
+	const webhook = await webhooks.get(req.params.id);
+	if (!webhook) {
+		return next();
+	}
+	const page = parseInt(req.query.page, 10) || 1;
+	const itemsPerPage = 20;
+	const start = (page - 1) * itemsPerPage;
+	const stop = start + itemsPerPage - 1;
+
+	const [count, deliveries] = await Promise.all([
+		webhooks.getDeliveryCount(webhook.id),
+		webhooks.getDeliveries(webhook.id, start, stop),
+	]);
+	escape(webhook, ['name', 'url', 'secret']);
+	webhook.hooks = webhook.hooks.map(hook => validator.escape(String(hook)));
+	deliveries.forEach(delivery => escape(delivery, ['hook', 'payload', 'response', 'error']));
+
+	res.render('admin/advanced/webhook', {
+		webhook: webhook,
+		deliveries: deliveries,
+		suggestedHooks: webhooks.suggestedHooks,
+		pagination: pagination.create(page, Math.max(1, Math.ceil(count / itemsPerPage)), req.query),
+	});
+};
+
+function escape(data, fields) {
+	fields.forEach(function (field) {
+		data[field] = validator.escape(String(data[field] || ''));
+	});
+}
@@ -18,6 +18,8 @@ const helpers = require('./helpers');
 const middleware = require('../middleware');
 const privileges = require('../privileges');
 const sockets = require('../socket.io');
+const events = require('../events');
+const ldap = require('../ldap');
 
 const authenticationController = module.exports;
 
@@ -232,7 +234,8 @@ authenticationController.login = function (req, res, next) {
 };
 
 function continueLogin(req, res, next) {
-	passport.authenticate('local', function (err, userData, info) {
+	// Directory accounts are tried first, anyone not found there falls through to local accounts
+	passport.authenticate(ldap.isEnabled() ? ['ldap', 'local'] : 'local', function (err, userData, info) {
 		if (err) {
 			return helpers.noScriptErrors(req, res, err.message, 403);
 		}
@@ -254,7 +257,7 @@ function continueLogin(req, res, next) {
 			req.session.cookie.expires = false;
 		}
 
-		if (userData.passwordExpiry && userData.passwordExpiry < Date.now()) {
+		if (userData.passwordExpired) {
 			winston.verbose('[auth] Triggering password reset for uid ' + userData.uid + ' due to password policy');
 			req.session.passwordExpired = true;
 
@@ -276,37 +279,119 @@ function continueLogin(req, res, next) {
 		} else {
 			delete req.query.lang;
 
-			async.series({
-				doLogin: async.apply(authenticationController.doLogin, req, userData.uid),
-				buildHeader: async.apply(middleware.buildHeader, req, res),
-				header: async.apply(middleware.generateHeader, req, res, {}),
-			}, function (err, payload) {
+			user.totp.isEnabled(userData.uid, function (err, enabled) {
 				if (err) {
 					return helpers.noScriptErrors(req, res, err.message, 403);
 				}
-
-				var destination;
-				if (!req.session.returnTo) {
-					destination = nconf.get('relative_path') + '/';
-				} else {
-					destination = req.session.returnTo;
-					delete req.session.returnTo;
+				if (!enabled) {
+					return completeLogin(req, res, userData.uid);
 				}
 
+				// The password was correct, but the session is only established once the second factor is verified
+				req.session.twoFactor = {
+					uid: userData.uid,
+					attempts: 0,
+				};
 				if (req.body.noscript === 'true') {
-					res.redirect(destination + '?loggedin');
-				} else {
+					return res.redirect(nconf.get('relative_path') + '/login/2fa');
+				}
+				async.series({
+					buildHeader: async.apply(middleware.buildHeader, req, res),
+					header: async.apply(middleware.generateHeader, req, res, {}),
+				}, function (err, payload) {
+					if (err) {
+						return helpers.noScriptErrors(req, res, err.message, 403);
+					}
+
 					res.status(200).send({
-						next: destination,
+						next: nconf.get('relative_path') + '/login/2fa',
 						header: payload.header,
 						config: res.locals.config,
 					});
-				}
+				});
 			});
 		}
 	})(req, res, next);
 }
 
+function completeLogin(req, res, uid) {
+	async.series({
+		doLogin: async.apply(authenticationController.doLogin, req, uid),
+		buildHeader: async.apply(middleware.buildHeader, req, res),
+		header: async.apply(middleware.generateHeader, req, res, {}),
+	}, function (err, payload) {
+		if (err) {
+			return helpers.noScriptErrors(req, res, err.message, 403);
+		}
+
+		var destination;
+		if (!req.session.returnTo) {
+			destination = nconf.get('relative_path') + '/';
+		} else {
+			destination = req.session.returnTo;
+			delete req.session.returnTo;
+		}
+
+		if (req.body.noscript === 'true') {
+			res.redirect(destination + '?loggedin');
+		} else {
+			res.status(200).send({
+				next: destination,
+				header: payload.header,
+				config: res.locals.config,
+			});
+		}
+	});
+}
+
+authenticationController.loginTwoFactor = async function (req, res) {
+	const pending = req.session.twoFactor;
+	if (!pending || !pending.uid) {
+		return helpers.noScriptErrors(req, res, '[[error:2fa-session-expired]]', 403);
+	}
+
+	let result;
+	try {
+		await user.auth.checkLoginThrottle(pending.uid, req.ip);
+		result = await user.totp.verify(pending.uid, req.body.code);
+	} catch (err) {
+		delete req.session.twoFactor;
+		return helpers.noScriptErrors(req, res, err.message, 403);
+	}
+	if (!result) {
+		pending.attempts += 1;
+		events.log({
+			type: '2fa-login-failed',
+			uid: pending.uid,
+			ip: req.ip,
+		});
+		// Wrong codes count towards the same lockout as wrong passwords
+		try {
+			await user.auth.logAttempt(pending.uid, req.ip);
+		} catch (err) {
+			delete req.session.twoFactor;
+			return helpers.noScriptErrors(req, res, err.message, 403);
+		}
+		// Too many wrong codes, start over from the password step
+		if (pending.attempts >= meta.config.loginAttempts) {
+			delete req.session.twoFactor;
+			return helpers.noScriptErrors(req, res, '[[error:2fa-session-expired]]', 403);
+		}
+		return helpers.noScriptErrors(req, res, '[[error:invalid-2fa-code]]', 403);
+	}
+
+	delete req.session.twoFactor;
+	user.auth.clearLoginAttempts(pending.uid, req.ip);
+	if (result.method === 'recovery') {
+		events.log({
+			type: '2fa-recovery-code-used',
+			uid: pending.uid,
+			ip: req.ip,
+		});
+	}
+	completeLogin(req, res, pending.uid);
+};
+
 authenticationController.doLogin = async function (req, uid) {
 	if (!uid) {
 		return;
@@ -340,6 +425,14 @@ authenticationController.onSuccessfulLogin = async function (req, uid) {
 		// Associate IP used during login with user account
 		req.session.meta.ip = req.ip;
 
+		const [twoFactorRequired, twoFactorEnabled] = await Promise.all([
+			user.totp.isRequired(uid),
+			user.totp.isEnabled(uid),
+		]);
+		if (twoFactorRequired && !twoFactorEnabled) {
+			req.session.twoFactorSetup = true;
+		}
+
 		// Associate metadata retrieved via user-agent
 		req.session.meta = _.extend(req.session.meta, {
 			uuid: uuid,
@@ -403,6 +496,7 @@ authenticationController.localLogin = async function (req, username, password, n
 		if (!passwordMatch) {
 			return next(new Error('[[error:invalid-login-credentials]]'));
 		}
+		userData.passwordExpired = await user.passwordPolicy.isExpired(uid, userData);
 
 		next(null, userData, '[[success:authentication-successful]]');
 	} catch (err) {
@@ -410,6 +504,44 @@ authenticationController.localLogin = async function (req, username, password, n
 	}
 };
 
+authenticationController.ldapLogin = async function (req, username, password, next) {
+	if (!ldap.isEnabled() || !username || !password) {
+		return next(null, false);
+	}
+
+	try {
+		const localUid = await user.getUidByUserslug(utils.slugify(username));
+		await user.auth.checkLoginThrottle(localUid, req.ip);
+
+		let uid;
+		try {
+			uid = await ldap.login(username, password);
+		} catch (err) {
+			if (err.message !== '[[error:invalid-login-credentials]]') {
+				// Keep local accounts usable while the directory is unreachable
+				winston.error('[ldap] ' + err.stack);
+				return next(null, false);
+			}
+			await user.auth.logAttempt(localUid, req.ip);
+			throw err;
+		}
+		if (!uid) {
+			return next(null, false);
+		}
+
+		const banned = await user.bans.isBanned(uid);
+		if (banned) {
+			const banMesage = await getBanInfo(uid);
+			return next(new Error(banMesage));
+		}
+		await user.auth.clearLoginAttempts(uid, req.ip);
+		const userData = await user.getUserFields(uid, ['uid']);
+		next(null, userData, '[[success:authentication-successful]]');
+	} catch (err) {
+		next(err);
+	}
+};
+
 const destroyAsync = util.promisify((req, callback) => req.session.destroy(callback));
 
 authenticationController.logout = async function (req, res, next) {
@@ -474,4 +606,4 @@ async function getBanInfo(uid) {
 	}
 }
 
-require('../promisify')(authenticationController, ['register', 'registerComplete', 'registerAbort', 'login', 'localLogin', 'logout']);
+require('../promisify')(authenticationController, ['register', 'registerComplete', 'registerAbort', 'login', 'loginTwoFactor', 'localLogin', 'ldapLogin', 'logout']);
@@ -74,6 +74,8 @@ categoryController.get = async function (req, res, next) {
 		settings: userSettings,
 		query: req.query,
 		tag: req.query.tag,
+		prefix: req.query.prefix,
+		filter: req.query.filter,
 		targetUid: targetUid,
 	});
 	if (!categoryData) {
@@ -103,6 +105,9 @@ categoryController.get = async function (req, res, next) {
 
 	addTags(categoryData, res);
 
+	const [prefixes] = await categories.getPrefixes([categoryData.cid]);
+	categoryData.prefixes = prefixes.map(prefix => Object.assign(prefix, { selected: prefix.name === req.query.prefix }));
+
 	categoryData['feeds:disableRSS'] = meta.config['feeds:disableRSS'];
 	categoryData['reputation:disabled'] = meta.config['reputation:disabled'];
 	pageCount = Math.max(1, Math.ceil(categoryData.topic_count / userSettings.topicsPerPage));
@@ -11,6 +11,7 @@ const privileges = require('../privileges');
 const categories = require('../categories');
 const plugins = require('../plugins');
 const meta = require('../meta');
+const translator = require('../translator');
 const middleware = require('../middleware');
 
 const helpers = module.exports;
@@ -80,6 +81,20 @@ helpers.buildFilters = function (url, filter, query) {
 	}];
 };
 
+helpers.buildQuestionFilters = function (url, filter, query) {
+	return [{
+		name: '[[unread:solved-topics]]',
+		url: url + helpers.buildQueryString(query.cid, 'solved', query.term),
+		selected: filter === 'solved',
+		filter: 'solved',
+	}, {
+		name: '[[unread:unsolved-topics]]',
+		url: url + helpers.buildQueryString(query.cid, 'unsolved', query.term),
+		selected: filter === 'unsolved',
+		filter: 'unsolved',
+	}];
+};
+
 helpers.buildTerms = function (url, term, query) {
 	return [{
 		name: '[[recent:alltime]]',
@@ -333,4 +348,59 @@ helpers.getHomePageRoutes = async function (uid) {
 	return data.routes;
 };
 
+const apiStatusCodes = {
+	200: 'ok',
+	400: 'bad-request',
+	401: 'not-authorised',
+	403: 'forbidden',
+	404: 'not-found',
+	429: 'too-many-requests',
+	500: 'internal-server-error',
+	503: 'service-unavailable',
+};
+
+helpers.getApiErrorStatusCode = function (err) {
+	const status = parseInt(err.status, 10);
+	if (status >= 400) {
+		return status;
+	}
+	const message = String(err.message || '');
+	if (err.code === 'EBADCSRFTOKEN' || err.code === 'blacklisted-ip') {
+		return 403;
+	} else if (/^\[\[error:(not-logged-in|invalid-login-credentials|invalid-token|token-expired)/.test(message)) {
+		return 401;
+	} else if (/^\[\[error:(no-privileges|not-allowed|user-banned|cant-|insufficient-)/.test(message)) {
+		return 403;
+	} else if (/^\[\[error:(no-topic|no-post|no-poll|no-user|no-group|no-category|invalid-pid|invalid-tid)/.test(message)) {
+		return 404;
+	} else if (message.startsWith('[[error:forum-maintenance')) {
+		return 503;
+	} else if (message.startsWith('[[error:')) {
+		return 400;
+	}
+	return 500;
+};
+
+helpers.formatApiResponse = async function (statusCode, res, payload) {
+	if (String(statusCode).startsWith('2')) {
+		return res.status(statusCode).json({
+			status: {
+				code: apiStatusCodes[statusCode] || 'ok',
+				message: 'OK',
+			},
+			response: payload || {},
+		});
+	}
+
+	let message = payload instanceof Error ? payload.message : String(payload || '');
+	message = await translator.translate(message);
+	res.status(statusCode).json({
+		status: {
+			code: apiStatusCodes[statusCode] || 'error',
+			message: message,
+		},
+		response: {},
+	});
+};
+
 require('../promisify')(helpers);
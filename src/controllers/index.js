@@ -29,6 +29,7 @@ Controllers.groups = require('./groups');
 Controllers.accounts = require('./accounts');
 Controllers.authentication = require('./authentication');
 Controllers.api = require('./api');
+Controllers.write = require('./write');
 Controllers.admin = require('./admin');
 Controllers.globalMods = require('./globalmods');
 Controllers.mods = require('./mods');
@@ -153,6 +154,23 @@ Controllers.login = function (req, res, next) {
 	});
 };
 
+Controllers.loginTwoFactor = function (req, res) {
+	if (!req.session.twoFactor) {
+		return helpers.redirect(res, '/login');
+	}
+
+	res.render('login-2fa', {
+		title: '[[pages:login-2fa]]',
+		breadcrumbs: helpers.buildBreadcrumbs([{
+			text: '[[global:login]]',
+			url: '/login',
+		}, {
+			text: '[[user:2fa]]',
+		}]),
+		error: req.flash('error')[0],
+	});
+};
+
 Controllers.register = async function (req, res, next) {
 	const registrationType = meta.config.registrationType || 'normal';
 
@@ -103,6 +103,8 @@ modsController.flags.detail = async function (req, res, next) {
 		return next(new Error('[[error:invalid-data]]'));
 	} else if (!(results.isAdminOrGlobalMod || !!results.moderatedCids.length)) {
 		return next(new Error('[[error:no-privileges]]'));
+	} else if (results.flagData.type === 'chat' && !results.isAdminOrGlobalMod) {
+		return next(new Error('[[error:no-privileges]]'));
 	}
 
 	if (!results.isAdminOrGlobalMod && results.moderatedCids.length) {
@@ -119,7 +121,7 @@ modsController.flags.detail = async function (req, res, next) {
 
 	res.render('flags/detail', Object.assign(results.flagData, {
 		assignees: results.assignees,
-		type_bool: ['post', 'user', 'empty'].reduce(function (memo, cur) {
+		type_bool: ['post', 'user', 'chat', 'empty'].reduce(function (memo, cur) {
 			if (cur !== 'empty') {
 				memo[cur] = results.flagData.type === cur && (!results.flagData.target || !!Object.keys(results.flagData.target).length);
 			} else {
@@ -27,7 +27,7 @@ recentController.getData = async function (req, url, sort) {
 	const cid = req.query.cid;
 	const filter = req.query.filter || '';
 
-	if (!helpers.validFilters[filter] || (!term && req.query.term)) {
+	if ((!helpers.validFilters[filter] && !topics.questions.filters.includes(filter)) || (!term && req.query.term)) {
 		return null;
 	}
 	term = term || 'alltime';
@@ -37,11 +37,12 @@ recentController.getData = async function (req, url, sort) {
 		states.push(categories.watchStates.ignoring);
 	}
 
-	const [settings, categoryData, rssToken, canPost] = await Promise.all([
+	const [settings, categoryData, rssToken, canPost, hasQuestions] = await Promise.all([
 		user.getSettings(req.uid),
 		helpers.getCategoriesByStates(req.uid, cid, states),
 		user.auth.getFeedToken(req.uid),
 		canPostTopic(req.uid),
+		topics.questions.exist(),
 	]);
 
 	const start = Math.max(0, (page - 1) * settings.topicsPerPage);
@@ -72,6 +73,9 @@ recentController.getData = async function (req, url, sort) {
 	data.title = meta.config.homePageTitle || '[[pages:home]]';
 
 	data.filters = helpers.buildFilters(url, filter, req.query);
+	if (hasQuestions) {
+		data.filters = data.filters.concat(helpers.buildQuestionFilters(url, filter, req.query));
+	}
 	data.selectedFilter = data.filters.find(filter => filter && filter.selected);
 	data.terms = helpers.buildTerms(url, term, req.query);
 	data.selectedTerm = data.terms.find(term => term && term.selected);
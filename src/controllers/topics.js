@@ -41,7 +41,7 @@ topicsController.get = async function getTopic(req, res, callback) {
 		return callback();
 	}
 
-	if (!userPrivileges['topics:read'] || (topicData.deleted && !userPrivileges.view_deleted)) {
+	if (!userPrivileges['topics:read'] || (topicData.deleted && !userPrivileges.view_deleted) || (topicData.scheduled && !userPrivileges.view_scheduled)) {
 		return helpers.notAllowed(req, res);
 	}
 
@@ -326,7 +326,7 @@ topicsController.pagination = async function (req, res, callback) {
 		return callback();
 	}
 
-	if (!userPrivileges.read || (topic.deleted && !userPrivileges.view_deleted)) {
+	if (!userPrivileges.read || (topic.deleted && !userPrivileges.view_deleted) || (topic.scheduled && !userPrivileges.view_scheduled)) {
 		return helpers.notAllowed(req, res);
 	}
 
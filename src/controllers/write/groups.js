@@ -0,0 +1,26 @@
+'use strict';
+
+const groups = require('../../groups');
+const websockets = require('../../socket.io');
+const socketGroups = require('../../socket.io/groups');
+const helpers = require('../helpers');
+
+const Groups = module.exports;
+
+Groups.join = async (req, res) => {
+	await doMembershipAction('join', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Groups.leave = async (req, res) => {
+	await doMembershipAction('leave', req);
+	helpers.formatApiResponse(200, res);
+};
+
+async function doMembershipAction(action, req) {
+	const groupName = await groups.getGroupNameByGroupSlug(req.params.slug);
+	if (!groupName) {
+		throw new Error('[[error:no-group]]');
+	}
+	await socketGroups[action](websockets.socketFromReq(req), { groupName: groupName });
+}
@@ -0,0 +1,8 @@
+'use strict';
+
+const Write = module.exports;
+
+Write.topics = require('./topics');
+Write.posts = require('./posts');
+Write.users = require('./users');
+Write.groups = require('./groups');
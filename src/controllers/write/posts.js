@@ -0,0 +1,105 @@
+'use strict';
+
+const posts = require('../../posts');
+const websockets = require('../../socket.io');
+const socketPosts = require('../../socket.io/posts');
+const helpers = require('../helpers');
+
+const Posts = module.exports;
+
+Posts.edit = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	const payload = await socketPosts.edit(socket, { ...req.body, pid: req.params.pid });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.delete = async (req, res) => {
+	await doPostAction('delete', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Posts.restore = async (req, res) => {
+	await doPostAction('restore', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Posts.purge = async (req, res) => {
+	await doPostAction('purge', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Posts.vote = async (req, res) => {
+	const delta = parseInt(req.body.delta, 10);
+	if (![1, -1].includes(delta)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const payload = await doPostAction(delta > 0 ? 'upvote' : 'downvote', req);
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.unvote = async (req, res) => {
+	const payload = await doPostAction('unvote', req);
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.getReactors = async (req, res) => {
+	const payload = await socketPosts.getReactors(websockets.socketFromReq(req), {
+		pid: req.params.pid,
+		reaction: req.params.reaction,
+		start: req.query.start,
+		stop: req.query.stop,
+	});
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.react = async (req, res) => {
+	const payload = await socketPosts.react(websockets.socketFromReq(req), { pid: req.params.pid, reaction: req.params.reaction });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.unreact = async (req, res) => {
+	const payload = await socketPosts.unreact(websockets.socketFromReq(req), { pid: req.params.pid, reaction: req.params.reaction });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.bookmark = async (req, res) => {
+	const payload = await doPostAction('bookmark', req);
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.unbookmark = async (req, res) => {
+	const payload = await doPostAction('unbookmark', req);
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.getDiffs = async (req, res) => {
+	const payload = await socketPosts.getDiffs(websockets.socketFromReq(req), { pid: req.params.pid });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.compareDiffs = async (req, res) => {
+	const payload = await socketPosts.compareDiffs(websockets.socketFromReq(req), { pid: req.params.pid, from: req.params.from, to: req.params.to });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.restoreDiff = async (req, res) => {
+	const payload = await socketPosts.restoreDiff(websockets.socketFromReq(req), { pid: req.params.pid, since: req.params.since });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Posts.deleteDiff = async (req, res) => {
+	await socketPosts.deleteDiff(websockets.socketFromReq(req), { pid: req.params.pid, timestamp: req.params.timestamp });
+	helpers.formatApiResponse(200, res);
+};
+
+async function doPostAction(action, req) {
+	const tid = await posts.getPostField(req.params.pid, 'tid');
+	if (!tid) {
+		throw new Error('[[error:no-post]]');
+	}
+	return await socketPosts[action](websockets.socketFromReq(req), {
+		pid: req.params.pid,
+		tid: tid,
+		room_id: 'topic_' + tid,
+	});
+}
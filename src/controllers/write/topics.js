@@ -0,0 +1,103 @@
+'use strict';
+
+const topics = require('../../topics');
+const websockets = require('../../socket.io');
+const socketTopics = require('../../socket.io/topics');
+const socketPosts = require('../../socket.io/posts');
+const helpers = require('../helpers');
+
+const Topics = module.exports;
+
+Topics.create = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	const payload = await socketTopics.post(socket, { ...req.body });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Topics.reply = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	const payload = await socketPosts.reply(socket, { ...req.body, tid: req.params.tid });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Topics.delete = async (req, res) => {
+	await doTopicAction('delete', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.restore = async (req, res) => {
+	await doTopicAction('restore', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.purge = async (req, res) => {
+	await doTopicAction('purge', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.pin = async (req, res) => {
+	await doTopicAction('pin', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.unpin = async (req, res) => {
+	await doTopicAction('unpin', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.wiki = async (req, res) => {
+	await doTopicAction('wiki', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.unwiki = async (req, res) => {
+	await doTopicAction('unwiki', req);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.follow = async (req, res) => {
+	await socketTopics.follow(websockets.socketFromReq(req), req.params.tid);
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.unfollow = async (req, res) => {
+	await socketTopics.changeWatching(websockets.socketFromReq(req), { tid: req.params.tid, type: 'unfollow' });
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.getPoll = async (req, res) => {
+	const payload = await socketTopics.getPoll(websockets.socketFromReq(req), { tid: req.params.tid });
+	if (!payload) {
+		throw new Error('[[error:no-poll]]');
+	}
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Topics.votePoll = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	const payload = await socketTopics.votePoll(socket, { tid: req.params.tid, options: req.body.options });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Topics.unvotePoll = async (req, res) => {
+	const payload = await socketTopics.unvotePoll(websockets.socketFromReq(req), { tid: req.params.tid });
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Topics.reschedule = async (req, res) => {
+	await socketTopics.reschedule(websockets.socketFromReq(req), { tid: req.params.tid, timestamp: req.body.timestamp });
+	helpers.formatApiResponse(200, res);
+};
+
+Topics.publish = async (req, res) => {
+	await socketTopics.publish(websockets.socketFromReq(req), { tid: req.params.tid });
+	helpers.formatApiResponse(200, res);
+};
+
+async function doTopicAction(action, req) {
+	const cid = await topics.getTopicField(req.params.tid, 'cid');
+	if (!cid) {
+		throw new Error('[[error:no-topic]]');
+	}
+	await socketTopics[action](websockets.socketFromReq(req), { tids: [req.params.tid], cid: cid, expiry: req.body.expiry });
+}
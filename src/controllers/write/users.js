@@ -0,0 +1,49 @@
+'use strict';
+
+const websockets = require('../../socket.io');
+const socketUser = require('../../socket.io/user');
+const socketAdmin = require('../../socket.io/admin');
+const helpers = require('../helpers');
+
+const Users = module.exports;
+
+Users.create = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	await socketAdmin.before(socket, 'admin.user.createUser');
+	const uid = await socketAdmin.user.createUser(socket, { ...req.body });
+	helpers.formatApiResponse(200, res, { uid: uid });
+};
+
+Users.update = async (req, res) => {
+	const socket = websockets.socketFromReq(req);
+	const data = { ...req.body, uid: req.params.uid };
+
+	// Changing username or email requires the same password check as the account edit pages
+	const method = data.username !== undefined || data.email !== undefined ? 'changeUsernameEmail' : 'updateProfile';
+	const payload = await socketUser[method](socket, data);
+	helpers.formatApiResponse(200, res, payload);
+};
+
+Users.follow = async (req, res) => {
+	await socketUser.follow(websockets.socketFromReq(req), { uid: req.params.uid });
+	helpers.formatApiResponse(200, res);
+};
+
+Users.unfollow = async (req, res) => {
+	await socketUser.unfollow(websockets.socketFromReq(req), { uid: req.params.uid });
+	helpers.formatApiResponse(200, res);
+};
+
+Users.ban = async (req, res) => {
+	await socketUser.banUsers(websockets.socketFromReq(req), {
+		uids: [req.params.uid],
+		until: parseInt(req.body.until, 10) || 0,
+		reason: req.body.reason || '',
+	});
+	helpers.formatApiResponse(200, res);
+};
+
+Users.unban = async (req, res) => {
+	await socketUser.unbanUsers(websockets.socketFromReq(req), [req.params.uid]);
+	helpers.formatApiResponse(200, res);
+};
@@ -30,11 +30,18 @@ events.types = [
 	'topic-restore',
 	'topic-purge',
 	'topic-rename',
+	'topic-autolock',
+	'topic-archive',
 	'password-reset',
 	'user-makeAdmin',
 	'user-removeAdmin',
 	'user-ban',
 	'user-unban',
+	'user-mute',
+	'user-unmute',
+	'user-warn',
+	'user-warning-revoke',
+	'user-warning-escalate',
 	'user-delete',
 	'password-change',
 	'email-change',
@@ -58,7 +65,17 @@ events.types = [
 	'theme-set',
 	'export:uploads',
 	'account-locked',
+	'ip-throttled',
+	'ip-throttle-released',
 	'getUsersCSV',
+	'token-create',
+	'token-revoke',
+	'2fa-enabled',
+	'2fa-disabled',
+	'2fa-reset',
+	'2fa-recovery-codes-generated',
+	'2fa-recovery-code-used',
+	'2fa-login-failed',
 	// To add new types from plugins, just Array.push() to this array
 ];
 
@@ -13,6 +13,8 @@ const analytics = require('./analytics');
 const categories = require('./categories');
 const topics = require('./topics');
 const posts = require('./posts');
+const messaging = require('./messaging');
+const cannedResponses = require('./cannedResponses');
 const privileges = require('./privileges');
 const plugins = require('./plugins');
 const utils = require('../public/src/utils');
@@ -27,6 +29,9 @@ Flags._constants = {
 		resolved: 'success',
 		rejected: 'danger',
 	},
+	autoActions: ['hide', 'queue'],
+	// Messages kept on each side of a flagged chat message
+	chatContextSize: 3,
 };
 
 Flags.init = async function () {
@@ -93,14 +98,17 @@ Flags.get = async function (flagId) {
 		return;
 	}
 
-	const [userObj, targetObj] = await Promise.all([
+	const [userObj, targetObj, chatContext] = await Promise.all([
 		user.getUserFields(base.uid, ['username', 'userslug', 'picture', 'reputation']),
 		Flags.getTarget(base.type, base.targetId, 0),
+		base.type === 'chat' ? getChatContext(base.snapshot) : null,
 	]);
+	delete base.snapshot;
 
 	const flagObj = {
 		state: 'open',
 		...base,
+		autoActioned: base.type === 'post' && Flags._constants.autoActions.includes(targetObj && targetObj.flagAutoAction),
 		description: validator.escape(base.description),
 		datetimeISO: utils.toISOString(base.datetime),
 		target_readable: base.type.charAt(0).toUpperCase() + base.type.slice(1) + ' ' + base.targetId,
@@ -108,6 +116,7 @@ Flags.get = async function (flagId) {
 		history: history,
 		notes: notes,
 		reporter: userObj,
+		chatContext: chatContext,
 	};
 	const data = await plugins.fireHook('filter:flags.get', {
 		flag: flagObj,
@@ -161,6 +170,7 @@ Flags.list = async function (filters, uid) {
 
 	const flags = await Promise.all(flagIds.map(async (flagId) => {
 		let flagObj = await db.getObject('flag:' + flagId);
+		delete flagObj.snapshot;
 		const userObj = await user.getUserFields(flagObj.uid, ['username', 'picture']);
 		flagObj = {
 			state: 'open',
@@ -201,6 +211,8 @@ Flags.validate = async function (payload) {
 
 	if (!target) {
 		throw new Error('[[error:invalid-data]]');
+	} else if (target.deleted && payload.type === 'chat') {
+		throw new Error('[[error:chat-deleted-already]]');
 	} else if (target.deleted) {
 		throw new Error('[[error:post-deleted]]');
 	} else if (!reporter || !reporter.userslug) {
@@ -208,6 +220,7 @@ Flags.validate = async function (payload) {
 	} else if (reporter.banned) {
 		throw new Error('[[error:user-banned]]');
 	}
+	await user.mutes.check(payload.uid);
 
 	if (payload.type === 'post') {
 		const editable = await privileges.posts.canEdit(payload.id, payload.uid);
@@ -219,6 +232,13 @@ Flags.validate = async function (payload) {
 		if (!editable && !meta.config['reputation:disabled'] && reporter.reputation < meta.config['min:rep:flag']) {
 			throw new Error('[[error:not-enough-reputation-to-flag]]');
 		}
+	} else if (payload.type === 'chat') {
+		if (target.fromuid === parseInt(payload.uid, 10)) {
+			throw new Error('[[error:cant-flag-own-chat-message]]');
+		}
+		if (!meta.config['reputation:disabled'] && reporter.reputation < meta.config['min:rep:flag']) {
+			throw new Error('[[error:not-enough-reputation-to-flag]]');
+		}
 	} else {
 		throw new Error('[[error:invalid-data]]');
 	}
@@ -299,13 +319,91 @@ Flags.create = async function (type, id, uid, reason, timestamp) {
 		}
 	}
 
+	if (type === 'chat') {
+		const snapshot = await Flags.getChatSnapshot(id, uid);
+		await db.setObjectField('flag:' + flagId, 'snapshot', JSON.stringify(snapshot));
+	}
+
 	if (doHistoryAppend) {
 		await Flags.update(flagId, uid, { state: 'open' });
+		if (type === 'post') {
+			await Flags.checkAutoAction(id);
+		}
 	}
 
 	return await Flags.get(flagId);
 };
 
+Flags.getReporterWeight = function (reputation) {
+	const trustedReputation = parseInt(meta.config['flags:autoActionTrustedReputation'], 10) || 0;
+	const trustedWeight = parseFloat(meta.config['flags:autoActionTrustedWeight']) || 1;
+	return trustedReputation > 0 && reputation >= trustedReputation ? trustedWeight : 1;
+};
+
+// Hides the post once the open flags of distinct reporters, weighted by their reputation, reach the threshold
+Flags.checkAutoAction = async function (pid) {
+	const action = meta.config['flags:autoAction'];
+	const threshold = parseFloat(meta.config['flags:autoActionThreshold']) || 0;
+	if (!Flags._constants.autoActions.includes(action) || threshold <= 0) {
+		return;
+	}
+	const [postData, flagIds] = await Promise.all([
+		posts.getPostFields(pid, ['pid', 'deleted', 'flagAutoAction']),
+		db.getSortedSetRange('flags:byPid:' + pid, 0, -1),
+	]);
+	if (!postData.pid || postData.deleted || postData.flagAutoAction) {
+		return;
+	}
+	const flagData = await db.getObjectsFields(flagIds.map(flagId => 'flag:' + flagId), ['flagId', 'uid', 'state']);
+	const openFlags = flagData.filter(flag => flag && ['open', 'wip'].includes(flag.state || 'open'));
+	const reporters = await user.getUsersFields(_.uniq(openFlags.map(flag => flag.uid)), ['reputation']);
+	const score = reporters.reduce((score, reporter) => score + Flags.getReporterWeight(reporter.reputation), 0);
+	if (score >= threshold) {
+		await Flags.autoAction(pid, action, openFlags.map(flag => flag.flagId));
+	}
+};
+
+Flags.autoAction = async function (pid, action, flagIds) {
+	await posts.setPostField(pid, 'flagAutoAction', action);
+	const postData = await posts.delete(pid, 0);
+	if (action === 'queue') {
+		await posts.queueFlagged(pid);
+	}
+	await Promise.all(flagIds.map(flagId => Flags.appendHistory(flagId, 0, { 'auto-actioned': action })));
+
+	const title = await topics.getTitleByPid(pid);
+	const titleEscaped = utils.decodeHTMLEntities(title).replace(/%/g, '&#37;').replace(/,/g, '&#44;');
+	const notifObj = await notifications.create({
+		type: 'post-flag-auto-action',
+		bodyShort: '[[notifications:flag_auto_action_' + action + ', ' + titleEscaped + ']]',
+		bodyLong: postData.content,
+		pid: pid,
+		path: '/post/' + pid,
+		nid: 'flags:auto-action:' + pid,
+		topicTitle: title,
+	});
+	await notifications.push(notifObj, [postData.uid]);
+	plugins.fireHook('action:flags.autoAction', { pid: pid, action: action, flagIds: flagIds });
+};
+
+Flags.reverseAutoAction = async function (pid, uid) {
+	const action = await posts.getPostField(pid, 'flagAutoAction');
+	if (!Flags._constants.autoActions.includes(action)) {
+		throw new Error('[[error:flag-not-auto-actioned]]');
+	}
+	await posts.setPostField(pid, 'flagAutoAction', 'reversed');
+	const [deleted, flagIds] = await Promise.all([
+		posts.getPostField(pid, 'deleted'),
+		db.getSortedSetRange('flags:byPid:' + pid, 0, -1),
+	]);
+	await Promise.all([
+		deleted ? posts.restore(pid, uid) : null,
+		action === 'queue' ? posts.removeFromQueue('flagged-' + pid) : null,
+		...flagIds.map(flagId => Flags.appendHistory(flagId, uid, { 'auto-actioned': 'reversed' })),
+	]);
+	plugins.fireHook('action:flags.reverseAutoAction', { pid: pid, action: action, uid: uid });
+};
+
 Flags.exists = async function (type, id, uid) {
 	return await db.isSortedSetMember('flags:hash', [type, id, uid].join(':'));
 };
@@ -317,9 +415,60 @@ Flags.canFlag = async function (type, id, uid) {
 	if (type === 'post') {
 		return await privileges.posts.can('topics:read', id, uid);
 	}
+	// Only the participants who received the message
+	if (type === 'chat') {
+		const roomId = await messaging.getMessageField(id, 'roomId');
+		const [inRoom, received] = await Promise.all([
+			messaging.isUserInRoom(uid, roomId),
+			db.isSortedSetMember('uid:' + uid + ':chat:room:' + roomId + ':mids', id),
+		]);
+		return inRoom && received;
+	}
 	throw new Error('[[error:invalid-data]]');
 };
 
+// The flagged message and the messages around it, as seen by the reporter when flagging
+Flags.getChatSnapshot = async function (mid, uid) {
+	const roomId = await messaging.getMessageField(mid, 'roomId');
+	const key = 'uid:' + uid + ':chat:room:' + roomId + ':mids';
+	const index = await db.sortedSetRank(key, mid);
+	if (index === null) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	const size = Flags._constants.chatContextSize;
+	const mids = await db.getSortedSetRange(key, Math.max(0, index - size), index + size);
+	const messages = await messaging.getMessagesFields(mids, ['fromuid', 'content', 'timestamp', 'deleted', 'system']);
+	return {
+		roomId: roomId,
+		messages: messages.map((message, index) => ({
+			mid: parseInt(mids[index], 10),
+			fromuid: message.fromuid,
+			content: message.content,
+			timestamp: message.timestamp,
+			system: message.system,
+			deleted: message.deleted,
+			flagged: parseInt(mids[index], 10) === parseInt(mid, 10),
+		})).filter(message => !message.deleted || message.flagged),
+	};
+};
+
+async function getChatContext(snapshot) {
+	try {
+		snapshot = JSON.parse(snapshot);
+	} catch (err) {
+		return [];
+	}
+	const users = await user.getUsersFields(snapshot.messages.map(message => message.fromuid), ['uid', 'username', 'userslug', 'picture']);
+	return await Promise.all(snapshot.messages.map(async function (message, index) {
+		message.user = users[index];
+		message.timestampISO = utils.toISOString(message.timestamp);
+		message.content = message.system ?
+			validator.escape(String(message.content)) :
+			await messaging.parse(message.content, message.fromuid, 0, snapshot.roomId, false);
+		return message;
+	}));
+}
+
 Flags.getTarget = async function (type, id, uid) {
 	if (type === 'user') {
 		const userData = await user.getUserData(id);
@@ -334,6 +483,18 @@ Flags.getTarget = async function (type, id, uid) {
 		postData = await topics.addPostData([postData], uid);
 		return postData[0];
 	}
+	// Only the flagged message, moderators can not read the rest of the room
+	if (type === 'chat') {
+		const messageData = await messaging.getMessageFields(id, ['fromuid', 'content', 'timestamp', 'roomId', 'deleted']);
+		if (!messageData || !messageData.fromuid) {
+			return {};
+		}
+		const [userData, content] = await Promise.all([
+			user.getUserFields(messageData.fromuid, ['uid', 'username', 'userslug', 'picture']),
+			messaging.parse(messageData.content, messageData.fromuid, uid, messageData.roomId, false),
+		]);
+		return { ...messageData, mid: parseInt(id, 10), content: content, user: userData };
+	}
 	throw new Error('[[error:invalid-data]]');
 };
 
@@ -342,6 +503,8 @@ Flags.targetExists = async function (type, id) {
 		return await posts.exists(id);
 	} else if (type === 'user') {
 		return await user.exists(id);
+	} else if (type === 'chat') {
+		return await db.exists('message:' + id);
 	}
 	throw new Error('[[error:invalid-data]]');
 };
@@ -349,6 +512,8 @@ Flags.targetExists = async function (type, id) {
 Flags.getTargetUid = async function (type, id) {
 	if (type === 'post') {
 		return await posts.getPostField(id, 'uid');
+	} else if (type === 'chat') {
+		return await messaging.getMessageField(id, 'fromuid');
 	}
 	return id;
 };
@@ -439,6 +604,9 @@ Flags.getHistory = async function (flagId) {
 		if (changeset.hasOwnProperty('state')) {
 			changeset.state = changeset.state === undefined ? '' : '[[flags:state-' + changeset.state + ']]';
 		}
+		if (changeset.hasOwnProperty('auto-actioned')) {
+			changeset['auto-actioned'] = '[[flags:auto-action-' + changeset['auto-actioned'] + ']]';
+		}
 
 		return {
 			uid: entry.value[0],
@@ -459,8 +627,17 @@ Flags.appendHistory = async function (flagId, uid, changeset) {
 	await db.sortedSetAdd('flag:' + flagId + ':history', datetime, payload);
 };
 
-Flags.appendNote = async function (flagId, uid, note, datetime) {
+// Placeholders of canned responses are filled in from the flagged content, `send` passes the note on to its author
+Flags.appendNote = async function (flagId, uid, note, datetime, send) {
 	datetime = datetime || Date.now();
+	const flagData = await db.getObjectFields('flag:' + flagId, ['type', 'targetId']);
+	note = await cannedResponses.apply({
+		text: note,
+		fromUid: uid,
+		toUid: await Flags.getTargetUid(flagData.type, flagData.targetId),
+		pid: flagData.type === 'post' ? flagData.targetId : null,
+		send: send,
+	});
 	const payload = JSON.stringify([uid, note]);
 	await db.sortedSetAdd('flag:' + flagId + ':notes', datetime, payload);
 	await Flags.appendHistory(flagId, uid, {
@@ -507,6 +684,17 @@ Flags.notify = async function (flagObj, uid) {
 			from: uid,
 			mergeId: 'notifications:user_flagged_user|' + flagObj.targetId,
 		});
+	} else if (flagObj.type === 'chat') {
+		notifObj = await notifications.create({
+			type: 'new-chat-flag',
+			bodyShort: '[[notifications:user_flagged_chat, ' + flagObj.reporter.username + ', ' + flagObj.target.user.username + ']]',
+			bodyLong: flagObj.description,
+			path: '/flags/' + flagObj.flagId,
+			nid: 'flag:chat:' + flagObj.targetId + ':uid:' + uid,
+			from: uid,
+			mergeId: 'notifications:user_flagged_chat|' + flagObj.targetId,
+			topicTitle: flagObj.target.user.username,
+		});
 	} else {
 		throw new Error('[[error:invalid-data]]');
 	}
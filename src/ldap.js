@@ -0,0 +1,269 @@
+'use strict';
+
+const ldapjs = require('ldapjs');
+const winston = require('winston');
+const _ = require('lodash');
+
+const db = require('./database');
+const meta = require('./meta');
+const user = require('./user');
+const groups = require('./groups');
+const plugins = require('./plugins');
+
+const Ldap = module.exports;
+
+Ldap.defaults = {
+	url: 'ldap://localhost:389',
+	bindDn: '',
+	bindPassword: '',
+	searchBase: '',
+	searchFilter: '(uid={{username}})',
+	'attr:username': 'uid',
+	'attr:email': 'mail',
+	'attr:fullname': 'cn',
+	'attr:picture': '',
+	groupAttribute: 'memberOf',
+	groupMapping: '',
+	linkByEmail: 0,
+	timeout: 10000,
+};
+
+Ldap.isEnabled = function () {
+	return !!meta.config['ldap:enabled'] && !!meta.config['ldap:url'];
+};
+
+Ldap.getSettings = function (overrides) {
+	const settings = {};
+	Object.keys(Ldap.defaults).forEach(function (key) {
+		const value = overrides && overrides.hasOwnProperty(key) ? overrides[key] : meta.config['ldap:' + key];
+		settings[key] = value === undefined || value === '' ? Ldap.defaults[key] : value;
+	});
+	settings.timeout = parseInt(settings.timeout, 10) || Ldap.defaults.timeout;
+	return settings;
+};
+
+// RFC 4515, keeps user input from changing the meaning of the search filter
+Ldap.escapeFilter = function (value) {
+	return String(value).replace(/[\\*()\0]/g, char => '\\' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+};
+
+Ldap.buildFilter = function (template, username) {
+	return String(template).replace(/{{username}}/g, Ldap.escapeFilter(username));
+};
+
+// One mapping per line, `<ldap group dn> = <nodebb group name>`
+Ldap.parseGroupMapping = function (text) {
+	return String(text || '').split('\n').map(function (line) {
+		const index = line.lastIndexOf('=');
+		if (line.trim().startsWith('#') || index === -1) {
+			return null;
+		}
+		const dn = line.slice(0, index).trim();
+		const groupName = line.slice(index + 1).trim();
+		return dn && groupName ? { dn: normalizeDn(dn), groupName: groupName } : null;
+	}).filter(Boolean);
+};
+
+Ldap.createClient = async function (settings) {
+	const client = ldapjs.createClient({
+		url: settings.url,
+		timeout: settings.timeout,
+		connectTimeout: settings.timeout,
+		reconnect: false,
+	});
+	client.on('error', function (err) {
+		winston.warn('[ldap] ' + err.message);
+	});
+	return {
+		bind: (dn, password) => new Promise((resolve, reject) => {
+			client.bind(dn, password, err => (err ? reject(err) : resolve()));
+		}),
+		search: (base, options) => search(client, base, options),
+		close: () => client.destroy(),
+	};
+};
+
+function search(client, base, options) {
+	return new Promise((resolve, reject) => {
+		client.search(base, options, function (err, res) {
+			if (err) {
+				return reject(err);
+			}
+			const entries = [];
+			res.on('searchEntry', entry => entries.push(entry));
+			res.on('error', reject);
+			res.on('end', () => resolve(entries));
+		});
+	});
+}
+
+async function withClient(settings, method) {
+	const client = await Ldap.createClient(settings);
+	try {
+		return await method(client);
+	} finally {
+		client.close();
+	}
+}
+
+Ldap.testConnection = async function (overrides) {
+	const settings = Ldap.getSettings(overrides);
+	return await withClient(settings, async function (client) {
+		await client.bind(settings.bindDn, settings.bindPassword);
+		const entries = await client.search(settings.searchBase, { scope: 'base', attributes: ['dn'] });
+		if (!entries.length) {
+			throw new Error('[[error:ldap-search-base-not-found]]');
+		}
+		return { success: true };
+	});
+};
+
+// Returns the directory profile when the credentials are valid, null when the user is not in the directory
+Ldap.authenticate = async function (username, password) {
+	const settings = Ldap.getSettings();
+	return await withClient(settings, async function (client) {
+		await client.bind(settings.bindDn, settings.bindPassword);
+		const entries = await client.search(settings.searchBase, {
+			scope: 'sub',
+			filter: Ldap.buildFilter(settings.searchFilter, username),
+			sizeLimit: 2,
+		});
+		if (entries.length !== 1) {
+			return null;
+		}
+		const entry = entries[0];
+		try {
+			await client.bind(entry.objectName || entry.dn.toString(), password);
+		} catch (err) {
+			if (err.name === 'InvalidCredentialsError') {
+				throw new Error('[[error:invalid-login-credentials]]');
+			}
+			throw err;
+		}
+		return Ldap.toProfile(entry, settings);
+	});
+};
+
+Ldap.toProfile = function (entry, settings) {
+	const object = entry.object || {};
+	const raw = entry.raw || {};
+	const first = value => (Array.isArray(value) ? value[0] : value);
+	const profile = {
+		dn: normalizeDn(object.dn || entry.objectName),
+		username: first(object[settings['attr:username']]),
+		email: first(object[settings['attr:email']]) || '',
+		fullname: first(object[settings['attr:fullname']]) || '',
+		picture: null,
+		groups: [].concat(object[settings.groupAttribute] || []).map(normalizeDn),
+	};
+
+	const pictureAttr = settings['attr:picture'];
+	const picture = pictureAttr && (first(raw[pictureAttr]) || first(object[pictureAttr]));
+	if (Buffer.isBuffer(picture) && !/^https?:\/\//.test(picture.toString())) {
+		profile.picture = 'data:image/jpeg;base64,' + picture.toString('base64');
+	} else if (picture) {
+		profile.picture = String(picture);
+	}
+	return profile;
+};
+
+Ldap.login = async function (username, password) {
+	const profile = await Ldap.authenticate(username, password);
+	if (!profile) {
+		return null;
+	}
+	const uid = await Ldap.provision(profile);
+	await Ldap.syncGroups(uid, profile.groups);
+	return uid;
+};
+
+Ldap.getUidByDn = async function (dn) {
+	return await db.sortedSetScore('ldapdn:uid', normalizeDn(dn));
+};
+
+// Finds the account linked to the directory entry, creating one on first login
+Ldap.provision = async function (profile) {
+	if (!profile.dn || !profile.username) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	let uid = await Ldap.getUidByDn(profile.dn);
+	if (!uid && profile.email && parseInt(Ldap.getSettings().linkByEmail, 10) === 1) {
+		uid = await user.getUidByEmail(profile.email);
+	}
+	if (uid) {
+		await linkAccount(uid, profile.dn);
+		return uid;
+	}
+
+	const emailAvailable = !profile.email || await user.email.available(profile.email);
+	uid = await user.create({
+		username: profile.username,
+		email: emailAvailable ? profile.email : undefined,
+		fullname: profile.fullname,
+	});
+	if (emailAvailable && profile.email) {
+		// Addresses coming from the directory are trusted
+		await user.setUserField(uid, 'email:confirmed', 1);
+	}
+	await linkAccount(uid, profile.dn);
+	await setPicture(uid, profile.picture);
+	plugins.fireHook('action:ldap.provision', { uid: uid, profile: profile });
+	return uid;
+};
+
+async function linkAccount(uid, dn) {
+	await Promise.all([
+		db.sortedSetAdd('ldapdn:uid', uid, dn),
+		user.setUserField(uid, 'ldapdn', dn),
+	]);
+}
+
+async function setPicture(uid, picture) {
+	if (!picture) {
+		return;
+	}
+	try {
+		if (picture.startsWith('data:')) {
+			await user.uploadCroppedPicture({ uid: uid, imageData: picture });
+		} else {
+			await user.setUserField(uid, 'picture', picture);
+		}
+	} catch (err) {
+		winston.warn('[ldap] Could not update picture for uid ' + uid + ': ' + err.message);
+	}
+}
+
+// Only the groups named in the mapping are touched, all other memberships are left alone
+Ldap.syncGroups = async function (uid, ldapGroups) {
+	const mapping = Ldap.parseGroupMapping(Ldap.getSettings().groupMapping);
+	if (!mapping.length) {
+		return;
+	}
+	ldapGroups = (ldapGroups || []).map(normalizeDn);
+	const byGroup = _.groupBy(mapping, 'groupName');
+	const groupNames = Object.keys(byGroup);
+	const [exists, isMembers] = await Promise.all([
+		groups.exists(groupNames),
+		groups.isMemberOfGroups(uid, groupNames),
+	]);
+	await Promise.all(groupNames.map(async function (groupName, index) {
+		if (!exists[index]) {
+			return winston.warn('[ldap] Mapped group "' + groupName + '" does not exist');
+		}
+		const shouldBeMember = byGroup[groupName].some(item => ldapGroups.includes(item.dn));
+		if (shouldBeMember && !isMembers[index]) {
+			await groups.join(groupName, uid);
+		} else if (!shouldBeMember && isMembers[index]) {
+			await groups.leave(groupName, uid);
+		}
+	}));
+};
+
+function normalizeDn(dn) {
+	const parts = String(dn || '').split(',').map(part => part.trim());
+	return parts.join(',').toLowerCase();
+}
+
+Ldap.normalizeDn = normalizeDn;
+
+require('./promisify')(Ldap);
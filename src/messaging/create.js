@@ -7,6 +7,7 @@ const user = require('../user');
 
 module.exports = function (Messaging) {
 	Messaging.sendMessage = async (data) => {
+		await user.mutes.check(data.uid);
 		await Messaging.checkContent(data.content);
 		const inRoom = await Messaging.isUserInRoom(data.uid, data.roomId);
 		if (!inRoom) {
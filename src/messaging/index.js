@@ -205,6 +205,7 @@ Messaging.canMessageUser = async (uid, toUid) => {
 	if (userData.banned) {
 		throw new Error('[[error:user-banned]]');
 	}
+	await user.mutes.check(uid);
 
 	if (meta.config.requireEmailConfirmation && !userData['email:confirmed']) {
 		throw new Error('[[error:email-not-confirmed-chat]]');
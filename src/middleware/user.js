@@ -51,6 +51,21 @@ module.exports = function (middleware) {
 
 	const authenticateAsync = util.promisify(middleware.authenticate);
 
+	middleware.authenticateApi = function authenticateApi(req, res, next) {
+		authenticate(req, res, next, function () {
+			controllers.helpers.formatApiResponse(401, res, new Error('[[error:not-logged-in]]'));
+		});
+	};
+
+	middleware.checkTokenScope = function (scope) {
+		return function checkTokenScope(req, res, next) {
+			if (!res.locals.apiToken || user.tokens.hasScope(res.locals.apiToken, scope)) {
+				return next();
+			}
+			controllers.helpers.formatApiResponse(403, res, new Error('[[error:invalid-token-scope]]'));
+		};
+	};
+
 	middleware.authenticateOrGuest = function authenticateOrGuest(req, res, next) {
 		authenticate(req, res, next, next);
 	};
@@ -161,6 +176,10 @@ module.exports = function (middleware) {
 		if (!isAdmin) {
 			return controllers.helpers.notAllowed(req, res);
 		}
+		if (res.locals.apiToken) {
+			// api tokens have no login session to re-validate
+			return next();
+		}
 		const hasPassword = await user.hasPassword(req.uid);
 		if (!hasPassword) {
 			return next();
@@ -215,4 +234,36 @@ module.exports = function (middleware) {
 			setImmediate(next);
 		}
 	};
+
+	async function isTwoFactorSetupPending(req) {
+		// Set at login when the forum requires 2FA for this user and it has not been set up yet
+		if (!req.session.twoFactorSetup || !req.loggedIn) {
+			return false;
+		}
+		const enabled = await user.totp.isEnabled(req.uid);
+		if (enabled) {
+			delete req.session.twoFactorSetup;
+		}
+		return !enabled;
+	}
+
+	middleware.requireTwoFactorSetup = async function requireTwoFactorSetup(req, res, next) {
+		const pending = await isTwoFactorSetupPending(req);
+		if (!pending) {
+			return setImmediate(next);
+		}
+		const userslug = await user.getUserField(req.uid, 'userslug');
+		if (req.path.endsWith('/user/' + userslug + '/edit/2fa')) {
+			return setImmediate(next);
+		}
+		controllers.helpers.redirect(res, '/user/' + userslug + '/edit/2fa');
+	};
+
+	middleware.rejectPendingTwoFactorSetup = async function rejectPendingTwoFactorSetup(req, res, next) {
+		const pending = await isTwoFactorSetupPending(req);
+		if (!pending) {
+			return setImmediate(next);
+		}
+		controllers.helpers.formatApiResponse(403, res, new Error('[[error:2fa-setup-required]]'));
+	};
 };
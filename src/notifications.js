@@ -19,6 +19,7 @@ const Notifications = module.exports;
 
 Notifications.baseTypes = [
 	'notificationType_upvote',
+	'notificationType_reaction',
 	'notificationType_new-topic',
 	'notificationType_new-reply',
 	'notificationType_follow',
@@ -32,6 +33,7 @@ Notifications.privilegedTypes = [
 	'notificationType_post-queue',
 	'notificationType_new-post-flag',
 	'notificationType_new-user-flag',
+	'notificationType_new-chat-flag',
 ];
 
 Notifications.getAllNotificationTypes = async function () {
@@ -334,10 +336,12 @@ Notifications.merge = async function (notifications) {
 	// When passed a set of notification objects, merge any that can be merged
 	const mergeIds = [
 		'notifications:upvoted_your_post_in',
+		'notifications:reacted_to_your_post_in',
 		'notifications:user_started_following_you',
 		'notifications:user_posted_to',
 		'notifications:user_flagged_post_in',
 		'notifications:user_flagged_user',
+		'notifications:user_flagged_chat',
 		'new_register',
 		'post-queue',
 	];
@@ -373,10 +377,12 @@ Notifications.merge = async function (notifications) {
 
 			switch (mergeId) {
 			case 'notifications:upvoted_your_post_in':
+			case 'notifications:reacted_to_your_post_in':
 			case 'notifications:user_started_following_you':
 			case 'notifications:user_posted_to':
 			case 'notifications:user_flagged_post_in':
 			case 'notifications:user_flagged_user':
+			case 'notifications:user_flagged_chat':
 				var usernames = _.uniq(set.map(notifObj => notifObj && notifObj.user && notifObj.user.username));
 				var numUsers = usernames.length;
 
@@ -1,11 +1,20 @@
 'use strict';
 
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const util = require('util');
 
 const fork = require('./meta/debugFork');
 
+exports.algorithms = ['argon2id', 'scrypt', 'bcrypt'];
+
+// Cost parameters for new hashes, they are stored in the hash itself so raising them only affects new hashes
+exports.params = {
+	argon2id: { m: 65536, t: 3, p: 1 },
+	scrypt: { ln: 15, r: 8, p: 1 },
+};
+
 function forkChild(message, callback) {
 	const child = fork(path.join(__dirname, 'password'));
 
@@ -18,8 +27,15 @@ function forkChild(message, callback) {
 
 const forkChildAsync = util.promisify(forkChild);
 
-exports.hash = async function (rounds, password) {
-	return await forkChildAsync({ type: 'hash', rounds: rounds, password: password });
+exports.hash = async function (rounds, password, algorithm) {
+	algorithm = exports.resolveAlgorithm(algorithm);
+	return await forkChildAsync({
+		type: 'hash',
+		algorithm: algorithm,
+		rounds: rounds,
+		params: exports.params[algorithm],
+		password: password,
+	});
 };
 
 exports.compare = async function (password, hash) {
@@ -27,6 +43,63 @@ exports.compare = async function (password, hash) {
 	return await forkChildAsync({ type: 'compare', password: password, hash: hash || fakeHash });
 };
 
+exports.getAlgorithm = function (hash) {
+	const match = /^\$(2[aby]|argon2id|scrypt)\$/.exec(String(hash || ''));
+	if (!match) {
+		return null;
+	}
+	return match[1].startsWith('2') ? 'bcrypt' : match[1];
+};
+
+let argon2Available;
+exports.isAvailable = function (algorithm) {
+	if (algorithm !== 'argon2id') {
+		return exports.algorithms.includes(algorithm);
+	}
+	if (argon2Available === undefined) {
+		try {
+			require('argon2');
+			argon2Available = true;
+		} catch (err) {
+			argon2Available = false;
+		}
+	}
+	return argon2Available;
+};
+
+// argon2 needs a native module, scrypt is built into node and used when that is missing
+exports.resolveAlgorithm = function (algorithm) {
+	if (!exports.algorithms.includes(algorithm)) {
+		return 'bcrypt';
+	}
+	if (algorithm === 'argon2id' && !exports.isAvailable('argon2id')) {
+		return 'scrypt';
+	}
+	return algorithm;
+};
+
+exports.needsRehash = function (hash, algorithm, rounds) {
+	algorithm = exports.resolveAlgorithm(algorithm);
+	if (exports.getAlgorithm(hash) !== algorithm) {
+		return true;
+	}
+	if (algorithm === 'bcrypt') {
+		return bcrypt.getRounds(hash) !== parseInt(rounds, 10);
+	}
+	const current = parseParams(hash.split('$')[algorithm === 'argon2id' ? 3 : 2]);
+	const expected = exports.params[algorithm];
+	return Object.keys(expected).some(key => current[key] !== expected[key]);
+};
+
+function parseParams(str) {
+	const params = {};
+	String(str || '').split(',').forEach(function (pair) {
+		const [key, value] = pair.split('=');
+		params[key] = parseInt(value, 10);
+	});
+	return params;
+}
+
 let fakeHashCache;
 async function getFakeHash() {
 	if (fakeHashCache) {
@@ -56,14 +129,52 @@ async function tryMethod(method, msg) {
 	}
 }
 
+const scryptAsync = util.promisify(crypto.scrypt);
+const scryptKeyLength = 64;
+
+async function scrypt(password, salt, params) {
+	const N = 2 ** params.ln;
+	return await scryptAsync(password, salt, scryptKeyLength, {
+		N: N,
+		r: params.r,
+		p: params.p,
+		maxmem: 256 * N * params.r,
+	});
+}
+
 async function hashPassword(msg) {
+	if (msg.algorithm === 'argon2id') {
+		const argon2 = require('argon2');
+		return await argon2.hash(msg.password, {
+			type: argon2.argon2id,
+			memoryCost: msg.params.m,
+			timeCost: msg.params.t,
+			parallelism: msg.params.p,
+		});
+	} else if (msg.algorithm === 'scrypt') {
+		const salt = crypto.randomBytes(16);
+		const key = await scrypt(msg.password, salt, msg.params);
+		return '$scrypt$ln=' + msg.params.ln + ',r=' + msg.params.r + ',p=' + msg.params.p +
+			'$' + salt.toString('base64') + '$' + key.toString('base64');
+	}
 	const salt = await bcrypt.genSalt(parseInt(msg.rounds, 10));
 	const hash = await bcrypt.hash(msg.password, salt);
 	return hash;
 }
 
 async function compare(msg) {
-	return await bcrypt.compare(String(msg.password || ''), String(msg.hash || ''));
+	const password = String(msg.password || '');
+	const hash = String(msg.hash || '');
+	const algorithm = exports.getAlgorithm(hash);
+	if (algorithm === 'argon2id') {
+		return await require('argon2').verify(hash, password);
+	} else if (algorithm === 'scrypt') {
+		const [, , params, salt, key] = hash.split('$');
+		const expected = Buffer.from(key || '', 'base64');
+		const actual = await scrypt(password, Buffer.from(salt || '', 'base64'), parseParams(params));
+		return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+	}
+	return await bcrypt.compare(password, hash);
 }
 
 require('./promisify')(exports);
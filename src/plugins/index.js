@@ -10,6 +10,7 @@ const util = require('util');
 
 const user = require('../user');
 const posts = require('../posts');
+const webhooks = require('../webhooks');
 
 const readdirAsync = util.promisify(fs.readdir);
 
@@ -108,6 +109,7 @@ Plugins.reload = async function () {
 	Plugins.loadedPlugins.length = 0;
 
 	await user.addInterstitials();
+	await webhooks.addHooks();
 
 	const paths = await Plugins.getPluginPaths();
 	for (const path of paths) {
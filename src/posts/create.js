@@ -51,17 +51,12 @@ module.exports = function (Posts) {
 		postData = result.post;
 		await db.setObject('post:' + postData.pid, postData);
 
-		const topicData = await topics.getTopicFields(tid, ['cid', 'pinned']);
+		const topicData = await topics.getTopicFields(tid, ['cid', 'pinned', 'scheduled']);
 		postData.cid = topicData.cid;
 
 		await Promise.all([
-			db.sortedSetAdd('posts:pid', timestamp, postData.pid),
-			db.incrObjectField('global', 'postCount'),
-			user.onNewPostMade(postData),
+			topicData.scheduled ? null : Posts.addPostToSets(postData, topicData.pinned),
 			topics.onNewPostMade(postData),
-			categories.onNewPostMade(topicData.cid, topicData.pinned, postData),
-			groups.onNewPostMade(postData),
-			addReplyTo(postData, timestamp),
 			Posts.uploads.sync(postData.pid),
 		]);
 
@@ -71,6 +66,18 @@ module.exports = function (Posts) {
 		return result.post;
 	};
 
+	// The main post of a scheduled topic is only added once the topic is published
+	Posts.addPostToSets = async function (postData, pinned) {
+		await Promise.all([
+			db.sortedSetAdd('posts:pid', postData.timestamp, postData.pid),
+			db.incrObjectField('global', 'postCount'),
+			user.onNewPostMade(postData),
+			categories.onNewPostMade(postData.cid, pinned, postData),
+			groups.onNewPostMade(postData),
+			addReplyTo(postData, postData.timestamp),
+		]);
+	};
+
 	async function addReplyTo(postData, timestamp) {
 		if (!postData.toPid) {
 			return;
@@ -46,7 +46,7 @@ module.exports = function (Posts) {
 		if (!postData) {
 			return;
 		}
-		const topicData = await topics.getTopicFields(postData.tid, ['tid', 'cid', 'pinned']);
+		const topicData = await topics.getTopicFields(postData.tid, ['tid', 'cid', 'pinned', 'scheduled', 'solvedPid']);
 		postData.cid = topicData.cid;
 		await plugins.fireHook('filter:post.purge', { post: postData, pid: pid, uid: uid });
 		await Promise.all([
@@ -54,6 +54,7 @@ module.exports = function (Posts) {
 			deletePostFromCategoryRecentPosts(postData),
 			deletePostFromUsersBookmarks(pid),
 			deletePostFromUsersVotes(pid),
+			Posts.reactions.deleteAll(pid),
 			deletePostFromReplies(postData),
 			deletePostFromGroups(postData),
 			db.sortedSetsRemove(['posts:pid', 'posts:votes', 'posts:flagged'], pid),
@@ -71,19 +72,27 @@ module.exports = function (Posts) {
 		], postData.pid);
 
 		const tasks = [
-			db.decrObjectField('global', 'postCount'),
-			db.decrObjectField('category:' + topicData.cid, 'post_count'),
 			db.sortedSetRemove('cid:' + topicData.cid + ':uid:' + postData.uid + ':pids', postData.pid),
 			db.sortedSetRemove('cid:' + topicData.cid + ':uid:' + postData.uid + ':pids:votes', postData.pid),
 			topics.decreasePostCount(postData.tid),
 			topics.updateTeaser(postData.tid),
 			topics.updateLastPostTimeFromLastPid(postData.tid),
 			db.sortedSetIncrBy('tid:' + postData.tid + ':posters', -1, postData.uid),
-			user.incrementUserPostCountBy(postData.uid, -1),
 			notifications.rescind('new_post:tid:' + postData.tid + ':pid:' + postData.pid + ':uid:' + postData.uid),
 		];
 
-		if (!topicData.pinned) {
+		// The main post of a scheduled topic is not counted until the topic is published
+		if (!topicData.scheduled) {
+			tasks.push(
+				db.decrObjectField('global', 'postCount'),
+				db.decrObjectField('category:' + topicData.cid, 'post_count'),
+				user.incrementUserPostCountBy(postData.uid, -1)
+			);
+		}
+		if (topicData.solvedPid === postData.pid) {
+			tasks.push(topics.questions.clear(postData.tid));
+		}
+		if (!topicData.pinned && !topicData.scheduled) {
 			tasks.push(db.sortedSetIncrBy('cid:' + topicData.cid + ':tids:posts', -1, postData.tid));
 		}
 		await Promise.all(tasks);
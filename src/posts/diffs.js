@@ -7,6 +7,8 @@ const db = require('../database');
 const meta = require('../meta');
 const plugins = require('../plugins');
 const translator = require('../translator');
+const topics = require('../topics');
+const user = require('../user');
 
 
 module.exports = function (Posts) {
@@ -33,18 +35,136 @@ module.exports = function (Posts) {
 		return await db.getListRange('post:' + pid + ':diffs', 0, -1);
 	};
 
-	Diffs.save = async function (pid, oldContent, newContent) {
+	// `uid` is the editor, so every revision can be attributed to whoever wrote it
+	Diffs.save = async function (pid, oldContent, newContent, uid) {
 		const now = Date.now();
 		const patch = diff.createPatch('', newContent, oldContent);
 		await Promise.all([
 			db.listPrepend('post:' + pid + ':diffs', now),
 			db.setObject('diff:' + pid + '.' + now, {
 				pid: pid,
+				uid: parseInt(uid, 10) || 0,
 				patch: patch,
 			}),
 		]);
 	};
 
+	// Authors of the current post and of each revision in Diffs.list, newest first.
+	// A diff holds the edit that replaced a revision, so a revision was written by the edit before it
+	Diffs.getEditors = async function (pid) {
+		const [timestamps, author] = await Promise.all([
+			Diffs.list(pid),
+			Posts.getPostField(pid, 'uid'),
+		]);
+		const diffs = await db.getObjectsFields(timestamps.map(t => 'diff:' + pid + '.' + t), ['uid']);
+		const uids = diffs.map(diff => (diff && diff.uid !== undefined && diff.uid !== null ? parseInt(diff.uid, 10) : null));
+		uids.push(parseInt(author, 10) || 0);
+
+		const userData = await user.getUsersFields(uids.map(uid => uid || 0), ['uid', 'username', 'userslug', 'picture']);
+		return uids.map((uid, index) => ({
+			timestamp: index ? parseInt(timestamps[index - 1], 10) : null,
+			uid: uid,
+			// diffs saved before editors were recorded can not be attributed
+			user: uid === null ? null : userData[index],
+		}));
+	};
+
+	// Raw content of the revision that was replaced at `since`, diffs are stored newest first
+	Diffs.getContent = async function (pid, since) {
+		since = parseInt(since, 10);
+		if (isNaN(since) || since > Date.now()) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const [content, diffs] = await Promise.all([
+			Posts.getPostField(pid, 'content'),
+			Diffs.get(pid, since),
+		]);
+		return applyPatches(String(content || ''), diffs);
+	};
+
+	// Goes through Posts.edit so the restore is saved as a new revision itself
+	Diffs.restore = async function (pid, since, uid, req) {
+		const [content, tid, isMain] = await Promise.all([
+			Diffs.getContent(pid, since),
+			Posts.getPostField(pid, 'tid'),
+			Posts.isMain(pid),
+		]);
+		const data = { pid: pid, uid: uid, req: req, content: content };
+		if (isMain) {
+			const [topicData, tags] = await Promise.all([
+				db.getObjectFields('topic:' + tid, ['title', 'thumb']),
+				topics.getTopicTags(tid),
+			]);
+			data.title = topicData.title;
+			data.thumb = topicData.thumb;
+			data.tags = tags;
+		}
+		const result = await Posts.edit(data);
+		plugins.fireHook('action:post.restoreDiff', { pid: pid, since: parseInt(since, 10), uid: uid });
+		return result;
+	};
+
+	// The revision before the deleted one is patched to lead straight to the one after it
+	Diffs.delete = async function (pid, timestamp) {
+		const timestamps = await Diffs.list(pid);
+		const index = timestamps.indexOf(String(timestamp));
+		if (index === -1) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const newer = timestamps[index - 1];
+		const older = timestamps[index + 1];
+		if (older) {
+			const [newContent, oldContent] = await Promise.all([
+				newer ? Diffs.getContent(pid, newer) : Posts.getPostField(pid, 'content'),
+				Diffs.getContent(pid, older),
+			]);
+			await db.setObjectField('diff:' + pid + '.' + older, 'patch', diff.createPatch('', String(newContent || ''), oldContent));
+		}
+		await Promise.all([
+			db.listRemoveAll('post:' + pid + ':diffs', timestamps[index]),
+			db.delete('diff:' + pid + '.' + timestamps[index]),
+		]);
+		plugins.fireHook('action:post.deleteDiff', { pid: pid, timestamp: parseInt(timestamp, 10) });
+	};
+
+	// Line by line rows for showing two revisions side by side, `from` on the left
+	Diffs.compare = async function (pid, from, to) {
+		const [fromContent, toContent] = await Promise.all([
+			Diffs.getContent(pid, from),
+			Diffs.getContent(pid, to),
+		]);
+		const rows = [];
+		let removed = [];
+		function flushRemoved(added) {
+			added = added || [];
+			for (let i = 0; i < Math.max(removed.length, added.length); i += 1) {
+				rows.push({
+					left: i < removed.length ? escape(removed[i]) : null,
+					right: i < added.length ? escape(added[i]) : null,
+					removed: i < removed.length,
+					added: i < added.length,
+				});
+			}
+			removed = [];
+		}
+		diff.diffLines(fromContent, toContent).forEach(function (part) {
+			const lines = part.value.replace(/\n$/, '').split('\n');
+			if (part.removed) {
+				removed = removed.concat(lines);
+			} else if (part.added) {
+				flushRemoved(lines);
+			} else {
+				flushRemoved();
+				lines.forEach(function (line) {
+					line = escape(line);
+					rows.push({ left: line, right: line, removed: false, added: false });
+				});
+			}
+		});
+		flushRemoved();
+		return rows;
+	};
+
 	Diffs.load = async function (pid, since, uid) {
 		// Retrieves all diffs made since `since` and replays them to reconstruct what the post looked like at `since`
 		since = parseInt(since, 10);
@@ -72,13 +192,7 @@ module.exports = function (Posts) {
 		data.post.content = validator.unescape(data.post.content);
 
 		// Replace content with re-constructed content from that point in time
-		data.post.content = data.diffs.reduce(function (content, currentDiff) {
-			const result = diff.applyPatch(content, currentDiff.patch, {
-				fuzzFactor: 1,
-			});
-
-			return typeof result === 'string' ? result : content;
-		}, data.post.content);
+		data.post.content = applyPatches(data.post.content, data.diffs);
 
 		// Clear editor data (as it is outdated for this content)
 		delete data.post.edited;
@@ -86,4 +200,18 @@ module.exports = function (Posts) {
 
 		data.post.content = String(data.post.content || '');
 	}
+
+	function escape(line) {
+		return translator.escape(validator.escape(line));
+	}
+
+	function applyPatches(content, diffs) {
+		return diffs.reduce(function (content, currentDiff) {
+			const result = diff.applyPatch(content, currentDiff.patch, {
+				fuzzFactor: 1,
+			});
+
+			return typeof result === 'string' ? result : content;
+		}, content);
+	}
 };
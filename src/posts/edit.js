@@ -6,6 +6,7 @@ var _ = require('lodash');
 var db = require('../database');
 var meta = require('../meta');
 var topics = require('../topics');
+var categories = require('../categories');
 var user = require('../user');
 var privileges = require('../privileges');
 var plugins = require('../plugins');
@@ -46,9 +47,10 @@ module.exports = function (Posts) {
 		await Posts.setPostFields(data.pid, postData);
 
 		if (meta.config.enablePostHistory === 1) {
-			await Posts.diffs.save(data.pid, oldContent, data.content);
+			await Posts.diffs.save(data.pid, oldContent, data.content, data.uid);
 		}
 		await Posts.uploads.sync(data.pid);
+		await user.drafts.remove(data.uid, { type: 'edit', id: data.pid });
 
 		postData.cid = topic.cid;
 		postData.topic = topic;
@@ -104,8 +106,15 @@ module.exports = function (Posts) {
 				throw new Error('[[error:no-privileges]]');
 			}
 		}
+		// Editors that do not know about prefixes leave the current one alone
+		if (data.hasOwnProperty('prefix')) {
+			data.prefix = await categories.validatePrefix(topicData.cid, data.prefix);
+		}
 		const results = await plugins.fireHook('filter:topic.edit', { req: data.req, topic: newTopicData, data: data });
 		await db.setObject('topic:' + tid, results.topic);
+		if (data.hasOwnProperty('prefix')) {
+			await topics.setPrefix(tid, data.prefix);
+		}
 		await topics.updateTopicTags(tid, data.tags);
 		const tags = await topics.getTopicTagsObjects(tid);
 
@@ -9,6 +9,8 @@ const groups = require('../groups');
 const topics = require('../topics');
 const categories = require('../categories');
 const notifications = require('../notifications');
+const flags = require('../flags');
+const cannedResponses = require('../cannedResponses');
 const privileges = require('../privileges');
 const plugins = require('../plugins');
 const socketHelpers = require('../socket.io/helpers');
@@ -58,6 +60,7 @@ module.exports = function (Posts) {
 			data: JSON.stringify(data),
 		});
 		await user.setUserField(data.uid, 'lastqueuetime', now);
+		await user.drafts.remove(data.uid, type === 'topic' ? { type: 'topic', id: data.cid } : { type: 'reply', id: data.tid });
 
 		const cid = await getCid(type, data);
 		const uids = await getNotificationUids(cid);
@@ -78,10 +81,35 @@ module.exports = function (Posts) {
 		};
 	};
 
+	// Posts hidden by a flag auto-action wait in the queue until a moderator restores or rejects them
+	Posts.queueFlagged = async function (pid) {
+		const postData = await Posts.getPostFields(pid, ['pid', 'tid', 'uid', 'content', 'timestamp']);
+		const id = 'flagged-' + pid;
+		await db.sortedSetAdd('post:queue', Date.now(), id);
+		await db.setObject('post:queue:' + id, {
+			id: id,
+			uid: postData.uid,
+			type: 'flagged',
+			data: JSON.stringify({ ...postData, flagged: true }),
+		});
+
+		const cid = await getCid('flagged', postData);
+		const uids = await getNotificationUids(cid);
+		const notifObj = await notifications.create({
+			type: 'post-queue',
+			nid: 'post-queue-' + id,
+			mergeId: 'post-queue',
+			bodyShort: '[[notifications:post_awaiting_review]]',
+			bodyLong: postData.content,
+			path: '/post-queue',
+		});
+		await notifications.push(notifObj, uids);
+	};
+
 	async function getCid(type, data) {
 		if (type === 'topic') {
 			return data.cid;
-		} else if (type === 'reply') {
+		} else if (type === 'reply' || type === 'flagged') {
 			return await topics.getTopicField(data.tid, 'cid');
 		}
 		return null;
@@ -109,7 +137,28 @@ module.exports = function (Posts) {
 		await db.delete('post:queue:' + id);
 	};
 
-	Posts.submitFromQueue = async function (id) {
+	// `reason` may be a canned response, `send` passes it on to the author of the queued post
+	Posts.rejectFromQueue = async function (id, uid, reason, send) {
+		const data = await getParsedObject(id);
+		if (!data) {
+			return;
+		}
+		await Posts.removeFromQueue(id);
+		if (reason) {
+			reason = await cannedResponses.apply({
+				text: reason,
+				fromUid: uid,
+				toUid: data.uid,
+				pid: data.type === 'flagged' ? data.data.pid : null,
+				tid: data.data.tid,
+				cid: data.data.cid,
+				send: send,
+			});
+		}
+		plugins.fireHook('action:post-queue.reject', { id: id, uid: uid, data: data, reason: reason });
+	};
+
+	Posts.submitFromQueue = async function (id, uid) {
 		const data = await getParsedObject(id);
 		if (!data) {
 			return;
@@ -118,6 +167,8 @@ module.exports = function (Posts) {
 			await createTopic(data.data);
 		} else if (data.type === 'reply') {
 			await createReply(data.data);
+		} else if (data.type === 'flagged') {
+			await flags.reverseAutoAction(data.data.pid, uid);
 		}
 		await Posts.removeFromQueue(id);
 	};
@@ -134,7 +185,9 @@ module.exports = function (Posts) {
 
 	async function createTopic(data) {
 		const result = await topics.post(data);
-		socketHelpers.notifyNew(data.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+		if (!result.topicData.scheduled) {
+			socketHelpers.notifyNew(data.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+		}
 	}
 
 	async function createReply(data) {
@@ -156,6 +209,10 @@ module.exports = function (Posts) {
 		if (!data) {
 			return;
 		}
+		// Accepting restores the flagged post as it was, so edits would be lost
+		if (data.type === 'flagged') {
+			throw new Error('[[error:cant-edit-flagged-queue]]');
+		}
 		data.data.content = content;
 		await db.setObjectField('post:queue:' + id, 'data', JSON.stringify(data.data));
 	};
@@ -173,12 +230,7 @@ module.exports = function (Posts) {
 			return true;
 		}
 
-		let cid;
-		if (data.type === 'topic') {
-			cid = data.data.cid;
-		} else if (data.type === 'reply') {
-			cid = await topics.getTopicField(data.data.tid, 'cid');
-		}
+		const cid = await getCid(data.type, data.data);
 		return await user.isModerator(uid, cid);
 	};
 };
@@ -0,0 +1,136 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const db = require('../database');
+const meta = require('../meta');
+const user = require('../user');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+
+module.exports = function (Posts) {
+	Posts.reactions = {};
+
+	Posts.reactions.reactorsPerReaction = 20;
+
+	// The admin defined set, one `name emoji` pair per line e.g. `laugh 😂`
+	Posts.reactions.list = function () {
+		const reactions = String(meta.config.reactions || '').split('\n').map(function (line) {
+			const [name, ...emoji] = line.trim().split(/\s+/);
+			return { name: String(name || '').toLowerCase(), emoji: emoji.join(' ') };
+		}).filter(reaction => /^[a-z0-9_-]+$/.test(reaction.name) && reaction.emoji);
+		return _.uniqBy(reactions, 'name');
+	};
+
+	Posts.reactions.isValid = function (name) {
+		return Posts.reactions.list().some(reaction => reaction.name === name);
+	};
+
+	Posts.reactions.add = async function (pid, uid, name) {
+		return await toggle(pid, uid, name, true);
+	};
+
+	Posts.reactions.remove = async function (pid, uid, name) {
+		return await toggle(pid, uid, name, false);
+	};
+
+	async function toggle(pid, uid, name, add) {
+		if (!(parseInt(uid, 10) > 0)) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		if (!Posts.reactions.isValid(name)) {
+			throw new Error('[[error:invalid-reaction]]');
+		}
+		if (add && !await privileges.posts.can('posts:react', pid, uid)) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		const postData = await Posts.getPostFields(pid, ['pid', 'uid', 'tid']);
+		const key = 'pid:' + pid + ':reactions:' + name;
+		const hasReacted = await db.isSortedSetMember(key, uid);
+		if (add === hasReacted) {
+			throw new Error(add ? '[[error:already-reacted]]' : '[[error:not-reacted]]');
+		}
+
+		if (add) {
+			await Promise.all([
+				db.sortedSetAdd(key, Date.now(), uid),
+				db.setAdd('pid:' + pid + ':reactions', name),
+			]);
+		} else {
+			await db.sortedSetRemove(key, uid);
+		}
+		const reputation = await adjustReputation(postData, uid, name, add);
+		plugins.fireHook('action:post.' + (add ? 'react' : 'unreact'), { pid: postData.pid, uid: uid, owner: postData.uid, reaction: name });
+
+		const [reactions] = await Posts.reactions.get([pid], uid);
+		return {
+			post: postData,
+			fromuid: parseInt(uid, 10),
+			reaction: name,
+			reacted: add,
+			reactions: reactions,
+			user: { reputation: reputation },
+		};
+	}
+
+	// Reactions don't change reputation unless a plugin returns a non-zero `reputation` for them
+	async function adjustReputation(postData, uid, name, add) {
+		if (meta.config['reputation:disabled'] || !postData.uid || postData.uid === parseInt(uid, 10)) {
+			return null;
+		}
+		const result = await plugins.fireHook('filter:post.reaction.reputation', {
+			reputation: 0,
+			reaction: name,
+			pid: postData.pid,
+			uid: uid,
+			owner: postData.uid,
+		});
+		const amount = parseInt(result.reputation, 10) || 0;
+		if (!amount) {
+			return null;
+		}
+		const newReputation = await user.incrementUserFieldBy(postData.uid, 'reputation', add ? amount : -amount);
+		await db.sortedSetAdd('users:reputation', newReputation, postData.uid);
+		return newReputation;
+	}
+
+	// Returns the counts of every configured reaction for each post and whether `uid` used it
+	Posts.reactions.get = async function (pids, uid) {
+		const reactions = Posts.reactions.list();
+		if (!reactions.length || !pids.length) {
+			return pids.map(() => []);
+		}
+		const keys = _.flatten(pids.map(pid => reactions.map(reaction => 'pid:' + pid + ':reactions:' + reaction.name)));
+		const [counts, reacted] = await Promise.all([
+			db.sortedSetsCard(keys),
+			parseInt(uid, 10) > 0 ? db.isMemberOfSortedSets(keys, uid) : keys.map(() => false),
+		]);
+		return pids.map((pid, postIndex) => reactions.map(function (reaction, index) {
+			const keyIndex = (postIndex * reactions.length) + index;
+			return {
+				name: reaction.name,
+				emoji: validator.escape(reaction.emoji),
+				count: counts[keyIndex] || 0,
+				reacted: !!reacted[keyIndex],
+			};
+		}));
+	};
+
+	Posts.reactions.getReactors = async function (pid, name, start, stop) {
+		start = parseInt(start, 10) || 0;
+		stop = stop === undefined ? Posts.reactions.reactorsPerReaction - 1 : parseInt(stop, 10);
+		const key = 'pid:' + pid + ':reactions:' + name;
+		const [uids, count] = await Promise.all([
+			db.getSortedSetRange(key, start, stop),
+			db.sortedSetCard(key),
+		]);
+		const users = await user.getUsersFields(uids, ['uid', 'username', 'userslug', 'picture']);
+		return { reaction: name, count: count, users: users };
+	};
+
+	Posts.reactions.deleteAll = async function (pid) {
+		const names = await db.getSetMembers('pid:' + pid + ':reactions');
+		await db.deleteAll(names.map(name => 'pid:' + pid + ':reactions:' + name).concat('pid:' + pid + ':reactions'));
+	};
+};
@@ -18,6 +18,7 @@ module.exports = function (Posts) {
 		if (!canUpvote) {
 			throw new Error('[[error:no-privileges]]');
 		}
+		await user.mutes.check(uid);
 
 		if (voteInProgress(pid, uid)) {
 			throw new Error('[[error:already-voting-for-this-post]]');
@@ -44,6 +45,7 @@ module.exports = function (Posts) {
 		if (!canDownvote) {
 			throw new Error('[[error:no-privileges]]');
 		}
+		await user.mutes.check(uid);
 
 		if (voteInProgress(pid, uid)) {
 			throw new Error('[[error:already-voting-for-this-post]]');
@@ -59,6 +61,7 @@ module.exports = function (Posts) {
 	};
 
 	Posts.unvote = async function (pid, uid) {
+		await user.mutes.check(uid);
 		if (voteInProgress(pid, uid)) {
 			throw new Error('[[error:already-voting-for-this-post]]');
 		}
@@ -37,7 +37,7 @@ module.exports = function (privileges) {
 	};
 
 	privileges.categories.get = async function (cid, uid) {
-		const privs = ['topics:create', 'topics:read', 'topics:tag', 'read'];
+		const privs = ['topics:create', 'topics:read', 'topics:tag', 'topics:schedule', 'poll:create', 'read'];
 
 		const [userPrivileges, isAdministrator, isModerator] = await Promise.all([
 			helpers.isUserAllowedTo(privs, uid, cid),
@@ -52,6 +52,8 @@ module.exports = function (privileges) {
 			'topics:create': privData['topics:create'] || isAdministrator,
 			'topics:read': privData['topics:read'] || isAdministrator,
 			'topics:tag': privData['topics:tag'] || isAdministrator,
+			'topics:schedule': privData['topics:schedule'] || isAdministrator,
+			'poll:create': privData['poll:create'] || isAdministrator,
 			read: privData.read || isAdministrator,
 			cid: cid,
 			uid: uid,
@@ -9,11 +9,15 @@ privileges.privilegeLabels = [
 	{ name: '[[admin/manage/privileges:create-topics]]' },
 	{ name: '[[admin/manage/privileges:reply-to-topics]]' },
 	{ name: '[[admin/manage/privileges:tag-topics]]' },
+	{ name: '[[admin/manage/privileges:create-polls]]' },
+	{ name: '[[admin/manage/privileges:schedule-topics]]' },
 	{ name: '[[admin/manage/privileges:edit-posts]]' },
+	{ name: '[[admin/manage/privileges:edit-wiki-posts]]' },
 	{ name: '[[admin/manage/privileges:view-edit-history]]' },
 	{ name: '[[admin/manage/privileges:delete-posts]]' },
 	{ name: '[[admin/manage/privileges:upvote-posts]]' },
 	{ name: '[[admin/manage/privileges:downvote-posts]]' },
+	{ name: '[[admin/manage/privileges:react-to-posts]]' },
 	{ name: '[[admin/manage/privileges:delete-topics]]' },
 	{ name: '[[admin/manage/privileges:view_deleted]]' },
 	{ name: '[[admin/manage/privileges:purge]]' },
@@ -27,11 +31,15 @@ privileges.userPrivilegeList = [
 	'topics:create',
 	'topics:reply',
 	'topics:tag',
+	'poll:create',
+	'topics:schedule',
 	'posts:edit',
+	'posts:edit:wiki',
 	'posts:history',
 	'posts:delete',
 	'posts:upvote',
 	'posts:downvote',
+	'posts:react',
 	'topics:delete',
 	'posts:view_deleted',
 	'purge',
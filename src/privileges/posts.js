@@ -28,6 +28,8 @@ module.exports = function (privileges) {
 			'topics:read': helpers.isUserAllowedTo('topics:read', uid, uniqueCids),
 			read: helpers.isUserAllowedTo('read', uid, uniqueCids),
 			'posts:edit': helpers.isUserAllowedTo('posts:edit', uid, uniqueCids),
+			'posts:edit:wiki': helpers.isUserAllowedTo('posts:edit:wiki', uid, uniqueCids),
+			isWiki: isWikiPosts(pids),
 			'posts:history': helpers.isUserAllowedTo('posts:history', uid, uniqueCids),
 			'posts:view_deleted': helpers.isUserAllowedTo('posts:view_deleted', uid, uniqueCids),
 		});
@@ -37,12 +39,14 @@ module.exports = function (privileges) {
 		privData['topics:read'] = _.zipObject(uniqueCids, results['topics:read']);
 		privData.read = _.zipObject(uniqueCids, results.read);
 		privData['posts:edit'] = _.zipObject(uniqueCids, results['posts:edit']);
+		privData['posts:edit:wiki'] = _.zipObject(uniqueCids, results['posts:edit:wiki']);
 		privData['posts:history'] = _.zipObject(uniqueCids, results['posts:history']);
 		privData['posts:view_deleted'] = _.zipObject(uniqueCids, results['posts:view_deleted']);
 
 		const privileges = cids.map(function (cid, i) {
 			const isAdminOrMod = results.isAdmin || isModerator[cid];
-			const editable = (privData['posts:edit'][cid] && (results.isOwner[i] || results.isModerator)) || results.isAdmin;
+			const editable = (privData['posts:edit'][cid] && (results.isOwner[i] || results.isModerator)) ||
+				(results.isWiki[i] && privData['posts:edit:wiki'][cid]) || results.isAdmin;
 			const viewDeletedPosts = results.isOwner[i] || privData['posts:view_deleted'][cid] || results.isAdmin;
 			const viewHistory = results.isOwner[i] || privData['posts:history'][cid] || results.isAdmin;
 
@@ -60,6 +64,13 @@ module.exports = function (privileges) {
 		return privileges;
 	};
 
+	// Only the main post of a wiki topic is open to everyone with `posts:edit:wiki`
+	async function isWikiPosts(pids) {
+		const postData = await posts.getPostsFields(pids, ['tid']);
+		const topicData = await topics.getTopicsFields(postData.map(post => post && post.tid), ['wiki', 'mainPid']);
+		return pids.map((pid, index) => !!(topicData[index] && topicData[index].wiki && topicData[index].mainPid === parseInt(pid, 10)));
+	}
+
 	privileges.posts.can = async function (privilege, pid, uid) {
 		const cid = await posts.getCidByPid(pid);
 		return await privileges.categories.can(privilege, cid, uid);
@@ -116,6 +127,8 @@ module.exports = function (privileges) {
 			isMod: posts.isModerator([pid], uid),
 			owner: posts.isOwner(pid, uid),
 			edit: privileges.posts.can('posts:edit', pid, uid),
+			wiki: isWikiPosts([pid]),
+			editWiki: privileges.posts.can('posts:edit:wiki', pid, uid),
 			postData: posts.getPostFields(pid, ['tid', 'timestamp', 'deleted', 'deleterUid']),
 			userData: user.getUserFields(uid, ['reputation']),
 		});
@@ -124,11 +137,13 @@ module.exports = function (privileges) {
 		if (results.isAdmin) {
 			return { flag: true };
 		}
+		results.wiki = results.wiki[0] && results.editWiki;
 
-		if (!results.isMod && meta.config.postEditDuration && (Date.now() - results.postData.timestamp > meta.config.postEditDuration * 1000)) {
+		// The edit time limits are for a user's own posts, wiki editors can always edit
+		if (!results.isMod && !results.wiki && meta.config.postEditDuration && (Date.now() - results.postData.timestamp > meta.config.postEditDuration * 1000)) {
 			return { flag: false, message: '[[error:post-edit-duration-expired, ' + meta.config.postEditDuration + ']]' };
 		}
-		if (!results.isMod && meta.config.newbiePostEditDuration > 0 && meta.config.newbiePostDelayThreshold > results.userData.reputation && Date.now() - results.postData.timestamp > meta.config.newbiePostEditDuration * 1000) {
+		if (!results.isMod && !results.wiki && meta.config.newbiePostEditDuration > 0 && meta.config.newbiePostDelayThreshold > results.userData.reputation && Date.now() - results.postData.timestamp > meta.config.newbiePostEditDuration * 1000) {
 			return { flag: false, message: '[[error:post-edit-duration-expired, ' + meta.config.newbiePostEditDuration + ']]' };
 		}
 
@@ -145,7 +160,7 @@ module.exports = function (privileges) {
 		results.uid = uid;
 
 		const result = await plugins.fireHook('filter:privileges.posts.edit', results);
-		return { flag: result.edit && (result.owner || result.isMod), message: '[[error:no-privileges]]' };
+		return { flag: (result.edit && (result.owner || result.isMod)) || result.wiki, message: '[[error:no-privileges]]' };
 	};
 
 	privileges.posts.canDelete = async function (pid, uid) {
@@ -17,9 +17,9 @@ module.exports = function (privileges) {
 		uid = parseInt(uid, 10);
 
 		const privs = [
-			'topics:reply', 'topics:read', 'topics:tag',
-			'topics:delete', 'posts:edit', 'posts:history',
-			'posts:delete', 'posts:view_deleted', 'read', 'purge',
+			'topics:reply', 'topics:read', 'topics:tag', 'topics:schedule',
+			'topics:delete', 'posts:edit', 'posts:edit:wiki', 'posts:history',
+			'posts:delete', 'posts:view_deleted', 'posts:react', 'read', 'purge',
 		];
 		const topicData = await topics.getTopicFields(tid, ['cid', 'uid', 'locked', 'deleted']);
 		const [userPrivileges, isAdministrator, isModerator, disabled] = await Promise.all([
@@ -38,11 +38,14 @@ module.exports = function (privileges) {
 			'topics:reply': (privData['topics:reply'] && ((!topicData.locked && !topicData.deleted) || isModerator)) || isAdministrator,
 			'topics:read': privData['topics:read'] || isAdministrator,
 			'topics:tag': privData['topics:tag'] || isAdministrator,
+			'topics:schedule': privData['topics:schedule'] || isAdministrator,
 			'topics:delete': (privData['topics:delete'] && (isOwner || isModerator)) || isAdministrator,
 			'posts:edit': (privData['posts:edit'] && (!topicData.locked || isModerator)) || isAdministrator,
+			'posts:edit:wiki': (privData['posts:edit:wiki'] && (!topicData.locked || isModerator)) || isAdministrator,
 			'posts:history': privData['posts:history'] || isAdministrator,
 			'posts:delete': (privData['posts:delete'] && (!topicData.locked || isModerator)) || isAdministrator,
 			'posts:view_deleted': privData['posts:view_deleted'] || isAdministrator,
+			'posts:react': privData['posts:react'] || isAdministrator,
 			read: privData.read || isAdministrator,
 			purge: (privData.purge && (isOwner || isModerator)) || isAdministrator,
 
@@ -50,6 +53,7 @@ module.exports = function (privileges) {
 			editable: editable,
 			deletable: deletable,
 			view_deleted: isAdminOrMod || isOwner,
+			view_scheduled: privData['topics:schedule'] || isAdministrator || isOwner,
 			isAdminOrMod: isAdminOrMod,
 			disabled: disabled,
 			tid: tid,
@@ -67,16 +71,22 @@ module.exports = function (privileges) {
 			return [];
 		}
 
-		const topicsData = await topics.getTopicsFields(tids, ['tid', 'cid', 'deleted']);
+		const topicsData = await topics.getTopicsFields(tids, ['tid', 'cid', 'uid', 'deleted', 'scheduled']);
 		const cids = _.uniq(topicsData.map(topic => topic.cid));
-		const results = await privileges.categories.getBase(privilege, cids, uid);
+		const [results, canSchedule] = await Promise.all([
+			privileges.categories.getBase(privilege, cids, uid),
+			topicsData.some(t => t.scheduled) ? helpers.isUserAllowedTo('topics:schedule', uid, cids) : [],
+		]);
 
 		const allowedCids = cids.filter((cid, index) => !results.categories[index].disabled && (results.allowedTo[index] || results.isAdmin));
 
 		const cidsSet = new Set(allowedCids);
 		const canViewDeleted = _.zipObject(cids, results.view_deleted);
+		const canViewScheduled = _.zipObject(cids, canSchedule);
 
-		tids = topicsData.filter(t => cidsSet.has(t.cid) &&	(!t.deleted || canViewDeleted[t.cid] || results.isAdmin)).map(t => t.tid);
+		tids = topicsData.filter(t => cidsSet.has(t.cid) &&
+			(!t.deleted || canViewDeleted[t.cid] || results.isAdmin) &&
+			(!t.scheduled || canViewScheduled[t.cid] || results.isAdmin || t.uid === parseInt(uid, 10))).map(t => t.tid);
 
 		const data = await plugins.fireHook('filter:privileges.topics.filter', {
 			privilege: privilege,
@@ -3,6 +3,7 @@
 const plugins = require('../plugins');
 const db = require('../database');
 const utils = require('../utils');
+const rewardsIndex = require('./index');
 
 const rewards = module.exports;
 
@@ -37,9 +38,9 @@ rewards.delete = async function (data) {
 rewards.get = async function () {
 	return await utils.promiseParallel({
 		active: getActiveRewards(),
-		conditions: plugins.fireHook('filter:rewards.conditions', []),
+		conditions: plugins.fireHook('filter:rewards.conditions', rewardsIndex.coreConditions.slice()),
 		conditionals: plugins.fireHook('filter:rewards.conditionals', []),
-		rewards: plugins.fireHook('filter:rewards.rewards', []),
+		rewards: plugins.fireHook('filter:rewards.rewards', rewardsIndex.coreRewards.slice()),
 	});
 };
 
@@ -7,6 +7,19 @@ const plugins = require('../plugins');
 
 const rewards = module.exports;
 
+// Offered next to the ones plugins add, so accepted answers can be rewarded out of the box
+rewards.coreConditions = [
+	{ name: '[[admin/extend/rewards:condition.accepted-answers]]', condition: 'core/user.acceptedanswers' },
+];
+
+rewards.coreRewards = [
+	{
+		rid: 'core/add-reputation',
+		name: '[[admin/extend/rewards:reward.add-reputation]]',
+		inputs: [{ type: 'text', name: 'reputation', label: '[[admin/extend/rewards:reward.reputation]]' }],
+	},
+];
+
 rewards.checkConditionAndRewardUser = async function (params) {
 	const { uid, condition, method } = params;
 	const isActive = await isConditionActive(condition);
@@ -72,9 +85,22 @@ async function giveRewards(uid, rewards) {
 	const rewardData = await getRewardsByRewardData(rewards);
 	for (let i = 0; i < rewards.length; i++) {
 		/* eslint-disable no-await-in-loop */
+		if (rewards[i].rid === 'core/add-reputation') {
+			await addReputation(uid, rewardData[i]);
+		}
 		await plugins.fireHook('action:rewards.award:' + rewards[i].rid, { uid: uid, reward: rewardData[i] });
 		await db.sortedSetIncrBy('uid:' + uid + ':rewards', 1, rewards[i].id);
 	}
 }
 
+async function addReputation(uid, rewardData) {
+	const user = require('../user');
+	const amount = parseInt(rewardData && rewardData.reputation, 10);
+	if (!amount) {
+		return;
+	}
+	const reputation = await user.incrementUserFieldBy(uid, 'reputation', amount);
+	await db.sortedSetAdd('users:reputation', reputation, uid);
+}
+
 require('../promisify')(rewards);
@@ -29,6 +29,7 @@ module.exports = function (app, middleware, controllers) {
 	setupPageRoute(app, '/user/:userslug/edit/username', middleware, accountMiddlewares, controllers.accounts.edit.username);
 	setupPageRoute(app, '/user/:userslug/edit/email', middleware, accountMiddlewares, controllers.accounts.edit.email);
 	setupPageRoute(app, '/user/:userslug/edit/password', middleware, accountMiddlewares, controllers.accounts.edit.password);
+	setupPageRoute(app, '/user/:userslug/edit/2fa', middleware, accountMiddlewares, controllers.accounts.edit.twoFactor);
 	app.use('/.well-known/change-password', function (req, res) {
 		res.redirect('/me/edit/password');
 	});
@@ -38,6 +39,9 @@ module.exports = function (app, middleware, controllers) {
 	setupPageRoute(app, '/user/:userslug/consent', middleware, accountMiddlewares, controllers.accounts.consent.get);
 	setupPageRoute(app, '/user/:userslug/blocks', middleware, accountMiddlewares, controllers.accounts.blocks.getBlocks);
 	setupPageRoute(app, '/user/:userslug/sessions', middleware, accountMiddlewares, controllers.accounts.sessions.get);
+	setupPageRoute(app, '/user/:userslug/tokens', middleware, accountMiddlewares, controllers.accounts.tokens.get);
+	setupPageRoute(app, '/user/:userslug/warnings', middleware, middlewares, controllers.accounts.warnings.get);
+	setupPageRoute(app, '/user/:userslug/drafts', middleware, accountMiddlewares, controllers.accounts.drafts.get);
 	app.delete('/api/user/:userslug/session/:uuid', [middleware.exposeUid, middleware.ensureSelfOrGlobalPrivilege], controllers.accounts.sessions.revoke);
 
 	setupPageRoute(app, '/notifications', middleware, [middleware.authenticate], controllers.accounts.notifications.get);
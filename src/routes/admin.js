@@ -22,6 +22,9 @@ module.exports = function (app, middleware, controllers) {
 	helpers.setupAdminPageRoute(app, '/admin/manage/tags', middleware, middlewares, controllers.admin.tags.get);
 	helpers.setupAdminPageRoute(app, '/admin/manage/post-queue', middleware, middlewares, controllers.admin.postQueue.get);
 	helpers.setupAdminPageRoute(app, '/admin/manage/ip-blacklist', middleware, middlewares, controllers.admin.blacklist.get);
+	helpers.setupAdminPageRoute(app, '/admin/manage/tokens', middleware, middlewares, controllers.admin.tokens.get);
+	helpers.setupAdminPageRoute(app, '/admin/manage/canned-responses', middleware, middlewares, controllers.admin.cannedResponses.get);
+	helpers.setupAdminPageRoute(app, '/admin/manage/warnings', middleware, middlewares, controllers.admin.warnings.get);
 
 	helpers.setupAdminPageRoute(app, '/admin/manage/users', middleware, middlewares, controllers.admin.users.sortByJoinDate);
 	helpers.setupAdminPageRoute(app, '/admin/manage/users/search', middleware, middlewares, controllers.admin.users.search);
@@ -33,6 +36,7 @@ module.exports = function (app, middleware, controllers) {
 	helpers.setupAdminPageRoute(app, '/admin/manage/users/inactive', middleware, middlewares, controllers.admin.users.inactive);
 	helpers.setupAdminPageRoute(app, '/admin/manage/users/flagged', middleware, middlewares, controllers.admin.users.flagged);
 	helpers.setupAdminPageRoute(app, '/admin/manage/users/banned', middleware, middlewares, controllers.admin.users.banned);
+	helpers.setupAdminPageRoute(app, '/admin/manage/users/muted', middleware, middlewares, controllers.admin.users.muted);
 	helpers.setupAdminPageRoute(app, '/admin/manage/registration', middleware, middlewares, controllers.admin.users.registrationQueue);
 
 	helpers.setupAdminPageRoute(app, '/admin/manage/admins-mods', middleware, middlewares, controllers.admin.adminsMods.get);
@@ -54,6 +58,9 @@ module.exports = function (app, middleware, controllers) {
 	helpers.setupAdminPageRoute(app, '/admin/advanced/database', middleware, middlewares, controllers.admin.database.get);
 	helpers.setupAdminPageRoute(app, '/admin/advanced/events', middleware, middlewares, controllers.admin.events.get);
 	helpers.setupAdminPageRoute(app, '/admin/advanced/hooks', middleware, middlewares, controllers.admin.hooks.get);
+	helpers.setupAdminPageRoute(app, '/admin/advanced/webhooks', middleware, middlewares, controllers.admin.webhooks.list);
+	helpers.setupAdminPageRoute(app, '/admin/advanced/webhooks/:id', middleware, middlewares, controllers.admin.webhooks.get);
+	helpers.setupAdminPageRoute(app, '/admin/advanced/password-hashing', middleware, middlewares, controllers.admin.passwordHashing.get);
 	helpers.setupAdminPageRoute(app, '/admin/advanced/logs', middleware, middlewares, controllers.admin.logs.get);
 	helpers.setupAdminPageRoute(app, '/admin/advanced/errors', middleware, middlewares, controllers.admin.errors.get);
 	helpers.setupAdminPageRoute(app, '/admin/advanced/errors/export', middleware, middlewares, controllers.admin.errors.export);
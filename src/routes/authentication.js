@@ -4,10 +4,12 @@ var async = require('async');
 var passport = require('passport');
 var passportLocal = require('passport-local').Strategy;
 var winston = require('winston');
+var nconf = require('nconf');
 
 var controllers = require('../controllers');
 var helpers = require('../controllers/helpers');
 var plugins = require('../plugins');
+var user = require('../user');
 
 var loginStrategies = [];
 
@@ -23,6 +25,7 @@ Auth.initialize = function (app, middleware) {
 		passportSessionMiddleware(req, res, next);
 	});
 
+	app.use(Auth.verifyToken);
 	app.use(Auth.setAuthVars);
 
 	Auth.app = app;
@@ -42,6 +45,36 @@ Auth.setAuthVars = function setAuthVars(req, res, next) {
 	next();
 };
 
+Auth.verifyToken = async function verifyToken(req, res, next) {
+	const header = req.headers.authorization;
+	if (!header || !/^Bearer /i.test(header)) {
+		return next();
+	}
+
+	try {
+		const tokenData = await user.tokens.verify(header.slice(7).trim(), req.ip);
+		let uid = tokenData.uid;
+		if (tokenData.master) {
+			// Master tokens act on behalf of the user passed in `_uid`
+			uid = parseInt((req.body && req.body._uid) || req.query._uid, 10);
+			if (!(uid > 0) || !(await user.exists(uid))) {
+				throw new Error('[[error:invalid-uid]]');
+			}
+		}
+
+		const isAdminRoute = /^\/(api\/)?admin(\/|$)/.test(req.path.replace(nconf.get('relative_path'), ''));
+		if (isAdminRoute && !user.tokens.hasScope(tokenData, 'admin')) {
+			throw new Error('[[error:invalid-token-scope]]');
+		}
+
+		req.user = { uid: uid };
+		res.locals.apiToken = tokenData;
+		next();
+	} catch (err) {
+		helpers.formatApiResponse(401, res, err);
+	}
+};
+
 Auth.getLoginStrategies = function () {
 	return loginStrategies;
 };
@@ -54,6 +87,7 @@ Auth.reloadRoutes = async function (params) {
 		plugins.fireHook('action:auth.overrideLogin');
 	} else {
 		passport.use(new passportLocal({ passReqToCallback: true }, controllers.authentication.localLogin));
+		passport.use('ldap', new passportLocal({ passReqToCallback: true }, controllers.authentication.ldapLogin));
 	}
 	try {
 		loginStrategies = await plugins.fireHook('filter:auth.init', loginStrategies);
@@ -128,6 +162,7 @@ Auth.reloadRoutes = async function (params) {
 	router.post('/register/complete', middlewares, controllers.authentication.registerComplete);
 	router.post('/register/abort', controllers.authentication.registerAbort);
 	router.post('/login', Auth.middleware.applyCSRF, Auth.middleware.applyBlacklist, controllers.authentication.login);
+	router.post('/login/2fa', Auth.middleware.applyCSRF, Auth.middleware.applyBlacklist, controllers.authentication.loginTwoFactor);
 	router.post('/logout', Auth.middleware.applyCSRF, controllers.authentication.logout);
 };
 
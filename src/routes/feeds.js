@@ -82,7 +82,7 @@ async function generateForTopic(req, res) {
 		topics.modifyPostsByPrivilege(topicData, userPrivileges);
 
 		const feed = new rss({
-			title: utils.stripHTMLTags(topicData.title, utils.tags),
+			title: getTopicTitle(topicData),
 			description: topicData.posts.length ? topicData.posts[0].content : '',
 			feed_url: nconf.get('url') + '/topic/' + tid + '.rss',
 			site_url: nconf.get('url') + '/topic/' + topicData.slug,
@@ -100,7 +100,7 @@ async function generateForTopic(req, res) {
 				const dateStamp = new Date(parseInt(parseInt(postData.edited, 10) === 0 ? postData.timestamp : postData.edited, 10)).toUTCString();
 
 				feed.item({
-					title: 'Reply to ' + utils.stripHTMLTags(topicData.title, utils.tags) + ' on ' + dateStamp,
+					title: 'Reply to ' + getTopicTitle(topicData) + ' on ' + dateStamp,
 					description: postData.content,
 					url: nconf.get('url') + '/post/' + postData.pid,
 					author: postData.user ? postData.user.username : '',
@@ -274,7 +274,7 @@ async function generateTopicsFeed(feedOptions, feedTopics) {
 
 	async function addFeedItem(topicData) {
 		const feedItem = {
-			title: utils.stripHTMLTags(topicData.title, utils.tags),
+			title: getTopicTitle(topicData),
 			url: nconf.get('url') + '/topic/' + topicData.slug,
 			date: new Date(topicData.lastposttime).toUTCString(),
 		};
@@ -359,7 +359,7 @@ function generateForPostsFeed(feedOptions, posts) {
 
 	posts.forEach(function (postData) {
 		feed.item({
-			title: postData.topic ? postData.topic.title : '',
+			title: postData.topic ? getTopicTitle(postData.topic) : '',
 			description: postData.content,
 			url: nconf.get('url') + '/post/' + postData.pid,
 			author: postData.user ? postData.user.username : '',
@@ -410,6 +410,11 @@ async function generateForTag(req, res) {
 	}, 'tag:' + tag + ':topics', res);
 }
 
+function getTopicTitle(topicData) {
+	const title = utils.stripHTMLTags(topicData.title, utils.tags);
+	return topicData.prefix ? '[' + topicData.prefix + '] ' + title : title;
+}
+
 function sendFeed(feed, res) {
 	const xml = feed.xml();
 	res.type('xml').set('Content-Length', Buffer.byteLength(xml)).send(xml);
@@ -3,17 +3,28 @@
 var helpers = module.exports;
 
 helpers.setupPageRoute = function (router, name, middleware, middlewares, controller) {
-	middlewares = [middleware.maintenanceMode, middleware.registrationComplete, middleware.pageView, middleware.pluginHooks].concat(middlewares);
+	middlewares = [middleware.maintenanceMode, middleware.registrationComplete, middleware.requireTwoFactorSetup, middleware.pageView, middleware.pluginHooks].concat(middlewares);
 
 	router.get(name, middleware.busyCheck, middleware.buildHeader, middlewares, helpers.tryRoute(controller));
 	router.get('/api' + name, middlewares, helpers.tryRoute(controller));
 };
 
 helpers.setupAdminPageRoute = function (router, name, middleware, middlewares, controller) {
+	middlewares = [middleware.requireTwoFactorSetup].concat(middlewares);
 	router.get(name, middleware.admin.buildHeader, middlewares, helpers.tryRoute(controller));
 	router.get('/api' + name, middlewares, helpers.tryRoute(controller));
 };
 
+helpers.setupApiRoute = function (router, verb, name, middlewares, controller) {
+	router[verb](name, middlewares, async function (req, res, next) {
+		try {
+			await controller(req, res);
+		} catch (err) {
+			next(err);
+		}
+	});
+};
+
 helpers.tryRoute = function (controller) {
 	if (controller && controller.constructor && controller.constructor.name === 'AsyncFunction') {
 		return async function (req, res, next) {
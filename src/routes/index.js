@@ -12,6 +12,7 @@ var plugins = require('../plugins');
 var accountRoutes = require('./accounts');
 var metaRoutes = require('./meta');
 var apiRoutes = require('./api');
+var writeRoutes = require('./write');
 var adminRoutes = require('./admin');
 var feedRoutes = require('./feeds');
 var authRoutes = require('./authentication');
@@ -23,6 +24,7 @@ function mainRoutes(app, middleware, controllers) {
 	var loginRegisterMiddleware = [middleware.redirectToAccountIfLoggedIn];
 
 	setupPageRoute(app, '/login', middleware, loginRegisterMiddleware, controllers.login);
+	setupPageRoute(app, '/login/2fa', middleware, [], controllers.loginTwoFactor);
 	setupPageRoute(app, '/register', middleware, loginRegisterMiddleware, controllers.register);
 	setupPageRoute(app, '/register/complete', middleware, [], controllers.registerInterstitial);
 	setupPageRoute(app, '/compose', middleware, [], controllers.composer.get);
@@ -119,6 +121,7 @@ module.exports = async function (app, middleware) {
 function addCoreRoutes(app, router, middleware) {
 	adminRoutes(router, middleware, controllers);
 	metaRoutes(router, middleware, controllers);
+	writeRoutes(router, middleware, controllers);
 	apiRoutes(router, middleware, controllers);
 	feedRoutes(router, middleware, controllers);
 
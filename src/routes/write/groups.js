@@ -0,0 +1,15 @@
+'use strict';
+
+const express = require('express');
+
+const { setupApiRoute } = require('../helpers');
+
+module.exports = function (middleware, controllers) {
+	const router = express.Router();
+	const Groups = controllers.write.groups;
+
+	setupApiRoute(router, 'put', '/:slug/membership', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Groups.join);
+	setupApiRoute(router, 'delete', '/:slug/membership', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Groups.leave);
+
+	return router;
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+const express = require('express');
+
+const helpers = require('../../controllers/helpers');
+
+module.exports = function (app, middleware, controllers) {
+	const router = express.Router();
+	app.use('/api/v1', router);
+
+	router.use(middleware.maintenanceMode);
+	router.use(function (req, res, next) {
+		// Requests authenticated with an api token carry no session cookie to protect
+		if (res.locals.apiToken) {
+			return next();
+		}
+		middleware.applyCSRF(req, res, next);
+	});
+	router.use(middleware.rejectPendingTwoFactorSetup);
+
+	router.use('/topics', require('./topics')(middleware, controllers));
+	router.use('/posts', require('./posts')(middleware, controllers));
+	router.use('/users', require('./users')(middleware, controllers));
+	router.use('/groups', require('./groups')(middleware, controllers));
+
+	router.use(function (req, res) {
+		helpers.formatApiResponse(404, res, new Error('[[error:invalid-route]]'));
+	});
+
+	// this needs to have four arguments or express treats it as `(req, res, next)`
+	router.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
+		helpers.formatApiResponse(helpers.getApiErrorStatusCode(err), res, err);
+	});
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const express = require('express');
+
+const { setupApiRoute } = require('../helpers');
+
+module.exports = function (middleware, controllers) {
+	const router = express.Router();
+	const Posts = controllers.write.posts;
+
+	setupApiRoute(router, 'put', '/:pid', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.edit);
+	setupApiRoute(router, 'delete', '/:pid', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Posts.purge);
+
+	setupApiRoute(router, 'put', '/:pid/state', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.restore);
+	setupApiRoute(router, 'delete', '/:pid/state', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.delete);
+
+	setupApiRoute(router, 'put', '/:pid/vote', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.vote);
+	setupApiRoute(router, 'delete', '/:pid/vote', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.unvote);
+
+	setupApiRoute(router, 'get', '/:pid/reactions/:reaction', [middleware.authenticateOrGuest, middleware.checkTokenScope('read')], Posts.getReactors);
+	setupApiRoute(router, 'put', '/:pid/reactions/:reaction', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.react);
+	setupApiRoute(router, 'delete', '/:pid/reactions/:reaction', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.unreact);
+
+	setupApiRoute(router, 'put', '/:pid/bookmark', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.bookmark);
+	setupApiRoute(router, 'delete', '/:pid/bookmark', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.unbookmark);
+
+	setupApiRoute(router, 'get', '/:pid/diffs', [middleware.authenticateOrGuest, middleware.checkTokenScope('read')], Posts.getDiffs);
+	setupApiRoute(router, 'get', '/:pid/diffs/:from/:to', [middleware.authenticateOrGuest, middleware.checkTokenScope('read')], Posts.compareDiffs);
+	setupApiRoute(router, 'put', '/:pid/diffs/:since', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Posts.restoreDiff);
+	setupApiRoute(router, 'delete', '/:pid/diffs/:timestamp', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Posts.deleteDiff);
+
+	return router;
+};
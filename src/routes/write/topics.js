@@ -0,0 +1,35 @@
+'use strict';
+
+const express = require('express');
+
+const { setupApiRoute } = require('../helpers');
+
+module.exports = function (middleware, controllers) {
+	const router = express.Router();
+	const Topics = controllers.write.topics;
+
+	setupApiRoute(router, 'post', '/', [middleware.authenticateOrGuest, middleware.checkTokenScope('write:posts')], Topics.create);
+	setupApiRoute(router, 'post', '/:tid', [middleware.authenticateOrGuest, middleware.checkTokenScope('write:posts')], Topics.reply);
+	setupApiRoute(router, 'delete', '/:tid', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Topics.purge);
+
+	setupApiRoute(router, 'put', '/:tid/state', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.restore);
+	setupApiRoute(router, 'delete', '/:tid/state', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.delete);
+
+	setupApiRoute(router, 'put', '/:tid/pin', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Topics.pin);
+	setupApiRoute(router, 'delete', '/:tid/pin', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Topics.unpin);
+
+	setupApiRoute(router, 'put', '/:tid/wiki', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Topics.wiki);
+	setupApiRoute(router, 'delete', '/:tid/wiki', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Topics.unwiki);
+
+	setupApiRoute(router, 'put', '/:tid/follow', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.follow);
+	setupApiRoute(router, 'delete', '/:tid/follow', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.unfollow);
+
+	setupApiRoute(router, 'get', '/:tid/poll', [middleware.authenticateOrGuest, middleware.checkTokenScope('read')], Topics.getPoll);
+	setupApiRoute(router, 'put', '/:tid/poll/vote', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.votePoll);
+	setupApiRoute(router, 'delete', '/:tid/poll/vote', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.unvotePoll);
+
+	setupApiRoute(router, 'put', '/:tid/schedule', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.reschedule);
+	setupApiRoute(router, 'delete', '/:tid/schedule', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Topics.publish);
+
+	return router;
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+const express = require('express');
+
+const { setupApiRoute } = require('../helpers');
+
+module.exports = function (middleware, controllers) {
+	const router = express.Router();
+	const Users = controllers.write.users;
+
+	setupApiRoute(router, 'post', '/', [middleware.authenticateApi, middleware.checkTokenScope('admin')], Users.create);
+	setupApiRoute(router, 'put', '/:uid', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Users.update);
+
+	setupApiRoute(router, 'put', '/:uid/follow', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Users.follow);
+	setupApiRoute(router, 'delete', '/:uid/follow', [middleware.authenticateApi, middleware.checkTokenScope('write:posts')], Users.unfollow);
+
+	setupApiRoute(router, 'put', '/:uid/ban', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Users.ban);
+	setupApiRoute(router, 'delete', '/:uid/ban', [middleware.authenticateApi, middleware.checkTokenScope('moderate')], Users.unban);
+
+	return router;
+};
@@ -31,6 +31,10 @@ SocketAdmin.logs = require('./admin/logs');
 SocketAdmin.errors = require('./admin/errors');
 SocketAdmin.uploads = require('./admin/uploads');
 SocketAdmin.digest = require('./admin/digest');
+SocketAdmin.webhooks = require('./admin/webhooks');
+SocketAdmin.cannedResponses = require('./admin/cannedResponses');
+SocketAdmin.warnings = require('./admin/warnings');
+SocketAdmin.ldap = require('./admin/ldap');
 
 SocketAdmin.before = async function (socket, method) {
 	const isAdmin = await user.isAdministrator(socket.uid);
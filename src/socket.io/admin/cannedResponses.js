@@ -0,0 +1,24 @@
+'use strict';
+
+const cannedResponses = require('../../cannedResponses');
+
+const CannedResponses = module.exports;
+
+CannedResponses.get = async function (socket, id) {
+	return await cannedResponses.get(id);
+};
+
+CannedResponses.create = async function (socket, data) {
+	return await cannedResponses.create(data);
+};
+
+CannedResponses.update = async function (socket, data) {
+	if (!data || !data.id) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	return await cannedResponses.update(data.id, data);
+};
+
+CannedResponses.delete = async function (socket, id) {
+	await cannedResponses.delete(id);
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+const ldap = require('../../ldap');
+
+const Ldap = module.exports;
+
+// Uses the values currently in the form so settings can be checked before they are saved
+Ldap.testConnection = async function (socket, settings) {
+	return await ldap.testConnection(settings || {});
+};
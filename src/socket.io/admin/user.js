@@ -62,6 +62,42 @@ User.createUser = async function (socket, userData) {
 	return await user.create(userData);
 };
 
+User.createMasterToken = async function (socket, data) {
+	if (!data) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const tokenData = await user.tokens.create(0, {
+		master: true,
+		description: data.description,
+		scopes: data.scopes,
+		expiry: data.expiry,
+	});
+	await events.log({
+		type: 'token-create',
+		uid: socket.uid,
+		ip: socket.ip,
+		tokenId: tokenData.id,
+		scopes: tokenData.scopes.join(', '),
+		master: true,
+	});
+	return tokenData;
+};
+
+User.revokeToken = async function (socket, id) {
+	const tokenData = await user.tokens.get(id);
+	if (!tokenData) {
+		throw new Error('[[error:invalid-token]]');
+	}
+	await user.tokens.revoke(id);
+	await events.log({
+		type: 'token-revoke',
+		uid: socket.uid,
+		targetUid: tokenData.uid || undefined,
+		ip: socket.ip,
+		tokenId: id,
+	});
+};
+
 User.resetLockouts = async function (socket, uids) {
 	if (!Array.isArray(uids)) {
 		throw new Error('[[error:invalid-data]]');
@@ -69,6 +105,22 @@ User.resetLockouts = async function (socket, uids) {
 	await Promise.all(uids.map(uid => user.auth.resetLockout(uid)));
 };
 
+User.resetTwoFactor = async function (socket, uids) {
+	if (!Array.isArray(uids)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	for (const uid of uids) {
+		/* eslint-disable no-await-in-loop */
+		await user.totp.disable(uid);
+		await events.log({
+			type: '2fa-reset',
+			uid: socket.uid,
+			targetUid: uid,
+			ip: socket.ip,
+		});
+	}
+};
+
 User.validateEmail = async function (socket, uids) {
 	if (!Array.isArray(uids)) {
 		throw new Error('[[error:invalid-data]]');
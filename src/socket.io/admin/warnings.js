@@ -0,0 +1,18 @@
+'use strict';
+
+const user = require('../../user');
+
+const Warnings = module.exports;
+
+Warnings.addRule = async function (socket, data) {
+	if (!data) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	await user.warnings.addRule(data);
+	return await user.warnings.getRules();
+};
+
+Warnings.removeRule = async function (socket, id) {
+	await user.warnings.removeRule(id);
+	return await user.warnings.getRules();
+};
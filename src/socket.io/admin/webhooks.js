@@ -0,0 +1,32 @@
+'use strict';
+
+const webhooks = require('../../webhooks');
+
+const Webhooks = module.exports;
+
+Webhooks.get = async function (socket, id) {
+	return await webhooks.get(id);
+};
+
+Webhooks.create = async function (socket, data) {
+	return await webhooks.create(data);
+};
+
+Webhooks.update = async function (socket, data) {
+	if (!data || !data.id) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	return await webhooks.update(data.id, data);
+};
+
+Webhooks.delete = async function (socket, id) {
+	await webhooks.delete(id);
+};
+
+Webhooks.ping = async function (socket, id) {
+	return await webhooks.ping(id);
+};
+
+Webhooks.redeliver = async function (socket, did) {
+	return await webhooks.redeliver(did);
+};
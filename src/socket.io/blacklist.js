@@ -19,11 +19,29 @@ SocketBlacklist.addRule = async function (socket, rule) {
 	await blacklist(socket, 'addRule', rule);
 };
 
-async function blacklist(socket, method, rule) {
+SocketBlacklist.releaseThrottledIp = async function (socket, ip) {
+	if (!ip || typeof ip !== 'string') {
+		throw new Error('[[error:invalid-data]]');
+	}
+	await checkPrivileges(socket);
+	await user.auth.releaseIp(ip);
+	await events.log({
+		type: 'ip-throttle-released',
+		uid: socket.uid,
+		ip: socket.ip,
+		targetIp: ip,
+	});
+};
+
+async function checkPrivileges(socket) {
 	const isAdminOrGlobalMod = await user.isAdminOrGlobalMod(socket.uid);
 	if (!isAdminOrGlobalMod) {
 		throw new Error('[[error:no-privileges]]');
 	}
+}
+
+async function blacklist(socket, method, rule) {
+	await checkPrivileges(socket);
 	await meta.blacklist[method](rule);
 	await events.log({
 		type: 'ip-blacklist-' + method,
@@ -69,6 +69,7 @@ SocketCategories.loadMore = async function (socket, data) {
 		settings: settings,
 		query: data.query,
 		tag: data.query.tag,
+		prefix: data.query.prefix,
 		targetUid: targetUid,
 	});
 	categories.modifyTopicsByPrivilege(data.topics, userPrivileges);
@@ -150,4 +151,47 @@ SocketCategories.getCategory = async function (socket, cid) {
 	return await apiController.getCategoryData(cid, socket.uid);
 };
 
+SocketCategories.getPrefixes = async function (socket, data) {
+	if (!data || !data.cid) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const [canRead, prefixes, required] = await Promise.all([
+		privileges.categories.can('read', data.cid, socket.uid),
+		categories.getPrefixes([data.cid]),
+		categories.getCategoryField(data.cid, 'requirePrefix'),
+	]);
+	if (!canRead) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	return { prefixes: prefixes[0], required: !!required };
+};
+
+SocketCategories.getTopicTemplate = async function (socket, data) {
+	if (!data || !data.cid) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const [canCreate, templateData] = await Promise.all([
+		privileges.categories.can('topics:create', data.cid, socket.uid),
+		categories.getTopicTemplate(data.cid),
+	]);
+	if (!canCreate) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	return templateData;
+};
+
+// Moderators manage the prefixes of their own categories
+SocketCategories.setPrefixes = async function (socket, data) {
+	if (!data || !data.cid || !Array.isArray(data.prefixes)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const isAdminOrMod = await privileges.categories.isAdminOrMod(data.cid, socket.uid);
+	if (!isAdminOrMod) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	await categories.update({
+		[data.cid]: { prefixes: data.prefixes, requirePrefix: data.required ? 1 : 0 },
+	});
+};
+
 require('../promisify')(SocketCategories);
@@ -1,6 +1,8 @@
 'use strict';
 
 const user = require('../user');
+const posts = require('../posts');
+const privileges = require('../privileges');
 const flags = require('../flags');
 
 const SocketFlags = module.exports;
@@ -53,7 +55,7 @@ SocketFlags.appendNote = async function (socket, data) {
 	if (!allowed) {
 		throw new Error('[[no-privileges]]');
 	}
-	await flags.appendNote(data.flagId, socket.uid, data.note);
+	await flags.appendNote(data.flagId, socket.uid, data.note, null, data.send);
 
 	const [notes, history] = await Promise.all([
 		flags.getNotes(data.flagId),
@@ -62,4 +64,21 @@ SocketFlags.appendNote = async function (socket, data) {
 	return { notes: notes, history: history };
 };
 
+SocketFlags.reverseAutoAction = async function (socket, data) {
+	if (!data || !data.flagId) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const flagData = await flags.get(data.flagId);
+	if (!flagData || flagData.type !== 'post') {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const cid = await posts.getCidByPid(flagData.targetId);
+	const isAdminOrMod = await privileges.categories.isAdminOrMod(cid, socket.uid);
+	if (!isAdminOrMod) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	await flags.reverseAutoAction(flagData.targetId, socket.uid);
+	return await flags.getHistory(data.flagId);
+};
+
 require('../promisify')(SocketFlags);
@@ -151,38 +151,49 @@ SocketHelpers.upvote = async function (data, notification) {
 		return;
 	}
 
-	const votes = data.post.votes;
-	const touid = data.post.uid;
-	const fromuid = data.fromuid;
-	const pid = data.post.pid;
+	const settings = await user.getSettings(data.post.uid);
+	if (shouldNotify(settings.upvoteNotifFreq, data.post.votes)) {
+		SocketHelpers.sendNotificationToPostOwner(data.post.pid, data.fromuid, 'upvote', notification);
+	}
+};
+
+SocketHelpers.reaction = async function (data, notification) {
+	if (!data || !data.post || !data.post.uid || !data.post.pid || !data.fromuid || !data.reacted) {
+		return;
+	}
+	// The frequency applies to the total of all reactions on the post
+	const count = (data.reactions || []).reduce((total, reaction) => total + reaction.count, 0);
+	const settings = await user.getSettings(data.post.uid);
+	if (shouldNotify(settings.reactionNotifFreq, count)) {
+		SocketHelpers.sendNotificationToPostOwner(data.post.pid, data.fromuid, 'reaction', notification);
+	}
+};
 
-	const shouldNotify = {
+// `freq` is one of the upvote/reaction notification frequency settings
+function shouldNotify(freq, count) {
+	const frequencies = {
 		all: function () {
-			return votes > 0;
+			return count > 0;
 		},
 		first: function () {
-			return votes === 1;
+			return count === 1;
 		},
 		everyTen: function () {
-			return votes > 0 && votes % 10 === 0;
+			return count > 0 && count % 10 === 0;
 		},
 		threshold: function () {
-			return [1, 5, 10, 25].includes(votes) || (votes >= 50 && votes % 50 === 0);
+			return [1, 5, 10, 25].includes(count) || (count >= 50 && count % 50 === 0);
 		},
 		logarithmic: function () {
-			return votes > 1 && Math.log10(votes) % 1 === 0;
+			return count > 1 && Math.log10(count) % 1 === 0;
 		},
 		disabled: function () {
 			return false;
 		},
 	};
-	const settings = await user.getSettings(touid);
-	const should = shouldNotify[settings.upvoteNotifFreq] || shouldNotify.all;
-
-	if (should()) {
-		SocketHelpers.sendNotificationToPostOwner(pid, fromuid, 'upvote', notification);
-	}
-};
+	const should = frequencies[freq] || frequencies.all;
+	return should();
+}
 
 SocketHelpers.rescindUpvoteNotification = async function (pid, fromuid) {
 	await notifications.rescind('upvote:post:' + pid + ':uid:' + fromuid);
@@ -191,6 +202,13 @@ SocketHelpers.rescindUpvoteNotification = async function (pid, fromuid) {
 	websockets.in('uid_' + uid).emit('event:notifications.updateCount', count);
 };
 
+SocketHelpers.rescindReactionNotification = async function (pid, fromuid) {
+	await notifications.rescind('reaction:post:' + pid + ':uid:' + fromuid);
+	const uid = await posts.getPostField(pid, 'uid');
+	const count = await user.notifications.getUnreadCount(uid);
+	websockets.in('uid_' + uid).emit('event:notifications.updateCount', count);
+};
+
 SocketHelpers.emitToTopicAndCategory = function (event, data) {
 	websockets.in('topic_' + data.tid).emit(event, data);
 	websockets.in('category_' + data.cid).emit(event, data);
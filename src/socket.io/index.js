@@ -134,6 +134,7 @@ async function onMessage(socket, payload) {
 	try {
 		await checkMaintenance(socket);
 		await validateSession(socket);
+		await checkTwoFactorSetup(socket, eventName);
 
 		if (Namespaces[namespace].before) {
 			await Namespaces[namespace].before(socket, eventName, params);
@@ -193,6 +194,27 @@ async function validateSession(socket) {
 	return result;
 }
 
+// Until the required 2FA is set up, only the calls needed by the setup page itself are let through
+const twoFactorSetupEvents = ['user.enableTwoFactor', 'meta.rooms.enter', 'meta.rooms.leaveCurrent'];
+
+async function checkTwoFactorSetup(socket, eventName) {
+	if (!(socket.uid > 0) || twoFactorSetupEvents.includes(eventName)) {
+		return;
+	}
+	const req = socket.request;
+	if (!req.signedCookies || !req.signedCookies[nconf.get('sessionKey')]) {
+		return;
+	}
+	const sessionData = await getSessionAsync(req.signedCookies[nconf.get('sessionKey')]);
+	if (!sessionData || !sessionData.twoFactorSetup) {
+		return;
+	}
+	const enabled = await user.totp.isEnabled(socket.uid);
+	if (!enabled) {
+		throw new Error('[[error:2fa-setup-required]]');
+	}
+}
+
 const cookieParserAsync = util.promisify((req, callback) => cookieParser(req, {}, err => callback(err)));
 
 async function authorize(socket, callback) {
@@ -254,3 +276,13 @@ Sockets.reqFromSocket = function (socket, payload, event) {
 		headers: headers,
 	};
 };
+
+Sockets.socketFromReq = function (req) {
+	// Lets HTTP routes (e.g. the write api) call socket methods and reuse their checks
+	return {
+		uid: req.uid,
+		ip: req.ip,
+		request: req,
+		emit: function () {},
+	};
+};
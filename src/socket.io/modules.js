@@ -11,12 +11,14 @@ const utils = require('../utils');
 const server = require('./index');
 const user = require('../user');
 const privileges = require('../privileges');
+const cannedResponses = require('../cannedResponses');
 
 const SocketModules = module.exports;
 
 SocketModules.chats = {};
 SocketModules.sounds = {};
 SocketModules.settings = {};
+SocketModules.cannedResponses = {};
 
 /* Chat */
 
@@ -295,4 +297,19 @@ SocketModules.sounds.getUserSoundMap = async function getUserSoundMap(socket) {
 	return await meta.sounds.getUserSoundMap(socket.uid);
 };
 
+/* Canned responses */
+SocketModules.cannedResponses.list = async function (socket) {
+	const [isPrivileged, canBan] = await Promise.all([
+		user.isPrivileged(socket.uid),
+		privileges.users.hasBanPrivilege(socket.uid),
+	]);
+	if (!isPrivileged && !canBan) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	return {
+		responses: await cannedResponses.list(),
+		sendMethods: cannedResponses.sendMethods,
+	};
+};
+
 require('../promisify')(SocketModules);
@@ -18,6 +18,7 @@ const SocketPosts = module.exports;
 require('./posts/edit')(SocketPosts);
 require('./posts/move')(SocketPosts);
 require('./posts/votes')(SocketPosts);
+require('./posts/reactions')(SocketPosts);
 require('./posts/bookmarks')(SocketPosts);
 require('./posts/tools')(SocketPosts);
 require('./posts/diffs')(SocketPosts);
@@ -162,7 +163,7 @@ SocketPosts.accept = async function (socket, data) {
 };
 
 SocketPosts.reject = async function (socket, data) {
-	await acceptOrReject(posts.removeFromQueue, socket, data);
+	await acceptOrReject(posts.rejectFromQueue, socket, data);
 };
 
 async function acceptOrReject(method, socket, data) {
@@ -170,7 +171,7 @@ async function acceptOrReject(method, socket, data) {
 	if (!canEditQueue) {
 		throw new Error('[[error:no-privileges]]');
 	}
-	await method(data.id);
+	await method(data.id, socket.uid, data.reason, data.send);
 }
 
 SocketPosts.editQueuedContent = async function (socket, data) {
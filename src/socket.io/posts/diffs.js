@@ -1,7 +1,10 @@
 'use strict';
 
 const posts = require('../../posts');
+const user = require('../../user');
 const privileges = require('../../privileges');
+const websockets = require('../index');
+const helpers = require('./helpers');
 
 module.exports = function (SocketPosts) {
 	SocketPosts.getDiffs = async function (socket, data) {
@@ -11,11 +14,55 @@ module.exports = function (SocketPosts) {
 		return timestamps;
 	};
 
+	SocketPosts.getDiffEditors = async function (socket, data) {
+		await privilegeCheck(data.pid, socket.uid);
+		return await posts.diffs.getEditors(data.pid);
+	};
+
+	SocketPosts.getDiffPrivileges = async function (socket, data) {
+		await privilegeCheck(data.pid, socket.uid);
+		const [canEdit, isAdmin] = await Promise.all([
+			privileges.posts.canEdit(data.pid, socket.uid),
+			user.isAdministrator(socket.uid),
+		]);
+		return { restore: canEdit.flag, delete: isAdmin };
+	};
+
 	SocketPosts.showPostAt = async function (socket, data) {
 		await privilegeCheck(data.pid, socket.uid);
 		return await posts.diffs.load(data.pid, data.since, socket.uid);
 	};
 
+	SocketPosts.compareDiffs = async function (socket, data) {
+		if (!data || !data.from || !data.to) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await privilegeCheck(data.pid, socket.uid);
+		return await posts.diffs.compare(data.pid, data.from, data.to);
+	};
+
+	SocketPosts.restoreDiff = async function (socket, data) {
+		if (!data || !data.since) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await privilegeCheck(data.pid, socket.uid);
+		const editResult = await posts.diffs.restore(data.pid, data.since, socket.uid, websockets.reqFromSocket(socket));
+		await helpers.emitPostEdited(socket, editResult);
+		return editResult.post;
+	};
+
+	SocketPosts.deleteDiff = async function (socket, data) {
+		if (!data || !data.timestamp) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await privilegeCheck(data.pid, socket.uid);
+		const isAdmin = await user.isAdministrator(socket.uid);
+		if (!isAdmin) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		await posts.diffs.delete(data.pid, data.timestamp);
+	};
+
 	async function privilegeCheck(pid, uid) {
 		const [deleted, privilegesData] = await Promise.all([
 			posts.getPostField(pid, 'deleted'),
@@ -1,14 +1,13 @@
 'use strict';
 
 const validator = require('validator');
-const _ = require('lodash');
 
 const posts = require('../../posts');
-const groups = require('../../groups');
 const events = require('../../events');
 const meta = require('../../meta');
 const utils = require('../../utils');
 const websockets = require('../index');
+const helpers = require('./helpers');
 
 module.exports = function (SocketPosts) {
 	SocketPosts.edit = async function (socket, data) {
@@ -50,20 +49,7 @@ module.exports = function (SocketPosts) {
 			});
 		}
 
-		if (!editResult.post.deleted) {
-			websockets.in('topic_' + editResult.topic.tid).emit('event:post_edited', editResult);
-			return editResult.post;
-		}
-
-		const memberData = await groups.getMembersOfGroups([
-			'administrators',
-			'Global Moderators',
-			'cid:' + editResult.topic.cid + ':privileges:moderate',
-			'cid:' + editResult.topic.cid + ':privileges:groups:moderate',
-		]);
-
-		const uids = _.uniq(_.flatten(memberData).concat(socket.uid.toString()));
-		uids.forEach(uid =>	websockets.in('uid_' + uid).emit('event:post_edited', editResult));
+		await helpers.emitPostEdited(socket, editResult);
 		return editResult.post;
 	};
 };
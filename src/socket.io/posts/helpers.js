@@ -1,7 +1,9 @@
 'use strict';
 
+const _ = require('lodash');
 
 const posts = require('../../posts');
+const groups = require('../../groups');
 const plugins = require('../../plugins');
 const websockets = require('../index');
 const socketHelpers = require('../helpers');
@@ -60,3 +62,21 @@ async function executeCommand(socket, command, eventName, notification, data) {
 	}
 	return result;
 }
+
+// Deleted posts are only sent to the editor and the moderators
+helpers.emitPostEdited = async function (socket, editResult) {
+	if (!editResult.post.deleted) {
+		websockets.in('topic_' + editResult.topic.tid).emit('event:post_edited', editResult);
+		return;
+	}
+
+	const memberData = await groups.getMembersOfGroups([
+		'administrators',
+		'Global Moderators',
+		'cid:' + editResult.topic.cid + ':privileges:moderate',
+		'cid:' + editResult.topic.cid + ':privileges:groups:moderate',
+	]);
+
+	const uids = _.uniq(_.flatten(memberData).concat(socket.uid.toString()));
+	uids.forEach(uid =>	websockets.in('uid_' + uid).emit('event:post_edited', editResult));
+};
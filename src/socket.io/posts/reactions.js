@@ -0,0 +1,67 @@
+'use strict';
+
+const posts = require('../../posts');
+const privileges = require('../../privileges');
+const plugins = require('../../plugins');
+const websockets = require('../index');
+const socketHelpers = require('../helpers');
+
+module.exports = function (SocketPosts) {
+	SocketPosts.react = async function (socket, data) {
+		return await reactionCommand(socket, 'react', data);
+	};
+
+	SocketPosts.unreact = async function (socket, data) {
+		return await reactionCommand(socket, 'unreact', data);
+	};
+
+	SocketPosts.getReactors = async function (socket, data) {
+		if (!data || !data.pid || !data.reaction) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const canRead = await privileges.posts.can('topics:read', data.pid, socket.uid);
+		if (!canRead) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		return await posts.reactions.getReactors(data.pid, data.reaction, data.start, data.stop);
+	};
+
+	async function reactionCommand(socket, command, data) {
+		if (!socket.uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		if (!data || !data.pid || !data.reaction) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const postData = await posts.getPostFields(data.pid, ['pid', 'tid', 'deleted']);
+		if (!postData.pid) {
+			throw new Error('[[error:invalid-pid]]');
+		}
+		if (postData.deleted) {
+			throw new Error('[[error:post-deleted]]');
+		}
+
+		/*
+		hooks:
+			filter:post.react
+			filter:post.unreact
+		 */
+		const filtered = await plugins.fireHook('filter:post.' + command, { data: data, uid: socket.uid });
+		const method = command === 'react' ? 'add' : 'remove';
+		const result = await posts.reactions[method](filtered.data.pid, socket.uid, String(filtered.data.reaction));
+
+		websockets.in('topic_' + postData.tid).emit('event:reactions_updated', {
+			pid: postData.pid,
+			uid: socket.uid,
+			reaction: result.reaction,
+			reacted: result.reacted,
+			reactions: result.reactions.map(reaction => ({ name: reaction.name, emoji: reaction.emoji, count: reaction.count })),
+		});
+		if (result.reacted) {
+			socketHelpers.reaction(result, 'notifications:reacted_to_your_post_in');
+		} else if (!result.reactions.some(reaction => reaction.reacted)) {
+			socketHelpers.rescindReactionNotification(postData.pid, socket.uid);
+		}
+		return result;
+	}
+};
@@ -28,7 +28,7 @@ module.exports = function (SocketPosts) {
 			canPurge: privileges.posts.canPurge(data.pid, socket.uid),
 			canFlag: privileges.posts.canFlag(data.pid, socket.uid),
 			bookmarked: posts.hasBookmarked(data.pid, socket.uid),
-			tools: plugins.fireHook('filter:post.tools', { pid: data.pid, uid: socket.uid, tools: [] }),
+			tools: getPostTools(data.pid, socket.uid),
 			postSharing: social.getActivePostSharing(),
 			history: posts.diffs.exists(data.pid),
 			canViewInfo: privileges.global.can('view:users:info', socket.uid),
@@ -55,6 +55,11 @@ module.exports = function (SocketPosts) {
 		return results;
 	};
 
+	async function getPostTools(pid, uid) {
+		const tools = await topics.questions.getPostTools(pid, uid);
+		return await plugins.fireHook('filter:post.tools', { pid: pid, uid: uid, tools: tools });
+	}
+
 	SocketPosts.delete = async function (socket, data) {
 		await deleteOrRestore(socket, data, {
 			command: 'delete',
@@ -163,6 +168,24 @@ module.exports = function (SocketPosts) {
 		};
 	}
 
+	SocketPosts.acceptAnswer = async function (socket, data) {
+		if (!data || !data.pid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await topics.questions.accept(data.pid, socket.uid);
+	};
+
+	SocketPosts.unacceptAnswer = async function (socket, data) {
+		if (!data || !data.pid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const tid = await posts.getPostField(data.pid, 'tid');
+		if (!tid) {
+			throw new Error('[[error:no-post]]');
+		}
+		await topics.questions.unaccept(tid, socket.uid);
+	};
+
 	SocketPosts.changeOwner = async function (socket, data) {
 		if (!data || !Array.isArray(data.pids) || !data.toUid) {
 			throw new Error('[[error:invalid-data]]');
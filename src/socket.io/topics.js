@@ -16,13 +16,19 @@ require('./topics/tools')(SocketTopics);
 require('./topics/infinitescroll')(SocketTopics);
 require('./topics/tags')(SocketTopics);
 require('./topics/merge')(SocketTopics);
+require('./topics/polls')(SocketTopics);
 
 SocketTopics.post = async function (socket, data) {
 	if (!data) {
 		throw new Error('[[error:invalid-data]]');
 	}
 
+	// A future timestamp schedules the topic, Topics.post checks the privilege for it
+	const timestamp = parseInt(data.timestamp, 10);
 	socketHelpers.setDefaultPostData(data, socket);
+	if (timestamp > data.timestamp) {
+		data.timestamp = timestamp;
+	}
 	await meta.blacklist.test(data.req.ip);
 	const shouldQueue = await posts.shouldQueue(socket.uid, data);
 	if (shouldQueue) {
@@ -37,7 +43,9 @@ async function postTopic(socket, data) {
 	socket.emit('event:new_post', { posts: [result.postData] });
 	socket.emit('event:new_topic', result.topicData);
 
-	socketHelpers.notifyNew(socket.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+	if (!result.topicData.scheduled) {
+		socketHelpers.notifyNew(socket.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+	}
 	return result.topicData;
 }
 
@@ -115,4 +123,15 @@ SocketTopics.getTopic = async function (socket, tid) {
 	return await apiController.getTopicData(tid, socket.uid);
 };
 
+SocketTopics.getEvents = async function (socket, data) {
+	if (!data || !data.tid) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const canRead = await privileges.topics.can('topics:read', data.tid, socket.uid);
+	if (!canRead) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	return await topics.events.get(data.tid, socket.uid);
+};
+
 require('../promisify')(SocketTopics);
@@ -0,0 +1,57 @@
+'use strict';
+
+const topics = require('../../topics');
+const privileges = require('../../privileges');
+const websockets = require('../index');
+
+module.exports = function (SocketTopics) {
+	SocketTopics.getPoll = async function (socket, data) {
+		if (!data || !data.tid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const canRead = await privileges.topics.can('topics:read', data.tid, socket.uid);
+		if (!canRead) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		return await topics.polls.get(data.tid, socket.uid);
+	};
+
+	SocketTopics.votePoll = async function (socket, data) {
+		if (!data || !data.tid || !data.options) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await canVote(data.tid, socket.uid);
+		await topics.polls.vote(data.tid, socket.uid, data.options);
+		return await onPollUpdated(data.tid, socket.uid);
+	};
+
+	SocketTopics.unvotePoll = async function (socket, data) {
+		if (!data || !data.tid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await canVote(data.tid, socket.uid);
+		await topics.polls.unvote(data.tid, socket.uid);
+		return await onPollUpdated(data.tid, socket.uid);
+	};
+
+	// Voting follows the reply privilege so locked and deleted topics are closed for voting too
+	async function canVote(tid, uid) {
+		if (!uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		if (!await topics.exists(tid)) {
+			throw new Error('[[error:no-topic]]');
+		}
+		const userPrivileges = await privileges.topics.get(tid, uid);
+		if (!userPrivileges['topics:reply']) {
+			throw new Error('[[error:no-privileges]]');
+		}
+	}
+
+	// What a user gets to see depends on their own vote, so viewers are only told to fetch the poll again
+	async function onPollUpdated(tid, uid) {
+		const pollData = await topics.polls.get(tid, uid);
+		websockets.in('topic_' + tid).emit('event:poll_updated', { tid: tid });
+		return pollData;
+	}
+};
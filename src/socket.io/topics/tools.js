@@ -27,7 +27,12 @@ module.exports = function (SocketTopics) {
 			throw new Error('[[error:no-privileges]]');
 		}
 		topicData.privileges = userPrivileges;
-		const result = await plugins.fireHook('filter:topic.thread_tools', { topic: topicData, uid: socket.uid, tools: [] });
+		const [scheduledTools, topicTools] = await Promise.all([
+			topics.scheduled.getThreadTools(topicData, socket.uid),
+			topics.tools.getThreadTools(topicData, socket.uid),
+		]);
+		const tools = scheduledTools.concat(topicTools);
+		const result = await plugins.fireHook('filter:topic.thread_tools', { topic: topicData, uid: socket.uid, tools: tools });
 		result.topic.thread_tools = result.tools;
 		return result.topic;
 	};
@@ -52,6 +57,14 @@ module.exports = function (SocketTopics) {
 		await SocketTopics.doTopicAction('unlock', 'event:topic_unlocked', socket, data);
 	};
 
+	SocketTopics.wiki = async function (socket, data) {
+		await SocketTopics.doTopicAction('wiki', 'event:topic_wiki', socket, data);
+	};
+
+	SocketTopics.unwiki = async function (socket, data) {
+		await SocketTopics.doTopicAction('unwiki', 'event:topic_unwiki', socket, data);
+	};
+
 	SocketTopics.pin = async function (socket, data) {
 		await SocketTopics.doTopicAction('pin', 'event:topic_pinned', socket, data);
 	};
@@ -72,9 +85,10 @@ module.exports = function (SocketTopics) {
 		if (typeof topics.tools[action] !== 'function') {
 			return;
 		}
+		const expiry = action === 'pin' ? data.expiry : undefined;
 		await Promise.all(data.tids.map(async function (tid) {
 			const title = await topics.getTopicField(tid, 'title');
-			const data = await topics.tools[action](tid, socket.uid);
+			const data = await topics.tools[action](tid, socket.uid, expiry);
 			socketHelpers.emitToTopicAndCategory(event, data);
 			await logTopicAction(action, socket, tid, title);
 		}));
@@ -94,6 +108,25 @@ module.exports = function (SocketTopics) {
 		});
 	}
 
+	SocketTopics.publish = async function (socket, data) {
+		await checkCanManageSchedule(socket, data);
+		await topics.scheduled.publish(data.tid);
+	};
+
+	SocketTopics.reschedule = async function (socket, data) {
+		await checkCanManageSchedule(socket, data);
+		await topics.scheduled.reschedule(data.tid, data.timestamp);
+	};
+
+	async function checkCanManageSchedule(socket, data) {
+		if (!data || !data.tid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		if (!await topics.scheduled.canManage(data.tid, socket.uid)) {
+			throw new Error('[[error:no-privileges]]');
+		}
+	}
+
 	SocketTopics.orderPinnedTopics = async function (socket, data) {
 		if (!Array.isArray(data)) {
 			throw new Error('[[error:invalid-data]]');
@@ -25,7 +25,12 @@ require('./user/search')(SocketUser);
 require('./user/status')(SocketUser);
 require('./user/picture')(SocketUser);
 require('./user/ban')(SocketUser);
+require('./user/mute')(SocketUser);
 require('./user/registration')(SocketUser);
+require('./user/tokens')(SocketUser);
+require('./user/drafts')(SocketUser);
+require('./user/totp')(SocketUser);
+require('./user/warnings')(SocketUser);
 
 SocketUser.exists = async function (socket, data) {
 	if (!data || !data.username) {
@@ -11,6 +11,7 @@ const privileges = require('../../privileges');
 const plugins = require('../../plugins');
 const emailer = require('../../emailer');
 const translator = require('../../translator');
+const cannedResponses = require('../../cannedResponses');
 const utils = require('../../../public/src/utils');
 
 module.exports = function (SocketUser) {
@@ -20,20 +21,20 @@ module.exports = function (SocketUser) {
 		}
 
 		await toggleBan(socket.uid, data.uids, async function (uid) {
-			await banUser(socket.uid, uid, data.until || 0, data.reason || '');
+			const reason = await banUser(socket.uid, uid, data.until || 0, data.reason || '', data.send);
 			await events.log({
 				type: 'user-ban',
 				uid: socket.uid,
 				targetUid: uid,
 				ip: socket.ip,
-				reason: data.reason || undefined,
+				reason: reason || undefined,
 			});
 			plugins.fireHook('action:user.banned', {
 				callerUid: socket.uid,
 				ip: socket.ip,
 				uid: uid,
 				until: data.until > 0 ? data.until : undefined,
-				reason: data.reason || undefined,
+				reason: reason || undefined,
 			});
 			await user.auth.revokeAllSessions(uid);
 		});
@@ -68,11 +69,15 @@ module.exports = function (SocketUser) {
 		await Promise.all(uids.map(uid => method(uid)));
 	}
 
-	async function banUser(callerUid, uid, until, reason) {
+	// Returns the reason with the placeholders of canned responses filled in for this user
+	async function banUser(callerUid, uid, until, reason, send) {
 		const isAdmin = await user.isAdministrator(uid);
 		if (isAdmin) {
 			throw new Error('[[error:cant-ban-other-admins]]');
 		}
+		if (reason) {
+			reason = await cannedResponses.apply({ text: reason, fromUid: callerUid, toUid: uid, send: send });
+		}
 		const username = await user.getUserField(uid, 'username');
 		const siteTitle = meta.config.title || 'NodeBB';
 		const data = {
@@ -89,13 +94,10 @@ module.exports = function (SocketUser) {
 		const banData = await user.bans.ban(uid, until, reason);
 		await db.setObjectField('uid:' + uid + ':ban:' + banData.timestamp, 'fromUid', callerUid);
 
-		if (!reason) {
-			reason = await translator.translate('[[user:info.banned-no-reason]]');
-		}
-
 		websockets.in('uid_' + uid).emit('event:banned', {
 			until: until,
-			reason: reason,
+			reason: reason || await translator.translate('[[user:info.banned-no-reason]]'),
 		});
+		return reason;
 	}
 };
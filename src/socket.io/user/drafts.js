@@ -0,0 +1,27 @@
+'use strict';
+
+const user = require('../../user');
+
+module.exports = function (SocketUser) {
+	// Drafts are private, these only ever act on the drafts of the calling user
+	SocketUser.saveDraft = async function (socket, data) {
+		checkLoggedIn(socket);
+		return await user.drafts.save(socket.uid, data);
+	};
+
+	SocketUser.getDraft = async function (socket, data) {
+		checkLoggedIn(socket);
+		return await user.drafts.get(socket.uid, data);
+	};
+
+	SocketUser.discardDraft = async function (socket, data) {
+		checkLoggedIn(socket);
+		await user.drafts.remove(socket.uid, data);
+	};
+
+	function checkLoggedIn(socket) {
+		if (!socket.uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+	}
+};
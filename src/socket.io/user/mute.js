@@ -0,0 +1,74 @@
+'use strict';
+
+const user = require('../../user');
+const websockets = require('../index');
+const events = require('../../events');
+const privileges = require('../../privileges');
+const plugins = require('../../plugins');
+const cannedResponses = require('../../cannedResponses');
+
+module.exports = function (SocketUser) {
+	SocketUser.muteUsers = async function (socket, data) {
+		if (!data || !Array.isArray(data.uids)) {
+			throw new Error('[[error:invalid-data]]');
+		}
+
+		await toggleMute(socket.uid, data.uids, async function (uid) {
+			const isAdmin = await user.isAdministrator(uid);
+			if (isAdmin) {
+				throw new Error('[[error:cant-mute-admins]]');
+			}
+			let reason = data.reason || '';
+			if (reason) {
+				reason = await cannedResponses.apply({ text: reason, fromUid: socket.uid, toUid: uid, send: data.send });
+			}
+			const muteData = await user.mutes.mute(uid, data.until || 0, reason, socket.uid);
+			await events.log({
+				type: 'user-mute',
+				uid: socket.uid,
+				targetUid: uid,
+				ip: socket.ip,
+				reason: reason || undefined,
+			});
+			plugins.fireHook('action:user.muted', {
+				callerUid: socket.uid,
+				ip: socket.ip,
+				uid: uid,
+				until: muteData.expire || undefined,
+				reason: reason || undefined,
+			});
+			websockets.in('uid_' + uid).emit('event:muted', { until: muteData.expire });
+		});
+	};
+
+	SocketUser.unmuteUsers = async function (socket, uids) {
+		await toggleMute(socket.uid, uids, async function (uid) {
+			await user.mutes.unmute(uid);
+			await events.log({
+				type: 'user-unmute',
+				uid: socket.uid,
+				targetUid: uid,
+				ip: socket.ip,
+			});
+			plugins.fireHook('action:user.unmuted', {
+				callerUid: socket.uid,
+				ip: socket.ip,
+				uid: uid,
+			});
+			websockets.in('uid_' + uid).emit('event:unmuted');
+		});
+	};
+
+	// Muting is a lesser sanction than banning, so it takes the same privilege
+	async function toggleMute(uid, uids, method) {
+		if (!Array.isArray(uids)) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const hasBanPrivilege = await privileges.users.hasBanPrivilege(uid);
+		if (!hasBanPrivilege) {
+			throw new Error('[[error:no-privileges]]');
+		}
+
+		await Promise.all(uids.map(uid => method(uid)));
+	}
+};
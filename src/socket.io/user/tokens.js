@@ -0,0 +1,60 @@
+'use strict';
+
+const user = require('../../user');
+const events = require('../../events');
+const privileges = require('../../privileges');
+
+module.exports = function (SocketUser) {
+	SocketUser.createToken = async function (socket, data) {
+		if (!data || !data.uid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await checkCanEdit(socket, data.uid);
+		if (Array.isArray(data.scopes) && data.scopes.includes('admin') && !(await user.isAdministrator(data.uid))) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		const tokenData = await user.tokens.create(data.uid, {
+			description: data.description,
+			scopes: data.scopes,
+			expiry: data.expiry,
+		});
+		await events.log({
+			type: 'token-create',
+			uid: socket.uid,
+			targetUid: data.uid,
+			ip: socket.ip,
+			tokenId: tokenData.id,
+			scopes: tokenData.scopes.join(', '),
+		});
+		return tokenData;
+	};
+
+	SocketUser.revokeToken = async function (socket, data) {
+		if (!data || !data.uid || !data.id) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await checkCanEdit(socket, data.uid);
+		const tokenData = await user.tokens.get(data.id);
+		if (!tokenData || tokenData.uid !== parseInt(data.uid, 10)) {
+			throw new Error('[[error:invalid-token]]');
+		}
+		await user.tokens.revoke(data.id);
+		await events.log({
+			type: 'token-revoke',
+			uid: socket.uid,
+			targetUid: data.uid,
+			ip: socket.ip,
+			tokenId: data.id,
+		});
+	};
+
+	async function checkCanEdit(socket, uid) {
+		if (!socket.uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		const canEdit = await privileges.users.canEdit(socket.uid, uid);
+		if (!canEdit) {
+			throw new Error('[[error:no-privileges]]');
+		}
+	}
+};
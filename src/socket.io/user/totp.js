@@ -0,0 +1,59 @@
+'use strict';
+
+const user = require('../../user');
+const events = require('../../events');
+
+module.exports = function (SocketUser) {
+	SocketUser.enableTwoFactor = async function (socket, data) {
+		if (!socket.uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		if (!data || !data.code) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const recoveryCodes = await user.totp.enable(socket.uid, data.code);
+		await events.log({
+			type: '2fa-enabled',
+			uid: socket.uid,
+			ip: socket.ip,
+		});
+		return recoveryCodes;
+	};
+
+	SocketUser.disableTwoFactor = async function (socket, data) {
+		await verifyCode(socket, data);
+		if (await user.totp.isRequired(socket.uid)) {
+			throw new Error('[[error:2fa-required]]');
+		}
+		await user.totp.disable(socket.uid);
+		await events.log({
+			type: '2fa-disabled',
+			uid: socket.uid,
+			ip: socket.ip,
+		});
+	};
+
+	SocketUser.regenerateRecoveryCodes = async function (socket, data) {
+		await verifyCode(socket, data);
+		const recoveryCodes = await user.totp.generateRecoveryCodes(socket.uid);
+		await events.log({
+			type: '2fa-recovery-codes-generated',
+			uid: socket.uid,
+			ip: socket.ip,
+		});
+		return recoveryCodes;
+	};
+
+	async function verifyCode(socket, data) {
+		if (!socket.uid) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		if (!data || !data.code) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const result = await user.totp.verify(socket.uid, data.code);
+		if (!result) {
+			throw new Error('[[error:invalid-2fa-code]]');
+		}
+	}
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+const user = require('../../user');
+const events = require('../../events');
+const privileges = require('../../privileges');
+const cannedResponses = require('../../cannedResponses');
+
+module.exports = function (SocketUser) {
+	// `data.expiryDays` of 0 keeps the points until the warning is revoked
+	SocketUser.warn = async function (socket, data) {
+		if (!data || !data.uid) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		await checkCanWarn(socket.uid, data.uid);
+		const expiryDays = parseFloat(data.expiryDays);
+		let expire;
+		if (!isNaN(expiryDays)) {
+			expire = expiryDays > 0 ? Date.now() + (expiryDays * 86400000) : 0;
+		}
+		const result = await user.warnings.add(data.uid, {
+			fromUid: socket.uid,
+			reason: await cannedResponses.apply({ text: data.reason, fromUid: socket.uid, toUid: data.uid }),
+			points: data.points,
+			expire: expire,
+		});
+		await events.log({
+			type: 'user-warn',
+			uid: socket.uid,
+			targetUid: data.uid,
+			ip: socket.ip,
+			warningId: result.warning.id,
+			points: result.warning.points,
+			reason: result.warning.reason,
+		});
+		return result;
+	};
+
+	SocketUser.revokeWarning = async function (socket, data) {
+		if (!data || !data.id) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const warningData = await user.warnings.get(data.id);
+		if (!warningData) {
+			throw new Error('[[error:no-warning]]');
+		}
+		await checkCanWarn(socket.uid, warningData.uid);
+		await user.warnings.revoke(data.id, socket.uid);
+		await events.log({
+			type: 'user-warning-revoke',
+			uid: socket.uid,
+			targetUid: warningData.uid,
+			ip: socket.ip,
+			warningId: warningData.id,
+		});
+	};
+
+	// Warnings can escalate to bans and mutes, so issuing them takes the ban privilege
+	async function checkCanWarn(callerUid, uid) {
+		if (parseInt(callerUid, 10) === parseInt(uid, 10)) {
+			throw new Error('[[error:cant-warn-self]]');
+		}
+		const [hasBanPrivilege, isAdmin, isTargetAdmin, isTargetGlobalMod, exists] = await Promise.all([
+			privileges.users.hasBanPrivilege(callerUid),
+			user.isAdministrator(callerUid),
+			user.isAdministrator(uid),
+			user.isGlobalModerator(uid),
+			user.exists(uid),
+		]);
+		if (!hasBanPrivilege) {
+			throw new Error('[[error:no-privileges]]');
+		} else if (!exists) {
+			throw new Error('[[error:no-user]]');
+		} else if (isTargetAdmin) {
+			throw new Error('[[error:cant-warn-admins]]');
+		} else if (isTargetGlobalMod && !isAdmin) {
+			throw new Error('[[error:cant-warn-global-mods]]');
+		}
+	}
+};
@@ -38,7 +38,9 @@ start.start = async function () {
 		if (nconf.get('runJobs')) {
 			require('./notifications').startJobs();
 			require('./user').startJobs();
+			require('./topics').scheduled.startJobs();
 			require('./plugins').startJobs();
+			require('./webhooks').startJobs();
 		}
 
 		await webserver.listen();
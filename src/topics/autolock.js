@@ -0,0 +1,82 @@
+'use strict';
+
+/* eslint-disable no-await-in-loop */
+
+const winston = require('winston');
+
+const batch = require('../batch');
+const categories = require('../categories');
+const events = require('../events');
+const socketHelpers = require('../socket.io/helpers');
+
+module.exports = function (Topics) {
+	Topics.autoLock = {};
+
+	Topics.autoLock.run = async function () {
+		const cids = await categories.getAllCidsFromSet('categories:cid');
+		const categoryData = await categories.getCategoriesFields(cids, ['cid', 'autoLockDays', 'archiveCid']);
+		for (const category of categoryData) {
+			if (category && category.autoLockDays > 0) {
+				try {
+					await Topics.autoLock.handleCategory(category);
+				} catch (err) {
+					winston.error('[topics/autolock] Could not lock topics in category ' + category.cid + '\n' + err.stack);
+				}
+			}
+		}
+	};
+
+	// Locks the topics without replies for `autoLockDays` and moves them to `archiveCid` if it is set, pinned topics are left alone
+	Topics.autoLock.handleCategory = async function (category) {
+		const cutoff = Date.now() - (category.autoLockDays * 86400000);
+		const archiveCid = category.archiveCid !== category.cid && await categories.exists(category.archiveCid) ? category.archiveCid : 0;
+		const toArchive = [];
+
+		await batch.processSortedSet('cid:' + category.cid + ':tids:lastposttime', async function (tids) {
+			tids = tids.filter(tid => tid.score <= cutoff).map(tid => tid.value);
+			const topicData = await Topics.getTopicsFields(tids, ['tid', 'cid', 'title', 'slug', 'locked', 'pinned', 'deleted', 'scheduled']);
+			for (const topic of topicData) {
+				if (topic && topic.cid === category.cid && !topic.pinned && !topic.deleted && !topic.scheduled) {
+					if (!topic.locked) {
+						await lock(topic);
+					}
+					if (archiveCid) {
+						toArchive.push(topic);
+					}
+				}
+			}
+		}, {
+			withScores: true,
+			// the set is sorted by last post time, so the rest of it is still active
+			doneIf: (start, stop, tids) => tids[0].score > cutoff,
+		});
+
+		// Moving takes the topics out of the set, so it waits until the whole set was read
+		for (const topic of toArchive) {
+			await archive(topic, archiveCid);
+		}
+	};
+
+	async function lock(topic) {
+		const topicData = await Topics.tools.lock(topic.tid, 'system');
+		socketHelpers.emitToTopicAndCategory('event:topic_locked', topicData);
+		await events.log({
+			type: 'topic-autolock',
+			tid: topic.tid,
+			cid: topic.cid,
+			title: String(topic.title),
+		});
+	}
+
+	async function archive(topic, archiveCid) {
+		await Topics.tools.move(topic.tid, { cid: archiveCid, uid: 'system' });
+		socketHelpers.emitToTopicAndCategory('event:topic_moved', topic);
+		await events.log({
+			type: 'topic-archive',
+			tid: topic.tid,
+			fromCid: topic.cid,
+			toCid: archiveCid,
+			title: String(topic.title),
+		});
+	}
+};
@@ -37,26 +37,46 @@ module.exports = function (Topics) {
 		if (data.thumb) {
 			topicData.thumb = data.thumb;
 		}
+		if (data.prefix) {
+			topicData.prefix = data.prefix;
+		}
+		if (timestamp > Date.now()) {
+			topicData.scheduled = 1;
+		}
+		if (await categories.getCategoryField(data.cid, 'questionAndAnswer')) {
+			topicData.isQuestion = 1;
+		}
 		const result = await plugins.fireHook('filter:topic.create', { topic: topicData, data: data });
 		topicData = result.topic;
 		await db.setObject('topic:' + topicData.tid, topicData);
 
+		await Promise.all([
+			topicData.scheduled ?
+				db.sortedSetAdd('topics:scheduled', timestamp, topicData.tid) :
+				Topics.addTopicToCategoryAndUser(topicData),
+			Topics.createTags(data.tags, topicData.tid, timestamp),
+			topicData.isQuestion ? db.sortedSetAdd('topics:unsolved', timestamp, topicData.tid) : null,
+			topicData.prefix ? db.sortedSetAdd('prefix:' + topicData.prefix + ':topics', timestamp, topicData.tid) : null,
+		]);
+
+		plugins.fireHook('action:topic.save', { topic: _.clone(topicData), data: data });
+		return topicData.tid;
+	};
+
+	// Scheduled topics are only added to these lists once they are published, and may have been pinned by then
+	Topics.addTopicToCategoryAndUser = async function (topicData) {
 		await Promise.all([
 			db.sortedSetsAdd([
 				'topics:tid',
-				'cid:' + topicData.cid + ':tids',
+				'cid:' + topicData.cid + (topicData.pinned ? ':tids:pinned' : ':tids'),
 				'cid:' + topicData.cid + ':uid:' + topicData.uid + ':tids',
-			], timestamp, topicData.tid),
-			db.sortedSetAdd('cid:' + topicData.cid + ':tids:votes', 0, topicData.tid),
+			], topicData.timestamp, topicData.tid),
+			topicData.pinned ? null : db.sortedSetAdd('cid:' + topicData.cid + ':tids:votes', 0, topicData.tid),
 			categories.updateRecentTid(topicData.cid, topicData.tid),
-			user.addTopicIdToUser(topicData.uid, topicData.tid, timestamp),
+			user.addTopicIdToUser(topicData.uid, topicData.tid, topicData.timestamp),
 			db.incrObjectField('category:' + topicData.cid, 'topic_count'),
 			db.incrObjectField('global', 'topicCount'),
-			Topics.createTags(data.tags, topicData.tid, timestamp),
 		]);
-
-		plugins.fireHook('action:topic.save', { topic: _.clone(topicData), data: data });
-		return topicData.tid;
 	};
 
 	Topics.post = async function (data) {
@@ -69,18 +89,24 @@ module.exports = function (Topics) {
 		check(data.title, meta.config.minimumTitleLength, meta.config.maximumTitleLength, 'title-too-short', 'title-too-long');
 		check(data.tags, meta.config.minimumTagsPerTopic, meta.config.maximumTagsPerTopic, 'not-enough-tags', 'too-many-tags');
 		check(data.content, meta.config.minimumPostLength, meta.config.maximumPostLength, 'content-too-short', 'content-too-long');
+		if (data.poll) {
+			data.poll = Topics.polls.validate(data.poll);
+		}
+		const scheduled = parseInt(data.timestamp, 10) > Date.now();
 
-		const [categoryExists, canCreate, canTag] = await Promise.all([
+		const [categoryExists, canCreate, canTag, canCreatePoll, canSchedule] = await Promise.all([
 			categories.exists(data.cid),
 			privileges.categories.can('topics:create', data.cid, data.uid),
 			privileges.categories.can('topics:tag', data.cid, data.uid),
+			privileges.categories.can('poll:create', data.cid, data.uid),
+			privileges.categories.can('topics:schedule', data.cid, data.uid),
 		]);
 
 		if (!categoryExists) {
 			throw new Error('[[error:no-category]]');
 		}
 
-		if (!canCreate || (!canTag && data.tags.length)) {
+		if (!canCreate || (!canTag && data.tags.length) || (!canCreatePoll && data.poll) || (!canSchedule && scheduled)) {
 			throw new Error('[[error:no-privileges]]');
 		}
 
@@ -88,9 +114,14 @@ module.exports = function (Topics) {
 		if (!data.fromQueue) {
 			await user.isReadyToPost(data.uid, data.cid);
 		}
+		data.prefix = await categories.validatePrefix(data.cid, data.prefix);
+		await categories.validateTopicTemplate(data.cid, data.content);
 		const filteredData = await plugins.fireHook('filter:topic.post', data);
 		data = filteredData;
 		const tid = await Topics.create(data);
+		if (data.poll) {
+			await Topics.polls.create(tid, uid, data.poll);
+		}
 
 		let postData = data;
 		postData.tid = tid;
@@ -98,6 +129,10 @@ module.exports = function (Topics) {
 		postData.isMain = true;
 		postData = await posts.create(postData);
 		postData = await onNewPost(postData, data);
+		// Queued posts had their draft removed when they were submitted
+		if (!data.fromQueue) {
+			await user.drafts.remove(uid, { type: 'topic', id: data.cid });
+		}
 
 		const [settings, topics] = await Promise.all([
 			user.getSettings(uid),
@@ -114,8 +149,17 @@ module.exports = function (Topics) {
 		const topicData = topics[0];
 		topicData.unreplied = 1;
 		topicData.mainPost = postData;
+		topicData.poll = await Topics.polls.get(tid, uid);
 		postData.index = 0;
 
+		// Announced by Topics.scheduled.publish instead
+		if (topicData.scheduled) {
+			return {
+				topicData: topicData,
+				postData: postData,
+			};
+		}
+
 		analytics.increment(['topics', 'topics:byCid:' + topicData.cid]);
 		plugins.fireHook('action:topic.post', { topic: topicData, post: postData, data: data });
 
@@ -153,6 +197,10 @@ module.exports = function (Topics) {
 			throw new Error('[[error:topic-deleted]]');
 		}
 
+		if (topicData.scheduled) {
+			throw new Error('[[error:topic-scheduled]]');
+		}
+
 		if (!canReply) {
 			throw new Error('[[error:no-privileges]]');
 		}
@@ -170,6 +218,9 @@ module.exports = function (Topics) {
 		data.ip = data.req ? data.req.ip : null;
 		let postData = await posts.create(data);
 		postData = await onNewPost(postData, data);
+		if (!data.fromQueue) {
+			await user.drafts.remove(uid, { type: 'reply', id: tid });
+		}
 
 		const settings = await user.getSettings(uid);
 		if (settings.followTopicsOnReply) {
@@ -190,17 +241,19 @@ module.exports = function (Topics) {
 	async function onNewPost(postData, data) {
 		var tid = postData.tid;
 		var uid = postData.uid;
-		await Topics.markAsUnreadForAll(tid);
-		await Topics.markAsRead([tid], uid);
 		const [
 			userInfo,
 			topicInfo,
 		] = await Promise.all([
 			posts.getUserInfoForPosts([postData.uid], uid),
-			Topics.getTopicFields(tid, ['tid', 'uid', 'title', 'slug', 'cid', 'postcount', 'mainPid']),
+			Topics.getTopicFields(tid, ['tid', 'uid', 'title', 'slug', 'cid', 'postcount', 'mainPid', 'scheduled']),
 			Topics.addParentPosts([postData]),
 			posts.parsePost(postData),
 		]);
+		if (!topicInfo.scheduled) {
+			await Topics.markAsUnreadForAll(tid);
+		}
+		await Topics.markAsRead([tid], uid);
 
 		postData.user = userInfo[0];
 		postData.topic = topicInfo;
@@ -11,7 +11,8 @@ const intFields = [
 	'tid', 'cid', 'uid', 'mainPid', 'postcount',
 	'viewcount', 'deleted', 'locked', 'pinned',
 	'timestamp', 'upvotes', 'downvotes', 'lastposttime',
-	'deleterUid',
+	'deleterUid', 'scheduled', 'pinExpiry',
+	'isQuestion', 'isSolved', 'solvedPid', 'wiki',
 ];
 
 module.exports = function (Topics) {
@@ -91,6 +92,11 @@ function modifyTopic(topic, fields) {
 
 	escapeTitle(topic);
 
+	if (topic.hasOwnProperty('prefix')) {
+		topic.prefixRaw = String(topic.prefix || '');
+		topic.prefix = translator.escape(validator.escape(topic.prefixRaw));
+	}
+
 	if (topic.hasOwnProperty('thumb')) {
 		topic.thumb = validator.escape(String(topic.thumb));
 	}
@@ -103,6 +109,10 @@ function modifyTopic(topic, fields) {
 		topic.lastposttimeISO = utils.toISOString(topic.lastposttime);
 	}
 
+	if (topic.hasOwnProperty('pinExpiry')) {
+		topic.pinExpiryISO = topic.pinExpiry ? utils.toISOString(topic.pinExpiry) : '';
+	}
+
 	if (topic.hasOwnProperty('upvotes') && topic.hasOwnProperty('downvotes')) {
 		topic.votes = topic.upvotes - topic.downvotes;
 	}
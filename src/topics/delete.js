@@ -56,6 +56,13 @@ module.exports = function (Topics) {
 
 	Topics.restore = async function (tid) {
 		const topicData = await Topics.getTopicData(tid);
+		if (topicData.scheduled) {
+			// Not listed anywhere yet, Topics.scheduled.publish takes care of that
+			return await Promise.all([
+				Topics.setTopicField(tid, 'deleted', 0),
+				Topics.deleteTopicFields(tid, ['deleterUid', 'deletedTimestamp']),
+			]);
+		}
 		await Promise.all([
 			Topics.setTopicField(tid, 'deleted', 0),
 			Topics.deleteTopicFields(tid, ['deleterUid', 'deletedTimestamp']),
@@ -106,9 +113,16 @@ module.exports = function (Topics) {
 				'topics:posts',
 				'topics:views',
 				'topics:votes',
-			], tid),
+				'topics:scheduled',
+				'topics:pinExpiry',
+				'topics:solved',
+				'topics:unsolved',
+				deletedTopic.prefixRaw ? 'prefix:' + deletedTopic.prefixRaw + ':topics' : null,
+			].filter(Boolean), tid),
 			deleteTopicFromCategoryAndUser(tid),
 			Topics.deleteTopicTags(tid),
+			Topics.polls.delete(tid),
+			Topics.events.purge(tid),
 			reduceCounters(tid),
 		]);
 		plugins.fireHook('action:topic.purge', { topic: deletedTopic, uid: uid });
@@ -126,7 +140,7 @@ module.exports = function (Topics) {
 	}
 
 	async function deleteTopicFromCategoryAndUser(tid) {
-		const topicData = await Topics.getTopicFields(tid, ['cid', 'uid']);
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'uid', 'scheduled']);
 		await Promise.all([
 			db.sortedSetsRemove([
 				'cid:' + topicData.cid + ':tids',
@@ -138,15 +152,18 @@ module.exports = function (Topics) {
 				'cid:' + topicData.cid + ':uid:' + topicData.uid + ':tids',
 				'uid:' + topicData.uid + ':topics',
 			], tid),
-			user.decrementUserFieldBy(topicData.uid, 'topiccount', 1),
+			topicData.scheduled ? null : user.decrementUserFieldBy(topicData.uid, 'topiccount', 1),
 		]);
 		await categories.updateRecentTidForCid(topicData.cid);
 	}
 
 	async function reduceCounters(tid) {
 		var incr = -1;
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'postcount', 'scheduled']);
+		if (topicData.scheduled) {
+			return;
+		}
 		await db.incrObjectFieldBy('global', 'topicCount', incr);
-		const topicData = await Topics.getTopicFields(tid, ['cid', 'postcount']);
 		var postCountChange = incr * topicData.postcount;
 		await Promise.all([
 			db.incrObjectFieldBy('global', 'postCount', postCountChange),
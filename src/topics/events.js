@@ -0,0 +1,118 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const user = require('../user');
+const categories = require('../categories');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const translator = require('../translator');
+const utils = require('../utils');
+
+module.exports = function (Topics) {
+	Topics.events = {};
+
+	// Plugins add their own types with `filter:topicEvents.init`, the text is a translation key
+	const baseTypes = {
+		lock: { icon: 'fa-lock', text: 'topic:events.lock' },
+		unlock: { icon: 'fa-unlock', text: 'topic:events.unlock' },
+		pin: { icon: 'fa-thumb-tack', text: 'topic:events.pin' },
+		unpin: { icon: 'fa-thumb-tack fa-rotate-90', text: 'topic:events.unpin' },
+		move: { icon: 'fa-arrow-circle-right', text: 'topic:events.move' },
+		fork: { icon: 'fa-code-fork', text: 'topic:events.fork' },
+		merge: { icon: 'fa-code-fork fa-flip-vertical', text: 'topic:events.merge' },
+	};
+
+	Topics.events.getTypes = async function () {
+		const result = await plugins.fireHook('filter:topicEvents.init', { types: { ...baseTypes } });
+		return result.types;
+	};
+
+	// uid is 'system' for events of the scheduled jobs
+	Topics.events.log = async function (tid, data) {
+		const types = await Topics.events.getTypes();
+		if (!data || !types.hasOwnProperty(data.type)) {
+			throw new Error('[[error:invalid-topic-event]]');
+		}
+		const id = await db.incrObjectField('global', 'nextTopicEventId');
+		const eventData = {
+			...data,
+			id: id,
+			tid: tid,
+			uid: parseInt(data.uid, 10) || 0,
+			timestamp: data.timestamp || Date.now(),
+		};
+		await Promise.all([
+			db.setObject('topicEvent:' + id, eventData),
+			db.sortedSetAdd('topic:' + tid + ':events', eventData.timestamp, id),
+		]);
+		plugins.fireHook('action:topicEvents.log', { event: eventData });
+		return eventData;
+	};
+
+	Topics.events.get = async function (tid, uid) {
+		const ids = await db.getSortedSetRange('topic:' + tid + ':events', 0, -1);
+		let events = (await db.getObjects(ids.map(id => 'topicEvent:' + id))).filter(Boolean);
+		const types = await Topics.events.getTypes();
+		events = events.filter(event => types.hasOwnProperty(event.type));
+
+		const [users, readableCids, readableTids] = await Promise.all([
+			user.getUsersFields(_.uniq(events.map(event => event.uid)), ['uid', 'username', 'userslug', 'picture']),
+			privileges.categories.filterCids('read', getIds(events, ['fromCid', 'toCid']), uid),
+			privileges.topics.filterTids('topics:read', getIds(events, ['toTid']), uid),
+		]);
+		const [categoryData, topicData] = await Promise.all([
+			categories.getCategoriesFields(readableCids, ['cid', 'name']),
+			Topics.getTopicsFields(readableTids, ['tid', 'title']),
+		]);
+		const usersByUid = _.zipObject(users.map(user => user.uid), users);
+		const names = {
+			cid: _.zipObject(readableCids, categoryData.map(category => category.name)),
+			tid: _.zipObject(readableTids, topicData.map(topic => topic.title)),
+		};
+
+		events = events.filter(function (event) {
+			event.id = parseInt(event.id, 10);
+			event.uid = parseInt(event.uid, 10) || 0;
+			event.timestamp = parseInt(event.timestamp, 10) || 0;
+			event.timestampISO = utils.toISOString(event.timestamp);
+			event.icon = types[event.type].icon;
+			event.user = event.uid ? usersByUid[event.uid] : { uid: 0, username: '[[topic:events.system]]' };
+
+			const args = getTextArgs(event, names);
+			if (!args) {
+				return false;
+			}
+			event.text = translator.compile(types[event.type].text, ...args);
+			return true;
+		});
+
+		const result = await plugins.fireHook('filter:topicEvents.get', { tid: tid, uid: uid, events: events });
+		return result.events;
+	};
+
+	// Returns null if the event refers to something the user can not see
+	function getTextArgs(event, names) {
+		if (event.type === 'move') {
+			const from = names.cid[event.fromCid];
+			const to = names.cid[event.toCid];
+			return from && to ? [from, to] : null;
+		} else if (event.type === 'fork') {
+			const title = names.tid[event.toTid];
+			return title ? [title] : null;
+		} else if (event.type === 'merge') {
+			return [event.fromTitle];
+		}
+		return [];
+	}
+
+	function getIds(events, fields) {
+		return _.uniq(_.flatten(events.map(event => fields.map(field => parseInt(event[field], 10)))).filter(Boolean));
+	}
+
+	Topics.events.purge = async function (tid) {
+		const ids = await db.getSortedSetRange('topic:' + tid + ':events', 0, -1);
+		await db.deleteAll(ids.map(id => 'topicEvent:' + id).concat('topic:' + tid + ':events'));
+	};
+};
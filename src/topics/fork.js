@@ -51,6 +51,7 @@ module.exports = function (Topics) {
 		});
 
 		await Topics.updateLastPostTime(tid, Date.now());
+		await Topics.events.log(fromTid, { type: 'fork', uid: uid, toTid: tid });
 
 		plugins.fireHook('action:topic.fork', { tid: tid, fromTid: fromTid, uid: uid });
 
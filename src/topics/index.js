@@ -31,6 +31,12 @@ require('./tools')(Topics);
 require('./thumb')(Topics);
 require('./bookmarks')(Topics);
 require('./merge')(Topics);
+require('./polls')(Topics);
+require('./scheduled')(Topics);
+require('./questions')(Topics);
+require('./autolock')(Topics);
+require('./prefix')(Topics);
+require('./events')(Topics);
 
 Topics.exists = async function (tid) {
 	return await db.exists('topic:' + tid);
@@ -77,6 +83,7 @@ Topics.getTopicsByTids = async function (tids, options) {
 		bookmarks,
 		teasers,
 		tags,
+		prefixes,
 	] = await Promise.all([
 		user.getSettings(uid),
 		user.getUsersFields(uids, ['uid', 'username', 'fullname', 'userslug', 'reputation', 'postcount', 'picture', 'signature', 'banned', 'status']),
@@ -87,6 +94,7 @@ Topics.getTopicsByTids = async function (tids, options) {
 		Topics.getUserBookmarks(tids, uid),
 		Topics.getTeasers(topics, options),
 		Topics.getTopicsTagsObjects(tids),
+		categories.getPrefixes(cids),
 	]);
 
 	users.forEach(function (user, index) {
@@ -97,6 +105,7 @@ Topics.getTopicsByTids = async function (tids, options) {
 
 	const usersMap = _.zipObject(uids, users);
 	const categoriesMap = _.zipObject(cids, categoriesData);
+	const prefixesMap = _.zipObject(cids, prefixes);
 	const sortOldToNew = callerSettings.topicPostSort === 'newest_to_oldest';
 	for (var i = 0; i < topics.length; i += 1) {
 		if (topics[i]) {
@@ -111,7 +120,7 @@ Topics.getTopicsByTids = async function (tids, options) {
 			topics[i].bookmark = sortOldToNew ? Math.max(1, topics[i].postcount + 2 - bookmarks[i]) : bookmarks[i];
 			topics[i].unreplied = !topics[i].teaser;
 
-			topics[i].icons = [];
+			topics[i].icons = getIcons(topics[i], prefixesMap[topics[i].cid]);
 		}
 	}
 
@@ -133,19 +142,30 @@ Topics.getTopicWithPosts = async function (topicData, set, uid, start, stop, rev
 		deleter,
 		merger,
 		related,
+		poll,
+		acceptedAnswer,
+		prefixes,
+		events,
 	] = await Promise.all([
 		getMainPostAndReplies(topicData, set, uid, start, stop, reverse),
 		categories.getCategoryData(topicData.cid),
 		categories.getTagWhitelist([topicData.cid]),
-		plugins.fireHook('filter:topic.thread_tools', { topic: topicData, uid: uid, tools: [] }),
+		getThreadTools(topicData, uid),
 		Topics.getFollowData([topicData.tid], uid),
 		Topics.getUserBookmark(topicData.tid, uid),
 		social.getActivePostSharing(),
 		getDeleter(topicData),
 		getMerger(topicData),
 		getRelated(topicData, uid),
+		Topics.polls.get(topicData.tid, uid),
+		Topics.questions.getAcceptedAnswer(topicData, uid),
+		categories.getPrefixes([topicData.cid]),
+		Topics.events.get(topicData.tid, uid),
 	]);
 
+	posts.forEach(function (post) {
+		post.accepted = !!topicData.solvedPid && post.pid === topicData.solvedPid;
+	});
 	topicData.posts = posts;
 	topicData.category = category;
 	topicData.tagWhitelist = tagWhitelist[0];
@@ -164,13 +184,42 @@ Topics.getTopicWithPosts = async function (topicData, set, uid, start, stop, rev
 		topicData.mergedTimestampISO = utils.toISOString(topicData.mergedTimestamp);
 	}
 	topicData.related = related || [];
+	topicData.poll = poll;
+	topicData.acceptedAnswer = acceptedAnswer;
+	topicData.events = events;
 	topicData.unreplied = topicData.postcount === 1;
-	topicData.icons = [];
+	topicData.icons = getIcons(topicData, prefixes[0]);
 
 	const result = await plugins.fireHook('filter:topic.get', { topic: topicData, uid: uid });
 	return result.topic;
 };
 
+function getIcons(topicData, prefixes) {
+	const icons = [];
+	if (topicData.prefix) {
+		const prefix = (prefixes || []).find(prefix => prefix.name === topicData.prefixRaw);
+		icons.push('<span class="label topic-prefix" style="background-color: ' + (prefix ? prefix.color : '#777777') + ';">' + topicData.prefix + '</span>');
+	}
+	if (topicData.isQuestion) {
+		icons.push(topicData.isSolved ?
+			'<span class="label label-success"><i class="fa fa-check"></i> [[topic:qa.solved]]</span>' :
+			'<span class="label label-warning"><i class="fa fa-question"></i> [[topic:qa.unsolved]]</span>');
+	}
+	if (topicData.wiki) {
+		icons.push('<span class="label label-info"><i class="fa fa-book"></i> [[topic:wiki]]</span>');
+	}
+	return icons;
+}
+
+async function getThreadTools(topicData, uid) {
+	const [scheduledTools, topicTools] = await Promise.all([
+		Topics.scheduled.getThreadTools(topicData, uid),
+		Topics.tools.getThreadTools(topicData, uid),
+	]);
+	const tools = scheduledTools.concat(topicTools);
+	return await plugins.fireHook('filter:topic.thread_tools', { topic: topicData, uid: uid, tools: tools });
+}
+
 async function getMainPostAndReplies(topic, set, uid, start, stop, reverse) {
 	if (stop > 0) {
 		stop -= 1;
@@ -10,7 +10,10 @@ module.exports = function (Topics) {
 		const otherTids = tids.filter(tid => tid && parseInt(tid, 10) !== parseInt(mergeIntoTid, 10));
 
 		await async.eachSeries(otherTids, async function (tid) {
-			const pids = await Topics.getPids(tid);
+			const [pids, title] = await Promise.all([
+				Topics.getPids(tid),
+				Topics.getTopicField(tid, 'title'),
+			]);
 			await async.eachSeries(pids, function (pid, next) {
 				Topics.movePostToTopic(uid, pid, mergeIntoTid, next);
 			});
@@ -22,6 +25,7 @@ module.exports = function (Topics) {
 				mergerUid: uid,
 				mergedTimestamp: Date.now(),
 			});
+			await Topics.events.log(mergeIntoTid, { type: 'merge', uid: uid, fromTid: tid, fromTitle: title });
 		});
 
 		plugins.fireHook('action:topic.merge', { uid: uid, tids: tids, mergeIntoTid: mergeIntoTid, otherTids: otherTids });
@@ -0,0 +1,284 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const db = require('../database');
+const user = require('../user');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const intFields = [
+	'tid', 'uid', 'multiple', 'anonymous', 'allowChangeVote',
+	'endTime', 'timestamp', 'optionCount', 'voterCount',
+];
+
+const votesInProgress = {};
+
+module.exports = function (Topics) {
+	Topics.polls = {};
+
+	Topics.polls.maxOptions = 20;
+	Topics.polls.maxLength = 255;
+	Topics.polls.votersPerOption = 20;
+
+	// always: results are shown to everyone, voted: after voting or once the poll ended, ended: once the poll ended
+	Topics.polls.resultsVisibility = ['always', 'voted', 'ended'];
+
+	// Normalizes the poll sent along with a new topic, throws when it can't be created
+	Topics.polls.validate = function (poll) {
+		if (!poll || typeof poll !== 'object') {
+			throw new Error('[[error:invalid-data]]');
+		}
+		const title = String(poll.title || '').trim();
+		const options = (Array.isArray(poll.options) ? poll.options : [])
+			.map(option => String(option).trim())
+			.filter(Boolean);
+
+		if (options.length < 2) {
+			throw new Error('[[error:poll-not-enough-options]]');
+		}
+		if (options.length > Topics.polls.maxOptions) {
+			throw new Error('[[error:poll-too-many-options, ' + Topics.polls.maxOptions + ']]');
+		}
+		if (title.length > Topics.polls.maxLength || options.some(option => option.length > Topics.polls.maxLength)) {
+			throw new Error('[[error:poll-option-too-long, ' + Topics.polls.maxLength + ']]');
+		}
+		if (_.uniq(options.map(option => option.toLowerCase())).length !== options.length) {
+			throw new Error('[[error:poll-duplicate-options]]');
+		}
+
+		let endTime = 0;
+		if (poll.endTime) {
+			endTime = utils.isNumber(poll.endTime) ? parseInt(poll.endTime, 10) : new Date(poll.endTime).getTime();
+			if (!endTime || endTime <= Date.now()) {
+				throw new Error('[[error:poll-invalid-end-time]]');
+			}
+		}
+
+		const resultsVisibility = poll.resultsVisibility || 'always';
+		if (!Topics.polls.resultsVisibility.includes(resultsVisibility)) {
+			throw new Error('[[error:invalid-data]]');
+		}
+
+		return {
+			title: title,
+			options: options,
+			multiple: toFlag(poll.multiple),
+			anonymous: toFlag(poll.anonymous),
+			allowChangeVote: toFlag(poll.allowChangeVote),
+			resultsVisibility: resultsVisibility,
+			endTime: endTime,
+		};
+	};
+
+	Topics.polls.create = async function (tid, uid, poll) {
+		poll = Topics.polls.validate(poll);
+		const pollData = {
+			tid: tid,
+			uid: uid,
+			title: poll.title,
+			multiple: poll.multiple,
+			anonymous: poll.anonymous,
+			allowChangeVote: poll.allowChangeVote,
+			resultsVisibility: poll.resultsVisibility,
+			endTime: poll.endTime,
+			timestamp: Date.now(),
+			optionCount: poll.options.length,
+			voterCount: 0,
+		};
+		await Promise.all([
+			db.setObject('topic:' + tid + ':poll', pollData),
+			Promise.all(poll.options.map((title, id) => db.setObject(optionKey(tid, id), { id: id, title: title, votecount: 0 }))),
+		]);
+		plugins.fireHook('action:topic.poll.create', { poll: pollData, options: poll.options });
+		return pollData;
+	};
+
+	Topics.polls.exists = async function (tid) {
+		return await db.exists('topic:' + tid + ':poll');
+	};
+
+	// Results and voters are left out when the poll settings don't allow `uid` to see them yet
+	Topics.polls.get = async function (tid, uid) {
+		const pollData = await getPollData(tid);
+		if (!pollData) {
+			return null;
+		}
+		const ids = _.range(pollData.optionCount);
+		const isGuest = !(parseInt(uid, 10) > 0);
+		const [options, hasVoted, votes] = await Promise.all([
+			db.getObjects(ids.map(id => optionKey(tid, id))),
+			isGuest ? false : db.isSortedSetMember('topic:' + tid + ':poll:voters', uid),
+			isGuest ? ids.map(() => false) : db.isMemberOfSortedSets(ids.map(id => optionKey(tid, id) + ':voters'), uid),
+		]);
+
+		pollData.title = validator.escape(String(pollData.title || ''));
+		pollData.ended = isEnded(pollData);
+		pollData.endTimeISO = pollData.endTime ? utils.toISOString(pollData.endTime) : '';
+		pollData.hasVoted = hasVoted;
+		pollData.canVote = !isGuest && !pollData.ended && (!hasVoted || !!pollData.allowChangeVote);
+		pollData.resultsVisible = pollData.resultsVisibility === 'always' || pollData.ended ||
+			(pollData.resultsVisibility === 'voted' && hasVoted);
+
+		pollData.options = options.map(function (option, index) {
+			const votecount = parseInt(option && option.votecount, 10) || 0;
+			return {
+				id: index,
+				title: validator.escape(String(option && option.title)),
+				voted: votes[index],
+				votecount: pollData.resultsVisible ? votecount : null,
+				percent: pollData.resultsVisible && pollData.voterCount ? Math.round(votecount / pollData.voterCount * 100) : null,
+			};
+		});
+		if (!pollData.resultsVisible) {
+			pollData.voterCount = null;
+		} else if (!pollData.anonymous) {
+			await addVoters(tid, pollData.options);
+		}
+		return pollData;
+	};
+
+	async function addVoters(tid, options) {
+		const uids = await Promise.all(options.map(
+			option => db.getSortedSetRange(optionKey(tid, option.id) + ':voters', 0, Topics.polls.votersPerOption - 1)
+		));
+		const userData = await user.getUsersFields(_.uniq(_.flatten(uids)), ['uid', 'username', 'userslug', 'picture']);
+		const byUid = _.keyBy(userData, 'uid');
+		options.forEach(function (option, index) {
+			option.voters = uids[index].map(uid => byUid[uid]).filter(Boolean);
+		});
+	}
+
+	Topics.polls.vote = async function (tid, uid, optionIds) {
+		if (!(parseInt(uid, 10) > 0)) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		await user.mutes.check(uid);
+		return await withVoteInProgress(tid, uid, () => vote(tid, uid, optionIds));
+	};
+
+	async function vote(tid, uid, optionIds) {
+		const pollData = await getPollData(tid);
+		if (!pollData) {
+			throw new Error('[[error:no-poll]]');
+		}
+		if (isEnded(pollData)) {
+			throw new Error('[[error:poll-ended]]');
+		}
+
+		optionIds = _.uniq([].concat(optionIds).map(id => parseInt(id, 10)));
+		if (!optionIds.length || optionIds.some(id => !(id >= 0 && id < pollData.optionCount))) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		if (!pollData.multiple && optionIds.length > 1) {
+			throw new Error('[[error:poll-single-choice]]');
+		}
+
+		const hasVoted = await db.isSortedSetMember('topic:' + tid + ':poll:voters', uid);
+		if (hasVoted && !pollData.allowChangeVote) {
+			throw new Error('[[error:poll-already-voted]]');
+		}
+		if (hasVoted) {
+			await removeVotes(tid, pollData, uid);
+		}
+
+		const now = Date.now();
+		await Promise.all([
+			db.sortedSetAdd('topic:' + tid + ':poll:voters', now, uid),
+			db.sortedSetsAdd(optionIds.map(id => optionKey(tid, id) + ':voters'), now, uid),
+		]);
+		await updateCounts(tid, pollData);
+		plugins.fireHook('action:topic.poll.vote', { tid: tid, uid: uid, options: optionIds });
+	}
+
+	Topics.polls.unvote = async function (tid, uid) {
+		await user.mutes.check(uid);
+		return await withVoteInProgress(tid, uid, () => unvote(tid, uid));
+	};
+
+	async function unvote(tid, uid) {
+		const pollData = await getPollData(tid);
+		if (!pollData) {
+			throw new Error('[[error:no-poll]]');
+		}
+		if (isEnded(pollData)) {
+			throw new Error('[[error:poll-ended]]');
+		}
+		if (!pollData.allowChangeVote) {
+			throw new Error('[[error:poll-cant-change-vote]]');
+		}
+		if (!await db.isSortedSetMember('topic:' + tid + ':poll:voters', uid)) {
+			throw new Error('[[error:poll-not-voted]]');
+		}
+		await removeVotes(tid, pollData, uid);
+		await updateCounts(tid, pollData);
+		plugins.fireHook('action:topic.poll.unvote', { tid: tid, uid: uid });
+	}
+
+	// The voted check and the voter set updates are separate calls, so a user's votes on a poll are handled one at a time
+	async function withVoteInProgress(tid, uid, method) {
+		const key = tid + ':' + uid;
+		if (votesInProgress[key]) {
+			throw new Error('[[error:poll-vote-in-progress]]');
+		}
+		votesInProgress[key] = true;
+		try {
+			return await method();
+		} finally {
+			delete votesInProgress[key];
+		}
+	}
+
+	Topics.polls.delete = async function (tid) {
+		const pollData = await getPollData(tid);
+		if (!pollData) {
+			return;
+		}
+		const keys = _.flatten(_.range(pollData.optionCount).map(id => [optionKey(tid, id), optionKey(tid, id) + ':voters']));
+		await db.deleteAll(keys.concat(['topic:' + tid + ':poll', 'topic:' + tid + ':poll:voters']));
+	};
+
+	async function removeVotes(tid, pollData, uid) {
+		await Promise.all([
+			db.sortedSetRemove('topic:' + tid + ':poll:voters', uid),
+			db.sortedSetsRemove(_.range(pollData.optionCount).map(id => optionKey(tid, id) + ':voters'), uid),
+		]);
+	}
+
+	// Counts are taken from the voter sets so concurrent votes can't drift them
+	async function updateCounts(tid, pollData) {
+		const ids = _.range(pollData.optionCount);
+		const [voterCount, votecounts] = await Promise.all([
+			db.sortedSetCard('topic:' + tid + ':poll:voters'),
+			db.sortedSetsCard(ids.map(id => optionKey(tid, id) + ':voters')),
+		]);
+		await Promise.all([
+			db.setObjectField('topic:' + tid + ':poll', 'voterCount', voterCount),
+			Promise.all(ids.map(id => db.setObjectField(optionKey(tid, id), 'votecount', votecounts[id]))),
+		]);
+	}
+
+	async function getPollData(tid) {
+		const pollData = await db.getObject('topic:' + tid + ':poll');
+		if (!pollData) {
+			return null;
+		}
+		intFields.forEach(function (field) {
+			pollData[field] = parseInt(pollData[field], 10) || 0;
+		});
+		return pollData;
+	}
+
+	function isEnded(pollData) {
+		return !!pollData.endTime && pollData.endTime <= Date.now();
+	}
+
+	function optionKey(tid, id) {
+		return 'topic:' + tid + ':poll:option:' + id;
+	}
+
+	function toFlag(value) {
+		return value === true || ['1', 'true', 'on'].includes(String(value)) ? 1 : 0;
+	}
+};
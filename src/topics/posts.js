@@ -38,12 +38,14 @@ module.exports = function (Topics) {
 		const [
 			bookmarks,
 			voteData,
+			reactions,
 			userData,
 			editors,
 			replies,
 		] = await Promise.all([
 			posts.hasBookmarked(pids, uid),
 			posts.getVoteStatusByPostIDs(pids, uid),
+			posts.reactions.get(pids, uid),
 			getPostUserData('uid', async function (uids) {
 				return await posts.getUserInfoForPosts(uids, uid);
 			}),
@@ -62,6 +64,7 @@ module.exports = function (Topics) {
 				postObj.upvoted = voteData.upvotes[i];
 				postObj.downvoted = voteData.downvotes[i];
 				postObj.votes = postObj.votes || 0;
+				postObj.reactions = reactions[i];
 				postObj.replies = replies[i];
 				postObj.selfPost = parseInt(uid, 10) > 0 && parseInt(uid, 10) === postObj.uid;
 
@@ -83,7 +86,8 @@ module.exports = function (Topics) {
 		var loggedIn = parseInt(topicPrivileges.uid, 10) > 0;
 		topicData.posts.forEach(function (post) {
 			if (post) {
-				post.display_edit_tools = topicPrivileges.isAdminOrMod || (post.selfPost && topicPrivileges['posts:edit']);
+				post.display_edit_tools = topicPrivileges.isAdminOrMod || (post.selfPost && topicPrivileges['posts:edit']) ||
+					(post.index === 0 && topicData.wiki && topicPrivileges['posts:edit:wiki']);
 				post.display_delete_tools = topicPrivileges.isAdminOrMod || (post.selfPost && topicPrivileges['posts:delete']);
 				post.display_moderator_tools = post.display_edit_tools || post.display_delete_tools;
 				post.display_move_tools = topicPrivileges.isAdminOrMod && post.index !== 0;
@@ -0,0 +1,20 @@
+'use strict';
+
+const db = require('../database');
+
+module.exports = function (Topics) {
+	// Moves the topic between the `prefix:<name>:topics` sets used to filter category listings
+	Topics.setPrefix = async function (tid, prefix) {
+		const topicData = await Topics.getTopicFields(tid, ['prefix', 'timestamp']);
+		const oldPrefix = topicData.prefixRaw || '';
+		prefix = prefix || '';
+		if (oldPrefix === prefix) {
+			return;
+		}
+		await Promise.all([
+			oldPrefix ? db.sortedSetRemove('prefix:' + oldPrefix + ':topics', tid) : null,
+			prefix ? db.sortedSetAdd('prefix:' + prefix + ':topics', topicData.timestamp, tid) : null,
+			prefix ? Topics.setTopicField(tid, 'prefix', prefix) : Topics.deleteTopicField(tid, 'prefix'),
+		]);
+	};
+};
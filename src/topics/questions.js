@@ -0,0 +1,125 @@
+'use strict';
+
+const db = require('../database');
+const posts = require('../posts');
+const user = require('../user');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const rewards = require('../rewards');
+
+module.exports = function (Topics) {
+	Topics.questions = {};
+
+	Topics.questions.filters = ['solved', 'unsolved'];
+
+	// The topic author and the moderators of the category
+	Topics.questions.canAccept = async function (tid, uid) {
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'uid']);
+		if (!topicData.cid || !(parseInt(uid, 10) > 0)) {
+			return false;
+		}
+		return topicData.uid === parseInt(uid, 10) || await privileges.categories.isAdminOrMod(topicData.cid, uid);
+	};
+
+	Topics.questions.getPostTools = async function (pid, uid) {
+		const tid = await posts.getPostField(pid, 'tid');
+		const topicData = await Topics.getTopicFields(tid, ['mainPid', 'isQuestion', 'solvedPid']);
+		if (!topicData.isQuestion || topicData.mainPid === parseInt(pid, 10) || !await Topics.questions.canAccept(tid, uid)) {
+			return [];
+		}
+		if (topicData.solvedPid === parseInt(pid, 10)) {
+			return [{ action: 'post/unaccept-answer', html: '[[topic:qa.unaccept]]', icon: 'fa-times-circle' }];
+		}
+		return [{ action: 'post/accept-answer', html: '[[topic:qa.accept]]', icon: 'fa-check-circle' }];
+	};
+
+	Topics.questions.accept = async function (pid, uid) {
+		const postData = await posts.getPostFields(pid, ['pid', 'tid', 'uid', 'deleted']);
+		if (!postData || !postData.tid) {
+			throw new Error('[[error:no-post]]');
+		}
+		const topicData = await Topics.getTopicFields(postData.tid, ['tid', 'mainPid', 'timestamp', 'isQuestion', 'solvedPid']);
+		if (!topicData.isQuestion) {
+			throw new Error('[[error:topic-not-question]]');
+		}
+		if (topicData.mainPid === postData.pid) {
+			throw new Error('[[error:cant-accept-main-post]]');
+		}
+		if (postData.deleted) {
+			throw new Error('[[error:cant-accept-deleted-post]]');
+		}
+		if (!await Topics.questions.canAccept(topicData.tid, uid)) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		if (topicData.solvedPid === postData.pid) {
+			return;
+		}
+		if (topicData.solvedPid) {
+			await Topics.questions.clear(topicData.tid);
+		}
+
+		await Promise.all([
+			Topics.setTopicFields(topicData.tid, { solvedPid: postData.pid, isSolved: 1 }),
+			db.sortedSetRemove('topics:unsolved', topicData.tid),
+			db.sortedSetAdd('topics:solved', topicData.timestamp, topicData.tid),
+		]);
+		const acceptedCount = await user.incrementUserFieldBy(postData.uid, 'acceptedanswers', 1);
+		plugins.fireHook('action:topic.solved', { tid: topicData.tid, pid: postData.pid, uid: uid, answererUid: postData.uid });
+
+		await rewards.checkConditionAndRewardUser({
+			uid: postData.uid,
+			condition: 'core/user.acceptedanswers',
+			method: async () => acceptedCount,
+		});
+	};
+
+	Topics.questions.unaccept = async function (tid, uid) {
+		const solvedPid = await Topics.getTopicField(tid, 'solvedPid');
+		if (!solvedPid) {
+			throw new Error('[[error:topic-not-solved]]');
+		}
+		if (!await Topics.questions.canAccept(tid, uid)) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		await Topics.questions.clear(tid);
+		plugins.fireHook('action:topic.unsolved', { tid: tid, pid: solvedPid, uid: uid });
+	};
+
+	// Takes the accepted answer away without any privilege checks, used when the answer is purged as well
+	Topics.questions.clear = async function (tid) {
+		const topicData = await Topics.getTopicFields(tid, ['tid', 'timestamp', 'isQuestion', 'solvedPid']);
+		if (!topicData.solvedPid) {
+			return;
+		}
+		const answererUid = await posts.getPostField(topicData.solvedPid, 'uid');
+		await Promise.all([
+			Topics.deleteTopicFields(tid, ['solvedPid', 'isSolved']),
+			db.sortedSetRemove('topics:solved', tid),
+			topicData.isQuestion ? db.sortedSetAdd('topics:unsolved', topicData.timestamp, tid) : null,
+			answererUid ? user.decrementUserFieldBy(answererUid, 'acceptedanswers', 1) : null,
+		]);
+	};
+
+	Topics.questions.getAcceptedAnswer = async function (topicData, uid) {
+		if (!topicData.isQuestion || !topicData.solvedPid) {
+			return null;
+		}
+		const postData = await posts.getPostsByPids([topicData.solvedPid], uid);
+		if (!postData.length || postData[0].deleted) {
+			return null;
+		}
+		const [answer] = await Topics.addPostData(postData, uid);
+		return answer;
+	};
+
+	// `filter` is either `solved` or `unsolved`
+	Topics.questions.filterTids = async function (tids, filter) {
+		const isMember = await db.isSortedSetMembers('topics:' + filter, tids);
+		return tids.filter((tid, index) => isMember[index]);
+	};
+
+	Topics.questions.exist = async function () {
+		const counts = await db.sortedSetsCard(['topics:solved', 'topics:unsolved']);
+		return counts.some(Boolean);
+	};
+};
@@ -56,7 +56,10 @@ module.exports = function (Topics) {
 
 	Topics.updateLastPostTime = async function (tid, lastposttime) {
 		await Topics.setTopicField(tid, 'lastposttime', lastposttime);
-		const topicData = await Topics.getTopicFields(tid, ['cid', 'deleted', 'pinned']);
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'deleted', 'pinned', 'scheduled']);
+		if (topicData.scheduled) {
+			return;
+		}
 
 		await db.sortedSetAdd('cid:' + topicData.cid + ':tids:lastposttime', lastposttime, tid);
 
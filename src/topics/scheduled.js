@@ -0,0 +1,132 @@
+'use strict';
+
+const winston = require('winston');
+const cronJob = require('cron').CronJob;
+
+const db = require('../database');
+const posts = require('../posts');
+const user = require('../user');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const analytics = require('../analytics');
+const socketHelpers = require('../socket.io/helpers');
+
+module.exports = function (Topics) {
+	Topics.scheduled = {};
+
+	Topics.scheduled.startJobs = function () {
+		winston.verbose('[topics/scheduled] Registering jobs.');
+		new cronJob('0 * * * * *', function () {
+			Topics.scheduled.handleExpired().catch(err => winston.error('[topics/scheduled] ' + err.stack));
+			Topics.scheduled.handleExpiredPins().catch(err => winston.error('[topics/scheduled] ' + err.stack));
+		}, null, true);
+		new cronJob('0 0 * * * *', function () {
+			Topics.autoLock.run().catch(err => winston.error('[topics/autolock] ' + err.stack));
+		}, null, true);
+	};
+
+	Topics.scheduled.handleExpired = async function () {
+		const tids = await db.getSortedSetRangeByScore('topics:scheduled', 0, -1, '-inf', Date.now());
+		for (const tid of tids) {
+			try {
+				/* eslint-disable no-await-in-loop */
+				await Topics.scheduled.publish(tid);
+			} catch (err) {
+				winston.error('[topics/scheduled] Could not publish topic ' + tid + '\n' + err.stack);
+			}
+		}
+	};
+
+	Topics.scheduled.handleExpiredPins = async function () {
+		const topicsData = await Topics.tools.unpinExpired();
+		topicsData.forEach(topicData => socketHelpers.emitToTopicAndCategory('event:topic_unpinned', topicData));
+	};
+
+	// The author and anyone allowed to schedule topics in the category
+	Topics.scheduled.canManage = async function (tid, uid) {
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'uid']);
+		if (!topicData.cid || !(parseInt(uid, 10) > 0)) {
+			return false;
+		}
+		return topicData.uid === parseInt(uid, 10) || await privileges.categories.can('topics:schedule', topicData.cid, uid);
+	};
+
+	Topics.scheduled.getThreadTools = async function (topicData, uid) {
+		if (!topicData.scheduled || !await Topics.scheduled.canManage(topicData.tid, uid)) {
+			return [];
+		}
+		return [
+			{ class: 'topic-publish', title: '[[topic:scheduled.publish-now]]', icon: 'fa-paper-plane' },
+			{ class: 'topic-reschedule', title: '[[topic:scheduled.reschedule]]', icon: 'fa-clock-o' },
+		];
+	};
+
+	Topics.scheduled.reschedule = async function (tid, timestamp) {
+		timestamp = parseInt(timestamp, 10);
+		if (!timestamp || timestamp <= Date.now()) {
+			throw new Error('[[error:invalid-schedule-date]]');
+		}
+		const topicData = await Topics.getTopicFields(tid, ['tid', 'mainPid', 'scheduled']);
+		if (!topicData.scheduled) {
+			throw new Error('[[error:topic-not-scheduled]]');
+		}
+		await Promise.all([
+			db.sortedSetAdd('topics:scheduled', timestamp, tid),
+			Topics.setTopicField(tid, 'timestamp', timestamp),
+			posts.setPostField(topicData.mainPid, 'timestamp', timestamp),
+		]);
+		plugins.fireHook('action:topic.reschedule', { tid: tid, timestamp: timestamp });
+	};
+
+	// Lists the topic everywhere Topics.post would have, using the time it went live
+	Topics.scheduled.publish = async function (tid) {
+		const topicData = await Topics.getTopicData(tid);
+		if (!topicData || !topicData.scheduled) {
+			throw new Error('[[error:topic-not-scheduled]]');
+		}
+		const timestamp = Date.now();
+		await Promise.all([
+			db.sortedSetRemove('topics:scheduled', tid),
+			Topics.deleteTopicField(tid, 'scheduled'),
+			Topics.setTopicField(tid, 'timestamp', timestamp),
+			posts.setPostField(topicData.mainPid, 'timestamp', timestamp),
+		]);
+		topicData.timestamp = timestamp;
+
+		const [tags, postData] = await Promise.all([
+			Topics.getTopicTags(tid),
+			posts.getPostData(topicData.mainPid),
+		]);
+		postData.cid = topicData.cid;
+		await Promise.all([
+			Topics.addTopicToCategoryAndUser(topicData),
+			Topics.createTags(tags, tid, timestamp),
+			posts.addPostToSets(postData, topicData.pinned),
+			Topics.updateLastPostTime(tid, timestamp),
+		]);
+		await Topics.markAsUnreadForAll(tid);
+		await announce(tid, topicData.uid);
+	};
+
+	async function announce(tid, uid) {
+		const [topics, mainPost] = await Promise.all([
+			Topics.getTopicsByTids([tid], uid),
+			Topics.getMainPost(tid, uid),
+		]);
+		const topicData = topics[0];
+		if (!topicData || !mainPost) {
+			return;
+		}
+		mainPost.topic = await Topics.getTopicFields(tid, ['tid', 'uid', 'title', 'slug', 'cid', 'postcount', 'mainPid']);
+		topicData.mainPost = mainPost;
+		topicData.unreplied = 1;
+
+		analytics.increment(['topics', 'topics:byCid:' + topicData.cid]);
+		plugins.fireHook('action:topic.post', { topic: topicData, post: mainPost, data: { tid: tid, uid: uid, cid: topicData.cid, scheduled: true } });
+
+		if (parseInt(uid, 10)) {
+			user.notifications.sendTopicNotificationToFollowers(uid, topicData, mainPost);
+		}
+		socketHelpers.notifyNew(uid, 'newTopic', { posts: [mainPost], topic: topicData });
+	}
+};
@@ -129,6 +129,8 @@ module.exports = function (Topics) {
 			tids = await Topics.filterNewTids(tids, uid);
 		} else if (filter === 'unreplied') {
 			tids = await Topics.filterUnrepliedTids(tids);
+		} else if (Topics.questions.filters.includes(filter)) {
+			tids = await Topics.questions.filterTids(tids, filter);
 		} else {
 			tids = await Topics.filterNotIgnoredTids(tids, uid);
 		}
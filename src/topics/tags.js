@@ -23,17 +23,18 @@ module.exports = function (Topics) {
 			.map(tag => utils.cleanUpTag(tag, meta.config.maximumTagLength))
 			.filter(tag => tag && tag.length >= (meta.config.minimumTagLength || 3));
 
-		tags = await filterCategoryTags(tags, tid);
-		await Promise.all([
-			db.setAdd('topic:' + tid + ':tags', tags),
-			db.sortedSetsAdd(tags.map(tag => 'tag:' + tag + ':topics'), timestamp, tid),
-		]);
-
+		const topicData = await Topics.getTopicFields(tid, ['cid', 'scheduled']);
+		tags = await filterCategoryTags(tags, topicData.cid);
+		await db.setAdd('topic:' + tid + ':tags', tags);
+		// Scheduled topics are added to the tag lists by Topics.scheduled.publish
+		if (topicData.scheduled) {
+			return;
+		}
+		await db.sortedSetsAdd(tags.map(tag => 'tag:' + tag + ':topics'), timestamp, tid);
 		await Promise.all(tags.map(tag => updateTagCount(tag)));
 	};
 
-	async function filterCategoryTags(tags, tid) {
-		const cid = await Topics.getTopicField(tid, 'cid');
+	async function filterCategoryTags(tags, cid) {
 		const tagWhitelist = await categories.getTagWhitelist([cid]);
 		if (!Array.isArray(tagWhitelist[0]) || !tagWhitelist[0].length) {
 			return tags;
@@ -7,6 +7,8 @@ const categories = require('../categories');
 const user = require('../user');
 const plugins = require('../plugins');
 const privileges = require('../privileges');
+const events = require('../events');
+const utils = require('../utils');
 
 
 module.exports = function (Topics) {
@@ -83,51 +85,105 @@ module.exports = function (Topics) {
 		return await toggleLock(tid, uid, false);
 	};
 
+	// uid is 'system' when an inactive topic is locked by the scheduled job
 	async function toggleLock(tid, uid, lock) {
 		const topicData = await Topics.getTopicFields(tid, ['tid', 'uid', 'cid']);
 		if (!topicData || !topicData.cid) {
 			throw new Error('[[error:no-topic]]');
 		}
-		const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
-		if (!isAdminOrMod) {
-			throw new Error('[[error:no-privileges]]');
+		if (uid !== 'system') {
+			const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
+			if (!isAdminOrMod) {
+				throw new Error('[[error:no-privileges]]');
+			}
 		}
 		await Topics.setTopicField(tid, 'locked', lock ? 1 : 0);
+		await Topics.events.log(tid, { type: lock ? 'lock' : 'unlock', uid: uid });
 		topicData.isLocked = lock;
 
 		plugins.fireHook('action:topic.lock', { topic: _.clone(topicData), uid: uid });
 		return topicData;
 	}
 
-	topicTools.pin = async function (tid, uid) {
-		return await togglePin(tid, uid, true);
+	topicTools.wiki = async function (tid, uid) {
+		return await toggleWiki(tid, uid, true);
+	};
+
+	topicTools.unwiki = async function (tid, uid) {
+		return await toggleWiki(tid, uid, false);
+	};
+
+	async function toggleWiki(tid, uid, wiki) {
+		const topicData = await Topics.getTopicFields(tid, ['tid', 'uid', 'cid', 'mainPid']);
+		if (!topicData || !topicData.cid) {
+			throw new Error('[[error:no-topic]]');
+		}
+		const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
+		if (!isAdminOrMod) {
+			throw new Error('[[error:no-privileges]]');
+		}
+		await Topics.setTopicField(tid, 'wiki', wiki ? 1 : 0);
+		topicData.isWiki = wiki;
+
+		plugins.fireHook('action:topic.wiki', { topic: _.clone(topicData), uid: uid });
+		return topicData;
+	}
+
+	topicTools.getThreadTools = async function (topicData, uid) {
+		const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
+		if (!isAdminOrMod) {
+			return [];
+		}
+		return [topicData.wiki ?
+			{ class: 'topic-unwiki', title: '[[topic:thread_tools.unwiki]]', icon: 'fa-book' } :
+			{ class: 'topic-wiki', title: '[[topic:thread_tools.wiki]]', icon: 'fa-book' },
+		];
+	};
+
+	topicTools.pin = async function (tid, uid, expiry) {
+		return await togglePin(tid, uid, true, expiry);
 	};
 
 	topicTools.unpin = async function (tid, uid) {
 		return await togglePin(tid, uid, false);
 	};
 
-	async function togglePin(tid, uid, pin) {
+	// uid is 'system' when an expired pin is lifted by the scheduled job
+	async function togglePin(tid, uid, pin, expiry) {
 		const topicData = await Topics.getTopicData(tid);
 		if (!topicData) {
 			throw new Error('[[error:no-topic]]');
 		}
-		const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
-		if (!isAdminOrMod) {
-			throw new Error('[[error:no-privileges]]');
+		if (uid !== 'system') {
+			const isAdminOrMod = await privileges.categories.isAdminOrMod(topicData.cid, uid);
+			if (!isAdminOrMod) {
+				throw new Error('[[error:no-privileges]]');
+			}
+		}
+		expiry = pin && expiry ? parseInt(expiry, 10) : 0;
+		if (pin && expiry !== 0 && !(expiry > Date.now())) {
+			throw new Error('[[error:invalid-pin-expiry]]');
 		}
 
 		const promises = [
 			Topics.setTopicField(tid, 'pinned', pin ? 1 : 0),
 		];
-		if (pin) {
+		if (expiry) {
+			promises.push(Topics.setTopicField(tid, 'pinExpiry', expiry));
+			promises.push(db.sortedSetAdd('topics:pinExpiry', expiry, tid));
+		} else {
+			promises.push(Topics.deleteTopicField(tid, 'pinExpiry'));
+			promises.push(db.sortedSetRemove('topics:pinExpiry', tid));
+		}
+		// Scheduled topics are not in the category lists yet, publishing adds them to the right ones
+		if (pin && !topicData.scheduled) {
 			promises.push(db.sortedSetAdd('cid:' + topicData.cid + ':tids:pinned', Date.now(), tid));
 			promises.push(db.sortedSetsRemove([
 				'cid:' + topicData.cid + ':tids',
 				'cid:' + topicData.cid + ':tids:posts',
 				'cid:' + topicData.cid + ':tids:votes',
 			], tid));
-		} else {
+		} else if (!topicData.scheduled) {
 			promises.push(db.sortedSetRemove('cid:' + topicData.cid + ':tids:pinned', tid));
 			promises.push(db.sortedSetAddBulk([
 				['cid:' + topicData.cid + ':tids', topicData.lastposttime, tid],
@@ -136,15 +192,32 @@ module.exports = function (Topics) {
 			]));
 		}
 
+		promises.push(Topics.events.log(tid, { type: pin ? 'pin' : 'unpin', uid: uid }));
+
 		await Promise.all(promises);
 
 		topicData.isPinned = pin;
+		topicData.pinExpiry = expiry;
+		topicData.pinExpiryISO = expiry ? utils.toISOString(expiry) : '';
 
 		plugins.fireHook('action:topic.pin', { topic: _.clone(topicData), uid: uid });
 
 		return topicData;
 	}
 
+	// Returns the topics that were unpinned so the caller can notify clients
+	topicTools.unpinExpired = async function () {
+		const tids = await db.getSortedSetRangeByScore('topics:pinExpiry', 0, -1, '-inf', Date.now());
+		const topicsData = await Promise.all(tids.map(tid => togglePin(tid, 'system', false)));
+		await Promise.all(topicsData.map(topicData => events.log({
+			type: 'topic-unpin',
+			uid: 0,
+			tid: topicData.tid,
+			title: String(topicData.title),
+		})));
+		return topicsData;
+	};
+
 	topicTools.orderPinnedTopics = async function (uid, data) {
 		const tids = data.map(topic => topic && topic.tid);
 		const topicData = await Topics.getTopicsFields(tids, ['cid']);
@@ -176,6 +249,29 @@ module.exports = function (Topics) {
 		if (cid === topicData.cid) {
 			throw new Error('[[error:cant-move-topic-to-same-category]]');
 		}
+		const oldCid = topicData.cid;
+		// Scheduled topics are not in the category lists yet, publishing adds them to the new category
+		if (!topicData.scheduled) {
+			await moveCategoryLists(tid, topicData, cid);
+		}
+
+		await Promise.all([
+			Topics.setTopicFields(tid, {
+				cid: cid,
+				oldCid: oldCid,
+			}),
+			Topics.events.log(tid, { type: 'move', uid: data.uid, fromCid: oldCid, toCid: cid }),
+		]);
+		const hookData = _.clone(data);
+		hookData.fromCid = oldCid;
+		hookData.toCid = cid;
+		hookData.tid = tid;
+
+		plugins.fireHook('action:topic.move', hookData);
+	};
+
+	async function moveCategoryLists(tid, topicData, cid) {
+		const oldCid = topicData.cid;
 		await db.sortedSetsRemove([
 			'cid:' + topicData.cid + ':tids',
 			'cid:' + topicData.cid + ':tids:pinned',
@@ -202,7 +298,6 @@ module.exports = function (Topics) {
 		}
 		await db.sortedSetAddBulk(bulk);
 
-		const oldCid = topicData.cid;
 		await categories.moveRecentReplies(tid, oldCid, cid);
 
 		await Promise.all([
@@ -210,16 +305,6 @@ module.exports = function (Topics) {
 			categories.incrementCategoryFieldBy(cid, 'topic_count', 1),
 			categories.updateRecentTidForCid(cid),
 			categories.updateRecentTidForCid(oldCid),
-			Topics.setTopicFields(tid, {
-				cid: cid,
-				oldCid: oldCid,
-			}),
 		]);
-		const hookData = _.clone(data);
-		hookData.fromCid = oldCid;
-		hookData.toCid = cid;
-		hookData.tid = tid;
-
-		plugins.fireHook('action:topic.move', hookData);
-	};
+	}
 };
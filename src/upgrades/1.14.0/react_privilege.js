@@ -0,0 +1,23 @@
+'use strict';
+
+/* eslint-disable no-await-in-loop */
+
+const batch = require('../../batch');
+
+module.exports = {
+	name: 'Give post react privilege to registered-users on all categories',
+	timestamp: Date.UTC(2020, 3, 23),
+	method: async function (callback) {
+		const progress = this.progress;
+		const privileges = require('../../privileges');
+		await batch.processSortedSet('categories:cid', async function (cids) {
+			for (const cid of cids) {
+				progress.incr();
+				await privileges.categories.give(['posts:react'], cid, 'registered-users');
+			}
+		}, {
+			progress: progress,
+		});
+		callback();
+	},
+};
@@ -13,17 +13,26 @@ const utils = require('../utils');
 module.exports = function (User) {
 	User.auth = {};
 
+	const attemptWindow = 1000 * 60 * 60;
+
 	User.auth.logAttempt = async function (uid, ip) {
-		if (!(parseInt(uid, 10) > 0)) {
-			return;
+		uid = parseInt(uid, 10) || 0;
+		ip = ip || '';
+		const knownDevice = await User.auth.checkLoginThrottle(uid, ip);
+
+		if (ip) {
+			await Promise.all([
+				logIpAttempt(ip),
+				uid > 0 ? logAccountIpAttempt(uid, ip) : null,
+			]);
 		}
-		const exists = await db.exists('lockout:' + uid);
-		if (exists) {
-			throw new Error('[[error:account-locked]]');
+
+		if (!(uid > 0) || knownDevice) {
+			return;
 		}
 		const attempts = await db.increment('loginAttempts:' + uid);
 		if (attempts <= meta.config.loginAttempts) {
-			return await db.pexpire('loginAttempts:' + uid, 1000 * 60 * 60);
+			return await db.pexpire('loginAttempts:' + uid, attemptWindow);
 		}
 		// Lock out the account
 		await db.set('lockout:' + uid, '');
@@ -39,6 +48,75 @@ module.exports = function (User) {
 		throw new Error('[[error:account-locked]]');
 	};
 
+	// Throws if the attempt may not be made right now, resolves to whether `ip` is a known device of the account
+	User.auth.checkLoginThrottle = async function (uid, ip) {
+		uid = parseInt(uid, 10) || 0;
+		const knownDevice = uid > 0 && ip ? await db.isSortedSetMember('uid:' + uid + ':ip', ip) : false;
+
+		// The account lockout does not apply to addresses the owner has logged in from before
+		if (uid > 0 && !knownDevice) {
+			const exists = await db.exists('lockout:' + uid);
+			if (exists) {
+				throw new Error('[[error:account-locked]]');
+			}
+		}
+
+		if (ip) {
+			await Promise.all([
+				checkThrottle('ip:' + ip),
+				uid > 0 ? checkThrottle(uid + ':' + ip) : null,
+			]);
+		}
+		return knownDevice;
+	};
+
+	async function checkThrottle(key) {
+		const until = parseInt(await db.get('loginThrottle:' + key), 10) || 0;
+		const remaining = until - Date.now();
+		if (remaining > 0) {
+			throw new Error('[[error:login-throttled, ' + Math.ceil(remaining / 1000) + ']]');
+		}
+	}
+
+	// Every failure past the threshold doubles the wait before the next attempt is accepted
+	async function throttle(key, over) {
+		const maxDelay = 1000 * 60 * (meta.config.loginThrottleMaxDelay || 15);
+		const delay = Math.min(1000 * (2 ** Math.min(over - 1, 20)), maxDelay);
+		const until = Date.now() + delay;
+		await db.set('loginThrottle:' + key, until);
+		await db.pexpireAt('loginThrottle:' + key, until);
+		return until;
+	}
+
+	async function logIpAttempt(ip) {
+		const key = 'loginAttempts:ip:' + ip;
+		const attempts = await db.incrObjectFieldBy(key, 'attempts', 1);
+		await db.pexpire(key, attemptWindow);
+		const over = attempts - (meta.config.loginAttemptsPerIp || 20);
+		if (over <= 0) {
+			return;
+		}
+		const until = await throttle('ip:' + ip, over);
+		await db.sortedSetAdd('loginThrottle:ips', until, ip);
+		if (over === 1) {
+			events.log({
+				type: 'ip-throttled',
+				ip: ip,
+				attempts: attempts,
+			});
+		}
+	}
+
+	async function logAccountIpAttempt(uid, ip) {
+		const key = 'loginAttempts:' + uid + ':' + ip;
+		const attempts = await db.increment(key);
+		await db.pexpire(key, attemptWindow);
+		const over = attempts - meta.config.loginAttempts;
+		if (over > 0) {
+			await throttle(uid + ':' + ip, over);
+		}
+	}
+
 	User.auth.getFeedToken = async function (uid) {
 		if (!(parseInt(uid, 10) > 0)) {
 			return;
@@ -51,8 +129,37 @@ module.exports = function (User) {
 		return token;
 	};
 
-	User.auth.clearLoginAttempts = async function (uid) {
-		await db.delete('loginAttempts:' + uid);
+	User.auth.clearLoginAttempts = async function (uid, ip) {
+		const keys = ['loginAttempts:' + uid];
+		if (ip) {
+			keys.push('loginAttempts:' + uid + ':' + ip, 'loginThrottle:' + uid + ':' + ip);
+			// A successful login should not count towards the address' own limit
+			const attempts = await db.incrObjectFieldBy('loginAttempts:ip:' + ip, 'attempts', -1);
+			if (attempts <= 0) {
+				keys.push('loginAttempts:ip:' + ip);
+			}
+		}
+		await db.deleteAll(keys);
+	};
+
+	User.auth.getThrottledIps = async function () {
+		const now = Date.now();
+		await db.sortedSetsRemoveRangeByScore(['loginThrottle:ips'], '-inf', now);
+		const data = await db.getSortedSetRevRangeWithScores('loginThrottle:ips', 0, -1);
+		const attempts = await db.getObjectsFields(data.map(d => 'loginAttempts:ip:' + d.value), ['attempts']);
+		return data.map((d, index) => ({
+			ip: validator.escape(String(d.value)),
+			attempts: parseInt(attempts[index].attempts, 10) || 0,
+			until: d.score,
+			untilISO: utils.toISOString(d.score),
+		}));
+	};
+
+	User.auth.releaseIp = async function (ip) {
+		await Promise.all([
+			db.deleteAll(['loginAttempts:ip:' + ip, 'loginThrottle:ip:' + ip]),
+			db.sortedSetRemove('loginThrottle:ips', ip),
+		]);
 	};
 
 	User.auth.resetLockout = async function (uid) {
@@ -116,6 +116,7 @@ module.exports = function (User) {
 
 		if (userData.password) {
 			User.isPasswordValid(userData.password);
+			await User.passwordPolicy.check(userData.password, userData);
 		}
 
 		if (userData.email) {
@@ -12,7 +12,8 @@ const utils = require('../utils');
 const intFields = [
 	'uid', 'postcount', 'topiccount', 'reputation', 'profileviews',
 	'banned', 'banned:expire', 'email:confirmed', 'joindate', 'lastonline', 'lastqueuetime',
-	'lastposttime', 'followingCount', 'followerCount', 'passwordExpiry',
+	'lastposttime', 'followingCount', 'followerCount', 'passwordExpiry', 'acceptedanswers',
+	'muted', 'muted:expire',
 ];
 
 module.exports = function (User) {
@@ -28,7 +29,7 @@ module.exports = function (User) {
 		'aboutme', 'signature', 'uploadedpicture', 'profileviews', 'reputation',
 		'postcount', 'topiccount', 'lastposttime', 'banned', 'banned:expire',
 		'status', 'flags', 'followerCount', 'followingCount', 'cover:url',
-		'cover:position', 'groupTitle',
+		'cover:position', 'groupTitle', 'muted', 'muted:expire',
 	];
 
 	User.guestData = {
@@ -94,6 +95,10 @@ module.exports = function (User) {
 		if (fields.includes('banned') && !fields.includes('banned:expire')) {
 			addField('banned:expire');
 		}
+
+		if (fields.includes('muted') && !fields.includes('muted:expire')) {
+			addField('muted:expire');
+		}
 	}
 
 	function uidsToUsers(uids, uniqueUids, usersData) {
@@ -202,6 +207,15 @@ module.exports = function (User) {
 					user.banned = false;
 				}
 			}
+
+			if (user.hasOwnProperty('muted') || user.hasOwnProperty('muted:expire')) {
+				if (User.mutes.hasExpired(user)) {
+					await User.mutes.unmute(user.uid);
+					user.muted = 0;
+					user['muted:expire'] = 0;
+				}
+				user.mutedUntilISO = user.muted && user['muted:expire'] ? utils.toISOString(user['muted:expire']) : '';
+			}
 			return user;
 		}));
 
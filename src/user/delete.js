@@ -65,6 +65,8 @@ module.exports = function (User) {
 			'users:reputation',
 			'users:banned',
 			'users:banned:expire',
+			'users:muted',
+			'users:muted:expire',
 			'users:flags',
 			'users:online',
 			'users:notvalidated',
@@ -92,6 +94,10 @@ module.exports = function (User) {
 		await deleteVotes(uid);
 		await deleteChats(uid);
 		await User.auth.revokeAllSessions(uid);
+		await User.tokens.revokeAll(uid);
+		await User.drafts.removeAll(uid);
+		await User.warnings.removeAll(uid);
+		await User.mutes.removeAll(uid);
 
 		const keys = [
 			'uid:' + uid + ':notifications:read',
@@ -108,6 +114,8 @@ module.exports = function (User) {
 			'uid:' + uid + ':upvote', 'uid:' + uid + ':downvote',
 			'uid:' + uid + ':flag:pids',
 			'uid:' + uid + ':sessions', 'uid:' + uid + ':sessionUUID:sessionId',
+			'uid:' + uid + ':2fa', 'uid:' + uid + ':2fa:recovery',
+			'uid:' + uid + ':passwords',
 			'invitation:uid:' + uid,
 		];
 
@@ -117,6 +125,9 @@ module.exports = function (User) {
 			['userslug:uid', userData.userslug],
 			['fullname:uid', userData.fullname],
 		];
+		if (userData.ldapdn) {
+			bulkRemove.push(['ldapdn:uid', userData.ldapdn]);
+		}
 		if (userData.email) {
 			bulkRemove.push(['email:uid', userData.email.toLowerCase()]);
 			bulkRemove.push(['email:sorted', userData.email.toLowerCase() + ':' + uid]);
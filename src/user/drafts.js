@@ -0,0 +1,149 @@
+'use strict';
+
+const validator = require('validator');
+
+const db = require('../database');
+const meta = require('../meta');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const utils = require('../utils');
+const batch = require('../batch');
+
+module.exports = function (User) {
+	User.drafts = {};
+
+	// topic: new topic in the category `id`, reply: reply to the topic `id`, edit: edit of the post `id`
+	User.drafts.types = ['topic', 'reply', 'edit'];
+
+	User.drafts.parseContext = function (data) {
+		const type = data && String(data.type);
+		const id = data && parseInt(data.id, 10);
+		if (!User.drafts.types.includes(type) || !(id > 0)) {
+			throw new Error('[[error:invalid-draft-context]]');
+		}
+		return { type: type, id: id, key: type + ':' + id };
+	};
+
+	User.drafts.save = async function (uid, data) {
+		uid = parseInt(uid, 10);
+		if (!(uid > 0)) {
+			throw new Error('[[error:not-logged-in]]');
+		}
+		const context = User.drafts.parseContext(data);
+		const title = String(data.title || '').trim();
+		const content = String(data.content || '');
+		if (!title && !content.trim()) {
+			return await User.drafts.remove(uid, context);
+		}
+		if (content.length > meta.config.maximumPostLength) {
+			throw new Error('[[error:content-too-long, ' + meta.config.maximumPostLength + ']]');
+		}
+		if (title.length > meta.config.maximumTitleLength) {
+			throw new Error('[[error:title-too-long, ' + meta.config.maximumTitleLength + ']]');
+		}
+		await checkContext(uid, context);
+
+		const max = parseInt(meta.config.draftMaxPerUser, 10) || 0;
+		const isNew = !await db.isSortedSetMember('uid:' + uid + ':drafts', context.key);
+		if (isNew && max && await db.sortedSetCard('uid:' + uid + ':drafts') >= max) {
+			throw new Error('[[error:too-many-drafts, ' + max + ']]');
+		}
+
+		const now = Date.now();
+		const result = await plugins.fireHook('filter:user.drafts.save', {
+			uid: uid,
+			draft: {
+				uid: uid,
+				type: context.type,
+				id: context.id,
+				title: title,
+				content: content,
+				tags: (Array.isArray(data.tags) ? data.tags : []).map(String).join(','),
+				timestamp: now,
+			},
+		});
+		await Promise.all([
+			db.setObject('draft:' + uid + ':' + context.key, result.draft),
+			db.sortedSetAdd('uid:' + uid + ':drafts', now, context.key),
+			db.sortedSetAdd('drafts:timestamp', now, uid + ':' + context.key),
+		]);
+		return modifyDraft(result.draft);
+	};
+
+	async function checkContext(uid, context) {
+		let allowed;
+		if (context.type === 'topic') {
+			allowed = await privileges.categories.can('topics:create', context.id, uid);
+		} else if (context.type === 'reply') {
+			allowed = await privileges.topics.can('topics:reply', context.id, uid);
+		} else {
+			allowed = (await privileges.posts.canEdit(context.id, uid)).flag;
+		}
+		if (!allowed) {
+			throw new Error('[[error:no-privileges]]');
+		}
+	}
+
+	User.drafts.get = async function (uid, data) {
+		const context = User.drafts.parseContext(data);
+		const draft = await db.getObject('draft:' + uid + ':' + context.key);
+		return draft ? modifyDraft(draft) : null;
+	};
+
+	// Newest first
+	User.drafts.list = async function (uid, start, stop) {
+		const keys = await db.getSortedSetRevRange('uid:' + uid + ':drafts', start, stop);
+		const drafts = await db.getObjects(keys.map(key => 'draft:' + uid + ':' + key));
+		return drafts.filter(Boolean).map(modifyDraft);
+	};
+
+	User.drafts.count = async function (uid) {
+		return await db.sortedSetCard('uid:' + uid + ':drafts');
+	};
+
+	User.drafts.remove = async function (uid, data) {
+		uid = parseInt(uid, 10);
+		if (!(uid > 0)) {
+			return;
+		}
+		const context = User.drafts.parseContext(data);
+		await Promise.all([
+			db.delete('draft:' + uid + ':' + context.key),
+			db.sortedSetRemove('uid:' + uid + ':drafts', context.key),
+			db.sortedSetRemove('drafts:timestamp', uid + ':' + context.key),
+		]);
+	};
+
+	User.drafts.removeAll = async function (uid) {
+		const keys = await db.getSortedSetRange('uid:' + uid + ':drafts', 0, -1);
+		await Promise.all([
+			db.deleteAll(keys.map(key => 'draft:' + uid + ':' + key).concat('uid:' + uid + ':drafts')),
+			db.sortedSetRemove('drafts:timestamp', keys.map(key => uid + ':' + key)),
+		]);
+	};
+
+	// Removes drafts that were not saved for longer than `draftMaxAgeDays`
+	User.drafts.clean = async function () {
+		const days = parseInt(meta.config.draftMaxAgeDays, 10) || 0;
+		if (days <= 0) {
+			return;
+		}
+		const values = await db.getSortedSetRangeByScore('drafts:timestamp', 0, -1, '-inf', Date.now() - (days * 86400000));
+		await batch.processArray(values, async function (values) {
+			await Promise.all(values.map(function (value) {
+				const [uid, type, id] = value.split(':');
+				return User.drafts.remove(uid, { type: type, id: id });
+			}));
+		}, { batch: 500 });
+	};
+
+	function modifyDraft(draft) {
+		draft.uid = parseInt(draft.uid, 10);
+		draft.id = parseInt(draft.id, 10);
+		draft.timestamp = parseInt(draft.timestamp, 10) || 0;
+		draft.timestampISO = utils.toISOString(draft.timestamp);
+		draft.tags = draft.tags ? String(draft.tags).split(',') : [];
+		draft.titleEscaped = validator.escape(String(draft.title || ''));
+		return draft;
+	}
+};
@@ -20,6 +20,7 @@ User.digest = require('./digest');
 require('./data')(User);
 require('./auth')(User);
 require('./bans')(User);
+require('./mutes')(User);
 require('./create')(User);
 require('./posts')(User);
 require('./topics')(User);
@@ -35,10 +36,15 @@ require('./picture')(User);
 require('./approval')(User);
 require('./invite')(User);
 require('./password')(User);
+require('./policy')(User);
 require('./info')(User);
 require('./online')(User);
 require('./blocks')(User);
 require('./uploads')(User);
+require('./tokens')(User);
+require('./drafts')(User);
+require('./totp')(User);
+require('./warnings')(User);
 
 User.exists = async function (uid) {
 	return await db.exists('user:' + uid);
@@ -83,7 +89,7 @@ User.getUsers = async function (uids, uid) {
 	return await User.getUsersWithFields(uids, [
 		'uid', 'username', 'userslug', 'picture', 'status',
 		'postcount', 'reputation', 'email:confirmed', 'lastonline',
-		'flags', 'banned', 'banned:expire', 'joindate',
+		'flags', 'banned', 'banned:expire', 'muted', 'joindate',
 	], uid);
 };
 
@@ -32,6 +32,12 @@ module.exports = function (User) {
 		winston.verbose('[user/jobs] Starting job (reset.clean)');
 		started += 1;
 
+		jobs['drafts.clean'] = new cronJob('0 30 0 * * *', function () {
+			User.drafts.clean().catch(err => winston.error('[user/jobs] ' + err.stack));
+		}, null, true);
+		winston.verbose('[user/jobs] Starting job (drafts.clean)');
+		started += 1;
+
 		winston.verbose('[user/jobs] ' + started + ' jobs started');
 	};
 
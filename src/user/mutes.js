@@ -0,0 +1,80 @@
+'use strict';
+
+const db = require('../database');
+const utils = require('../utils');
+
+module.exports = function (User) {
+	User.mutes = {};
+
+	// Muted users can still log in and read, but can not post, chat, vote or flag
+	User.mutes.mute = async function (uid, until, reason, fromUid) {
+		// "until" (optional) is unix timestamp in milliseconds, 0 mutes until the user is unmuted
+		until = parseInt(until || 0, 10);
+		if (isNaN(until)) {
+			throw new Error('[[error:mute-expiry-missing]]');
+		}
+
+		const now = Date.now();
+		const muteKey = 'uid:' + uid + ':mute:' + now;
+		const muteData = {
+			uid: uid,
+			timestamp: now,
+			expire: until > now ? until : 0,
+		};
+		if (reason) {
+			muteData.reason = reason;
+		}
+		if (fromUid) {
+			muteData.fromUid = fromUid;
+		}
+
+		await User.setUserFields(uid, { muted: 1, 'muted:expire': muteData.expire });
+		await db.sortedSetAdd('users:muted', now, uid);
+		await db.sortedSetAdd('uid:' + uid + ':mutes:timestamp', now, muteKey);
+		await db.setObject(muteKey, muteData);
+		if (muteData.expire) {
+			await db.sortedSetAdd('users:muted:expire', muteData.expire, uid);
+		} else {
+			await db.sortedSetRemove('users:muted:expire', uid);
+		}
+		return muteData;
+	};
+
+	User.mutes.unmute = async function (uids) {
+		if (Array.isArray(uids)) {
+			await db.setObject(uids.map(uid => 'user:' + uid), { muted: 0, 'muted:expire': 0 });
+		} else {
+			await User.setUserFields(uids, { muted: 0, 'muted:expire': 0 });
+		}
+
+		await db.sortedSetRemove(['users:muted', 'users:muted:expire'], uids);
+	};
+
+	User.mutes.isMuted = async function (uids) {
+		const isArray = Array.isArray(uids);
+		uids = isArray ? uids : [uids];
+		// loading user data will unmute if it has expired
+		const userData = await User.getUsersFields(uids, ['muted']);
+		const result = userData.map(userData => !!userData.muted);
+		return isArray ? result : result[0];
+	};
+
+	User.mutes.hasExpired = function (userData) {
+		return !!userData.muted && userData['muted:expire'] > 0 && userData['muted:expire'] <= Date.now();
+	};
+
+	User.mutes.check = async function (uid) {
+		const userData = await User.getUserFields(uid, ['muted']);
+		if (!userData.muted) {
+			return;
+		}
+		throw new Error(userData['muted:expire'] ?
+			'[[error:user-muted-until, ' + utils.toISOString(userData['muted:expire']) + ']]' :
+			'[[error:user-muted]]');
+	};
+
+	User.mutes.removeAll = async function (uid) {
+		const mutes = await db.getSortedSetRange('uid:' + uid + ':mutes:timestamp', 0, -1);
+		await db.deleteAll(mutes.concat('uid:' + uid + ':mutes:timestamp'));
+	};
+};
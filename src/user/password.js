@@ -2,17 +2,24 @@
 
 
 const nconf = require('nconf');
+const winston = require('winston');
 
 const db = require('../database');
+const meta = require('../meta');
+const batch = require('../batch');
 const Password = require('../password');
 
 module.exports = function (User) {
+	User.getPasswordAlgorithm = function () {
+		return Password.resolveAlgorithm(meta.config.passwordHashAlgorithm || 'bcrypt');
+	};
+
 	User.hashPassword = async function (password) {
 		if (!password) {
 			return password;
 		}
 
-		return await Password.hash(nconf.get('bcrypt_rounds') || 12, password);
+		return await Password.hash(nconf.get('bcrypt_rounds') || 12, password, User.getPasswordAlgorithm());
 	};
 
 	User.isPasswordCorrect = async function (uid, password, ip) {
@@ -27,13 +34,49 @@ module.exports = function (User) {
 		await User.auth.logAttempt(uid, ip);
 		const ok = await Password.compare(password, hashedPassword);
 		if (ok) {
-			User.auth.clearLoginAttempts(uid);
+			// With 2FA on, failed attempts are only cleared once the code is verified as well
+			if (!await User.totp.isEnabled(uid)) {
+				User.auth.clearLoginAttempts(uid, ip);
+			}
+			await rehashIfNeeded(uid, password, hashedPassword);
 		}
 		return ok;
 	};
 
+	// The plain password is only available on login, so that is when old hashes get upgraded
+	async function rehashIfNeeded(uid, password, hashedPassword) {
+		if (!Password.needsRehash(hashedPassword, User.getPasswordAlgorithm(), nconf.get('bcrypt_rounds') || 12)) {
+			return;
+		}
+		try {
+			const newHash = await User.hashPassword(password);
+			await db.setObjectField('user:' + uid, 'password', newHash);
+			winston.verbose('[user/password] Rehashed password of uid ' + uid + ' with ' + Password.getAlgorithm(newHash));
+		} catch (err) {
+			winston.error('[user/password] Could not rehash password of uid ' + uid + '\n' + err.stack);
+		}
+	}
+
 	User.hasPassword = async function (uid) {
 		const hashedPassword = await db.getObjectField('user:' + uid, 'password');
 		return !!hashedPassword;
 	};
+
+	User.getPasswordAlgorithmCounts = async function () {
+		const counts = { none: 0, unknown: 0 };
+		Password.algorithms.forEach(function (algorithm) {
+			counts[algorithm] = 0;
+		});
+		await batch.processSortedSet('users:joindate', async function (uids) {
+			const userData = await db.getObjectsFields(uids.map(uid => 'user:' + uid), ['password']);
+			userData.forEach(function (user) {
+				if (!user.password) {
+					counts.none += 1;
+				} else {
+					counts[Password.getAlgorithm(user.password) || 'unknown'] += 1;
+				}
+			});
+		}, { batch: 500 });
+		return counts;
+	};
 };
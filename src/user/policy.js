@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const mkdirp = require('mkdirp');
+
+const db = require('../database');
+const meta = require('../meta');
+const Password = require('../password');
+
+module.exports = function (User) {
+	User.passwordPolicy = {};
+
+	User.passwordPolicy.maxHistorySize = 24;
+
+	// Runs the checks that need more than the password itself, `userData` is used for the forbidden list and reuse checks
+	User.passwordPolicy.check = async function (password, userData) {
+		userData = userData || {};
+		if (User.passwordPolicy.isForbidden(password, userData)) {
+			throw new Error('[[error:password-forbidden]]');
+		}
+		if (await User.passwordPolicy.isBreached(password)) {
+			throw new Error('[[error:password-breached]]');
+		}
+		const historySize = User.passwordPolicy.getHistorySize();
+		if (historySize && parseInt(userData.uid, 10) > 0 && await User.passwordPolicy.isReused(userData.uid, password)) {
+			throw new Error('[[error:password-reused, ' + historySize + ']]');
+		}
+	};
+
+	User.passwordPolicy.getForbidden = function () {
+		return String(meta.config['password:forbidden'] || '').split('\n')
+			.map(line => line.trim().toLowerCase())
+			.filter(Boolean);
+	};
+
+	User.passwordPolicy.isForbidden = function (password, userData) {
+		const lowercase = String(password).toLowerCase();
+		const ownValues = [userData.username, userData.email].filter(Boolean).map(value => String(value).toLowerCase());
+		return User.passwordPolicy.getForbidden().includes(lowercase) || ownValues.includes(lowercase);
+	};
+
+	// Only the file for the first five characters of the hash is read, same as the k-anonymity range API
+	User.passwordPolicy.isBreached = async function (password) {
+		const dir = meta.config['password:breachedPath'];
+		if (!dir) {
+			return false;
+		}
+		const hash = crypto.createHash('sha1').update(String(password)).digest('hex').toUpperCase();
+		const file = path.join(dir, hash.slice(0, 5) + '.txt');
+		let content;
+		try {
+			content = await fs.promises.readFile(file, 'utf8');
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return false;
+			}
+			throw err;
+		}
+		const suffix = hash.slice(5);
+		const minCount = parseInt(meta.config['password:breachedMinCount'], 10) || 1;
+		return content.split('\n').some(function (line) {
+			const [lineSuffix, count] = line.trim().split(':');
+			return lineSuffix && lineSuffix.toUpperCase() === suffix && (parseInt(count, 10) || 1) >= minCount;
+		});
+	};
+
+	// Splits a `SHA1:COUNT` per line file (e.g. the downloadable Pwned Passwords list) into one file per hash prefix
+	User.passwordPolicy.importBreachedHashes = async function (source, dir) {
+		await mkdirp(dir);
+		const existing = await fs.promises.readdir(dir);
+		await Promise.all(existing.filter(file => /^[0-9A-F]{5}\.txt$/.test(file))
+			.map(file => fs.promises.unlink(path.join(dir, file))));
+
+		const lines = readline.createInterface({ input: fs.createReadStream(source), crlfDelay: Infinity });
+		let prefix = null;
+		let buffer = [];
+		let count = 0;
+		async function flush() {
+			if (prefix && buffer.length) {
+				await fs.promises.appendFile(path.join(dir, prefix + '.txt'), buffer.join('\n') + '\n');
+			}
+			buffer = [];
+		}
+		for await (const line of lines) {
+			const match = /^([0-9a-fA-F]{40})(?::(\d+))?/.exec(line.trim());
+			if (match) {
+				const hash = match[1].toUpperCase();
+				if (hash.slice(0, 5) !== prefix) {
+					await flush();
+					prefix = hash.slice(0, 5);
+				}
+				buffer.push(hash.slice(5) + ':' + (match[2] || 1));
+				count += 1;
+			}
+		}
+		await flush();
+		return count;
+	};
+
+	User.passwordPolicy.getHistorySize = function () {
+		const size = parseInt(meta.config['password:historySize'], 10) || 0;
+		return Math.max(0, Math.min(size, User.passwordPolicy.maxHistorySize));
+	};
+
+	// The current password counts as one of the last N
+	User.passwordPolicy.isReused = async function (uid, password) {
+		const historySize = User.passwordPolicy.getHistorySize();
+		const [current, previous] = await Promise.all([
+			db.getObjectField('user:' + uid, 'password'),
+			historySize > 1 ? db.getSortedSetRevRange('uid:' + uid + ':passwords', 0, historySize - 2) : [],
+		]);
+		const hashes = [current].concat(previous).filter(Boolean);
+		for (const hash of hashes) {
+			/* eslint-disable no-await-in-loop */
+			if (await Password.compare(password, hash)) {
+				return true;
+			}
+		}
+		return false;
+	};
+
+	User.passwordPolicy.remember = async function (uid, hash) {
+		const keep = User.passwordPolicy.getHistorySize() - 1;
+		const key = 'uid:' + uid + ':passwords';
+		if (!hash || keep <= 0) {
+			return await db.delete(key);
+		}
+		await db.sortedSetAdd(key, Date.now(), hash);
+		const stale = await db.getSortedSetRevRange(key, keep, -1);
+		if (stale.length) {
+			await db.sortedSetRemove(key, stale);
+		}
+	};
+
+	// Stores a new password hash and keeps the one it replaces for the reuse check
+	User.passwordPolicy.setPassword = async function (uid, hash, fields) {
+		const oldHash = await db.getObjectField('user:' + uid, 'password');
+		await User.passwordPolicy.remember(uid, oldHash);
+		await User.setUserFields(uid, { ...fields, password: hash });
+		await User.reset.updateExpiry(uid);
+	};
+
+	// Accounts without an expiry date from before the max age was configured start counting from their next login
+	User.passwordPolicy.isExpired = async function (uid, userData) {
+		if (userData.passwordExpiry) {
+			return userData.passwordExpiry < Date.now();
+		}
+		if (meta.config.passwordExpiryDays > 0 && await User.hasPassword(uid)) {
+			await User.reset.updateExpiry(uid);
+		}
+		return false;
+	};
+};
@@ -34,6 +34,8 @@ module.exports = function (User) {
 			throw new Error('[[error:user-banned]]');
 		}
 
+		await User.mutes.check(uid);
+
 		if (meta.config.requireEmailConfirmation && !userData['email:confirmed']) {
 			throw new Error('[[error:email-not-confirmed]]');
 		}
@@ -291,13 +291,14 @@ module.exports = function (User) {
 			throw new Error('[[user:change_password_error_wrong_current]]');
 		}
 
+		const targetData = await User.getUserFields(data.uid, ['uid', 'username', 'email']);
+		await User.passwordPolicy.check(data.newPassword, targetData);
+
 		const hashedPassword = await User.hashPassword(data.newPassword);
 		await Promise.all([
-			User.setUserFields(data.uid, {
-				password: hashedPassword,
+			User.passwordPolicy.setPassword(data.uid, hashedPassword, {
 				rss_token: utils.generateUUID(),
 			}),
-			User.reset.updateExpiry(data.uid),
 			User.auth.revokeAllSessions(data.uid),
 		]);
 
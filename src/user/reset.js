@@ -67,16 +67,18 @@ UserReset.commit = async function (code, password) {
 		throw new Error('[[error:reset-code-not-valid]]');
 	}
 
+	const userData = await user.getUserFields(uid, ['uid', 'username', 'email']);
+	await user.passwordPolicy.check(password, userData);
+
 	const hash = await user.hashPassword(password);
 
-	await user.setUserFields(uid, { password: hash, 'email:confirmed': 1 });
+	await user.passwordPolicy.setPassword(uid, hash, { 'email:confirmed': 1 });
 	await db.deleteObjectField('reset:uid', code);
 	await db.sortedSetRemoveBulk([
 		['reset:issueDate', code],
 		['reset:issueDate:uid', uid],
 		['users:notvalidated', uid],
 	]);
-	await user.reset.updateExpiry(uid);
 	await user.auth.resetLockout(uid);
 	await db.delete('uid:' + uid + ':confirm:email:sent');
 	await UserReset.cleanByUid(uid);
@@ -0,0 +1,158 @@
+'use strict';
+
+const crypto = require('crypto');
+const validator = require('validator');
+
+const db = require('../database');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+module.exports = function (User) {
+	User.tokens = {};
+
+	User.tokens.scopes = ['read', 'write:posts', 'moderate', 'admin'];
+
+	function hashToken(token) {
+		return crypto.createHash('sha256').update(String(token)).digest('hex');
+	}
+
+	User.tokens.create = async function (uid, data) {
+		uid = parseInt(uid, 10) || 0;
+		data = data || {};
+		const master = !!data.master;
+		if (!master && uid <= 0) {
+			throw new Error('[[error:invalid-uid]]');
+		}
+
+		const scopes = Array.isArray(data.scopes) ? data.scopes : String(data.scopes || '').split(',');
+		const validScopes = scopes.filter(scope => User.tokens.scopes.includes(scope));
+		if (!validScopes.length || validScopes.length !== scopes.length) {
+			throw new Error('[[error:invalid-token-scope]]');
+		}
+
+		const expiry = parseInt(data.expiry, 10) || 0;
+		if (expiry && expiry <= Date.now()) {
+			throw new Error('[[error:invalid-token-expiry]]');
+		}
+
+		const token = crypto.randomBytes(32).toString('hex');
+		const tokenData = {
+			id: utils.generateUUID(),
+			uid: master ? 0 : uid,
+			master: master ? 1 : 0,
+			description: String(data.description || '').slice(0, 255),
+			scopes: validScopes.join(','),
+			hash: hashToken(token),
+			timestamp: Date.now(),
+			expiry: expiry,
+		};
+
+		await Promise.all([
+			db.setObject('apiToken:' + tokenData.id, tokenData),
+			db.setObjectField('apiTokens:hash', tokenData.hash, tokenData.id),
+			db.sortedSetAdd('apiTokens:timestamp', tokenData.timestamp, tokenData.id),
+			db.sortedSetAdd(master ? 'apiTokens:master' : 'uid:' + uid + ':apiTokens', tokenData.timestamp, tokenData.id),
+		]);
+		plugins.fireHook('action:user.tokens.create', { uid: uid, token: modifyToken(tokenData) });
+
+		// The plain token is only ever returned here, only its hash is stored
+		return { ...modifyToken(tokenData), token: token };
+	};
+
+	User.tokens.get = async function (id) {
+		const tokenData = await db.getObject('apiToken:' + id);
+		return tokenData ? modifyToken(tokenData) : null;
+	};
+
+	User.tokens.list = async function (uid) {
+		const ids = await db.getSortedSetRevRange('uid:' + uid + ':apiTokens', 0, -1);
+		return await getTokens(ids);
+	};
+
+	User.tokens.listMaster = async function () {
+		const ids = await db.getSortedSetRevRange('apiTokens:master', 0, -1);
+		return await getTokens(ids);
+	};
+
+	User.tokens.listAll = async function (start, stop) {
+		const ids = await db.getSortedSetRevRange('apiTokens:timestamp', start, stop);
+		return await getTokens(ids);
+	};
+
+	async function getTokens(ids) {
+		const tokens = await db.getObjects(ids.map(id => 'apiToken:' + id));
+		return tokens.filter(Boolean).map(modifyToken);
+	}
+
+	User.tokens.revoke = async function (id) {
+		const tokenData = await db.getObject('apiToken:' + id);
+		if (!tokenData) {
+			throw new Error('[[error:invalid-token]]');
+		}
+		await Promise.all([
+			db.delete('apiToken:' + id),
+			db.deleteObjectField('apiTokens:hash', tokenData.hash),
+			db.sortedSetsRemove([
+				'apiTokens:timestamp',
+				'apiTokens:master',
+				'uid:' + tokenData.uid + ':apiTokens',
+			], id),
+		]);
+		plugins.fireHook('action:user.tokens.revoke', { token: modifyToken(tokenData) });
+	};
+
+	User.tokens.revokeAll = async function (uid) {
+		const ids = await db.getSortedSetRange('uid:' + uid + ':apiTokens', 0, -1);
+		await Promise.all(ids.map(id => User.tokens.revoke(id)));
+	};
+
+	User.tokens.verify = async function (token, ip) {
+		if (!token || typeof token !== 'string') {
+			throw new Error('[[error:invalid-token]]');
+		}
+		const id = await db.getObjectField('apiTokens:hash', hashToken(token));
+		const tokenData = id ? await db.getObject('apiToken:' + id) : null;
+		if (!tokenData) {
+			throw new Error('[[error:invalid-token]]');
+		}
+		const now = Date.now();
+		if (tokenData.expiry && parseInt(tokenData.expiry, 10) <= now) {
+			throw new Error('[[error:token-expired]]');
+		}
+		tokenData.lastSeen = now;
+		tokenData.lastSeenIp = ip || '';
+		await db.setObject('apiToken:' + id, {
+			lastSeen: tokenData.lastSeen,
+			lastSeenIp: tokenData.lastSeenIp,
+		});
+		return modifyToken(tokenData);
+	};
+
+	User.tokens.hasScope = function (tokenData, scope) {
+		if (!tokenData) {
+			return false;
+		}
+		// Every token can read, `admin` implies all other scopes
+		return scope === 'read' || tokenData.scopes.includes('admin') || tokenData.scopes.includes(scope);
+	};
+
+	function modifyToken(tokenData) {
+		const expiry = parseInt(tokenData.expiry, 10) || 0;
+		const lastSeen = parseInt(tokenData.lastSeen, 10) || 0;
+		return {
+			id: tokenData.id,
+			uid: parseInt(tokenData.uid, 10) || 0,
+			master: parseInt(tokenData.master, 10) === 1,
+			description: validator.escape(String(tokenData.description || '')),
+			scopes: String(tokenData.scopes || '').split(',').filter(Boolean),
+			timestamp: parseInt(tokenData.timestamp, 10) || 0,
+			timestampISO: utils.toISOString(tokenData.timestamp),
+			expiry: expiry,
+			expiryISO: expiry ? utils.toISOString(expiry) : '',
+			expired: !!expiry && expiry <= Date.now(),
+			lastSeen: lastSeen,
+			lastSeenISO: lastSeen ? utils.toISOString(lastSeen) : '',
+			lastSeenIp: validator.escape(String(tokenData.lastSeenIp || '')),
+		};
+	}
+};
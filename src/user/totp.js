@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+const nconf = require('nconf');
+
+const db = require('../database');
+const meta = require('../meta');
+const plugins = require('../plugins');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+module.exports = function (User) {
+	User.totp = {};
+
+	// RFC 6238 defaults, these are what authenticator apps expect
+	User.totp.period = 30;
+	User.totp.digits = 6;
+	User.totp.window = 1;
+	User.totp.recoveryCodeCount = 10;
+
+	User.totp.generateSecret = function () {
+		return base32Encode(crypto.randomBytes(20));
+	};
+
+	User.totp.generateCode = function (secret, step) {
+		const counter = Buffer.alloc(8);
+		counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+		counter.writeUInt32BE(step % 0x100000000, 4);
+
+		const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+		const offset = hmac[hmac.length - 1] & 0xf;
+		const binary = ((hmac[offset] & 0x7f) << 24) |
+			(hmac[offset + 1] << 16) |
+			(hmac[offset + 2] << 8) |
+			hmac[offset + 3];
+		return String(binary % (10 ** User.totp.digits)).padStart(User.totp.digits, '0');
+	};
+
+	User.totp.getStep = function (time) {
+		return Math.floor((time || Date.now()) / 1000 / User.totp.period);
+	};
+
+	// Returns the matching time step so callers can refuse to accept it twice
+	User.totp.checkCode = function (secret, code, time) {
+		code = String(code || '').replace(/\s/g, '');
+		if (!secret || !/^\d+$/.test(code) || code.length !== User.totp.digits) {
+			return false;
+		}
+		const current = User.totp.getStep(time);
+		for (let step = current - User.totp.window; step <= current + User.totp.window; step += 1) {
+			const expected = User.totp.generateCode(secret, step);
+			if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+				return step;
+			}
+		}
+		return false;
+	};
+
+	User.totp.getOtpauthUrl = function (username, secret) {
+		const issuer = meta.config.title || 'NodeBB';
+		const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(username);
+		return 'otpauth://totp/' + label + '?secret=' + secret +
+			'&issuer=' + encodeURIComponent(issuer) +
+			'&algorithm=SHA1&digits=' + User.totp.digits + '&period=' + User.totp.period;
+	};
+
+	User.totp.isEnabled = async function (uid) {
+		if (!(parseInt(uid, 10) > 0)) {
+			return false;
+		}
+		const enabled = await db.getObjectField('uid:' + uid + ':2fa', 'enabled');
+		return parseInt(enabled, 10) > 0;
+	};
+
+	User.totp.isRequired = async function (uid) {
+		if (!meta.config['twoFactor:requirePrivileged'] || !(parseInt(uid, 10) > 0)) {
+			return false;
+		}
+		return await User.isAdminOrGlobalMod(uid);
+	};
+
+	// Stores a secret that only becomes active once a code generated from it is confirmed,
+	// the same secret is handed out until then so reloading the page does not invalidate a scanned code
+	User.totp.setup = async function (uid) {
+		const [data, username] = await Promise.all([
+			db.getObjectFields('uid:' + uid + ':2fa', ['enabled', 'pendingSecret']),
+			User.getUserField(uid, 'username'),
+		]);
+		if (parseInt(data.enabled, 10) > 0) {
+			throw new Error('[[error:2fa-already-enabled]]');
+		}
+		let secret = data.pendingSecret;
+		if (!secret) {
+			secret = User.totp.generateSecret();
+			await db.setObjectField('uid:' + uid + ':2fa', 'pendingSecret', secret);
+		}
+		return {
+			secret: secret,
+			otpauthUrl: User.totp.getOtpauthUrl(username, secret),
+		};
+	};
+
+	User.totp.enable = async function (uid, code) {
+		const data = await db.getObject('uid:' + uid + ':2fa');
+		if (!data || !data.pendingSecret) {
+			throw new Error('[[error:2fa-not-set-up]]');
+		}
+		if (parseInt(data.enabled, 10) > 0) {
+			throw new Error('[[error:2fa-already-enabled]]');
+		}
+		const step = User.totp.checkCode(data.pendingSecret, code);
+		if (step === false) {
+			throw new Error('[[error:invalid-2fa-code]]');
+		}
+		await db.setObject('uid:' + uid + ':2fa', {
+			secret: data.pendingSecret,
+			enabled: Date.now(),
+			lastStep: step,
+		});
+		await db.deleteObjectField('uid:' + uid + ':2fa', 'pendingSecret');
+		const recoveryCodes = await User.totp.generateRecoveryCodes(uid);
+		plugins.fireHook('action:user.2fa.enable', { uid: uid });
+		return recoveryCodes;
+	};
+
+	User.totp.disable = async function (uid) {
+		await db.deleteAll([
+			'uid:' + uid + ':2fa',
+			'uid:' + uid + ':2fa:recovery',
+		]);
+		plugins.fireHook('action:user.2fa.disable', { uid: uid });
+	};
+
+	User.totp.generateRecoveryCodes = async function (uid) {
+		const codes = [];
+		for (let i = 0; i < User.totp.recoveryCodeCount; i += 1) {
+			codes.push(crypto.randomBytes(5).toString('hex'));
+		}
+		await db.delete('uid:' + uid + ':2fa:recovery');
+		await db.setAdd('uid:' + uid + ':2fa:recovery', codes.map(hashRecoveryCode));
+		return codes;
+	};
+
+	User.totp.getRecoveryCodeCount = async function (uid) {
+		return await db.setCount('uid:' + uid + ':2fa:recovery');
+	};
+
+	// Accepts either a current TOTP code or one of the unused recovery codes
+	User.totp.verify = async function (uid, code) {
+		code = String(code || '').trim();
+		const data = await db.getObject('uid:' + uid + ':2fa');
+		if (!data || !(parseInt(data.enabled, 10) > 0)) {
+			throw new Error('[[error:2fa-not-enabled]]');
+		}
+
+		const step = User.totp.checkCode(data.secret, code);
+		if (step !== false) {
+			if (step <= parseInt(data.lastStep, 10)) {
+				return false;
+			}
+			await db.setObjectField('uid:' + uid + ':2fa', 'lastStep', step);
+			return { method: 'totp' };
+		}
+
+		const hash = hashRecoveryCode(code);
+		const isRecoveryCode = await db.isSetMember('uid:' + uid + ':2fa:recovery', hash);
+		if (isRecoveryCode) {
+			await db.setRemove('uid:' + uid + ':2fa:recovery', hash);
+			return { method: 'recovery' };
+		}
+		return false;
+	};
+
+	function hashRecoveryCode(code) {
+		return crypto.createHmac('sha256', String(nconf.get('secret'))).update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+	}
+};
+
+function base32Encode(buffer) {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+	for (let i = 0; i < buffer.length; i += 1) {
+		value = ((value << 8) | buffer[i]) & 0x1fff;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return output;
+}
+
+function base32Decode(input) {
+	const cleaned = String(input).toUpperCase().replace(/=+$/, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+	for (let i = 0; i < cleaned.length; i += 1) {
+		const index = BASE32_ALPHABET.indexOf(cleaned[i]);
+		if (index === -1) {
+			throw new Error('[[error:invalid-data]]');
+		}
+		value = ((value << 5) | index) & 0x1fff;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+}
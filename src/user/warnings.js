@@ -0,0 +1,206 @@
+'use strict';
+
+const db = require('../database');
+const meta = require('../meta');
+const events = require('../events');
+const plugins = require('../plugins');
+const notifications = require('../notifications');
+const translator = require('../translator');
+const utils = require('../utils');
+
+module.exports = function (User) {
+	User.warnings = {};
+
+	User.warnings.maxPoints = 100;
+
+	// What an escalation rule can do once its points are reached, plugins can add their own
+	User.warnings.actions = {
+		ban: async function (uid, rule, reason) {
+			const until = rule.duration ? Date.now() + (rule.duration * 3600000) : 0;
+			await User.bans.ban(uid, until, reason);
+			plugins.fireHook('action:user.banned', {
+				callerUid: 0,
+				uid: uid,
+				until: until || undefined,
+				reason: reason,
+			});
+			await User.auth.revokeAllSessions(uid);
+			require('../socket.io').in('uid_' + uid).emit('event:banned', {
+				until: until,
+				reason: await translator.translate(reason),
+			});
+		},
+		mute: async function (uid, rule, reason) {
+			const until = rule.duration ? Date.now() + (rule.duration * 3600000) : 0;
+			await User.mutes.mute(uid, until, reason);
+			plugins.fireHook('action:user.muted', {
+				callerUid: 0,
+				uid: uid,
+				until: until || undefined,
+				reason: reason,
+			});
+			require('../socket.io').in('uid_' + uid).emit('event:muted', { until: until });
+		},
+	};
+
+	// `data.expire` is a timestamp, if it is left out the points expire after `warnings:expiryDays`
+	User.warnings.add = async function (uid, data) {
+		const points = parseInt(data.points, 10);
+		if (!points || points < 1 || points > User.warnings.maxPoints) {
+			throw new Error('[[error:invalid-warning-points, ' + User.warnings.maxPoints + ']]');
+		}
+		const reason = String(data.reason || '').trim();
+		if (!reason) {
+			throw new Error('[[error:warning-reason-required]]');
+		}
+		const now = Date.now();
+		let expire = parseInt(data.expire, 10);
+		if (isNaN(expire)) {
+			expire = meta.config['warnings:expiryDays'] > 0 ? now + (meta.config['warnings:expiryDays'] * 86400000) : 0;
+		} else if (expire && expire <= now) {
+			throw new Error('[[error:invalid-warning-expiry]]');
+		}
+
+		const pointsBefore = await User.warnings.getPoints(uid);
+		const warningData = {
+			id: await db.incrObjectField('global', 'nextWarningId'),
+			uid: parseInt(uid, 10),
+			fromUid: parseInt(data.fromUid, 10) || 0,
+			reason: reason,
+			points: points,
+			timestamp: now,
+			expire: expire,
+		};
+		await db.setObject('warning:' + warningData.id, warningData);
+		await db.sortedSetAdd('uid:' + uid + ':warnings', now, warningData.id);
+
+		await notifyWarned(warningData);
+		plugins.fireHook('action:user.warned', { warning: warningData });
+		const escalation = await User.warnings.escalate(uid, pointsBefore, pointsBefore + points, warningData);
+		return { warning: modifyWarning(warningData), escalation: escalation };
+	};
+
+	async function notifyWarned(warningData) {
+		const userslug = await User.getUserField(warningData.uid, 'userslug');
+		const notifObj = await notifications.create({
+			bodyShort: translator.compile('notifications:user_warned', warningData.points, warningData.reason),
+			bodyLong: warningData.reason,
+			nid: 'user-warning:' + warningData.id,
+			path: '/user/' + userslug + '/warnings',
+			from: warningData.fromUid,
+		});
+		await notifications.push(notifObj, [warningData.uid]);
+	}
+
+	User.warnings.get = async function (id) {
+		const warningData = await db.getObject('warning:' + id);
+		return warningData ? modifyWarning(warningData) : null;
+	};
+
+	// Newest first, expired and revoked warnings included
+	User.warnings.list = async function (uid) {
+		const ids = await db.getSortedSetRevRange('uid:' + uid + ':warnings', 0, -1);
+		const warnings = await db.getObjects(ids.map(id => 'warning:' + id));
+		return warnings.filter(Boolean).map(modifyWarning);
+	};
+
+	User.warnings.getActive = async function (uid) {
+		const warnings = await User.warnings.list(uid);
+		return warnings.filter(warning => warning.active);
+	};
+
+	User.warnings.getPoints = async function (uid) {
+		const warnings = await User.warnings.getActive(uid);
+		return warnings.reduce((total, warning) => total + warning.points, 0);
+	};
+
+	User.warnings.revoke = async function (id, uid) {
+		const warningData = await User.warnings.get(id);
+		if (!warningData) {
+			throw new Error('[[error:no-warning]]');
+		}
+		await db.setObject('warning:' + id, {
+			revoked: Date.now(),
+			revokedBy: parseInt(uid, 10) || 0,
+		});
+		plugins.fireHook('action:user.warningRevoked', { warning: warningData, uid: uid });
+	};
+
+	User.warnings.removeAll = async function (uid) {
+		const ids = await db.getSortedSetRange('uid:' + uid + ':warnings', 0, -1);
+		await db.deleteAll(ids.map(id => 'warning:' + id).concat('uid:' + uid + ':warnings'));
+	};
+
+	function modifyWarning(warningData) {
+		const now = Date.now();
+		const warning = {
+			id: parseInt(warningData.id, 10),
+			uid: parseInt(warningData.uid, 10),
+			fromUid: parseInt(warningData.fromUid, 10) || 0,
+			reason: warningData.reason,
+			points: parseInt(warningData.points, 10) || 0,
+			timestamp: parseInt(warningData.timestamp, 10) || 0,
+			expire: parseInt(warningData.expire, 10) || 0,
+			revoked: parseInt(warningData.revoked, 10) || 0,
+			revokedBy: parseInt(warningData.revokedBy, 10) || 0,
+		};
+		warning.timestampISO = utils.toISOString(warning.timestamp);
+		warning.expireISO = warning.expire ? utils.toISOString(warning.expire) : '';
+		warning.revokedISO = warning.revoked ? utils.toISOString(warning.revoked) : '';
+		warning.expired = !!warning.expire && warning.expire <= now;
+		warning.active = !warning.expired && !warning.revoked;
+		return warning;
+	}
+
+	User.warnings.getRules = async function () {
+		const ids = await db.getSortedSetRange('warnings:rules', 0, -1);
+		const rules = await db.getObjects(ids.map(id => 'warnings:rule:' + id));
+		return rules.filter(Boolean).map(rule => ({
+			id: parseInt(rule.id, 10),
+			points: parseInt(rule.points, 10),
+			action: rule.action,
+			duration: parseInt(rule.duration, 10) || 0,
+		}));
+	};
+
+	// `duration` is in hours, 0 makes the sanction permanent
+	User.warnings.addRule = async function (data) {
+		const points = parseInt(data.points, 10);
+		const duration = parseInt(data.duration, 10) || 0;
+		if (!points || points < 1) {
+			throw new Error('[[error:invalid-warning-points, ' + User.warnings.maxPoints + ']]');
+		}
+		if (!User.warnings.actions.hasOwnProperty(data.action) || duration < 0) {
+			throw new Error('[[error:invalid-warning-rule]]');
+		}
+		const id = await db.incrObjectField('global', 'nextWarningRuleId');
+		await db.setObject('warnings:rule:' + id, { id: id, points: points, action: data.action, duration: duration });
+		await db.sortedSetAdd('warnings:rules', points, id);
+	};
+
+	User.warnings.removeRule = async function (id) {
+		await db.delete('warnings:rule:' + id);
+		await db.sortedSetRemove('warnings:rules', id);
+	};
+
+	// Applies the strictest rule whose threshold was crossed by the new warning
+	User.warnings.escalate = async function (uid, pointsBefore, pointsAfter, warningData) {
+		const rules = await User.warnings.getRules();
+		const rule = rules.filter(rule => rule.points > pointsBefore && rule.points <= pointsAfter).pop();
+		if (!rule || !User.warnings.actions.hasOwnProperty(rule.action)) {
+			return null;
+		}
+		const reason = '[[user:warnings.escalation-reason, ' + pointsAfter + ']]';
+		await User.warnings.actions[rule.action](uid, rule, reason);
+		await events.log({
+			type: 'user-warning-escalate',
+			uid: warningData.fromUid,
+			targetUid: uid,
+			warningId: warningData.id,
+			action: rule.action,
+			duration: rule.duration,
+			points: pointsAfter,
+		});
+		return rule;
+	};
+};
@@ -0,0 +1,36 @@
+<div class="account">
+	<!-- IMPORT partials/account/header.tpl -->
+
+	<div class="row">
+		<div class="col-xs-12">
+			<p class="lead">[[user:drafts.description]]</p>
+			<hr />
+
+			<!-- IF !drafts.length -->
+			<div class="alert alert-info">[[user:drafts.none]]</div>
+			<!-- ENDIF !drafts.length -->
+
+			<ul class="list-group" component="user/drafts">
+				<!-- BEGIN drafts -->
+				<li class="list-group-item" data-type="{drafts.type}" data-id="{drafts.id}">
+					<div class="pull-right">
+						<button class="btn btn-xs btn-primary" data-action="continue">[[user:drafts.continue]]</button>
+						<button class="btn btn-xs btn-danger" data-action="discard">[[user:drafts.discard]]</button>
+					</div>
+					<p>
+						<span class="label label-default">{drafts.contextLabel}</span>
+						<a href="{config.relative_path}{drafts.url}">{drafts.contextName}</a>
+						<small class="text-muted">[[user:drafts.saved]] <span class="timeago" title="{drafts.timestampISO}"></span></small>
+					</p>
+					<!-- IF drafts.titleEscaped -->
+					<strong>{drafts.titleEscaped}</strong>
+					<!-- ENDIF drafts.titleEscaped -->
+					<p class="text-muted">{drafts.excerpt}</p>
+				</li>
+				<!-- END drafts -->
+			</ul>
+
+			<!-- IMPORT partials/paginator.tpl -->
+		</div>
+	</div>
+</div>
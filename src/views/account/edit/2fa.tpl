@@ -0,0 +1,46 @@
+<div class="account">
+	<!-- IMPORT partials/account/header.tpl -->
+
+	<div class="row">
+		<div class="col-xs-12 col-md-8">
+			<p class="lead">[[user:2fa.description]]</p>
+			<hr />
+
+			<!-- IF twoFactorEnabled -->
+			<div class="alert alert-success">[[user:2fa.enabled]]</div>
+			<!-- IF isSelf -->
+			<p>[[user:2fa.recovery-codes-left, {recoveryCodeCount}]]</p>
+			<form component="user/2fa/manage">
+				<div class="form-group">
+					<label for="2fa-code">[[user:2fa.confirm-code]]</label>
+					<input class="form-control" type="text" id="2fa-code" name="code" autocomplete="one-time-code" placeholder="[[user:2fa.code-placeholder]]" />
+				</div>
+				<button class="btn btn-default" type="button" data-action="regenerate">[[user:2fa.recovery-codes-regenerate]]</button>
+				<!-- IF !twoFactorRequired -->
+				<button class="btn btn-danger" type="button" data-action="disable">[[user:2fa.disable]]</button>
+				<!-- ENDIF !twoFactorRequired -->
+			</form>
+			<!-- ENDIF isSelf -->
+			<!-- ELSE -->
+			<!-- IF twoFactorRequired -->
+			<div class="alert alert-warning">[[user:2fa.required]]</div>
+			<!-- ELSE -->
+			<div class="alert alert-info">[[user:2fa.disabled]]</div>
+			<!-- ENDIF twoFactorRequired -->
+
+			<!-- IF isSelf -->
+			<p>[[user:2fa.scan]]</p>
+			<p><img src="{twoFactorQrCode}" alt="" /></p>
+			<p>[[user:2fa.secret]]: <code>{twoFactorSecret}</code></p>
+			<form component="user/2fa/enable">
+				<div class="form-group">
+					<label for="2fa-code">[[user:2fa.code]]</label>
+					<input class="form-control" type="text" id="2fa-code" name="code" autocomplete="one-time-code" placeholder="[[user:2fa.code-placeholder]]" />
+				</div>
+				<button class="btn btn-primary" type="submit">[[user:2fa.enable]]</button>
+			</form>
+			<!-- ENDIF isSelf -->
+			<!-- ENDIF twoFactorEnabled -->
+		</div>
+	</div>
+</div>
@@ -0,0 +1,70 @@
+<div class="account">
+	<!-- IMPORT partials/account/header.tpl -->
+
+	<div class="row">
+		<div class="col-xs-12 col-md-8">
+			<p class="lead">[[user:tokens.description]]</p>
+			<hr />
+
+			<!-- IF !tokens.length -->
+			<div class="alert alert-info">[[user:tokens.none]]</div>
+			<!-- ENDIF !tokens.length -->
+
+			<ul class="list-group" component="user/tokens">
+				<!-- BEGIN tokens -->
+				<li class="list-group-item" data-token-id="{tokens.id}">
+					<div class="pull-right">
+						<button class="btn btn-xs btn-danger" data-action="revoke">[[user:tokens.revoke]]</button>
+					</div>
+					<strong>{tokens.description}</strong>
+					<!-- BEGIN tokens.scopes -->
+					<span class="label label-default">@value</span>
+					<!-- END tokens.scopes -->
+					<ul class="list-unstyled text-muted">
+						<li>[[user:tokens.created]] <span class="timeago" title="{tokens.timestampISO}"></span></li>
+						<li>
+							[[user:tokens.expires]]
+							<!-- IF tokens.expiryISO -->
+							<span class="timeago" title="{tokens.expiryISO}"></span>
+							<!-- IF tokens.expired --><span class="label label-danger">[[user:tokens.expired]]</span><!-- ENDIF tokens.expired -->
+							<!-- ELSE -->
+							[[user:tokens.never]]
+							<!-- ENDIF tokens.expiryISO -->
+						</li>
+						<li>
+							[[user:tokens.last-used]]
+							<!-- IF tokens.lastSeenISO -->
+							<span class="timeago" title="{tokens.lastSeenISO}"></span> ({tokens.lastSeenIp})
+							<!-- ELSE -->
+							[[user:tokens.never-used]]
+							<!-- ENDIF tokens.lastSeenISO -->
+						</li>
+					</ul>
+				</li>
+				<!-- END tokens -->
+			</ul>
+		</div>
+
+		<div class="col-xs-12 col-md-4">
+			<form component="user/tokens/create" class="well">
+				<div class="form-group">
+					<label for="token-description">[[user:tokens.description-label]]</label>
+					<input type="text" class="form-control" id="token-description" name="description" placeholder="[[user:tokens.description-placeholder]]" maxlength="255" />
+				</div>
+				<div class="form-group">
+					<label>[[user:tokens.scopes]]</label>
+					<!-- BEGIN scopes -->
+					<div class="checkbox">
+						<label><input type="checkbox" name="scopes" value="{scopes.name}" <!-- IF @first -->checked<!-- ENDIF @first --> /> {scopes.label}</label>
+					</div>
+					<!-- END scopes -->
+				</div>
+				<div class="form-group">
+					<label for="token-expiry">[[user:tokens.expiry]]</label>
+					<input type="date" class="form-control" id="token-expiry" name="expiry" />
+				</div>
+				<button type="submit" class="btn btn-primary btn-block">[[user:tokens.create]]</button>
+			</form>
+		</div>
+	</div>
+</div>
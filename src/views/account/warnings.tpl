@@ -0,0 +1,90 @@
+<div class="account">
+	<!-- IMPORT partials/account/header.tpl -->
+
+	<div class="row">
+		<div class="col-xs-12 <!-- IF canWarn -->col-md-8<!-- ENDIF canWarn -->">
+			<!-- IF muted -->
+			<div class="alert alert-warning">
+				[[user:muted.notice]]
+				<!-- IF mutedUntilISO -->
+				[[user:muted.ends]] <span class="timeago" title="{mutedUntilISO}"></span>.
+				<!-- ELSE -->
+				[[user:muted.permanent]]
+				<!-- ENDIF mutedUntilISO -->
+			</div>
+			<!-- ENDIF muted -->
+			<p class="lead">[[user:warnings.description]]</p>
+			<p>[[user:warnings.active-points, {points}]]</p>
+			<hr />
+
+			<!-- IF !warnings.length -->
+			<div class="alert alert-info">
+				<!-- IF showLedger -->[[user:warnings.none-ledger]]<!-- ELSE -->[[user:warnings.none]]<!-- ENDIF showLedger -->
+			</div>
+			<!-- ENDIF !warnings.length -->
+
+			<ul class="list-group" component="user/warnings">
+				<!-- BEGIN warnings -->
+				<li class="list-group-item <!-- IF !warnings.active -->text-muted<!-- ENDIF !warnings.active -->" data-warning-id="{warnings.id}">
+					<!-- IF canRevoke -->
+					<!-- IF warnings.active -->
+					<div class="pull-right">
+						<button class="btn btn-xs btn-default" data-action="revoke">[[user:warnings.revoke]]</button>
+					</div>
+					<!-- ENDIF warnings.active -->
+					<!-- ENDIF canRevoke -->
+					<span class="label <!-- IF warnings.active -->label-warning<!-- ELSE -->label-default<!-- ENDIF warnings.active -->">[[user:warnings.points, {warnings.points}]]</span>
+					<!-- IF warnings.revoked --><span class="label label-default">[[user:warnings.revoked]]</span><!-- ENDIF warnings.revoked -->
+					<!-- IF warnings.expired --><span class="label label-default">[[user:warnings.expired]]</span><!-- ENDIF warnings.expired -->
+					<p>{warnings.reason}</p>
+					<ul class="list-unstyled text-muted">
+						<li>
+							[[user:warnings.issued]] <span class="timeago" title="{warnings.timestampISO}"></span>
+							<!-- IF warnings.from -->[[user:warnings.issued-by]] <a href="{config.relative_path}/user/{warnings.from.userslug}">{warnings.from.username}</a><!-- ENDIF warnings.from -->
+						</li>
+						<li>
+							[[user:warnings.expires]]
+							<!-- IF warnings.expireISO -->
+							<span class="timeago" title="{warnings.expireISO}"></span>
+							<!-- ELSE -->
+							[[user:warnings.never]]
+							<!-- ENDIF warnings.expireISO -->
+						</li>
+						<!-- IF warnings.revokedByUser -->
+						<li>[[user:warnings.revoked]] <span class="timeago" title="{warnings.revokedISO}"></span> [[user:warnings.issued-by]] <a href="{config.relative_path}/user/{warnings.revokedByUser.userslug}">{warnings.revokedByUser.username}</a></li>
+						<!-- ENDIF warnings.revokedByUser -->
+					</ul>
+				</li>
+				<!-- END warnings -->
+			</ul>
+		</div>
+
+		<!-- IF canWarn -->
+		<div class="col-xs-12 col-md-4">
+			<form component="user/warnings/create" class="well">
+				<div class="form-group">
+					<label for="warning-reason">[[user:warnings.reason]]</label>
+					<textarea class="form-control" id="warning-reason" name="reason" rows="4"></textarea>
+				</div>
+				<div class="form-group">
+					<label for="warning-points">[[user:warnings.points-label]]</label>
+					<input type="number" class="form-control" id="warning-points" name="points" min="1" max="{maxPoints}" value="1" />
+				</div>
+				<div class="form-group">
+					<label for="warning-expiry">[[user:warnings.expiry-days]]</label>
+					<input type="number" class="form-control" id="warning-expiry" name="expiryDays" min="0" value="{expiryDays}" />
+					<p class="help-block">[[user:warnings.expiry-days-help]]</p>
+				</div>
+				<button type="submit" class="btn btn-warning btn-block">[[user:warnings.warn]]</button>
+			</form>
+			<!-- IF canMute -->
+			<!-- IF muted -->
+			<button component="account/unmute" class="btn btn-default btn-block"><i class="fa fa-microphone"></i> [[user:unmute_account]]</button>
+			<!-- ELSE -->
+			<button component="account/mute" class="btn btn-default btn-block"><i class="fa fa-microphone-slash"></i> [[user:mute_account]]</button>
+			<!-- ENDIF muted -->
+			<!-- ENDIF canMute -->
+		</div>
+		<!-- ENDIF canWarn -->
+	</div>
+</div>
@@ -0,0 +1,43 @@
+<div class="row password-hashing">
+	<div class="col-lg-9">
+		<div class="panel panel-default">
+			<div class="panel-heading"><i class="fa fa-lock"></i> [[admin/advanced/password-hashing:users-per-algorithm]]</div>
+			<div class="panel-body">
+				<table class="table table-striped">
+					<thead>
+						<tr>
+							<th>[[admin/advanced/password-hashing:algorithm]]</th>
+							<th class="text-right">[[admin/advanced/password-hashing:users]]</th>
+							<th class="text-right">%</th>
+						</tr>
+					</thead>
+					<tbody>
+						{{{ each algorithms }}}
+						<tr>
+							<td>
+								[[admin/advanced/password-hashing:algorithm.{algorithms.name}]]
+								{{{ if algorithms.current }}}<span class="label label-primary">[[admin/advanced/password-hashing:current]]</span>{{{ end }}}
+							</td>
+							<td class="text-right">{algorithms.count}</td>
+							<td class="text-right">{algorithms.percent}</td>
+						</tr>
+						{{{ end }}}
+					</tbody>
+				</table>
+			</div>
+			<div class="panel-footer"><small>[[admin/advanced/password-hashing:total, {total}]]</small></div>
+		</div>
+	</div>
+	<div class="col-lg-3">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/advanced/password-hashing:about]]</div>
+			<div class="panel-body">
+				<p>[[admin/advanced/password-hashing:rehash-on-login]]</p>
+				{{{ if argon2Missing }}}
+				<div class="alert alert-warning">[[admin/advanced/password-hashing:argon2-missing]]</div>
+				{{{ end }}}
+				<a class="btn btn-default btn-block" href="{config.relative_path}/admin/settings/user#account-protection">[[admin/advanced/password-hashing:change-algorithm]]</a>
+			</div>
+		</div>
+	</div>
+</div>
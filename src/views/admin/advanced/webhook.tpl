@@ -0,0 +1,64 @@
+<div class="row webhook" data-id="{webhook.id}">
+	<div class="col-lg-9">
+		<div class="panel panel-default">
+			<div class="panel-heading"><i class="fa fa-paper-plane"></i> {webhook.name} &middot; <code>{webhook.url}</code></div>
+			<div class="panel-body">
+				<!-- IF !deliveries.length -->
+				<div class="alert alert-info">[[admin/advanced/webhooks:no-deliveries]]</div>
+				<!-- ENDIF !deliveries.length -->
+				<div class="deliveries" component="webhooks/deliveries">
+				<!-- BEGIN deliveries -->
+				<div class="delivery" data-did="{deliveries.did}">
+					<span class="label label-default">#{deliveries.did}</span>
+					<span class="label label-info">{deliveries.hook}</span>
+					<!-- IF deliveries.success -->
+					<span class="label label-success">{deliveries.statusCode}</span>
+					<!-- ELSE -->
+					<span class="label label-danger">[[admin/advanced/webhooks:status.{deliveries.status}]]<!-- IF deliveries.statusCode --> {deliveries.statusCode}<!-- ENDIF deliveries.statusCode --></span>
+					<!-- ENDIF deliveries.success -->
+					<span class="label label-default">[[admin/advanced/webhooks:attempts, {deliveries.attempts}]]</span>
+					<!-- IF deliveries.redeliveryOf -->
+					<span class="label label-default">[[admin/advanced/webhooks:redelivery-of, {deliveries.redeliveryOf}]]</span>
+					<!-- ENDIF deliveries.redeliveryOf -->
+					<span class="pull-right">
+						<span class="timeago" title="{deliveries.timestampISO}"></span>
+						<button class="btn btn-default btn-xs" data-action="redeliver">[[admin/advanced/webhooks:redeliver]]</button>
+					</span>
+					<!-- IF deliveries.nextAttemptISO -->
+					<p class="help-block">[[admin/advanced/webhooks:next-attempt]] <span class="timeago" title="{deliveries.nextAttemptISO}"></span></p>
+					<!-- ENDIF deliveries.nextAttemptISO -->
+					<!-- IF deliveries.error -->
+					<p class="text-danger">{deliveries.error}</p>
+					<!-- ENDIF deliveries.error -->
+					<details>
+						<summary>[[admin/advanced/webhooks:payload]]</summary>
+						<pre class="well">{deliveries.payload}</pre>
+					</details>
+					<!-- IF deliveries.response -->
+					<details>
+						<summary>[[admin/advanced/webhooks:response]] <!-- IF deliveries.duration -->({deliveries.duration} ms)<!-- ENDIF deliveries.duration --></summary>
+						<pre class="well">{deliveries.response}</pre>
+					</details>
+					<!-- ENDIF deliveries.response -->
+					<hr />
+				</div>
+				<!-- END deliveries -->
+				<!-- IMPORT partials/paginator.tpl -->
+				</div>
+			</div>
+		</div>
+	</div>
+	<div class="col-lg-3 acp-sidebar">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/advanced/webhooks:control-panel]]</div>
+			<div class="panel-body">
+				<p><!-- BEGIN webhook.hooks --><span class="label label-info">@value</span> <!-- END webhook.hooks --></p>
+				<p>[[admin/advanced/webhooks:signature-help]]</p>
+				<p>[[admin/advanced/webhooks:secret]]: <code>{webhook.secret}</code></p>
+				<button class="btn btn-default btn-block" data-action="ping">[[admin/advanced/webhooks:ping]]</button>
+				<button class="btn btn-default btn-block" data-action="edit">[[admin/advanced/webhooks:edit]]</button>
+				<a class="btn btn-link btn-block" href="{config.relative_path}/admin/advanced/webhooks">[[admin/advanced/webhooks:back]]</a>
+			</div>
+		</div>
+	</div>
+</div>
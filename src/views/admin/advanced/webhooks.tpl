@@ -0,0 +1,51 @@
+<div class="row webhooks">
+	<div class="col-lg-9">
+		<div class="panel panel-default">
+			<div class="panel-heading"><i class="fa fa-paper-plane"></i> [[admin/advanced/webhooks:webhooks]]</div>
+			<div class="panel-body">
+				<p>[[admin/advanced/webhooks:description]]</p>
+				<!-- IF !webhooks.length -->
+				<div class="alert alert-info">[[admin/advanced/webhooks:no-webhooks]]</div>
+				<!-- ENDIF !webhooks.length -->
+			</div>
+			<div class="table-responsive">
+				<table class="table table-striped" component="webhooks/list">
+					<thead>
+						<tr>
+							<th>[[admin/advanced/webhooks:name]]</th>
+							<th>[[admin/advanced/webhooks:url]]</th>
+							<th>[[admin/advanced/webhooks:hooks]]</th>
+							<th>[[admin/advanced/webhooks:deliveries]]</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<!-- BEGIN webhooks -->
+						<tr data-id="{webhooks.id}">
+							<td>
+								<a href="{config.relative_path}/admin/advanced/webhooks/{webhooks.id}">{webhooks.name}</a>
+								<!-- IF !webhooks.enabled --><span class="label label-default">[[admin/advanced/webhooks:disabled]]</span><!-- ENDIF !webhooks.enabled -->
+							</td>
+							<td><code>{webhooks.url}</code></td>
+							<td><!-- BEGIN webhooks.hooks --><span class="label label-info">@value</span> <!-- END webhooks.hooks --></td>
+							<td><a href="{config.relative_path}/admin/advanced/webhooks/{webhooks.id}">{webhooks.deliveryCount}</a></td>
+							<td class="text-right">
+								<button class="btn btn-default btn-xs" data-action="edit">[[admin/advanced/webhooks:edit]]</button>
+								<button class="btn btn-danger btn-xs" data-action="delete">[[admin/advanced/webhooks:delete]]</button>
+							</td>
+						</tr>
+						<!-- END webhooks -->
+					</tbody>
+				</table>
+			</div>
+		</div>
+	</div>
+	<div class="col-lg-3 acp-sidebar">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/advanced/webhooks:control-panel]]</div>
+			<div class="panel-body">
+				<button class="btn btn-primary btn-block" data-action="create">[[admin/advanced/webhooks:create]]</button>
+			</div>
+		</div>
+	</div>
+</div>
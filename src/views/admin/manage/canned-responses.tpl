@@ -0,0 +1,55 @@
+<div class="row canned-responses">
+	<div class="col-lg-9">
+		<div class="panel panel-default">
+			<div class="panel-heading"><i class="fa fa-comment-o"></i> [[admin/manage/canned-responses:canned-responses]]</div>
+			<div class="panel-body">
+				<p>[[admin/manage/canned-responses:description]]</p>
+				<!-- IF !responses.length -->
+				<div class="alert alert-info">[[admin/manage/canned-responses:no-responses]]</div>
+				<!-- ENDIF !responses.length -->
+			</div>
+			<div class="table-responsive">
+				<table class="table table-striped" component="canned-responses/list">
+					<thead>
+						<tr>
+							<th>[[admin/manage/canned-responses:title]]</th>
+							<th>[[admin/manage/canned-responses:text]]</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<!-- BEGIN responses -->
+						<tr data-id="{responses.id}">
+							<td>{responses.title}</td>
+							<td><pre>{responses.text}</pre></td>
+							<td class="text-right">
+								<button class="btn btn-default btn-xs" data-action="edit">[[admin/manage/canned-responses:edit]]</button>
+								<button class="btn btn-danger btn-xs" data-action="delete">[[admin/manage/canned-responses:delete]]</button>
+							</td>
+						</tr>
+						<!-- END responses -->
+					</tbody>
+				</table>
+			</div>
+		</div>
+	</div>
+	<div class="col-lg-3 acp-sidebar">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/canned-responses:control-panel]]</div>
+			<div class="panel-body">
+				<button class="btn btn-primary btn-block" data-action="create">[[admin/manage/canned-responses:create]]</button>
+			</div>
+		</div>
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/canned-responses:placeholders]]</div>
+			<div class="panel-body">
+				<p>[[admin/manage/canned-responses:placeholders-help]]</p>
+				<ul class="list-unstyled">
+					<!-- BEGIN placeholders -->
+					<li><code>&#123;@value&#125;</code> [[admin/manage/canned-responses:placeholder.@value]]</li>
+					<!-- END placeholders -->
+				</ul>
+			</div>
+		</div>
+	</div>
+</div>
@@ -93,6 +93,73 @@
 								</label>
 							</div>
 						</div>
+						<div class="form-group">
+							<div class="checkbox">
+								<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+									<input type="checkbox" class="mdl-switch__input" id="cid-{category.cid}-questionAndAnswer" data-name="questionAndAnswer" <!-- IF category.questionAndAnswer -->checked<!-- ENDIF category.questionAndAnswer --> />
+									<span class="mdl-switch__label"><strong>[[admin/manage/categories:question-and-answer]]</strong></span>
+								</label>
+							</div>
+							<p class="help-block">[[admin/manage/categories:question-and-answer-help]]</p>
+						</div>
+					</div>
+					<div class="col-sm-6 col-xs-12">
+						<div class="form-group">
+							<label for="cid-{category.cid}-autoLockDays">
+								[[admin/manage/categories:auto-lock-days]]
+							</label>
+							<input id="cid-{category.cid}-autoLockDays" type="number" min="0" class="form-control" placeholder="0" data-name="autoLockDays" value="{category.autoLockDays}" />
+							<p class="help-block">[[admin/manage/categories:auto-lock-days-help]]</p>
+						</div>
+						<div class="form-group">
+							<label for="cid-{category.cid}-archiveCid">
+								[[admin/manage/categories:archive-category]]
+							</label>
+							<select id="cid-{category.cid}-archiveCid" class="form-control" data-name="archiveCid" data-value="{category.archiveCid}">
+								<option value="0">[[admin/manage/categories:archive-category-none]]</option>
+								<!-- BEGIN archiveCategories -->
+								<option value="{archiveCategories.value}">{archiveCategories.text}</option>
+								<!-- END archiveCategories -->
+							</select>
+							<p class="help-block">[[admin/manage/categories:archive-category-help]]</p>
+						</div>
+					</div>
+				</fieldset>
+				<fieldset>
+					<div class="form-group">
+						<label for="cid-{category.cid}-prefixes">[[admin/manage/categories:prefixes]]</label>
+						<textarea id="cid-{category.cid}-prefixes" class="form-control" rows="4" data-name="prefixes" placeholder="Bug #d9534f">{category.prefixesText}</textarea>
+						<p class="help-block">[[admin/manage/categories:prefixes-help]]</p>
+					</div>
+					<div class="form-group">
+						<div class="checkbox">
+							<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+								<input type="checkbox" class="mdl-switch__input" id="cid-{category.cid}-requirePrefix" data-name="requirePrefix" <!-- IF category.requirePrefix -->checked<!-- ENDIF category.requirePrefix --> />
+								<span class="mdl-switch__label"><strong>[[admin/manage/categories:require-prefix]]</strong></span>
+							</label>
+						</div>
+					</div>
+				</fieldset>
+				<fieldset>
+					<div class="form-group">
+						<label for="cid-{category.cid}-topicTemplate">[[admin/manage/categories:topic-template]]</label>
+						<textarea id="cid-{category.cid}-topicTemplate" class="form-control" rows="6" data-name="topicTemplate">{category.topicTemplate}</textarea>
+						<p class="help-block">[[admin/manage/categories:topic-template-help]]</p>
+					</div>
+					<div class="form-group">
+						<div class="checkbox">
+							<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+								<input type="checkbox" class="mdl-switch__input" id="cid-{category.cid}-topicTemplateInherit" data-name="topicTemplateInherit" <!-- IF category.topicTemplateInherit -->checked<!-- ENDIF category.topicTemplateInherit --> />
+								<span class="mdl-switch__label"><strong>[[admin/manage/categories:topic-template-inherit]]</strong></span>
+							</label>
+						</div>
+						<div class="checkbox">
+							<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+								<input type="checkbox" class="mdl-switch__input" id="cid-{category.cid}-topicTemplateRequired" data-name="topicTemplateRequired" <!-- IF category.topicTemplateRequired -->checked<!-- ENDIF category.topicTemplateRequired --> />
+								<span class="mdl-switch__label"><strong>[[admin/manage/categories:topic-template-required]]</strong></span>
+							</label>
+						</div>
+						<p class="help-block">[[admin/manage/categories:topic-template-required-help]]</p>
 					</div>
 				</fieldset>
 				<fieldset>
@@ -21,6 +21,39 @@
 						</button>
 					</div>
 				</div>
+				<div class="panel panel-default">
+					<div class="panel-heading">[[admin/manage/ip-blacklist:throttled]]</div>
+					<div class="panel-body">
+						<p class="help-block">[[admin/manage/ip-blacklist:throttled-help]]</p>
+						<!-- IF !throttled.length -->
+						<p class="text-muted" component="blacklist/throttled/empty">[[admin/manage/ip-blacklist:throttled.none]]</p>
+						<!-- ELSE -->
+						<table class="table table-striped" component="blacklist/throttled">
+							<thead>
+								<tr>
+									<th>[[admin/manage/ip-blacklist:throttled.ip]]</th>
+									<th>[[admin/manage/ip-blacklist:throttled.attempts]]</th>
+									<th>[[admin/manage/ip-blacklist:throttled.until]]</th>
+									<th></th>
+								</tr>
+							</thead>
+							<tbody>
+								{{{ each throttled }}}
+								<tr data-ip="{throttled.ip}">
+									<td>{throttled.ip}</td>
+									<td>{throttled.attempts}</td>
+									<td><span class="timeago" title="{throttled.untilISO}"></span></td>
+									<td class="text-right">
+										<button type="button" class="btn btn-default btn-xs" data-action="release">[[admin/manage/ip-blacklist:throttled.release]]</button>
+										<button type="button" class="btn btn-danger btn-xs" data-action="blacklist-ip">[[admin/manage/ip-blacklist:throttled.blacklist]]</button>
+									</td>
+								</tr>
+								{{{ end }}}
+							</tbody>
+						</table>
+						<!-- ENDIF !throttled.length -->
+					</div>
+				</div>
 				<div class="panel panel-default">
 					<div class="panel-heading">[[admin/manage/ip-blacklist:hints]]</div>
 					<div class="panel-body">
@@ -37,15 +37,20 @@
 								<a href="{config.relative_path}/category/{posts.category.slug}"><!-- IF posts.categiry.icon --><span class="fa-stack"><i style="color: {posts.category.bgColor};" class="fa fa-circle fa-stack-2x"></i><i style="color: {posts.category.color};" class="fa fa-stack-1x fa-fw {posts.category.icon}"></i></span><!-- ENDIF posts.category.icon --> {posts.category.name}</a>
 							</td>
 							<td class="col-md-2 topic-title">
+								<!-- IF posts.data.flagged -->
+								<span class="label label-danger" title="[[admin/manage/post-queue:flagged-not-editable]]">[[admin/manage/post-queue:flagged]]</span>
+								<!-- ENDIF posts.data.flagged -->
 								<!-- IF posts.data.tid -->
 								<a href="{config.relative_path}/topic/{posts.data.tid}">[[admin/manage/post-queue:reply-to, {posts.topic.title}]]</a>
 								<!-- ENDIF posts.data.tid -->
 								{posts.data.title}
 							</td>
 							<td class="col-md-5 post-content">{posts.data.content}</td>
+							<!-- IF !posts.data.flagged -->
 							<td class="col-md-5 post-content-editable hidden">
 								<textarea>{posts.data.rawContent}</textarea>
 							</td>
+							<!-- ENDIF !posts.data.flagged -->
 							<td class="col-md-1">
 								<span class="timeago" title={posts.data.timestampISO}></span>
 							</td>
@@ -0,0 +1,97 @@
+<div class="row tokens">
+	<div class="col-lg-9">
+		<p class="lead">[[admin/manage/tokens:lead]]</p>
+
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/tokens:master-tokens]]</div>
+			<div class="panel-body">
+				<p>[[admin/manage/tokens:master-description]]</p>
+			</div>
+			<div class="table-responsive">
+				<table class="table table-striped" component="admin/tokens">
+					<thead>
+						<tr>
+							<th>[[admin/manage/tokens:description]]</th>
+							<th>[[admin/manage/tokens:scopes]]</th>
+							<th>[[admin/manage/tokens:created]]</th>
+							<th>[[admin/manage/tokens:expires]]</th>
+							<th>[[admin/manage/tokens:last-used]]</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<!-- BEGIN masterTokens -->
+						<tr data-token-id="{masterTokens.id}">
+							<td>{masterTokens.description}</td>
+							<td><!-- BEGIN masterTokens.scopes --><span class="label label-default">@value</span> <!-- END masterTokens.scopes --></td>
+							<td><span class="timeago" title="{masterTokens.timestampISO}"></span></td>
+							<td><!-- IF masterTokens.expiryISO --><span class="timeago" title="{masterTokens.expiryISO}"></span><!-- ELSE -->[[admin/manage/tokens:never]]<!-- ENDIF masterTokens.expiryISO --></td>
+							<td><!-- IF masterTokens.lastSeenISO --><span class="timeago" title="{masterTokens.lastSeenISO}"></span> ({masterTokens.lastSeenIp})<!-- ELSE -->[[admin/manage/tokens:never-used]]<!-- ENDIF masterTokens.lastSeenISO --></td>
+							<td><button class="btn btn-danger btn-xs pull-right" data-action="revoke">[[admin/manage/tokens:revoke]]</button></td>
+						</tr>
+						<!-- END masterTokens -->
+					</tbody>
+				</table>
+			</div>
+		</div>
+
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/tokens:user-tokens]]</div>
+			<div class="table-responsive">
+				<table class="table table-striped" component="admin/tokens">
+					<thead>
+						<tr>
+							<th>[[admin/manage/tokens:user]]</th>
+							<th>[[admin/manage/tokens:description]]</th>
+							<th>[[admin/manage/tokens:scopes]]</th>
+							<th>[[admin/manage/tokens:created]]</th>
+							<th>[[admin/manage/tokens:expires]]</th>
+							<th>[[admin/manage/tokens:last-used]]</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<!-- BEGIN userTokens -->
+						<tr data-token-id="{userTokens.id}">
+							<td><!-- IF userTokens.user --><a href="{config.relative_path}/user/{userTokens.user.userslug}">{userTokens.user.username}</a><!-- ENDIF userTokens.user --></td>
+							<td>{userTokens.description}</td>
+							<td><!-- BEGIN userTokens.scopes --><span class="label label-default">@value</span> <!-- END userTokens.scopes --></td>
+							<td><span class="timeago" title="{userTokens.timestampISO}"></span></td>
+							<td><!-- IF userTokens.expiryISO --><span class="timeago" title="{userTokens.expiryISO}"></span><!-- ELSE -->[[admin/manage/tokens:never]]<!-- ENDIF userTokens.expiryISO --></td>
+							<td><!-- IF userTokens.lastSeenISO --><span class="timeago" title="{userTokens.lastSeenISO}"></span> ({userTokens.lastSeenIp})<!-- ELSE -->[[admin/manage/tokens:never-used]]<!-- ENDIF userTokens.lastSeenISO --></td>
+							<td><button class="btn btn-danger btn-xs pull-right" data-action="revoke">[[admin/manage/tokens:revoke]]</button></td>
+						</tr>
+						<!-- END userTokens -->
+					</tbody>
+				</table>
+			</div>
+		</div>
+	</div>
+
+	<div class="col-lg-3">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/tokens:create-master]]</div>
+			<div class="panel-body">
+				<form component="admin/tokens/create">
+					<div class="form-group">
+						<label for="token-description">[[admin/manage/tokens:description]]</label>
+						<input type="text" class="form-control" id="token-description" name="description" maxlength="255" />
+					</div>
+					<div class="form-group">
+						<label>[[admin/manage/tokens:scopes]]</label>
+						<!-- BEGIN scopes -->
+						<div class="checkbox">
+							<label><input type="checkbox" name="scopes" value="@value" /> @value</label>
+						</div>
+						<!-- END scopes -->
+					</div>
+					<div class="form-group">
+						<label for="token-expiry">[[admin/manage/tokens:expiry]]</label>
+						<input type="date" class="form-control" id="token-expiry" name="expiry" />
+					</div>
+					<button type="submit" class="btn btn-primary btn-block">[[admin/manage/tokens:create]]</button>
+				</form>
+			</div>
+		</div>
+	</div>
+</div>
@@ -19,7 +19,10 @@
 						<li><a href="#" class="ban-user"><i class="fa fa-fw fa-gavel"></i> [[admin/manage/users:ban]]</a></li>
 						<li><a href="#" class="ban-user-temporary"><i class="fa fa-fw fa-clock-o"></i>[[admin/manage/users:temp-ban]]</a></li>
 						<li><a href="#" class="unban-user"><i class="fa fa-fw fa-comment-o"></i> [[admin/manage/users:unban]]</a></li>
+						<li><a href="#" class="mute-user"><i class="fa fa-fw fa-microphone-slash"></i> [[admin/manage/users:temp-mute]]</a></li>
+						<li><a href="#" class="unmute-user"><i class="fa fa-fw fa-microphone"></i> [[admin/manage/users:unmute]]</a></li>
 						<li><a href="#" class="reset-lockout"><i class="fa fa-fw fa-unlock"></i> [[admin/manage/users:reset-lockout]]</a></li>
+						<li><a href="#" class="reset-2fa"><i class="fa fa-fw fa-mobile"></i> [[admin/manage/users:reset-2fa]]</a></li>
 						<li class="divider"></li>
 						<li><a href="#" class="delete-user"><i class="fa fa-fw fa-trash-o"></i> [[admin/manage/users:delete]]</a></li>
 						<li><a href="#" class="delete-user-and-content"><i class="fa fa-fw fa-trash-o"></i> [[admin/manage/users:purge]]</a></li>
@@ -37,6 +40,7 @@
 			<li><a href='{config.relative_path}/admin/manage/users/inactive?resultsPerPage={resultsPerPage}'>[[admin/manage/users:pills.inactive]]</a></li>
 			<li><a href='{config.relative_path}/admin/manage/users/flagged?resultsPerPage={resultsPerPage}'>[[admin/manage/users:pills.flagged]]</a></li>
 			<li><a href='{config.relative_path}/admin/manage/users/banned?resultsPerPage={resultsPerPage}'>[[admin/manage/users:pills.banned]]</a></li>
+			<li><a href='{config.relative_path}/admin/manage/users/muted?resultsPerPage={resultsPerPage}'>[[admin/manage/users:pills.muted]]</a></li>
 			<li><a href='{config.relative_path}/admin/manage/users/search'>[[admin/manage/users:pills.search]]</a></li>
 			<li class="pull-right">
 				<form class="form-inline">
@@ -95,6 +99,7 @@
 						<th>[[admin/manage/users:users.joined]]</th>
 						<th>[[admin/manage/users:users.last-online]]</th>
 						<th>[[admin/manage/users:users.banned]]</th>
+						<th>[[admin/manage/users:users.muted]]</th>
 					</tr>
 				</thead>
 				<tbody>
@@ -115,6 +120,7 @@
 						<td><span class="timeago" title="{users.joindateISO}"></span></td>
 						<td><span class="timeago" title="{users.lastonlineISO}"></span></td>
 						<td class="text-center"><i class="ban fa fa-gavel text-danger<!-- IF !users.banned --> hidden<!-- ENDIF !users.banned -->"></i></td>
+						<td class="text-center"><i class="mute fa fa-microphone-slash text-warning<!-- IF !users.muted --> hidden<!-- ENDIF !users.muted -->"></i></td>
 					</tr>
 					<!-- END users -->
 				</tbody>
@@ -0,0 +1,70 @@
+<div class="row warnings">
+	<div class="col-lg-9">
+		<div class="panel panel-default">
+			<div class="panel-heading"><i class="fa fa-exclamation-triangle"></i> [[admin/manage/warnings:escalation-rules]]</div>
+			<div class="panel-body">
+				<p>[[admin/manage/warnings:description, {config.relative_path}/admin/settings/user]]</p>
+				<!-- IF !rules.length -->
+				<div class="alert alert-info">[[admin/manage/warnings:no-rules]]</div>
+				<!-- ENDIF !rules.length -->
+			</div>
+			<div class="table-responsive">
+				<table class="table table-striped" component="warnings/rules">
+					<thead>
+						<tr>
+							<th>[[admin/manage/warnings:points]]</th>
+							<th>[[admin/manage/warnings:action]]</th>
+							<th>[[admin/manage/warnings:duration]]</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<!-- BEGIN rules -->
+						<tr data-id="{rules.id}">
+							<td>{rules.points}</td>
+							<td>[[admin/manage/warnings:action.{rules.action}]]</td>
+							<td>
+								<!-- IF rules.duration -->
+								[[admin/manage/warnings:duration-hours, {rules.duration}]]
+								<!-- ELSE -->
+								[[admin/manage/warnings:permanent]]
+								<!-- ENDIF rules.duration -->
+							</td>
+							<td class="text-right">
+								<button class="btn btn-danger btn-xs" data-action="remove">[[admin/manage/warnings:remove]]</button>
+							</td>
+						</tr>
+						<!-- END rules -->
+					</tbody>
+				</table>
+			</div>
+		</div>
+	</div>
+	<div class="col-lg-3 acp-sidebar">
+		<div class="panel panel-default">
+			<div class="panel-heading">[[admin/manage/warnings:add-rule]]</div>
+			<div class="panel-body">
+				<form component="warnings/rule-form">
+					<div class="form-group">
+						<label for="rule-points">[[admin/manage/warnings:points]]</label>
+						<input type="number" min="1" class="form-control" id="rule-points" name="points" value="3" />
+					</div>
+					<div class="form-group">
+						<label for="rule-action">[[admin/manage/warnings:action]]</label>
+						<select class="form-control" id="rule-action" name="action">
+							<!-- BEGIN actions -->
+							<option value="@value">[[admin/manage/warnings:action.@value]]</option>
+							<!-- END actions -->
+						</select>
+					</div>
+					<div class="form-group">
+						<label for="rule-duration">[[admin/manage/warnings:duration]]</label>
+						<input type="number" min="0" class="form-control" id="rule-duration" name="duration" value="24" />
+						<p class="help-block">[[admin/manage/warnings:duration-help]]</p>
+					</div>
+					<button type="submit" class="btn btn-primary btn-block">[[admin/manage/warnings:add-rule]]</button>
+				</form>
+			</div>
+		</div>
+	</div>
+</div>
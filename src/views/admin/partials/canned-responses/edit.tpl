@@ -0,0 +1,11 @@
+<form component="canned-responses/form">
+	<div class="form-group">
+		<label for="canned-response-title">[[admin/manage/canned-responses:title]]</label>
+		<input type="text" class="form-control" id="canned-response-title" name="title" value="{response.title}" maxlength="255" />
+	</div>
+	<div class="form-group">
+		<label for="canned-response-text">[[admin/manage/canned-responses:text]]</label>
+		<textarea class="form-control" id="canned-response-text" name="text" rows="6">{response.text}</textarea>
+		<p class="help-block">[[admin/manage/canned-responses:text-help]]</p>
+	</div>
+</form>
@@ -33,6 +33,9 @@
 			<li><a href="{relative_path}/admin/manage/registration">[[admin/menu:manage/registration]]</a></li>
 			<li><a href="{relative_path}/admin/manage/post-queue">[[admin/menu:manage/post-queue]]</a></li>
 			<li><a href="{relative_path}/admin/manage/ip-blacklist">[[admin/menu:manage/ip-blacklist]]</a></li>
+			<li><a href="{relative_path}/admin/manage/tokens">[[admin/menu:manage/tokens]]</a></li>
+			<li><a href="{relative_path}/admin/manage/canned-responses">[[admin/menu:manage/canned-responses]]</a></li>
+			<li><a href="{relative_path}/admin/manage/warnings">[[admin/menu:manage/warnings]]</a></li>
 			<li><a href="{relative_path}/admin/manage/uploads">[[admin/menu:manage/uploads]]</a></li>
 			<li><a href="{relative_path}/admin/manage/digest">[[admin/menu:manage/digest]]</a></li>
 		</ul>
@@ -54,6 +57,7 @@
 			<li><a href="{relative_path}/admin/settings/pagination">[[admin/menu:settings/pagination]]</a></li>
 			<li><a href="{relative_path}/admin/settings/notifications">[[admin/menu:settings/notifications]]</a></li>
 			<li><a href="{relative_path}/admin/settings/cookies">[[admin/menu:settings/cookies]]</a></li>
+			<li><a href="{relative_path}/admin/settings/ldap">[[admin/menu:settings/ldap]]</a></li>
 			<li><a href="{relative_path}/admin/settings/web-crawler">[[admin/menu:settings/web-crawler]]</a></li>
 			<li><a href="{relative_path}/admin/settings/sockets">[[admin/menu:settings/sockets]]</a></li>
 			<li><a href="{relative_path}/admin/settings/advanced">[[admin/menu:settings/advanced]]</a></li>
@@ -110,6 +114,8 @@
 			<li><a href="{relative_path}/admin/advanced/database">[[admin/menu:advanced/database]]</a></li>
 			<li><a href="{relative_path}/admin/advanced/events">[[admin/menu:advanced/events]]</a></li>
 			<li><a href="{relative_path}/admin/advanced/hooks">[[admin/menu:advanced/hooks]]</a></li>
+			<li><a href="{relative_path}/admin/advanced/webhooks">[[admin/menu:advanced/webhooks]]</a></li>
+			<li><a href="{relative_path}/admin/advanced/password-hashing">[[admin/menu:advanced/password-hashing]]</a></li>
 			<li><a href="{relative_path}/admin/advanced/cache">[[admin/menu:advanced/cache]]</a></li>
 			<li><a href="{relative_path}/admin/advanced/errors">[[admin/menu:advanced/errors]]</a></li>
 			<li><a href="{relative_path}/admin/advanced/logs">[[admin/menu:advanced/logs]]</a></li>
@@ -195,6 +201,9 @@
 					<li><a href="{relative_path}/admin/manage/registration">[[admin/menu:manage/registration]]</a></li>
 					<li><a href="{relative_path}/admin/manage/post-queue">[[admin/menu:manage/post-queue]]</a></li>
 					<li><a href="{relative_path}/admin/manage/ip-blacklist">[[admin/menu:manage/ip-blacklist]]</a></li>
+					<li><a href="{relative_path}/admin/manage/tokens">[[admin/menu:manage/tokens]]</a></li>
+					<li><a href="{relative_path}/admin/manage/canned-responses">[[admin/menu:manage/canned-responses]]</a></li>
+					<li><a href="{relative_path}/admin/manage/warnings">[[admin/menu:manage/warnings]]</a></li>
 					<li><a href="{relative_path}/admin/manage/uploads">[[admin/menu:manage/uploads]]</a></li>
 					<li><a href="{relative_path}/admin/manage/digest">[[admin/menu:manage/digest]]</a></li>
 				</ul>
@@ -215,6 +224,7 @@
 					<li><a href="{relative_path}/admin/settings/pagination">[[admin/menu:settings/pagination]]</a></li>
 					<li><a href="{relative_path}/admin/settings/notifications">[[admin/menu:settings/notifications]]</a></li>
 					<li><a href="{relative_path}/admin/settings/cookies">[[admin/menu:settings/cookies]]</a></li>
+					<li><a href="{relative_path}/admin/settings/ldap">[[admin/menu:settings/ldap]]</a></li>
 					<li><a href="{relative_path}/admin/settings/web-crawler">[[admin/menu:settings/web-crawler]]</a></li>
 					<li><a href="{relative_path}/admin/settings/sockets">[[admin/menu:settings/sockets]]</a></li>
 					<li><a href="{relative_path}/admin/settings/advanced">[[admin/menu:settings/advanced]]</a></li>
@@ -271,6 +281,8 @@
 					<li><a href="{relative_path}/admin/advanced/database">[[admin/menu:advanced/database]]</a></li>
 					<li><a href="{relative_path}/admin/advanced/events">[[admin/menu:advanced/events]]</a></li>
 					<li><a href="{relative_path}/admin/advanced/hooks">[[admin/menu:advanced/hooks]]</a></li>
+					<li><a href="{relative_path}/admin/advanced/webhooks">[[admin/menu:advanced/webhooks]]</a></li>
+					<li><a href="{relative_path}/admin/advanced/password-hashing">[[admin/menu:advanced/password-hashing]]</a></li>
 					<li><a href="{relative_path}/admin/advanced/cache">[[admin/menu:advanced/cache]]</a></li>
 					<li><a href="{relative_path}/admin/advanced/errors">[[admin/menu:advanced/errors]]</a></li>
 					<li><a href="{relative_path}/admin/advanced/logs">[[admin/menu:advanced/logs]]</a></li>
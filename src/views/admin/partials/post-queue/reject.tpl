@@ -0,0 +1,7 @@
+<form component="post-queue/reject">
+	<div class="form-group">
+		<label for="reject-reason">[[admin/manage/post-queue:reject-reason]]</label>
+		<textarea class="form-control" id="reject-reason" name="reason" rows="4"></textarea>
+		<p class="help-block">[[admin/manage/post-queue:reject-reason-help]]</p>
+	</div>
+</form>
@@ -9,7 +9,7 @@
 		<div class="col-xs-8">
 			<div class="form-group">
 				<label for="reason">[[admin/manage/users:temp-ban.reason]]</label>
-				<input type="text" class="form-control" id="reason" name="reason" />
+				<textarea class="form-control" id="reason" name="reason" rows="3"></textarea>
 			</div>
 		</div>
 	</div>
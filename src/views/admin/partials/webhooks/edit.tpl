@@ -0,0 +1,28 @@
+<form component="webhooks/form">
+	<div class="form-group">
+		<label for="webhook-name">[[admin/advanced/webhooks:name]]</label>
+		<input type="text" class="form-control" id="webhook-name" name="name" value="{webhook.name}" maxlength="255" />
+	</div>
+	<div class="form-group">
+		<label for="webhook-url">[[admin/advanced/webhooks:url]]</label>
+		<input type="url" class="form-control" id="webhook-url" name="url" value="{webhook.url}" placeholder="https://" />
+	</div>
+	<div class="form-group">
+		<label for="webhook-secret">[[admin/advanced/webhooks:secret]]</label>
+		<input type="text" class="form-control" id="webhook-secret" name="secret" placeholder="[[admin/advanced/webhooks:secret-placeholder]]" />
+		<p class="help-block">[[admin/advanced/webhooks:secret-help]]</p>
+	</div>
+	<div class="form-group">
+		<label>[[admin/advanced/webhooks:hooks]]</label>
+		<!-- BEGIN hooks -->
+		<div class="checkbox">
+			<label><input type="checkbox" name="hooks" value="{hooks.hook}" <!-- IF hooks.checked -->checked<!-- ENDIF hooks.checked --> /> <code>{hooks.hook}</code></label>
+		</div>
+		<!-- END hooks -->
+		<label for="webhook-custom-hooks">[[admin/advanced/webhooks:custom-hooks]]</label>
+		<input type="text" class="form-control" id="webhook-custom-hooks" name="customHooks" value="{customHooks}" placeholder="action:topic.pin, action:topic.lock" />
+	</div>
+	<div class="checkbox">
+		<label><input type="checkbox" name="enabled" <!-- IF webhook.enabled -->checked<!-- ENDIF webhook.enabled --> /> [[admin/advanced/webhooks:enabled]]</label>
+	</div>
+</form>
@@ -0,0 +1,113 @@
+<!-- IMPORT admin/partials/settings/header.tpl -->
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/ldap:connection]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="checkbox">
+				<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+					<input class="mdl-switch__input" type="checkbox" data-field="ldap:enabled">
+					<span class="mdl-switch__label"><strong>[[admin/settings/ldap:enabled]]</strong></span>
+				</label>
+			</div>
+			<p class="help-block">
+				[[admin/settings/ldap:enabled-help]]
+			</p>
+			<div class="form-group">
+				<label for="ldap:url">[[admin/settings/ldap:url]]</label>
+				<input id="ldap:url" type="text" class="form-control" data-field="ldap:url" placeholder="ldap://localhost:389" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:bindDn">[[admin/settings/ldap:bind-dn]]</label>
+				<input id="ldap:bindDn" type="text" class="form-control" data-field="ldap:bindDn" placeholder="cn=admin,dc=example,dc=org" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:bindPassword">[[admin/settings/ldap:bind-password]]</label>
+				<input id="ldap:bindPassword" type="password" class="form-control" data-field="ldap:bindPassword" autocomplete="new-password" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:timeout">[[admin/settings/ldap:timeout]]</label>
+				<input id="ldap:timeout" type="number" class="form-control" data-field="ldap:timeout" placeholder="10000" />
+			</div>
+			<button type="button" class="btn btn-default" data-action="ldap.test">
+				<i class="fa fa-plug"></i> [[admin/settings/ldap:test-connection]]
+			</button>
+		</form>
+	</div>
+</div>
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/ldap:search]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="ldap:searchBase">[[admin/settings/ldap:search-base]]</label>
+				<input id="ldap:searchBase" type="text" class="form-control" data-field="ldap:searchBase" placeholder="ou=people,dc=example,dc=org" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:searchFilter">[[admin/settings/ldap:search-filter]]</label>
+				<input id="ldap:searchFilter" type="text" class="form-control" data-field="ldap:searchFilter" placeholder="(uid={{username}})" />
+				<p class="help-block">
+					[[admin/settings/ldap:search-filter-help]]
+				</p>
+			</div>
+		</form>
+	</div>
+</div>
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/ldap:attributes]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="ldap:attr:username">[[admin/settings/ldap:attr.username]]</label>
+				<input id="ldap:attr:username" type="text" class="form-control" data-field="ldap:attr:username" placeholder="uid" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:attr:email">[[admin/settings/ldap:attr.email]]</label>
+				<input id="ldap:attr:email" type="text" class="form-control" data-field="ldap:attr:email" placeholder="mail" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:attr:fullname">[[admin/settings/ldap:attr.fullname]]</label>
+				<input id="ldap:attr:fullname" type="text" class="form-control" data-field="ldap:attr:fullname" placeholder="cn" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:attr:picture">[[admin/settings/ldap:attr.picture]]</label>
+				<input id="ldap:attr:picture" type="text" class="form-control" data-field="ldap:attr:picture" placeholder="jpegPhoto" />
+				<p class="help-block">
+					[[admin/settings/ldap:attr.picture-help]]
+				</p>
+			</div>
+			<div class="checkbox">
+				<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+					<input class="mdl-switch__input" type="checkbox" data-field="ldap:linkByEmail">
+					<span class="mdl-switch__label"><strong>[[admin/settings/ldap:link-by-email]]</strong></span>
+				</label>
+			</div>
+			<p class="help-block">
+				[[admin/settings/ldap:link-by-email-help]]
+			</p>
+		</form>
+	</div>
+</div>
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/ldap:groups]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="ldap:groupAttribute">[[admin/settings/ldap:group-attribute]]</label>
+				<input id="ldap:groupAttribute" type="text" class="form-control" data-field="ldap:groupAttribute" placeholder="memberOf" />
+			</div>
+			<div class="form-group">
+				<label for="ldap:groupMapping">[[admin/settings/ldap:group-mapping]]</label>
+				<textarea id="ldap:groupMapping" class="form-control" rows="6" data-field="ldap:groupMapping" placeholder="cn=developers,ou=groups,dc=example,dc=org = Developers"></textarea>
+				<p class="help-block">
+					[[admin/settings/ldap:group-mapping-help]]
+				</p>
+			</div>
+		</form>
+	</div>
+</div>
+
+<!-- IMPORT admin/partials/settings/footer.tpl -->
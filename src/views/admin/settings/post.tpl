@@ -283,6 +283,24 @@
 	</div>
 </div>
 
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/post:drafts]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="draftMaxAgeDays">[[admin/settings/post:drafts.max-age-days]]</label>
+				<input id="draftMaxAgeDays" type="number" class="form-control" data-field="draftMaxAgeDays" min="0" value="30">
+				<p class="help-block">[[admin/settings/post:drafts.max-age-days-help]]</p>
+			</div>
+			<div class="form-group">
+				<label for="draftMaxPerUser">[[admin/settings/post:drafts.max-per-user]]</label>
+				<input id="draftMaxPerUser" type="number" class="form-control" data-field="draftMaxPerUser" min="0" value="20">
+				<p class="help-block">[[admin/settings/post:drafts.max-per-user-help]]</p>
+			</div>
+		</form>
+	</div>
+</div>
+
 <div class="row">
 	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/post:ip-tracking]]</div>
 	<div class="col-sm-10 col-xs-12">
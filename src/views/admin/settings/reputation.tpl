@@ -28,6 +28,45 @@
 </div>
 
 
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/reputation:reactions]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="reactions">[[admin/settings/reputation:reactions-list]]</label>
+				<textarea id="reactions" class="form-control" rows="6" data-field="reactions"></textarea>
+				<p class="help-block">
+					[[admin/settings/reputation:reactions-help]]
+				</p>
+			</div>
+		</form>
+	</div>
+</div>
+
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/reputation:flag-auto-action]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="flags:autoAction">[[admin/settings/reputation:flag-auto-action-type]]</label>
+				<select id="flags:autoAction" class="form-control" data-field="flags:autoAction">
+					<option value="none">[[admin/settings/reputation:flag-auto-action-none]]</option>
+					<option value="hide">[[admin/settings/reputation:flag-auto-action-hide]]</option>
+					<option value="queue">[[admin/settings/reputation:flag-auto-action-queue]]</option>
+				</select>
+			</div>
+			<strong>[[admin/settings/reputation:flag-auto-action-threshold]]</strong><br /> <input type="number" min="1" class="form-control" placeholder="10" data-field="flags:autoActionThreshold"><br />
+			<strong>[[admin/settings/reputation:flag-auto-action-trusted-reputation]]</strong><br /> <input type="number" min="0" class="form-control" placeholder="100" data-field="flags:autoActionTrustedReputation"><br />
+			<strong>[[admin/settings/reputation:flag-auto-action-trusted-weight]]</strong><br /> <input type="number" min="1" step="0.5" class="form-control" placeholder="2" data-field="flags:autoActionTrustedWeight">
+			<p class="help-block">
+				[[admin/settings/reputation:flag-auto-action-help]]
+			</p>
+		</form>
+	</div>
+</div>
+
+
 <div class="row">
 	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/reputation:thresholds]]</div>
 	<div class="col-sm-10 col-xs-12">
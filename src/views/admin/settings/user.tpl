@@ -116,11 +116,41 @@
 			<div class="form-group">
 				<label for="lockoutDuration">[[admin/settings/user:lockout-duration]]</label>
 				<input id="lockoutDuration" type="text" class="form-control" data-field="lockoutDuration" placeholder="60" />
+				<p class="help-block">
+					[[admin/settings/user:lockout-duration-help]]
+				</p>
 			</div>
 			<div class="form-group">
-				<label>[[admin/settings/user:password-expiry-days]]</label>
-				<input type="text" class="form-control" data-field="passwordExpiryDays" placeholder="0" />
+				<label for="loginAttemptsPerIp">[[admin/settings/user:login-attempts-per-ip]]</label>
+				<input id="loginAttemptsPerIp" type="text" class="form-control" data-field="loginAttemptsPerIp" placeholder="20" />
+				<p class="help-block">
+					[[admin/settings/user:login-attempts-per-ip-help]]
+				</p>
+			</div>
+			<div class="form-group">
+				<label for="loginThrottleMaxDelay">[[admin/settings/user:login-throttle-max-delay]]</label>
+				<input id="loginThrottleMaxDelay" type="text" class="form-control" data-field="loginThrottleMaxDelay" placeholder="15" />
+			</div>
+			<div class="form-group">
+				<label for="passwordHashAlgorithm">[[admin/settings/user:password-hash-algorithm]]</label>
+				<select id="passwordHashAlgorithm" class="form-control" data-field="passwordHashAlgorithm">
+					<option value="argon2id">Argon2id</option>
+					<option value="scrypt">scrypt</option>
+					<option value="bcrypt">bcrypt</option>
+				</select>
+				<p class="help-block">
+					[[admin/settings/user:password-hash-algorithm-help]]
+				</p>
+			</div>
+			<div class="checkbox">
+				<label class="mdl-switch mdl-js-switch mdl-js-ripple-effect">
+					<input class="mdl-switch__input" type="checkbox" data-field="twoFactor:requirePrivileged">
+					<span class="mdl-switch__label"><strong>[[admin/settings/user:require-2fa-privileged]]</strong></span>
+				</label>
 			</div>
+			<p class="help-block">
+				[[admin/settings/user:require-2fa-privileged-help]]
+			</p>
 		</form>
 	</div>
 </div>
@@ -234,6 +264,61 @@
 	</div>
 </div>
 
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/user:password-policy]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="password:forbidden">[[admin/settings/user:password-forbidden]]</label>
+				<textarea id="password:forbidden" class="form-control" rows="5" data-field="password:forbidden"></textarea>
+				<p class="help-block">
+					[[admin/settings/user:password-forbidden-help]]
+				</p>
+			</div>
+			<div class="form-group">
+				<label for="password:breachedPath">[[admin/settings/user:password-breached-path]]</label>
+				<input id="password:breachedPath" type="text" class="form-control" data-field="password:breachedPath" />
+				<p class="help-block">
+					[[admin/settings/user:password-breached-path-help]]
+				</p>
+			</div>
+			<div class="form-group">
+				<label for="password:breachedMinCount">[[admin/settings/user:password-breached-min-count]]</label>
+				<input id="password:breachedMinCount" type="number" class="form-control" data-field="password:breachedMinCount" placeholder="1" />
+			</div>
+			<div class="form-group">
+				<label for="password:historySize">[[admin/settings/user:password-history-size]]</label>
+				<input id="password:historySize" type="number" min="0" max="24" class="form-control" data-field="password:historySize" placeholder="0" />
+				<p class="help-block">
+					[[admin/settings/user:password-history-size-help]]
+				</p>
+			</div>
+			<div class="form-group">
+				<label for="passwordExpiryDays">[[admin/settings/user:password-expiry-days]]</label>
+				<input id="passwordExpiryDays" type="text" class="form-control" data-field="passwordExpiryDays" placeholder="0" />
+				<p class="help-block">
+					[[admin/settings/user:password-expiry-days-help]]
+				</p>
+			</div>
+		</form>
+	</div>
+</div>
+
+<div class="row">
+	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/user:warnings]]</div>
+	<div class="col-sm-10 col-xs-12">
+		<form>
+			<div class="form-group">
+				<label for="warnings:expiryDays">[[admin/settings/user:warnings-expiry-days]]</label>
+				<input id="warnings:expiryDays" type="number" min="0" class="form-control" data-field="warnings:expiryDays" placeholder="30" />
+				<p class="help-block">
+					[[admin/settings/user:warnings-expiry-days-help, {config.relative_path}/admin/manage/warnings]]
+				</p>
+			</div>
+		</form>
+	</div>
+</div>
+
 <div class="row">
 	<div class="col-sm-2 col-xs-12 settings-header">[[admin/settings/user:user-search]]</div>
 	<div class="col-sm-10 col-xs-12">
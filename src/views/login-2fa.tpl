@@ -0,0 +1,30 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div class="row">
+	<div class="col-md-6 col-md-offset-3">
+		<div class="login-block">
+			<div class="alert alert-danger" id="login-error-notify" <!-- IF error -->style="display:block"<!-- ELSE -->style="display: none;"<!-- ENDIF error -->>
+				<button type="button" class="close" data-dismiss="alert">&times;</button>
+				<strong>[[login:failed_login_attempt]]</strong>
+				<p>{error}</p>
+			</div>
+
+			<p>[[user:2fa.login-intro]]</p>
+
+			<form class="form-horizontal" role="form" method="post" id="login-2fa-form" action="{config.relative_path}/login/2fa">
+				<div class="form-group">
+					<label for="code" class="col-lg-4 control-label">[[user:2fa.code]]</label>
+					<div class="col-lg-8">
+						<input class="form-control" type="text" placeholder="[[user:2fa.code-placeholder]]" name="code" id="code" autocomplete="one-time-code" autocapitalize="off" />
+					</div>
+				</div>
+				<input type="hidden" name="_csrf" value="{config.csrf_token}" />
+				<input type="hidden" name="noscript" id="noscript" value="true" />
+				<div class="form-group">
+					<div class="col-lg-offset-4 col-lg-8">
+						<button class="btn btn-primary btn-lg btn-block" id="login-2fa" type="submit">[[user:2fa.verify]]</button>
+					</div>
+				</div>
+			</form>
+		</div>
+	</div>
+</div>
@@ -0,0 +1,17 @@
+<div class="row canned-responses" component="canned-responses">
+	<div class="col-xs-7 form-group">
+		<select class="form-control input-sm" component="canned-responses/select">
+			<option value="">[[modules:canned-responses.select]]</option>
+			<!-- BEGIN responses -->
+			<option value="{responses.id}">{responses.title}</option>
+			<!-- END responses -->
+		</select>
+	</div>
+	<div class="col-xs-5 form-group">
+		<select class="form-control input-sm" name="send" component="canned-responses/send">
+			<option value="">[[modules:canned-responses.send-none]]</option>
+			<option value="notification">[[modules:canned-responses.send-notification]]</option>
+			<option value="chat">[[modules:canned-responses.send-chat]]</option>
+		</select>
+	</div>
+</div>
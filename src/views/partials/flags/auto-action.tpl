@@ -0,0 +1,4 @@
+<div class="alert alert-warning" component="flag/auto-action">
+	<button class="btn btn-default btn-sm pull-right" data-action="reverseAutoAction">[[flags:reverse-auto-action]]</button>
+	<p>[[flags:auto-action-notice]]</p>
+</div>
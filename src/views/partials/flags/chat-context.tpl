@@ -0,0 +1,18 @@
+<div class="panel panel-default" component="flag/chat-context">
+	<div class="panel-heading">
+		<strong>[[flags:chat-context]]</strong>
+		<p class="help-block">[[flags:chat-context-help]]</p>
+	</div>
+	<ul class="list-group">
+		<!-- BEGIN chatContext -->
+		<li class="list-group-item<!-- IF chatContext.flagged --> list-group-item-warning<!-- ENDIF chatContext.flagged -->" data-mid="{chatContext.mid}">
+			<!-- IF chatContext.flagged -->
+			<span class="label label-warning pull-right">[[flags:chat-flagged-message]]</span>
+			<!-- ENDIF chatContext.flagged -->
+			<a href="{config.relative_path}/user/{chatContext.user.userslug}">{buildAvatar(chatContext.user, "sm", true)} <strong>{chatContext.user.username}</strong></a>
+			<span class="timeago text-muted" title="{chatContext.timestampISO}"></span>
+			<div class="content">{chatContext.content}</div>
+		</li>
+		<!-- END chatContext -->
+	</ul>
+</div>
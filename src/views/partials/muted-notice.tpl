@@ -0,0 +1,6 @@
+<div class="alert alert-warning" component="composer/muted">
+	[[user:muted.composer-notice]]
+	<!-- IF mutedUntilISO -->
+	[[user:muted.ends]] <span class="timeago" title="{mutedUntilISO}"></span>.
+	<!-- ENDIF mutedUntilISO -->
+</div>
@@ -0,0 +1,10 @@
+<div class="panel panel-success topic-accepted-answer" component="topic/accepted-answer" data-pid="{acceptedAnswer.pid}">
+	<div class="panel-heading">
+		<i class="fa fa-check-circle"></i> <strong>[[topic:qa.accepted-answer]]</strong>
+		<a href="{config.relative_path}/user/{acceptedAnswer.user.userslug}">{acceptedAnswer.user.username}</a>
+		<a class="pull-right" href="{config.relative_path}/post/{acceptedAnswer.pid}">[[topic:qa.go-to-answer]]</a>
+	</div>
+	<div class="panel-body content">
+		{acceptedAnswer.content}
+	</div>
+</div>
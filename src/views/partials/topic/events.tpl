@@ -0,0 +1,12 @@
+<!-- BEGIN events -->
+<li component="topic/event" class="topic-event text-muted" data-topic-event-id="{events.id}" data-type="{events.type}" data-timestamp="{events.timestamp}">
+	<i class="fa fa-fw {events.icon}"></i>
+	<!-- IF events.user.uid -->
+	<a href="{config.relative_path}/user/{events.user.userslug}">{events.user.username}</a>
+	<!-- ELSE -->
+	<strong>{events.user.username}</strong>
+	<!-- ENDIF events.user.uid -->
+	{events.text}
+	<span class="timeago" title="{events.timestampISO}"></span>
+</li>
+<!-- END events -->
@@ -0,0 +1,65 @@
+<div class="panel panel-default topic-poll" component="topic/poll" data-tid="{poll.tid}">
+	<div class="panel-heading">
+		<i class="fa fa-bar-chart"></i> <strong><!-- IF poll.title -->{poll.title}<!-- ELSE -->[[topic:poll.title]]<!-- ENDIF poll.title --></strong>
+		<span class="pull-right text-muted">
+			<!-- IF poll.ended -->
+			[[topic:poll.ended]]
+			<!-- ELSE -->
+			<!-- IF poll.endTimeISO -->
+			[[topic:poll.ends]] <span class="timeago" title="{poll.endTimeISO}"></span>
+			<!-- ENDIF poll.endTimeISO -->
+			<!-- ENDIF poll.ended -->
+		</span>
+	</div>
+	<form class="panel-body" component="topic/poll/form">
+		<!-- BEGIN poll.options -->
+		<div class="poll-option">
+			<!-- IF poll.canVote -->
+			<!-- IF poll.multiple -->
+			<div class="checkbox">
+				<label><input type="checkbox" name="options" value="{poll.options.id}" <!-- IF poll.options.voted -->checked<!-- ENDIF poll.options.voted -->> {poll.options.title}</label>
+			</div>
+			<!-- ELSE -->
+			<div class="radio">
+				<label><input type="radio" name="options" value="{poll.options.id}" <!-- IF poll.options.voted -->checked<!-- ENDIF poll.options.voted -->> {poll.options.title}</label>
+			</div>
+			<!-- ENDIF poll.multiple -->
+			<!-- ELSE -->
+			<p><!-- IF poll.options.voted --><i class="fa fa-check text-success" title="[[topic:poll.your-vote]]"></i> <!-- ENDIF poll.options.voted -->{poll.options.title}</p>
+			<!-- ENDIF poll.canVote -->
+
+			<!-- IF poll.resultsVisible -->
+			<div class="progress">
+				<div class="progress-bar" role="progressbar" style="min-width: 2em; width: {poll.options.percent}%;">{poll.options.percent}%</div>
+			</div>
+			<p class="text-muted small">
+				[[topic:poll.votes, {poll.options.votecount}]]
+				<!-- BEGIN poll.options.voters -->
+				<a href="{config.relative_path}/user/{poll.options.voters.userslug}">{poll.options.voters.username}</a>
+				<!-- END poll.options.voters -->
+			</p>
+			<!-- ENDIF poll.resultsVisible -->
+		</div>
+		<!-- END poll.options -->
+
+		<p class="text-muted small">
+			<!-- IF poll.resultsVisible -->
+			[[topic:poll.voters, {poll.voterCount}]]
+			<!-- ELSE -->
+			<!-- IF poll.resultsAfterEnd -->[[topic:poll.results-after-end]]<!-- ELSE -->[[topic:poll.results-after-vote]]<!-- ENDIF poll.resultsAfterEnd -->
+			<!-- ENDIF poll.resultsVisible -->
+			<!-- IF poll.anonymous --> &middot; [[topic:poll.anonymous]]<!-- ENDIF poll.anonymous -->
+		</p>
+
+		<!-- IF poll.canVote -->
+		<button type="submit" class="btn btn-primary btn-sm" component="topic/poll/vote">[[topic:poll.vote]]</button>
+		<!-- ENDIF poll.canVote -->
+		<!-- IF poll.hasVoted -->
+		<!-- IF poll.allowChangeVote -->
+		<!-- IF !poll.ended -->
+		<button type="button" class="btn btn-link btn-sm" component="topic/poll/unvote">[[topic:poll.remove-vote]]</button>
+		<!-- ENDIF !poll.ended -->
+		<!-- ENDIF poll.allowChangeVote -->
+		<!-- ENDIF poll.hasVoted -->
+	</form>
+</div>
@@ -0,0 +1,16 @@
+<table class="table table-condensed post-diff" component="post/history/diff">
+	<thead>
+		<tr>
+			<th>{from}</th>
+			<th>{to}</th>
+		</tr>
+	</thead>
+	<tbody>
+		<!-- BEGIN rows -->
+		<tr>
+			<td class="<!-- IF rows.removed -->danger<!-- ENDIF rows.removed -->"><pre>{rows.left}</pre></td>
+			<td class="<!-- IF rows.added -->success<!-- ENDIF rows.added -->"><pre>{rows.right}</pre></td>
+		</tr>
+		<!-- END rows -->
+	</tbody>
+</table>
@@ -0,0 +1,19 @@
+<div class="clearfix post-history-tools" component="post/history/tools">
+	<div class="btn-group">
+		<!-- IF privileges.restore -->
+		<button type="button" class="btn btn-sm btn-primary" component="post/history/restore">[[topic:diffs.restore]]</button>
+		<!-- ENDIF privileges.restore -->
+		<!-- IF privileges.delete -->
+		<button type="button" class="btn btn-sm btn-danger" component="post/history/delete">[[topic:diffs.delete]]</button>
+		<!-- ENDIF privileges.delete -->
+	</div>
+	<div class="form-inline pull-right">
+		<label for="post-history-compare">[[topic:diffs.compare-with]]</label>
+		<select id="post-history-compare" class="form-control input-sm" component="post/history/compare">
+			<option value="">[[topic:diffs.no-comparison]]</option>
+			<!-- BEGIN diffs -->
+			<option value="{diffs.timestamp}">{diffs.pretty}</option>
+			<!-- END diffs -->
+		</select>
+	</div>
+</div>
@@ -0,0 +1,23 @@
+<div class="post-reactions" component="post/reactions" data-pid="{pid}">
+	<!-- BEGIN reactions -->
+	<!-- IF reactions.count -->
+	<button type="button" class="btn btn-xs <!-- IF reactions.reacted -->btn-primary<!-- ELSE -->btn-default<!-- ENDIF reactions.reacted -->" component="post/reaction" data-reaction="{reactions.name}">
+		{reactions.emoji} <span component="post/reaction/count">{reactions.count}</span>
+	</button>
+	<!-- ENDIF reactions.count -->
+	<!-- END reactions -->
+	<!-- IF canReact -->
+	<div class="btn-group dropup">
+		<button type="button" class="btn btn-xs btn-link dropdown-toggle" data-toggle="dropdown" title="[[topic:reactions.add]]">
+			<i class="fa fa-smile-o"></i>
+		</button>
+		<ul class="dropdown-menu">
+			<!-- BEGIN reactions -->
+			<li class="<!-- IF reactions.reacted -->active<!-- ENDIF reactions.reacted -->">
+				<a href="#" component="post/reaction/add" data-reaction="{reactions.name}">{reactions.emoji}</a>
+			</li>
+			<!-- END reactions -->
+		</ul>
+	</div>
+	<!-- ENDIF canReact -->
+</div>
@@ -0,0 +1,3 @@
+<div class="alert alert-info topic-scheduled" component="topic/scheduled">
+	<i class="fa fa-clock-o"></i> [[topic:scheduled.notice, {timestampISO}]]
+</div>
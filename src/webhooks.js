@@ -0,0 +1,366 @@
+'use strict';
+
+const crypto = require('crypto');
+const request = require('request');
+const winston = require('winston');
+const nconf = require('nconf');
+const validator = require('validator');
+const _ = require('lodash');
+const cronJob = require('cron').CronJob;
+
+const db = require('./database');
+const plugins = require('./plugins');
+const pubsub = require('./pubsub');
+const utils = require('./utils');
+
+const Webhooks = module.exports;
+
+// Offered as checkboxes in the ACP, any other `action:*` hook can be entered by hand
+Webhooks.suggestedHooks = [
+	'action:topic.post',
+	'action:topic.reply',
+	'action:topic.edit',
+	'action:topic.delete',
+	'action:topic.purge',
+	'action:post.save',
+	'action:post.edit',
+	'action:post.purge',
+	'action:user.create',
+	'action:user.delete',
+	'action:user.banned',
+	'action:flags.create',
+	'action:flags.update',
+	'action:group.join',
+	'action:group.leave',
+];
+
+Webhooks.maxAttempts = 6;
+Webhooks.retryDelay = 30000;
+Webhooks.requestTimeout = 10000;
+Webhooks.logSize = 100;
+
+// Never sent to remote endpoints, no matter which hook they were passed to
+const omittedKeys = ['req', 'res', 'socket', 'password', 'password-confirm', 'currentPassword', 'newPassword', 'hash', 'secret'];
+
+let enabledWebhooks = null;
+let processing = false;
+
+pubsub.on('webhooks:reload', function () {
+	enabledWebhooks = null;
+});
+
+Webhooks.startJobs = function () {
+	winston.verbose('[webhooks] Registering jobs.');
+	new cronJob('*/15 * * * * *', function () {
+		Webhooks.processQueue().catch(err => winston.error('[webhooks] ' + err.stack));
+	}, null, true);
+};
+
+Webhooks.addHooks = async function () {
+	plugins.registerHook('core', {
+		hook: 'action:plugins.firehook',
+		method: onFireHook,
+	});
+};
+
+async function onFireHook(data) {
+	if (!data.hook.startsWith('action:')) {
+		return;
+	}
+	try {
+		const webhooks = await getEnabledWebhooks();
+		const subscribed = webhooks.filter(webhook => webhook.hooks.includes(data.hook));
+		await Promise.all(subscribed.map(webhook => enqueue(webhook, data.hook, data.params)));
+	} catch (err) {
+		winston.error('[webhooks] Could not queue ' + data.hook + '\n' + err.stack);
+	}
+}
+
+async function getEnabledWebhooks() {
+	if (!enabledWebhooks) {
+		const webhooks = await Webhooks.list();
+		enabledWebhooks = webhooks.filter(webhook => webhook.enabled);
+	}
+	return enabledWebhooks;
+}
+
+function reload() {
+	enabledWebhooks = null;
+	pubsub.publish('webhooks:reload');
+}
+
+Webhooks.create = async function (data) {
+	const webhookData = validate(data);
+	webhookData.id = await db.incrObjectField('global', 'nextWebhookId');
+	webhookData.timestamp = Date.now();
+	webhookData.secret = webhookData.secret || crypto.randomBytes(20).toString('hex');
+
+	await db.setObject('webhook:' + webhookData.id, webhookData);
+	await db.sortedSetAdd('webhooks:id', webhookData.timestamp, webhookData.id);
+	reload();
+	return await Webhooks.get(webhookData.id);
+};
+
+Webhooks.update = async function (id, data) {
+	const exists = await db.isSortedSetMember('webhooks:id', id);
+	if (!exists) {
+		throw new Error('[[error:no-webhook]]');
+	}
+	const webhookData = validate(data);
+	if (!webhookData.secret) {
+		delete webhookData.secret;
+	}
+	await db.setObject('webhook:' + id, webhookData);
+	reload();
+	return await Webhooks.get(id);
+};
+
+Webhooks.delete = async function (id) {
+	const dids = await db.getSortedSetRange('webhook:' + id + ':deliveries', 0, -1);
+	await db.deleteAll(dids.map(did => 'webhook:delivery:' + did).concat([
+		'webhook:' + id,
+		'webhook:' + id + ':deliveries',
+	]));
+	await db.sortedSetRemove('webhooks:queue', dids);
+	await db.sortedSetRemove('webhooks:id', id);
+	reload();
+};
+
+Webhooks.get = async function (id) {
+	const webhookData = await db.getObject('webhook:' + id);
+	return webhookData ? modifyWebhook(webhookData) : null;
+};
+
+Webhooks.list = async function () {
+	const ids = await db.getSortedSetRange('webhooks:id', 0, -1);
+	const webhooks = await db.getObjects(ids.map(id => 'webhook:' + id));
+	return webhooks.filter(Boolean).map(modifyWebhook);
+};
+
+function validate(data) {
+	if (!data || !data.url || !validator.isURL(String(data.url), { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+		throw new Error('[[error:invalid-webhook-url]]');
+	}
+	const hooks = (Array.isArray(data.hooks) ? data.hooks : String(data.hooks || '').split(','))
+		.map(hook => String(hook).trim())
+		.filter(Boolean);
+	// Hooks fired while delivering would make a webhook trigger itself
+	if (!hooks.length || hooks.some(hook => !hook.startsWith('action:') || hook === 'action:plugins.firehook' || hook.startsWith('action:webhooks.'))) {
+		throw new Error('[[error:invalid-webhook-hooks]]');
+	}
+	return {
+		name: String(data.name || '').slice(0, 255),
+		url: String(data.url),
+		hooks: JSON.stringify(_.uniq(hooks)),
+		secret: String(data.secret || ''),
+		enabled: data.enabled === false || data.enabled === 'false' || data.enabled === 0 ? 0 : 1,
+	};
+}
+
+function modifyWebhook(webhookData) {
+	let hooks = [];
+	try {
+		hooks = JSON.parse(webhookData.hooks || '[]');
+	} catch (err) {
+		winston.warn('[webhooks] Invalid hook list for webhook ' + webhookData.id);
+	}
+	return {
+		id: parseInt(webhookData.id, 10),
+		name: webhookData.name || '',
+		url: webhookData.url,
+		hooks: hooks,
+		secret: webhookData.secret,
+		enabled: parseInt(webhookData.enabled, 10) === 1,
+		timestamp: parseInt(webhookData.timestamp, 10) || 0,
+		timestampISO: utils.toISOString(webhookData.timestamp),
+	};
+}
+
+async function enqueue(webhook, hook, params, redeliveryOf) {
+	const did = await db.incrObjectField('global', 'nextWebhookDeliveryId');
+	const now = Date.now();
+	const payload = typeof params === 'string' ? params : JSON.stringify({
+		hook: hook,
+		deliveryId: did,
+		timestamp: now,
+		forum: nconf.get('url'),
+		data: sanitize(params),
+	});
+
+	await db.setObject('webhook:delivery:' + did, {
+		did: did,
+		wid: webhook.id,
+		hook: hook,
+		payload: payload,
+		attempts: 0,
+		status: 'pending',
+		timestamp: now,
+		redeliveryOf: redeliveryOf || 0,
+	});
+	await db.sortedSetAdd('webhook:' + webhook.id + ':deliveries', now, did);
+	// The queue entry only matters if the first attempt below does not complete, e.g. on restart
+	await db.sortedSetAdd('webhooks:queue', now + Webhooks.retryDelay, did);
+	await trimLog(webhook.id);
+
+	setImmediate(function () {
+		Webhooks.attempt(did).catch(err => winston.error('[webhooks] ' + err.stack));
+	});
+	return did;
+}
+
+function sanitize(params) {
+	const seen = new WeakSet();
+	return JSON.parse(JSON.stringify(params === undefined ? null : params, function (key, value) {
+		if (omittedKeys.includes(key) || typeof value === 'function') {
+			return undefined;
+		}
+		if (value && typeof value === 'object') {
+			if (seen.has(value)) {
+				return undefined;
+			}
+			seen.add(value);
+		}
+		return value;
+	}));
+}
+
+async function trimLog(wid) {
+	const count = await db.sortedSetCard('webhook:' + wid + ':deliveries');
+	if (count <= Webhooks.logSize) {
+		return;
+	}
+	const dids = await db.getSortedSetRange('webhook:' + wid + ':deliveries', 0, count - Webhooks.logSize - 1);
+	await db.deleteAll(dids.map(did => 'webhook:delivery:' + did));
+	await db.sortedSetRemove('webhook:' + wid + ':deliveries', dids);
+	await db.sortedSetRemove('webhooks:queue', dids);
+}
+
+Webhooks.sign = function (secret, payload) {
+	return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(payload).digest('hex');
+};
+
+Webhooks.attempt = async function (did) {
+	const delivery = await db.getObject('webhook:delivery:' + did);
+	const webhook = delivery ? await Webhooks.get(delivery.wid) : null;
+	if (!delivery || !webhook) {
+		await db.sortedSetRemove('webhooks:queue', did);
+		return;
+	}
+
+	const started = Date.now();
+	const attempts = (parseInt(delivery.attempts, 10) || 0) + 1;
+	const result = await send(webhook, delivery);
+	const success = !result.error && result.statusCode >= 200 && result.statusCode < 300;
+	const update = {
+		attempts: attempts,
+		lastAttempt: started,
+		duration: Date.now() - started,
+		statusCode: result.statusCode || 0,
+		response: String(result.body || '').slice(0, 1000),
+		error: result.error ? result.error.message : '',
+	};
+
+	if (success) {
+		update.status = 'success';
+		await db.sortedSetRemove('webhooks:queue', did);
+	} else if (attempts >= Webhooks.maxAttempts) {
+		update.status = 'failed';
+		await db.sortedSetRemove('webhooks:queue', did);
+	} else {
+		// Exponential backoff, 30s, 1m, 2m, 4m...
+		update.status = 'retrying';
+		update.nextAttempt = Date.now() + (Webhooks.retryDelay * (2 ** (attempts - 1)));
+		await db.sortedSetAdd('webhooks:queue', update.nextAttempt, did);
+	}
+	await db.setObject('webhook:delivery:' + did, update);
+	plugins.fireHook('action:webhooks.delivered', { webhook: webhook, did: did, status: update.status, statusCode: update.statusCode });
+	return update.status;
+};
+
+function send(webhook, delivery) {
+	return new Promise(function (resolve) {
+		request({
+			method: 'POST',
+			url: webhook.url,
+			body: delivery.payload,
+			timeout: Webhooks.requestTimeout,
+			headers: {
+				'Content-Type': 'application/json',
+				'User-Agent': 'NodeBB Webhooks',
+				'X-NodeBB-Event': delivery.hook,
+				'X-NodeBB-Delivery': String(delivery.did),
+				'X-NodeBB-Signature': Webhooks.sign(webhook.secret, delivery.payload),
+			},
+		}, function (err, res, body) {
+			resolve({
+				error: err,
+				statusCode: res && res.statusCode,
+				body: body,
+			});
+		});
+	});
+}
+
+Webhooks.processQueue = async function () {
+	if (processing) {
+		return;
+	}
+	processing = true;
+	try {
+		const dids = await db.getSortedSetRangeByScore('webhooks:queue', 0, 50, '-inf', Date.now());
+		for (const did of dids) {
+			/* eslint-disable no-await-in-loop */
+			await Webhooks.attempt(did);
+		}
+	} finally {
+		processing = false;
+	}
+};
+
+Webhooks.redeliver = async function (did) {
+	const delivery = await db.getObject('webhook:delivery:' + did);
+	const webhook = delivery ? await Webhooks.get(delivery.wid) : null;
+	if (!webhook) {
+		throw new Error('[[error:no-webhook-delivery]]');
+	}
+	return await enqueue(webhook, delivery.hook, delivery.payload, did);
+};
+
+Webhooks.ping = async function (id) {
+	const webhook = await Webhooks.get(id);
+	if (!webhook) {
+		throw new Error('[[error:no-webhook]]');
+	}
+	return await enqueue(webhook, 'action:webhooks.ping', { id: webhook.id });
+};
+
+Webhooks.getDeliveries = async function (id, start, stop) {
+	const dids = await db.getSortedSetRevRange('webhook:' + id + ':deliveries', start, stop);
+	const deliveries = await db.getObjects(dids.map(did => 'webhook:delivery:' + did));
+	return deliveries.filter(Boolean).map(function (delivery) {
+		const lastAttempt = parseInt(delivery.lastAttempt, 10) || 0;
+		const nextAttempt = parseInt(delivery.nextAttempt, 10) || 0;
+		return {
+			did: parseInt(delivery.did, 10),
+			hook: delivery.hook,
+			status: delivery.status,
+			success: delivery.status === 'success',
+			attempts: parseInt(delivery.attempts, 10) || 0,
+			statusCode: parseInt(delivery.statusCode, 10) || 0,
+			duration: parseInt(delivery.duration, 10) || 0,
+			error: delivery.error || '',
+			payload: delivery.payload,
+			response: delivery.response || '',
+			redeliveryOf: parseInt(delivery.redeliveryOf, 10) || 0,
+			timestampISO: utils.toISOString(delivery.timestamp),
+			lastAttemptISO: lastAttempt ? utils.toISOString(lastAttempt) : '',
+			nextAttemptISO: delivery.status === 'retrying' && nextAttempt ? utils.toISOString(nextAttempt) : '',
+		};
+	});
+};
+
+Webhooks.getDeliveryCount = async function (id) {
+	return await db.sortedSetCard('webhook:' + id + ':deliveries');
+};
+
+require('./promisify')(Webhooks);
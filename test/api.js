@@ -0,0 +1,486 @@
+'use strict';
+
+const assert = require('assert');
+const nconf = require('nconf');
+const request = require('request');
+
+require('./mocks/databasemock');
+const categories = require('../src/categories');
+const topics = require('../src/topics');
+const posts = require('../src/posts');
+const user = require('../src/user');
+const groups = require('../src/groups');
+const helpers = require('./helpers');
+
+describe('Write API', function () {
+	let adminUid;
+	let fooUid;
+	let cid;
+	let adminJar;
+	let adminCsrf;
+	let fooJar;
+	let fooCsrf;
+
+	function callApi(method, path, options, callback) {
+		request({
+			method: method,
+			url: nconf.get('url') + '/api/v1' + path,
+			json: true,
+			jar: options.jar,
+			body: options.body || {},
+			headers: {
+				'x-csrf-token': options.csrf_token,
+				...options.headers,
+			},
+		}, callback);
+	}
+
+	function callApiAsync(method, path, options) {
+		return new Promise(function (resolve, reject) {
+			callApi(method, path, options, function (err, res, body) {
+				if (err) {
+					return reject(err);
+				}
+				resolve({ res: res, body: body });
+			});
+		});
+	}
+
+	before(function (done) {
+		(async function () {
+			adminUid = await user.create({ username: 'apiadmin', password: 'barbar' });
+			fooUid = await user.create({ username: 'apifoo', password: 'barbar' });
+			await groups.join('administrators', adminUid);
+			const category = await categories.create({ name: 'Write API Category' });
+			cid = category.cid;
+		}()).then(function () {
+			helpers.loginUser('apiadmin', 'barbar', function (err, _jar, _csrf_token) {
+				assert.ifError(err);
+				adminJar = _jar;
+				adminCsrf = _csrf_token;
+				helpers.loginUser('apifoo', 'barbar', function (err, _jar, _csrf_token) {
+					assert.ifError(err);
+					fooJar = _jar;
+					fooCsrf = _csrf_token;
+					done();
+				});
+			});
+		}, done);
+	});
+
+	it('should return a 404 envelope for unknown routes', function (done) {
+		callApi('get', '/doesnotexist', { jar: fooJar }, function (err, res, body) {
+			assert.ifError(err);
+			assert.strictEqual(res.statusCode, 404);
+			assert.strictEqual(body.status.code, 'not-found');
+			assert.deepStrictEqual(body.response, {});
+			done();
+		});
+	});
+
+	it('should reject writes without a csrf token', function (done) {
+		callApi('post', '/topics', { jar: fooJar, body: { cid: cid, title: 'no csrf', content: 'no csrf content' } }, function (err, res, body) {
+			assert.ifError(err);
+			assert.strictEqual(res.statusCode, 403);
+			assert.strictEqual(body.status.code, 'forbidden');
+			done();
+		});
+	});
+
+	it('should require login for authenticated routes', function (done) {
+		const jar = request.jar();
+		request(nconf.get('url') + '/api/config', { json: true, jar: jar }, function (err, res, config) {
+			assert.ifError(err);
+			callApi('put', '/posts/1/bookmark', { jar: jar, csrf_token: config.csrf_token }, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 401);
+				assert.strictEqual(body.status.code, 'not-authorised');
+				done();
+			});
+		});
+	});
+
+	describe('topics and posts', function () {
+		let tid;
+		let mainPid;
+		let replyPid;
+
+		it('should create a topic', function (done) {
+			callApi('post', '/topics', {
+				jar: fooJar,
+				csrf_token: fooCsrf,
+				body: { cid: cid, title: 'topic from the write api', content: 'some content for this topic' },
+			}, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(body.status.code, 'ok');
+				assert(body.response.tid);
+				assert.strictEqual(body.response.title, 'topic from the write api');
+				tid = body.response.tid;
+				mainPid = body.response.mainPid;
+				done();
+			});
+		});
+
+		it('should fail to create a topic with invalid data and translate the error', function (done) {
+			callApi('post', '/topics', {
+				jar: fooJar,
+				csrf_token: fooCsrf,
+				body: { cid: cid, title: 'a', content: 'some content for this topic' },
+			}, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 400);
+				assert.strictEqual(body.status.code, 'bad-request');
+				assert(!body.status.message.startsWith('[['));
+				done();
+			});
+		});
+
+		it('should reply to a topic', function (done) {
+			callApi('post', '/topics/' + tid, {
+				jar: adminJar,
+				csrf_token: adminCsrf,
+				body: { content: 'a reply from the write api' },
+			}, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(parseInt(body.response.tid, 10), parseInt(tid, 10));
+				replyPid = body.response.pid;
+				done();
+			});
+		});
+
+		it('should edit a post', function (done) {
+			callApi('put', '/posts/' + mainPid, {
+				jar: fooJar,
+				csrf_token: fooCsrf,
+				body: { content: 'edited content via the write api' },
+			}, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				const content = await posts.getPostField(mainPid, 'content');
+				assert.strictEqual(content, 'edited content via the write api');
+				done();
+			});
+		});
+
+		it('should not allow editing someone else\'s post', function (done) {
+			callApi('put', '/posts/' + replyPid, {
+				jar: fooJar,
+				csrf_token: fooCsrf,
+				body: { content: 'trying to edit the admin post' },
+			}, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 403);
+				assert.strictEqual(body.status.code, 'forbidden');
+				done();
+			});
+		});
+
+		it('should upvote and unvote a post', function (done) {
+			callApi('put', '/posts/' + replyPid + '/vote', { jar: fooJar, csrf_token: fooCsrf, body: { delta: 1 } }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(await posts.getPostField(replyPid, 'upvotes'), 1);
+				callApi('delete', '/posts/' + replyPid + '/vote', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert.strictEqual(await posts.getPostField(replyPid, 'upvotes'), 0);
+					done();
+				});
+			});
+		});
+
+		it('should reject an invalid vote delta', function (done) {
+			callApi('put', '/posts/' + replyPid + '/vote', { jar: fooJar, csrf_token: fooCsrf, body: { delta: 5 } }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 400);
+				done();
+			});
+		});
+
+		it('should bookmark a post', function (done) {
+			callApi('put', '/posts/' + replyPid + '/bookmark', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(await posts.hasBookmarked(replyPid, fooUid));
+				done();
+			});
+		});
+
+		it('should follow and unfollow a topic', function (done) {
+			callApi('put', '/topics/' + tid + '/follow', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(await topics.isFollowing([tid], adminUid).then(r => r[0]));
+				callApi('delete', '/topics/' + tid + '/follow', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert(!(await topics.isFollowing([tid], adminUid))[0]);
+					done();
+				});
+			});
+		});
+
+		it('should delete and restore a post', function (done) {
+			callApi('delete', '/posts/' + replyPid + '/state', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(await posts.getPostField(replyPid, 'deleted'), 1);
+				callApi('put', '/posts/' + replyPid + '/state', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert.strictEqual(await posts.getPostField(replyPid, 'deleted'), 0);
+					done();
+				});
+			});
+		});
+
+		it('should purge a post', function (done) {
+			callApi('delete', '/posts/' + replyPid, { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(!(await posts.exists(replyPid)));
+				done();
+			});
+		});
+
+		it('should delete and restore a topic', function (done) {
+			callApi('delete', '/topics/' + tid + '/state', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(await topics.getTopicField(tid, 'deleted'), 1);
+				callApi('put', '/topics/' + tid + '/state', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert.strictEqual(await topics.getTopicField(tid, 'deleted'), 0);
+					done();
+				});
+			});
+		});
+
+		it('should not allow a regular user to purge a topic', function (done) {
+			callApi('delete', '/topics/' + tid, { jar: fooJar, csrf_token: fooCsrf }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 403);
+				done();
+			});
+		});
+
+		it('should purge a topic', function (done) {
+			callApi('delete', '/topics/' + tid, { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(!(await topics.exists(tid)));
+				done();
+			});
+		});
+
+		it('should return 404 for a topic that does not exist', function (done) {
+			callApi('delete', '/topics/' + tid + '/state', { jar: adminJar, csrf_token: adminCsrf }, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 404);
+				assert.strictEqual(body.status.code, 'not-found');
+				done();
+			});
+		});
+	});
+
+	describe('polls', function () {
+		let tid;
+
+		before(async function () {
+			const result = await topics.post({
+				uid: adminUid,
+				cid: cid,
+				title: 'topic with a poll',
+				content: 'vote for your favourite',
+				poll: { options: ['red', 'blue'] },
+			});
+			tid = result.topicData.tid;
+		});
+
+		it('should get the poll of a topic', async function () {
+			const { res, body } = await callApiAsync('get', '/topics/' + tid + '/poll', { jar: fooJar });
+			assert.strictEqual(res.statusCode, 200);
+			assert.deepStrictEqual(body.response.options.map(option => option.title), ['red', 'blue']);
+		});
+
+		it('should vote in a poll', async function () {
+			const { res, body } = await callApiAsync('put', '/topics/' + tid + '/poll/vote', { jar: fooJar, csrf_token: fooCsrf, body: { options: [1] } });
+			assert.strictEqual(res.statusCode, 200);
+			assert.strictEqual(body.response.hasVoted, true);
+			assert.strictEqual(body.response.options[1].votecount, 1);
+		});
+
+		it('should not allow changing the vote by default', async function () {
+			const { res, body } = await callApiAsync('delete', '/topics/' + tid + '/poll/vote', { jar: fooJar, csrf_token: fooCsrf });
+			assert.strictEqual(res.statusCode, 400);
+			assert.strictEqual(body.status.message, 'Votes can\'t be changed in this poll');
+		});
+
+		it('should return 404 for a topic without a poll', async function () {
+			const result = await topics.post({ uid: adminUid, cid: cid, title: 'topic without a poll', content: 'nothing to vote on' });
+			const { res } = await callApiAsync('get', '/topics/' + result.topicData.tid + '/poll', { jar: fooJar });
+			assert.strictEqual(res.statusCode, 404);
+		});
+	});
+
+	describe('users', function () {
+		let newUid;
+
+		it('should not allow regular users to create accounts', function (done) {
+			callApi('post', '/users', { jar: fooJar, csrf_token: fooCsrf, body: { username: 'apinewuser' } }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 403);
+				done();
+			});
+		});
+
+		it('should create a user as an admin', function (done) {
+			callApi('post', '/users', { jar: adminJar, csrf_token: adminCsrf, body: { username: 'apinewuser' } }, function (err, res, body) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(body.response.uid);
+				newUid = body.response.uid;
+				done();
+			});
+		});
+
+		it('should update a user profile', function (done) {
+			callApi('put', '/users/' + fooUid, { jar: fooJar, csrf_token: fooCsrf, body: { location: 'The Internet' } }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert.strictEqual(await user.getUserField(fooUid, 'location'), 'The Internet');
+				done();
+			});
+		});
+
+		it('should require the password to change own username', function (done) {
+			callApi('put', '/users/' + fooUid, { jar: fooJar, csrf_token: fooCsrf, body: { username: 'apifoo2' } }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 400);
+				done();
+			});
+		});
+
+		it('should follow and unfollow a user', function (done) {
+			callApi('put', '/users/' + newUid + '/follow', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(await user.isFollowing(fooUid, newUid));
+				callApi('delete', '/users/' + newUid + '/follow', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert(!(await user.isFollowing(fooUid, newUid)));
+					done();
+				});
+			});
+		});
+
+		it('should ban and unban a user', function (done) {
+			callApi('put', '/users/' + newUid + '/ban', { jar: adminJar, csrf_token: adminCsrf, body: { reason: 'testing' } }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(await user.bans.isBanned(newUid));
+				callApi('delete', '/users/' + newUid + '/ban', { jar: adminJar, csrf_token: adminCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert(!(await user.bans.isBanned(newUid)));
+					done();
+				});
+			});
+		});
+
+		it('should not allow a regular user to ban', function (done) {
+			callApi('put', '/users/' + newUid + '/ban', { jar: fooJar, csrf_token: fooCsrf }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 403);
+				done();
+			});
+		});
+	});
+
+	describe('groups', function () {
+		before(async function () {
+			await groups.create({ name: 'Write API Group' });
+		});
+
+		it('should join and leave a group', function (done) {
+			callApi('put', '/groups/write-api-group/membership', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 200);
+				assert(await groups.isMember(fooUid, 'Write API Group'));
+				callApi('delete', '/groups/write-api-group/membership', { jar: fooJar, csrf_token: fooCsrf }, async function (err, res) {
+					assert.ifError(err);
+					assert.strictEqual(res.statusCode, 200);
+					assert(!(await groups.isMember(fooUid, 'Write API Group')));
+					done();
+				});
+			});
+		});
+
+		it('should return 404 for a missing group', function (done) {
+			callApi('put', '/groups/doesnotexist/membership', { jar: fooJar, csrf_token: fooCsrf }, function (err, res) {
+				assert.ifError(err);
+				assert.strictEqual(res.statusCode, 404);
+				done();
+			});
+		});
+	});
+
+	describe('api tokens', function () {
+		let tid;
+
+		function bearer(token) {
+			return { authorization: 'Bearer ' + token };
+		}
+
+		before(async function () {
+			const topicData = await topics.post({ uid: fooUid, cid: cid, title: 'topic for token tests', content: 'some content for token tests' });
+			tid = topicData.topicData.tid;
+		});
+
+		it('should reply with a token and without a csrf token', async function () {
+			const tokenData = await user.tokens.create(fooUid, { scopes: ['write:posts'] });
+			const { res, body } = await callApiAsync('post', '/topics/' + tid, { headers: bearer(tokenData.token), body: { content: 'reply made with a token' } });
+			assert.strictEqual(res.statusCode, 200);
+			assert.strictEqual(body.response.uid, fooUid);
+		});
+
+		it('should reject writes from a read-only token', async function () {
+			const tokenData = await user.tokens.create(fooUid, { scopes: ['read'] });
+			const { res, body } = await callApiAsync('post', '/topics/' + tid, { headers: bearer(tokenData.token), body: { content: 'reply made with a token' } });
+			assert.strictEqual(res.statusCode, 403);
+			assert.strictEqual(body.status.code, 'forbidden');
+		});
+
+		it('should reject an invalid token', async function () {
+			const { res, body } = await callApiAsync('post', '/topics/' + tid, { headers: bearer('doesnotexist'), body: { content: 'reply made with a token' } });
+			assert.strictEqual(res.statusCode, 401);
+			assert.strictEqual(body.status.code, 'not-authorised');
+		});
+
+		it('should reject a revoked token', async function () {
+			const tokenData = await user.tokens.create(fooUid, { scopes: ['write:posts'] });
+			await user.tokens.revoke(tokenData.id);
+			const { res } = await callApiAsync('post', '/topics/' + tid, { headers: bearer(tokenData.token), body: { content: 'reply made with a token' } });
+			assert.strictEqual(res.statusCode, 401);
+		});
+
+		it('should act as the given user with a master token', async function () {
+			const tokenData = await user.tokens.create(0, { master: true, scopes: ['write:posts'] });
+			let { res } = await callApiAsync('post', '/topics/' + tid, { headers: bearer(tokenData.token), body: { content: 'reply made with a master token' } });
+			assert.strictEqual(res.statusCode, 401);
+
+			({ res } = await callApiAsync('post', '/topics/' + tid, { headers: bearer(tokenData.token), body: { _uid: adminUid, content: 'reply made with a master token' } }));
+			assert.strictEqual(res.statusCode, 200);
+		});
+
+		it('should not allow moderation without the moderate scope', async function () {
+			const tokenData = await user.tokens.create(adminUid, { scopes: ['write:posts'] });
+			const { res } = await callApiAsync('delete', '/topics/' + tid, { headers: bearer(tokenData.token) });
+			assert.strictEqual(res.statusCode, 403);
+		});
+	});
+});
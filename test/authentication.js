@@ -11,6 +11,7 @@ var user = require('../src/user');
 var utils = require('../src/utils');
 var meta = require('../src/meta');
 var privileges = require('../src/privileges');
+var groups = require('../src/groups');
 var helpers = require('./helpers');
 
 describe('authentication', function () {
@@ -517,4 +518,312 @@ describe('authentication', function () {
 			},
 		], done);
 	});
+
+	describe('login throttling', function () {
+		var socketBlacklist = require('../src/socket.io/blacklist');
+		var events = require('../src/events');
+		var uid;
+
+		before(async function () {
+			uid = await user.create({ username: 'throttleme', password: '123456' });
+		});
+
+		beforeEach(async function () {
+			await user.auth.resetLockout(uid);
+		});
+
+		afterEach(function () {
+			meta.config.loginAttempts = 5;
+			meta.config.loginAttemptsPerIp = 20;
+		});
+
+		it('should throttle an IP that fails too often across accounts', async function () {
+			meta.config.loginAttemptsPerIp = 3;
+			for (var i = 0; i < 4; i += 1) {
+				/* eslint-disable no-await-in-loop */
+				await user.auth.logAttempt(0, '10.0.0.1');
+			}
+			await assert.rejects(user.auth.logAttempt(uid, '10.0.0.1'), function (err) {
+				return /^\[\[error:login-throttled, \d+\]\]$/.test(err.message);
+			});
+			var throttled = await user.auth.getThrottledIps();
+			var entry = throttled.find(item => item.ip === '10.0.0.1');
+			assert(entry);
+			assert.strictEqual(entry.attempts, 4);
+			assert(entry.until > Date.now());
+
+			var eventData = await events.getEvents('ip-throttled', 0, 0);
+			assert.strictEqual(eventData[0].ip, '10.0.0.1');
+		});
+
+		it('should only let admins and global mods release a throttled IP', async function () {
+			var regularUid = await user.create({ username: 'notanadmin' });
+			await assert.rejects(socketBlacklist.releaseThrottledIp({ uid: regularUid }, '10.0.0.1'), { message: '[[error:no-privileges]]' });
+
+			var adminUid = await user.create({ username: 'throttleadmin' });
+			await require('../src/groups').join('administrators', adminUid);
+			await socketBlacklist.releaseThrottledIp({ uid: adminUid, ip: '127.0.0.1' }, '10.0.0.1');
+			var throttled = await user.auth.getThrottledIps();
+			assert(!throttled.find(item => item.ip === '10.0.0.1'));
+			await user.auth.logAttempt(uid, '10.0.0.1');
+		});
+
+		it('should throttle repeated failures for an account from the same IP', async function () {
+			meta.config.loginAttempts = 2;
+			await user.logIP(uid, '10.0.0.2');
+			await user.auth.logAttempt(uid, '10.0.0.2');
+			await user.auth.logAttempt(uid, '10.0.0.2');
+			await user.auth.logAttempt(uid, '10.0.0.2');
+			await assert.rejects(user.auth.logAttempt(uid, '10.0.0.2'), /login-throttled/);
+			// Other addresses are not affected by the throttle
+			await user.auth.logAttempt(uid, '10.0.0.3');
+		});
+
+		it('should clear the account throttle on a successful login', async function () {
+			meta.config.loginAttempts = 1;
+			await user.auth.logAttempt(uid, '10.0.0.4');
+			await user.auth.clearLoginAttempts(uid, '10.0.0.4');
+			await user.auth.logAttempt(uid, '10.0.0.4');
+			assert.strictEqual(await db.exists('loginThrottle:' + uid + ':10.0.0.4'), false);
+		});
+
+		it('should not apply the account lockout to known devices', async function () {
+			meta.config.loginAttempts = 2;
+			await user.logIP(uid, '10.0.0.5');
+			await user.auth.logAttempt(uid, '10.0.0.6');
+			await user.auth.logAttempt(uid, '10.0.0.7');
+			await assert.rejects(user.auth.logAttempt(uid, '10.0.0.8'), { message: '[[error:account-locked]]' });
+			await assert.rejects(user.auth.logAttempt(uid, '10.0.0.9'), { message: '[[error:account-locked]]' });
+			await user.auth.logAttempt(uid, '10.0.0.5');
+		});
+	});
+
+	describe('two-factor authentication', function () {
+		var uid;
+		var secret;
+
+		function getCurrentCode() {
+			return user.totp.generateCode(secret, user.totp.getStep());
+		}
+
+		function submitCode(jar, code, callback) {
+			request({
+				url: nconf.get('url') + '/api/config',
+				json: true,
+				jar: jar,
+			}, function (err, response, body) {
+				if (err) {
+					return callback(err);
+				}
+				request.post(nconf.get('url') + '/login/2fa', {
+					form: {
+						code: code,
+					},
+					json: true,
+					jar: jar,
+					headers: {
+						'x-csrf-token': body.csrf_token,
+					},
+				}, callback);
+			});
+		}
+
+		before(async function () {
+			// Wrong codes count towards the login throttle, start from a clean slate
+			await user.auth.releaseIp('127.0.0.1');
+			uid = await user.create({ username: '2fauser', password: '123456' });
+			const setup = await user.totp.setup(uid);
+			secret = setup.secret;
+			await user.totp.enable(uid, user.totp.generateCode(secret, user.totp.getStep() - 1));
+		});
+
+		it('should not log in until the code is verified', function (done) {
+			loginUser('2fauser', '123456', function (err, res, body, jar) {
+				assert.ifError(err);
+				assert.equal(res.statusCode, 200);
+				assert.equal(body.next, nconf.get('relative_path') + '/login/2fa');
+				request({
+					url: nconf.get('url') + '/api/me',
+					json: true,
+					jar: jar,
+				}, function (err, res) {
+					assert.ifError(err);
+					assert.equal(res.statusCode, 401);
+					done();
+				});
+			});
+		});
+
+		it('should reject an invalid code', function (done) {
+			loginUser('2fauser', '123456', function (err, res, body, jar) {
+				assert.ifError(err);
+				submitCode(jar, '000000', function (err, res, body) {
+					assert.ifError(err);
+					assert.equal(res.statusCode, 403);
+					assert.equal(body, '[[error:invalid-2fa-code]]');
+					done();
+				});
+			});
+		});
+
+		it('should log in with a valid code and refuse to reuse it', function (done) {
+			loginUser('2fauser', '123456', function (err, res, body, jar) {
+				assert.ifError(err);
+				var code = getCurrentCode();
+				submitCode(jar, code, function (err, res, body) {
+					assert.ifError(err);
+					assert.equal(res.statusCode, 200);
+					assert(body.header);
+					assert.equal(body.header.user.uid, uid);
+					loginUser('2fauser', '123456', function (err, res, body, jar) {
+						assert.ifError(err);
+						submitCode(jar, code, function (err, res, body) {
+							assert.ifError(err);
+							assert.equal(res.statusCode, 403);
+							assert.equal(body, '[[error:invalid-2fa-code]]');
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should log in with a recovery code only once', function (done) {
+			user.totp.generateRecoveryCodes(uid, function (err, codes) {
+				assert.ifError(err);
+				loginUser('2fauser', '123456', function (err, res, body, jar) {
+					assert.ifError(err);
+					submitCode(jar, codes[0], function (err, res) {
+						assert.ifError(err);
+						assert.equal(res.statusCode, 200);
+						loginUser('2fauser', '123456', function (err, res, body, jar) {
+							assert.ifError(err);
+							submitCode(jar, codes[0], function (err, res) {
+								assert.ifError(err);
+								assert.equal(res.statusCode, 403);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should fail without a pending login', function (done) {
+			submitCode(request.jar(), getCurrentCode(), function (err, res, body) {
+				assert.ifError(err);
+				assert.equal(res.statusCode, 403);
+				assert.equal(body, '[[error:2fa-session-expired]]');
+				done();
+			});
+		});
+
+		it('should lock the account after too many wrong codes', function (done) {
+			user.create({ username: '2falocked', password: '123456' }, function (err, lockedUid) {
+				assert.ifError(err);
+				user.totp.setup(lockedUid, function (err, setup) {
+					assert.ifError(err);
+					user.totp.enable(lockedUid, user.totp.generateCode(setup.secret, user.totp.getStep()), function (err) {
+						assert.ifError(err);
+						meta.config.loginAttempts = 2;
+						loginUser('2falocked', '123456', function (err, res, body, jar) {
+							assert.ifError(err);
+							submitCode(jar, '000000', function (err, res, body) {
+								assert.ifError(err);
+								assert.equal(body, '[[error:invalid-2fa-code]]');
+								submitCode(jar, '000000', function (err, res, body) {
+									assert.ifError(err);
+									assert.equal(res.statusCode, 403);
+									assert.equal(body, '[[error:account-locked]]');
+									loginUser('2falocked', '123456', function (err, res, body) {
+										meta.config.loginAttempts = 5;
+										assert.ifError(err);
+										assert.equal(body, '[[error:account-locked]]');
+										done();
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should only allow the setup calls until required 2fa is set up', function (done) {
+			var adminUid;
+			var io;
+			async.waterfall([
+				function (next) {
+					user.create({ username: '2faadmin', password: '123456' }, next);
+				},
+				function (_adminUid, next) {
+					adminUid = _adminUid;
+					groups.join('administrators', adminUid, next);
+				},
+				function (next) {
+					meta.config['twoFactor:requirePrivileged'] = 1;
+					loginUser('2faadmin', '123456', function (err, res, body, jar) {
+						next(err, res, jar);
+					});
+				},
+				function (res, jar, next) {
+					helpers.connectSocketIO(res, function (err, _io) {
+						io = _io;
+						next(err, jar);
+					});
+				},
+				function (jar, next) {
+					request({
+						url: nconf.get('url') + '/api/config',
+						json: true,
+						jar: jar,
+					}, function (err, res, body) {
+						if (err) {
+							return next(err);
+						}
+						request.put(nconf.get('url') + '/api/v1/users/' + adminUid, {
+							body: { location: 'nowhere' },
+							json: true,
+							jar: jar,
+							headers: {
+								'x-csrf-token': body.csrf_token,
+							},
+						}, next);
+					});
+				},
+				function (res, body, next) {
+					assert.equal(res.statusCode, 403);
+					io.emit('user.exists', { username: 'admin' }, function (err) {
+						assert.equal(err.message, '[[error:2fa-setup-required]]');
+						user.totp.setup(adminUid, next);
+					});
+				},
+				function (setup, next) {
+					io.emit('user.enableTwoFactor', { code: user.totp.generateCode(setup.secret, user.totp.getStep()) }, next);
+				},
+				function (recoveryCodes, next) {
+					assert.equal(recoveryCodes.length, user.totp.recoveryCodeCount);
+					io.emit('user.exists', { username: 'admin' }, next);
+				},
+			], function (err) {
+				meta.config['twoFactor:requirePrivileged'] = 0;
+				if (io) {
+					io.close();
+				}
+				done(err);
+			});
+		});
+
+		it('should log in with the password alone after 2fa is reset', function (done) {
+			user.totp.disable(uid, function (err) {
+				assert.ifError(err);
+				loginUser('2fauser', '123456', function (err, res, body) {
+					assert.ifError(err);
+					assert.equal(res.statusCode, 200);
+					assert.notEqual(body.next, nconf.get('relative_path') + '/login/2fa');
+					done();
+				});
+			});
+		});
+	});
 });
@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const nconf = require('nconf');
+
+const db = require('./mocks/databasemock');
+const cannedResponses = require('../src/cannedResponses');
+const categories = require('../src/categories');
+const topics = require('../src/topics');
+const posts = require('../src/posts');
+const flags = require('../src/flags');
+const messaging = require('../src/messaging');
+const plugins = require('../src/plugins');
+const user = require('../src/user');
+const groups = require('../src/groups');
+const meta = require('../src/meta');
+const socketAdmin = require('../src/socket.io/admin');
+const socketModules = require('../src/socket.io/modules');
+const socketPosts = require('../src/socket.io/posts');
+
+describe('Canned responses', function () {
+	let adminUid;
+	let authorUid;
+	let regularUid;
+	let cid;
+	let postData;
+	let response;
+
+	before(async function () {
+		adminUid = await user.create({ username: 'cannedAdmin' });
+		authorUid = await user.create({ username: 'cannedAuthor' });
+		regularUid = await user.create({ username: 'cannedRegular' });
+		await groups.join('administrators', adminUid);
+		const category = await categories.create({ name: 'Canned & Category' });
+		cid = category.cid;
+		const result = await topics.post({ uid: authorUid, cid: cid, title: 'Canned topic', content: 'some content for the post' });
+		postData = result.postData;
+	});
+
+	it('should not create a response without a title or text', async function () {
+		await assert.rejects(cannedResponses.create({ title: '', text: 'text' }), { message: '[[error:invalid-canned-response]]' });
+		await assert.rejects(cannedResponses.create({ title: 'title', text: '  ' }), { message: '[[error:invalid-canned-response]]' });
+	});
+
+	it('should create, update and list responses', async function () {
+		response = await socketAdmin.cannedResponses.create({ uid: adminUid }, { title: 'Off topic', text: 'Hi {username}' });
+		assert.strictEqual(response.title, 'Off topic');
+
+		response = await socketAdmin.cannedResponses.update({ uid: adminUid }, {
+			id: response.id,
+			title: 'Off topic',
+			text: 'Hi {username}, {link} in {category} is off topic. {unknown} -- {moderator}',
+		});
+		const list = await cannedResponses.list();
+		assert.strictEqual(list.length, 1);
+		assert(list[0].text.startsWith('Hi {username}, {link}'));
+	});
+
+	it('should not update a missing response', async function () {
+		await assert.rejects(cannedResponses.update(9999, { title: 'a', text: 'b' }), { message: '[[error:no-canned-response]]' });
+	});
+
+	it('should only list responses for privileged users', async function () {
+		await assert.rejects(socketModules.cannedResponses.list({ uid: regularUid }), { message: '[[error:no-privileges]]' });
+		const data = await socketModules.cannedResponses.list({ uid: adminUid });
+		assert.strictEqual(data.responses[0].id, response.id);
+		assert.deepStrictEqual(data.sendMethods, ['notification', 'chat']);
+	});
+
+	it('should fill in placeholders and leave unknown ones alone', async function () {
+		const text = await cannedResponses.apply({ text: response.text, fromUid: adminUid, toUid: authorUid, pid: postData.pid });
+		assert.strictEqual(text, 'Hi cannedAuthor, ' + nconf.get('url') + '/post/' + postData.pid + ' in Canned & Category is off topic. {unknown} -- cannedAdmin');
+	});
+
+	it('should send the text as a notification', async function () {
+		let sent = null;
+		function onSend(data) {
+			sent = data;
+		}
+		plugins.registerHook('test', { hook: 'action:cannedResponses.send', method: onSend });
+		await cannedResponses.apply({ text: 'Hello {username}', fromUid: adminUid, toUid: authorUid, send: 'notification' });
+		plugins.unregisterHook('test', 'action:cannedResponses.send', onSend);
+		assert.deepStrictEqual(sent, { fromUid: adminUid, toUid: authorUid, text: 'Hello cannedAuthor', method: 'notification' });
+	});
+
+	it('should send the text as a chat message and reuse the private room', async function () {
+		await cannedResponses.send(adminUid, authorUid, 'first message', 'chat');
+		const roomId = await messaging.hasPrivateChat(adminUid, authorUid);
+		assert(roomId);
+		await cannedResponses.send(adminUid, authorUid, 'second message', 'chat');
+		assert.strictEqual(await messaging.hasPrivateChat(adminUid, authorUid), roomId);
+		const mids = await db.getSortedSetRange('uid:' + authorUid + ':chat:room:' + roomId + ':mids', 0, -1);
+		const messages = await messaging.getMessagesFields(mids, ['content']);
+		assert.deepStrictEqual(messages.map(message => message.content).filter(content => content.endsWith('message')), ['first message', 'second message']);
+	});
+
+	it('should not send with an unknown method', async function () {
+		await assert.rejects(cannedResponses.send(adminUid, authorUid, 'text', 'email'), { message: '[[error:invalid-data]]' });
+	});
+
+	it('should fill in placeholders of flag notes', async function () {
+		const flagData = await flags.create('post', postData.pid, regularUid, 'spam');
+		await flags.appendNote(flagData.flagId, adminUid, 'Talked to {username} about {topic}');
+		const notes = await flags.getNotes(flagData.flagId);
+		assert.strictEqual(notes[0].content, 'Talked to cannedAuthor about Canned topic');
+	});
+
+	it('should pass the reason on when rejecting a queued post', async function () {
+		meta.config.postQueue = 1;
+		const queued = await posts.addToQueue({ uid: regularUid, tid: postData.tid, content: 'queued reply content' });
+		meta.config.postQueue = 0;
+
+		let rejected = null;
+		function onReject(data) {
+			rejected = data;
+		}
+		plugins.registerHook('test', { hook: 'action:post-queue.reject', method: onReject });
+		await socketPosts.reject({ uid: adminUid }, { id: queued.id, reason: 'Sorry {username}, see {topic}', send: 'chat' });
+		plugins.unregisterHook('test', 'action:post-queue.reject', onReject);
+
+		assert.strictEqual(rejected.reason, 'Sorry cannedRegular, see Canned topic');
+		assert.strictEqual(await db.exists('post:queue:' + queued.id), false);
+		assert(await messaging.hasPrivateChat(adminUid, regularUid));
+	});
+
+	it('should delete a response', async function () {
+		await socketAdmin.cannedResponses.delete({ uid: adminUid }, response.id);
+		assert.strictEqual(await cannedResponses.get(response.id), null);
+		assert.deepStrictEqual(await cannedResponses.list(), []);
+	});
+});
@@ -744,11 +744,15 @@ describe('Categories', function () {
 					'topics:read': false,
 					'topics:create': false,
 					'topics:tag': false,
+					'topics:schedule': false,
+					'poll:create': false,
 					'topics:delete': false,
 					'posts:edit': false,
+					'posts:edit:wiki': false,
 					'posts:history': false,
 					'posts:upvote': false,
 					'posts:downvote': false,
+					'posts:react': false,
 					purge: false,
 					'posts:view_deleted': false,
 					moderate: false,
@@ -788,13 +792,17 @@ describe('Categories', function () {
 				assert.deepEqual(data, {
 					'groups:find': true,
 					'groups:posts:edit': true,
+					'groups:posts:edit:wiki': false,
 					'groups:posts:history': true,
 					'groups:posts:upvote': true,
 					'groups:posts:downvote': true,
+					'groups:posts:react': true,
 					'groups:topics:delete': false,
 					'groups:topics:create': true,
 					'groups:topics:reply': true,
 					'groups:topics:tag': true,
+					'groups:topics:schedule': false,
+					'groups:poll:create': true,
 					'groups:posts:delete': true,
 					'groups:read': true,
 					'groups:topics:read': true,
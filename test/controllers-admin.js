@@ -291,6 +291,15 @@ describe('Admin Controllers', function () {
 		});
 	});
 
+	it('should load /admin/manage/users/muted', function (done) {
+		request(nconf.get('url') + '/api/admin/manage/users/muted', { jar: jar, json: true }, function (err, res, body) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 200);
+			assert(body.muted);
+			done();
+		});
+	});
+
 	it('should load /admin/manage/registration', function (done) {
 		request(nconf.get('url') + '/api/admin/manage/registration', { jar: jar, json: true }, function (err, res, body) {
 			assert.ifError(err);
@@ -373,6 +382,34 @@ describe('Admin Controllers', function () {
 		});
 	});
 
+	it('should load /admin/advanced/webhooks', function (done) {
+		request(nconf.get('url') + '/api/admin/advanced/webhooks', { jar: jar, json: true }, function (err, res, body) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 200);
+			assert(Array.isArray(body.webhooks));
+			assert(body.suggestedHooks.includes('action:topic.post'));
+			done();
+		});
+	});
+
+	it('should 404 for a missing webhook', function (done) {
+		request(nconf.get('url') + '/api/admin/advanced/webhooks/999999', { jar: jar, json: true }, function (err, res) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 404);
+			done();
+		});
+	});
+
+	it('should load /admin/advanced/password-hashing', function (done) {
+		request(nconf.get('url') + '/api/admin/advanced/password-hashing', { jar: jar, json: true }, function (err, res, body) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 200);
+			assert.deepStrictEqual(body.algorithms.map(a => a.name), ['argon2id', 'scrypt', 'bcrypt', 'unknown', 'none']);
+			assert(body.total > 0);
+			done();
+		});
+	});
+
 	it('should load /admin/advanced/cache', function (done) {
 		request(nconf.get('url') + '/api/admin/advanced/cache', { jar: jar, json: true }, function (err, res, body) {
 			assert.ifError(err);
@@ -572,6 +609,26 @@ describe('Admin Controllers', function () {
 		});
 	});
 
+	it('should load /admin/manage/canned-responses', function (done) {
+		request(nconf.get('url') + '/api/admin/manage/canned-responses', { jar: jar, json: true }, function (err, res, body) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 200);
+			assert(Array.isArray(body.responses));
+			assert(body.placeholders.includes('username'));
+			done();
+		});
+	});
+
+	it('should load /admin/manage/warnings', function (done) {
+		request(nconf.get('url') + '/api/admin/manage/warnings', { jar: jar, json: true }, function (err, res, body) {
+			assert.ifError(err);
+			assert.equal(res.statusCode, 200);
+			assert(Array.isArray(body.rules));
+			assert(body.actions.includes('ban'));
+			done();
+		});
+	});
+
 	it('should load /admin/manage/ip-blacklist', function (done) {
 		request(nconf.get('url') + '/api/admin/manage/ip-blacklist', { jar: jar, json: true }, function (err, res, body) {
 			assert.ifError(err);
@@ -594,6 +594,130 @@ describe('Flags', function () {
 		});
 	});
 
+	describe('auto-actions', function () {
+		let reporterUids;
+		async function createPost() {
+			const result = await Topics.post({ cid: category.cid, uid: uid1, title: 'Topic to auto-action', content: 'This is flaggable content' });
+			return result.postData.pid;
+		}
+
+		before(async function () {
+			reporterUids = await Promise.all(['reporter1', 'reporter2', 'reporter3'].map(username => User.create({ username: username })));
+			await User.setUserField(reporterUids[2], 'reputation', 50);
+			Object.assign(Meta.config, {
+				'flags:autoAction': 'hide',
+				'flags:autoActionThreshold': 3,
+				'flags:autoActionTrustedReputation': 50,
+				'flags:autoActionTrustedWeight': 2,
+			});
+		});
+
+		after(function () {
+			Meta.config['flags:autoAction'] = 'none';
+		});
+
+		it('should hide a post once the weighted reporters reach the threshold', async function () {
+			const pid = await createPost();
+			await Flags.create('post', pid, reporterUids[0], 'spam');
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 0);
+
+			const flagData = await Flags.create('post', pid, reporterUids[2], 'spam');
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 1);
+			assert.strictEqual(await Posts.getPostField(pid, 'flagAutoAction'), 'hide');
+			const history = await Flags.getHistory(flagData.flagId);
+			assert(history.some(entry => entry.fields['auto-actioned'] === '[[flags:auto-action-hide]]'));
+			assert.strictEqual((await Flags.get(flagData.flagId)).autoActioned, true);
+		});
+
+		it('should not count rejected flags', async function () {
+			const pid = await createPost();
+			const flagData = await Flags.create('post', pid, reporterUids[2], 'spam');
+			await Flags.update(flagData.flagId, adminUid, { state: 'rejected' });
+			await Flags.create('post', pid, reporterUids[0], 'spam');
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 0);
+		});
+
+		it('should let moderators reverse the action', async function () {
+			const pid = await createPost();
+			await Flags.create('post', pid, reporterUids[2], 'spam');
+			const flagData = await Flags.create('post', pid, reporterUids[1], 'spam');
+			await Flags.reverseAutoAction(pid, adminUid);
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 0);
+			const history = await Flags.getHistory(flagData.flagId);
+			assert.strictEqual(history[0].fields['auto-actioned'], '[[flags:auto-action-reversed]]');
+
+			await Flags.create('post', pid, reporterUids[0], 'spam');
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 0);
+			await assert.rejects(Flags.reverseAutoAction(pid, adminUid), { message: '[[error:flag-not-auto-actioned]]' });
+		});
+
+		it('should move the post to the post queue and restore it when accepted', async function () {
+			Meta.config['flags:autoAction'] = 'queue';
+			const pid = await createPost();
+			await Flags.create('post', pid, reporterUids[2], 'spam');
+			await Flags.create('post', pid, reporterUids[1], 'spam');
+			assert(await db.isSortedSetMember('post:queue', 'flagged-' + pid));
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 1);
+
+			await assert.rejects(Posts.editQueuedContent(adminUid, 'flagged-' + pid, 'edited while queued'), { message: '[[error:cant-edit-flagged-queue]]' });
+
+			await Posts.submitFromQueue('flagged-' + pid, adminUid);
+			assert.strictEqual(await db.isSortedSetMember('post:queue', 'flagged-' + pid), false);
+			assert.strictEqual(await Posts.getPostField(pid, 'deleted'), 0);
+			assert.strictEqual(await Posts.getPostField(pid, 'flagAutoAction'), 'reversed');
+		});
+	});
+
+	describe('chat messages', function () {
+		const Messaging = require('../src/messaging');
+		let senderUid;
+		let roomId;
+		let mids;
+		before(async function () {
+			senderUid = await User.create({ username: 'chatSender' });
+			roomId = await Messaging.newRoom(senderUid, [uid1]);
+			mids = [];
+			for (const content of ['hello', 'are you there?', 'harassing message', 'another one']) {
+				/* eslint-disable no-await-in-loop */
+				const message = await Messaging.sendMessage({ uid: senderUid, roomId: roomId, content: content });
+				mids.push(message.mid);
+			}
+		});
+
+		it('should not let users outside of the room flag a message', async function () {
+			await assert.rejects(Flags.create('chat', mids[2], uid3, 'spam'), { message: '[[error:no-privileges]]' });
+		});
+
+		it('should not let users flag their own messages', async function () {
+			await assert.rejects(
+				Flags.validate({ type: 'chat', id: mids[2], uid: senderUid }),
+				{ message: '[[error:cant-flag-own-chat-message]]' }
+			);
+		});
+
+		it('should flag a message with the surrounding conversation', async function () {
+			await Flags.validate({ type: 'chat', id: mids[2], uid: uid1 });
+			const flagData = await Flags.create('chat', mids[2], uid1, 'harassment');
+			assert.strictEqual(flagData.type, 'chat');
+			assert.strictEqual(flagData.target.mid, mids[2]);
+			assert.strictEqual(flagData.target.user.uid, senderUid);
+			assert.strictEqual(flagData.snapshot, undefined);
+
+			const contents = flagData.chatContext.filter(message => !message.system).map(message => message.content);
+			assert.strictEqual(contents.length, 4);
+			assert(flagData.chatContext.find(message => message.flagged).content.includes('harassing message'));
+		});
+
+		it('should filter flags by the chat type and the sender', async function () {
+			const [byType, byTarget] = await Promise.all([
+				Flags.list({ type: 'chat' }, adminUid),
+				Flags.list({ targetUid: senderUid }, adminUid),
+			]);
+			assert.strictEqual(byType.flags.length, 1);
+			assert.strictEqual(byTarget.flags[0].type, 'chat');
+		});
+	});
+
 	describe('(websockets)', function () {
 		var SocketFlags = require('../src/socket.io/flags.js');
 		var pid;
@@ -0,0 +1,240 @@
+'use strict';
+
+const assert = require('assert');
+const nconf = require('nconf');
+const request = require('request');
+
+require('./mocks/databasemock');
+const ldap = require('../src/ldap');
+const meta = require('../src/meta');
+const user = require('../src/user');
+const groups = require('../src/groups');
+
+describe('LDAP', function () {
+	afterEach(function () {
+		Object.keys(meta.config).filter(key => key.startsWith('ldap:')).forEach(function (key) {
+			delete meta.config[key];
+		});
+	});
+
+	describe('.buildFilter()', function () {
+		it('should substitute the username into the filter', function () {
+			assert.strictEqual(ldap.buildFilter('(uid={{username}})', 'alice'), '(uid=alice)');
+		});
+
+		it('should escape filter metacharacters', function () {
+			assert.strictEqual(ldap.buildFilter('(uid={{username}})', '*)(uid=*'), '(uid=\\2a\\29\\28uid=\\2a)');
+			assert.strictEqual(ldap.escapeFilter('a\\b\0'), 'a\\5cb\\00');
+		});
+	});
+
+	describe('.parseGroupMapping()', function () {
+		it('should parse one mapping per line and skip comments', function () {
+			const mapping = ldap.parseGroupMapping([
+				'# comment',
+				'cn=Developers, ou=groups, dc=example, dc=org = Developers',
+				'',
+				'not a mapping',
+				'cn=ops,ou=groups,dc=example,dc=org=Operations',
+			].join('\n'));
+			assert.deepStrictEqual(mapping, [
+				{ dn: 'cn=developers,ou=groups,dc=example,dc=org', groupName: 'Developers' },
+				{ dn: 'cn=ops,ou=groups,dc=example,dc=org', groupName: 'Operations' },
+			]);
+		});
+	});
+
+	describe('.toProfile()', function () {
+		it('should map the configured attributes', function () {
+			const settings = ldap.getSettings({ 'attr:fullname': 'displayName', 'attr:picture': 'jpegPhoto' });
+			const profile = ldap.toProfile({
+				object: {
+					dn: 'uid=alice, ou=people, dc=example, dc=org',
+					uid: 'alice',
+					mail: ['alice@example.org', 'a@example.org'],
+					displayName: 'Alice Liddell',
+					memberOf: 'cn=Developers,ou=groups,dc=example,dc=org',
+				},
+				raw: {
+					jpegPhoto: Buffer.from([0xff, 0xd8, 0xff]),
+				},
+			}, settings);
+			assert.deepStrictEqual(profile, {
+				dn: 'uid=alice,ou=people,dc=example,dc=org',
+				username: 'alice',
+				email: 'alice@example.org',
+				fullname: 'Alice Liddell',
+				picture: 'data:image/jpeg;base64,/9j/',
+				groups: ['cn=developers,ou=groups,dc=example,dc=org'],
+			});
+		});
+	});
+
+	describe('.provision()', function () {
+		const profile = {
+			dn: 'uid=ldapuser,ou=people,dc=example,dc=org',
+			username: 'ldapuser',
+			email: 'ldapuser@example.org',
+			fullname: 'Directory User',
+			groups: [],
+		};
+		let uid;
+
+		it('should create an account on first login', async function () {
+			uid = await ldap.provision(profile);
+			assert(uid);
+			const userData = await user.getUserFields(uid, ['username', 'email', 'fullname', 'email:confirmed']);
+			assert.strictEqual(userData.username, 'ldapuser');
+			assert.strictEqual(userData.email, 'ldapuser@example.org');
+			assert.strictEqual(userData.fullname, 'Directory User');
+			assert.strictEqual(userData['email:confirmed'], 1);
+			assert.strictEqual(await ldap.getUidByDn(profile.dn), uid);
+		});
+
+		it('should reuse the linked account on later logins', async function () {
+			assert.strictEqual(await ldap.provision(profile), uid);
+		});
+
+		it('should not take over a local account with the same email by default', async function () {
+			const localUid = await user.create({ username: 'localperson', email: 'shared@example.org' });
+			const newUid = await ldap.provision({ dn: 'uid=shared,dc=example,dc=org', username: 'shared', email: 'shared@example.org' });
+			assert.notStrictEqual(newUid, localUid);
+			assert.strictEqual(await user.getUserField(newUid, 'email'), '');
+		});
+
+		it('should link to a local account with the same email if enabled', async function () {
+			meta.config['ldap:linkByEmail'] = 1;
+			const localUid = await user.create({ username: 'linkme', email: 'linkme@example.org' });
+			const linkedUid = await ldap.provision({ dn: 'uid=linkme,dc=example,dc=org', username: 'linkme', email: 'linkme@example.org' });
+			assert.strictEqual(linkedUid, localUid);
+		});
+
+		it('should remove the link when the user is deleted', async function () {
+			await user.delete(1, uid);
+			assert.strictEqual(await ldap.getUidByDn(profile.dn), null);
+		});
+	});
+
+	describe('.syncGroups()', function () {
+		let uid;
+
+		before(async function () {
+			uid = await user.create({ username: 'groupsyncuser' });
+			await groups.create({ name: 'LDAP Developers' });
+			await groups.create({ name: 'LDAP Operations' });
+			await groups.create({ name: 'Unmapped' });
+			await groups.join('Unmapped', uid);
+		});
+
+		it('should join and leave mapped groups only', async function () {
+			meta.config['ldap:groupMapping'] = [
+				'cn=developers,ou=groups,dc=example,dc=org = LDAP Developers',
+				'cn=ops,ou=groups,dc=example,dc=org = LDAP Operations',
+				'cn=missing,ou=groups,dc=example,dc=org = Does Not Exist',
+			].join('\n');
+
+			await ldap.syncGroups(uid, ['CN=Developers,OU=groups,DC=example,DC=org']);
+			assert.deepStrictEqual(await groups.isMemberOfGroups(uid, ['LDAP Developers', 'LDAP Operations', 'Unmapped']), [true, false, true]);
+
+			await ldap.syncGroups(uid, ['cn=ops,ou=groups,dc=example,dc=org']);
+			assert.deepStrictEqual(await groups.isMemberOfGroups(uid, ['LDAP Developers', 'LDAP Operations', 'Unmapped']), [false, true, true]);
+		});
+	});
+
+	describe('login', function () {
+		it('should fall back to local accounts when the directory is unreachable', function (done) {
+			meta.config['ldap:enabled'] = 1;
+			meta.config['ldap:url'] = 'ldap://127.0.0.1:1';
+			meta.config['ldap:timeout'] = 1000;
+			user.create({ username: 'localfallback', password: 'fallbackpass' }, function (err) {
+				assert.ifError(err);
+				const jar = request.jar();
+				request({
+					url: nconf.get('url') + '/api/config',
+					json: true,
+					jar: jar,
+				}, function (err, res, body) {
+					assert.ifError(err);
+					request.post(nconf.get('url') + '/login', {
+						form: {
+							username: 'localfallback',
+							password: 'fallbackpass',
+						},
+						json: true,
+						jar: jar,
+						headers: {
+							'x-csrf-token': body.csrf_token,
+						},
+					}, function (err, res) {
+						assert.ifError(err);
+						assert.strictEqual(res.statusCode, 200);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	// Runs against a local OpenLDAP container, e.g.
+	// docker run -p 389:389 osixia/openldap && LDAP_TEST_URL=ldap://localhost:389 npm test
+	(process.env.LDAP_TEST_URL ? describe : describe.skip)('directory server', function () {
+		const ldapjs = require('ldapjs');
+		const settings = {
+			url: process.env.LDAP_TEST_URL,
+			bindDn: process.env.LDAP_TEST_BIND_DN || 'cn=admin,dc=example,dc=org',
+			bindPassword: process.env.LDAP_TEST_BIND_PASSWORD || 'admin',
+			searchBase: process.env.LDAP_TEST_SEARCH_BASE || 'dc=example,dc=org',
+		};
+		const dn = 'uid=nodebbtest,' + settings.searchBase;
+
+		function configure() {
+			meta.config['ldap:enabled'] = 1;
+			Object.keys(settings).forEach(function (key) {
+				meta.config['ldap:' + key] = settings[key];
+			});
+		}
+
+		before(function (done) {
+			const client = ldapjs.createClient({ url: settings.url });
+			client.bind(settings.bindDn, settings.bindPassword, function (err) {
+				assert.ifError(err);
+				client.add(dn, {
+					objectClass: ['inetOrgPerson'],
+					uid: 'nodebbtest',
+					cn: 'NodeBB Test',
+					sn: 'Test',
+					mail: 'nodebbtest@example.org',
+					userPassword: 'directorypass',
+				}, function (err) {
+					client.unbind();
+					done(err && err.name !== 'EntryAlreadyExistsError' ? err : null);
+				});
+			});
+		});
+
+		beforeEach(configure);
+
+		it('should connect with the given settings', async function () {
+			const result = await ldap.testConnection(settings);
+			assert.strictEqual(result.success, true);
+		});
+
+		it('should fail the connection test with a bad bind password', async function () {
+			await assert.rejects(ldap.testConnection({ ...settings, bindPassword: 'wrong' }));
+		});
+
+		it('should return null for users that are not in the directory', async function () {
+			assert.strictEqual(await ldap.authenticate('nosuchuser', 'password'), null);
+		});
+
+		it('should reject a wrong password', async function () {
+			await assert.rejects(ldap.authenticate('nodebbtest', 'wrong'), { message: '[[error:invalid-login-credentials]]' });
+		});
+
+		it('should provision an account on first login', async function () {
+			const uid = await ldap.login('nodebbtest', 'directorypass');
+			assert.strictEqual(await user.getUserField(uid, 'email'), 'nodebbtest@example.org');
+			assert.strictEqual(await ldap.login('nodebbtest', 'directorypass'), uid);
+		});
+	});
+});
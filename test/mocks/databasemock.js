@@ -133,6 +133,10 @@ before(async function () {
 	nconf.set('theme_templates_path', meta.config['theme:templates'] ? path.join(nconf.get('themes_path'), meta.config['theme:id'], meta.config['theme:templates']) : nconf.get('base_templates_path'));
 	nconf.set('theme_config', path.join(nconf.get('themes_path'), 'nodebb-theme-persona', 'theme.json'));
 	nconf.set('bcrypt_rounds', 1);
+	// cheap hashing costs, same reason as bcrypt_rounds above
+	const Password = require('../../src/password');
+	Password.params.argon2id = { m: 1024, t: 1, p: 1 };
+	Password.params.scrypt = { ln: 4, r: 8, p: 1 };
 
 	nconf.set('version', packageInfo.version);
 
@@ -244,6 +244,113 @@ describe('Post\'s', function () {
 		});
 	});
 
+	describe('reactions', function () {
+		var plugins = require('../src/plugins');
+
+		var oldReactions;
+
+		before(function () {
+			oldReactions = meta.config.reactions;
+			meta.config.reactions = 'like 👍\nlaugh 😂\nnot valid!\nlike 🙂';
+		});
+
+		after(function () {
+			meta.config.reactions = oldReactions;
+		});
+
+		it('should parse the configured reactions', function () {
+			assert.deepStrictEqual(posts.reactions.list(), [
+				{ name: 'like', emoji: '👍' },
+				{ name: 'laugh', emoji: '😂' },
+			]);
+		});
+
+		it('should fail to react with a reaction that is not configured', async function () {
+			try {
+				await socketPosts.react({ uid: voterUid }, { pid: postData.pid, reaction: 'angry' });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:invalid-reaction]]');
+			}
+		});
+
+		it('should fail to react if group does not have react permission', async function () {
+			await privileges.categories.rescind(['posts:react'], cid, 'registered-users');
+			try {
+				await socketPosts.react({ uid: voterUid }, { pid: postData.pid, reaction: 'like' });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:no-privileges]]');
+			} finally {
+				await privileges.categories.give(['posts:react'], cid, 'registered-users');
+			}
+		});
+
+		it('should react to a post', async function () {
+			const result = await socketPosts.react({ uid: voterUid }, { pid: postData.pid, reaction: 'laugh' });
+			assert.strictEqual(result.reacted, true);
+			assert.deepStrictEqual(result.reactions.map(r => [r.name, r.count, r.reacted]), [['like', 0, false], ['laugh', 1, true]]);
+
+			const [reactions] = await posts.reactions.get([postData.pid], globalModUid);
+			assert.strictEqual(reactions[1].count, 1);
+			assert.strictEqual(reactions[1].reacted, false);
+		});
+
+		it('should fail to react twice with the same reaction', async function () {
+			try {
+				await socketPosts.react({ uid: voterUid }, { pid: postData.pid, reaction: 'laugh' });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:already-reacted]]');
+			}
+		});
+
+		it('should add reactions to post data', async function () {
+			const postsData = await topics.addPostData(await posts.getPostsByPids([postData.pid], voterUid), voterUid);
+			const laugh = postsData[0].reactions.find(r => r.name === 'laugh');
+			assert.strictEqual(laugh.count, 1);
+			assert.strictEqual(laugh.reacted, true);
+		});
+
+		it('should get the users who reacted', async function () {
+			const data = await socketPosts.getReactors({ uid: globalModUid }, { pid: postData.pid, reaction: 'laugh' });
+			assert.strictEqual(data.count, 1);
+			assert.strictEqual(data.users[0].username, 'upvoter');
+		});
+
+		it('should change reputation when a plugin gives reactions a value', async function () {
+			function method(data) {
+				data.reputation = data.reaction === 'like' ? 2 : 0;
+				return data;
+			}
+			plugins.registerHook('test-plugin', { hook: 'filter:post.reaction.reputation', method: method });
+			try {
+				const reputation = await user.getUserField(voteeUid, 'reputation');
+				await socketPosts.react({ uid: voterUid }, { pid: postData.pid, reaction: 'like' });
+				assert.strictEqual(await user.getUserField(voteeUid, 'reputation'), reputation + 2);
+				await socketPosts.unreact({ uid: voterUid }, { pid: postData.pid, reaction: 'like' });
+				assert.strictEqual(await user.getUserField(voteeUid, 'reputation'), reputation);
+			} finally {
+				plugins.unregisterHook('test-plugin', 'filter:post.reaction.reputation', method);
+			}
+		});
+
+		it('should remove a reaction', async function () {
+			const result = await socketPosts.unreact({ uid: voterUid }, { pid: postData.pid, reaction: 'laugh' });
+			assert.strictEqual(result.reacted, false);
+			assert(result.reactions.every(r => r.count === 0 && !r.reacted));
+		});
+
+		it('should fail to remove a reaction that was not added', async function () {
+			try {
+				await socketPosts.unreact({ uid: voterUid }, { pid: postData.pid, reaction: 'laugh' });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:not-reacted]]');
+			}
+		});
+	});
+
 	describe('bookmarking', function () {
 		it('should bookmark a post', function (done) {
 			socketPosts.bookmark({ uid: voterUid }, { pid: postData.pid, room_id: 'topic_' + postData.tid }, function (err, data) {
@@ -600,6 +707,80 @@ describe('Post\'s', function () {
 		});
 	});
 
+	describe('post revisions', function () {
+		var pid;
+		var adminUid;
+		var timestamps;
+
+		before(async function () {
+			adminUid = await user.create({ username: 'revisionadmin' });
+			await groups.join('administrators', adminUid);
+			const result = await topics.post({ uid: voterUid, cid: cid, title: 'revisions topic', content: 'revision one', tags: ['revisions'] });
+			pid = result.postData.pid;
+			await socketPosts.edit({ uid: voterUid }, { pid: pid, content: 'revision two', title: 'revisions topic', tags: ['revisions'] });
+			await socketPosts.edit({ uid: voterUid }, { pid: pid, content: 'revision three', title: 'revisions topic', tags: ['revisions'] });
+			timestamps = await posts.diffs.list(pid);
+		});
+
+		it('should get the raw content of a revision', async function () {
+			assert.strictEqual(await posts.diffs.getContent(pid, timestamps[0]), 'revision two');
+			assert.strictEqual(await posts.diffs.getContent(pid, timestamps[1]), 'revision one');
+		});
+
+		it('should compare two revisions side by side', async function () {
+			const rows = await socketPosts.compareDiffs({ uid: voterUid }, { pid: pid, from: timestamps[1], to: Date.now() });
+			assert.deepStrictEqual(rows, [{ left: 'revision one', right: 'revision three', removed: true, added: true }]);
+		});
+
+		it('should not allow guests to restore a revision', async function () {
+			try {
+				await socketPosts.restoreDiff({ uid: 0 }, { pid: pid, since: timestamps[1] });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:no-privileges]]');
+			}
+		});
+
+		it('should restore an earlier revision as a new edit', async function () {
+			const data = await socketPosts.restoreDiff({ uid: voterUid }, { pid: pid, since: timestamps[1] });
+			assert.strictEqual(data.content, 'revision one');
+			assert.strictEqual(await posts.getPostField(pid, 'content'), 'revision one');
+			assert.deepStrictEqual(await topics.getTopicTags(data.tid), ['revisions']);
+			assert.strictEqual(await topics.getTopicField(data.tid, 'title'), 'revisions topic');
+
+			const newTimestamps = await posts.diffs.list(pid);
+			assert.strictEqual(newTimestamps.length, 3);
+			assert.strictEqual(await posts.diffs.getContent(pid, newTimestamps[0]), 'revision three');
+		});
+
+		it('should not allow regular users to delete a revision', async function () {
+			try {
+				await socketPosts.deleteDiff({ uid: voterUid }, { pid: pid, timestamp: timestamps[0] });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:no-privileges]]');
+			}
+		});
+
+		it('should delete a revision and keep the others intact', async function () {
+			await socketPosts.deleteDiff({ uid: adminUid }, { pid: pid, timestamp: timestamps[0] });
+			const newTimestamps = await posts.diffs.list(pid);
+			assert.strictEqual(newTimestamps.length, 2);
+			assert(!newTimestamps.includes(timestamps[0]));
+			assert.strictEqual(await posts.diffs.getContent(pid, newTimestamps[0]), 'revision three');
+			assert.strictEqual(await posts.diffs.getContent(pid, newTimestamps[1]), 'revision one');
+		});
+
+		it('should error when deleting a revision that does not exist', async function () {
+			try {
+				await socketPosts.deleteDiff({ uid: adminUid }, { pid: pid, timestamp: Date.now() });
+				assert(false);
+			} catch (err) {
+				assert.strictEqual(err.message, '[[error:invalid-data]]');
+			}
+		});
+	});
+
 	describe('move', function () {
 		var replyPid;
 		var tid;
@@ -17,6 +17,7 @@ const groups = require('../src/groups');
 const helpers = require('./helpers');
 const socketPosts = require('../src/socket.io/posts');
 const socketTopics = require('../src/socket.io/topics');
+const events = require('../src/events');
 
 describe('Topic\'s', function () {
 	var topic;
@@ -396,6 +397,37 @@ describe('Topic\'s', function () {
 			});
 		});
 
+		it('should not pin a topic with an expiry in the past', async function () {
+			await assert.rejects(
+				socketTopics.pin({ uid: adminUid }, { tids: [newTopic.tid], cid: categoryObj.cid, expiry: Date.now() - 1000 }),
+				{ message: '[[error:invalid-pin-expiry]]' }
+			);
+		});
+
+		it('should pin a topic with an expiry', async function () {
+			const expiry = Date.now() + 60000;
+			await socketTopics.pin({ uid: adminUid }, { tids: [newTopic.tid], cid: categoryObj.cid, expiry: expiry });
+			const topicData = await topics.getTopicFields(newTopic.tid, ['pinned', 'pinExpiry']);
+			assert.strictEqual(topicData.pinned, 1);
+			assert.strictEqual(topicData.pinExpiry, expiry);
+			assert.strictEqual(await db.sortedSetScore('topics:pinExpiry', newTopic.tid), expiry);
+		});
+
+		it('should unpin topics once their pin expires', async function () {
+			await db.sortedSetAdd('topics:pinExpiry', Date.now() - 1000, newTopic.tid);
+			const unpinned = await topics.tools.unpinExpired();
+			assert.deepStrictEqual(unpinned.map(topicData => topicData.tid), [newTopic.tid]);
+			const topicData = await topics.getTopicFields(newTopic.tid, ['pinned', 'pinExpiry']);
+			assert.strictEqual(topicData.pinned, 0);
+			assert.strictEqual(topicData.pinExpiry, 0);
+			assert.strictEqual(await db.isSortedSetMember('topics:pinExpiry', newTopic.tid), false);
+			assert(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', newTopic.tid));
+
+			const eventData = await events.getEvents('topic-unpin', 0, 0);
+			assert.strictEqual(parseInt(eventData[0].tid, 10), newTopic.tid);
+			assert.strictEqual(parseInt(eventData[0].uid, 10), 0);
+		});
+
 		it('should move all topics', function (done) {
 			socketTopics.moveAll({ uid: adminUid }, { cid: moveCid, currentCid: categoryObj.cid }, function (err) {
 				assert.ifError(err);
@@ -591,6 +623,297 @@ describe('Topic\'s', function () {
 		});
 	});
 
+	describe('wiki topics', function () {
+		var wikiTopic;
+		var replyPid;
+		before(async function () {
+			const result = await topics.post({ uid: adminUid, title: 'wiki topic', content: 'wiki content', cid: categoryObj.cid });
+			wikiTopic = result.topicData;
+			const reply = await topics.reply({ uid: adminUid, tid: wikiTopic.tid, content: 'not a wiki post' });
+			replyPid = reply.pid;
+			await privileges.categories.give(['groups:posts:edit:wiki'], categoryObj.cid, 'registered-users');
+		});
+
+		after(async function () {
+			await privileges.categories.rescind(['groups:posts:edit:wiki'], categoryObj.cid, 'registered-users');
+		});
+
+		it('should not let a regular user toggle wiki', async function () {
+			await assert.rejects(
+				socketTopics.wiki({ uid: fooUid }, { tids: [wikiTopic.tid], cid: categoryObj.cid }),
+				{ message: '[[error:no-privileges]]' }
+			);
+		});
+
+		it('should not let wiki editors edit a topic that is not a wiki', async function () {
+			const canEdit = await privileges.posts.canEdit(wikiTopic.mainPid, fooUid);
+			assert.strictEqual(canEdit.flag, false);
+		});
+
+		it('should convert a topic to a wiki', async function () {
+			await socketTopics.wiki({ uid: adminUid }, { tids: [wikiTopic.tid], cid: categoryObj.cid });
+			assert.strictEqual(await topics.getTopicField(wikiTopic.tid, 'wiki'), 1);
+			const data = await socketTopics.loadTopicTools({ uid: adminUid }, { tid: wikiTopic.tid });
+			assert(data.thread_tools.some(tool => tool.class === 'topic-unwiki'));
+		});
+
+		it('should let wiki editors edit the main post regardless of the edit duration', async function () {
+			const oldDuration = meta.config.postEditDuration;
+			meta.config.postEditDuration = 1;
+			await posts.setPostField(wikiTopic.mainPid, 'timestamp', Date.now() - 60000);
+			await posts.edit({ pid: wikiTopic.mainPid, uid: fooUid, content: 'edited by foo' });
+			meta.config.postEditDuration = oldDuration;
+			assert.strictEqual(await posts.getPostField(wikiTopic.mainPid, 'content'), 'edited by foo');
+			const postPrivileges = await privileges.posts.get([wikiTopic.mainPid, replyPid], fooUid);
+			assert.strictEqual(postPrivileges[0].editable, true);
+			assert.strictEqual(postPrivileges[1].editable, false);
+		});
+
+		it('should not let wiki editors edit replies', async function () {
+			await assert.rejects(
+				posts.edit({ pid: replyPid, uid: fooUid, content: 'edited by foo' }),
+				{ message: '[[error:no-privileges]]' }
+			);
+		});
+
+		it('should attribute each revision to its editor', async function () {
+			const editors = await posts.diffs.getEditors(wikiTopic.mainPid);
+			assert.deepStrictEqual(editors.map(editor => editor.uid), [fooUid, adminUid]);
+			const diffs = await posts.diffs.get(wikiTopic.mainPid, 0);
+			assert.strictEqual(parseInt(diffs[0].uid, 10), fooUid);
+		});
+
+		it('should convert a wiki back to a topic', async function () {
+			await socketTopics.unwiki({ uid: adminUid }, { tids: [wikiTopic.tid], cid: categoryObj.cid });
+			assert.strictEqual(await topics.getTopicField(wikiTopic.tid, 'wiki'), 0);
+			await assert.rejects(
+				posts.edit({ pid: wikiTopic.mainPid, uid: fooUid, content: 'edited again' }),
+				{ message: '[[error:no-privileges]]' }
+			);
+		});
+	});
+
+	describe('auto lock and archive', function () {
+		var lockCid;
+		var archiveCid;
+		var oldTid;
+		var pinnedTid;
+		var activeTid;
+		before(async function () {
+			const [lockCategory, archiveCategory] = await Promise.all([
+				categories.create({ name: 'Auto lock category', autoLockDays: 7 }),
+				categories.create({ name: 'Archive category' }),
+			]);
+			lockCid = lockCategory.cid;
+			archiveCid = archiveCategory.cid;
+			const results = await Promise.all(['old', 'pinned', 'active'].map(title => topics.post({ uid: adminUid, title: title + ' topic', content: 'content', cid: lockCid })));
+			[oldTid, pinnedTid, activeTid] = results.map(result => result.topicData.tid);
+			await topics.tools.pin(pinnedTid, adminUid);
+			const lastposttime = Date.now() - (10 * 86400000);
+			await db.sortedSetAdd('cid:' + lockCid + ':tids:lastposttime', [lastposttime, lastposttime], [oldTid, pinnedTid]);
+		});
+
+		it('should lock inactive topics that are not pinned', async function () {
+			await topics.autoLock.run();
+			const topicData = await topics.getTopicsFields([oldTid, pinnedTid, activeTid], ['locked', 'cid']);
+			assert.deepStrictEqual(topicData.map(topic => topic.locked), [1, 0, 0]);
+			assert.deepStrictEqual(topicData.map(topic => topic.cid), [lockCid, lockCid, lockCid]);
+			const eventsData = await events.getEvents('topic-autolock', 0, 0);
+			assert.strictEqual(parseInt(eventsData[0].tid, 10), oldTid);
+		});
+
+		it('should move inactive topics to the archive category', async function () {
+			await categories.update({ [lockCid]: { archiveCid: archiveCid } });
+			await topics.autoLock.run();
+			const topicData = await topics.getTopicsFields([oldTid, pinnedTid, activeTid], ['cid']);
+			assert.deepStrictEqual(topicData.map(topic => topic.cid), [archiveCid, lockCid, lockCid]);
+			assert(await db.isSortedSetMember('cid:' + archiveCid + ':tids:lastposttime', oldTid));
+			const eventsData = await events.getEvents('topic-archive', 0, 0);
+			assert.strictEqual(parseInt(eventsData[0].toCid, 10), archiveCid);
+		});
+	});
+
+	describe('topic prefixes', function () {
+		var prefixCid;
+		var bugTid;
+		var otherTid;
+		before(async function () {
+			const category = await categories.create({ name: 'Prefix category' });
+			prefixCid = category.cid;
+			await categories.update({ [prefixCid]: { prefixes: 'Bug #d9534f\nRFC\nBug #000' } });
+		});
+
+		it('should parse and store the prefixes of a category', async function () {
+			const prefixes = await categories.getPrefixes([prefixCid]);
+			assert.deepStrictEqual(prefixes[0].map(prefix => [prefix.name, prefix.color]), [['Bug', '#d9534f'], ['RFC', '#777777']]);
+		});
+
+		it('should not create a topic with a prefix of another category', async function () {
+			await assert.rejects(
+				topics.post({ uid: adminUid, cid: prefixCid, title: 'prefixed topic', content: 'content', prefix: 'Solved' }),
+				{ message: '[[error:invalid-prefix]]' }
+			);
+		});
+
+		it('should create topics with and without a prefix', async function () {
+			const [bug, other] = await Promise.all([
+				topics.post({ uid: adminUid, cid: prefixCid, title: 'bug topic', content: 'content', prefix: 'Bug' }),
+				topics.post({ uid: adminUid, cid: prefixCid, title: 'other topic', content: 'content' }),
+			]);
+			bugTid = bug.topicData.tid;
+			otherTid = other.topicData.tid;
+			const topicData = await topics.getTopicData(bugTid);
+			assert.strictEqual(topicData.prefix, 'Bug');
+			assert.strictEqual(topicData.title, 'bug topic');
+		});
+
+		it('should require a prefix if the category asks for one', async function () {
+			await categories.update({ [prefixCid]: { requirePrefix: 1 } });
+			await assert.rejects(
+				topics.post({ uid: adminUid, cid: prefixCid, title: 'no prefix', content: 'content' }),
+				{ message: '[[error:prefix-required]]' }
+			);
+			await categories.update({ [prefixCid]: { requirePrefix: 0 } });
+		});
+
+		it('should filter category topics by prefix', async function () {
+			const result = await categories.getCategoryTopics({ cid: prefixCid, uid: adminUid, start: 0, stop: 19, prefix: 'Bug' });
+			assert.deepStrictEqual(result.topics.map(topic => topic.tid), [bugTid]);
+			assert(result.topics[0].icons[0].includes('#d9534f'));
+		});
+
+		it('should change the prefix when the main post is edited', async function () {
+			const mainPid = await topics.getTopicField(otherTid, 'mainPid');
+			await posts.edit({ pid: mainPid, uid: adminUid, title: 'other topic', content: 'edited content', prefix: 'RFC' });
+			assert.strictEqual(await topics.getTopicField(otherTid, 'prefix'), 'RFC');
+			assert(await db.isSortedSetMember('prefix:RFC:topics', otherTid));
+			const postData = await posts.getPostSummaryByPids([mainPid], adminUid, {});
+			assert.strictEqual(postData[0].topic.prefix, 'RFC');
+		});
+
+		it('should keep the prefix if the editor does not send one', async function () {
+			const mainPid = await topics.getTopicField(bugTid, 'mainPid');
+			await posts.edit({ pid: mainPid, uid: adminUid, title: 'bug topic', content: 'edited content' });
+			assert.strictEqual(await topics.getTopicField(bugTid, 'prefix'), 'Bug');
+		});
+	});
+
+	describe('topic templates', function () {
+		var template = '## Steps to reproduce\n\n## Expected, actual behaviour\n';
+		var parentCid;
+		var childCid;
+		before(async function () {
+			const parent = await categories.create({ name: 'Bug reports', topicTemplate: template });
+			parentCid = parent.cid;
+			const child = await categories.create({ name: 'Plugin bugs', parentCid: parentCid });
+			childCid = child.cid;
+		});
+
+		it('should return the template and its sections', async function () {
+			const templateData = await categories.getTopicTemplate(parentCid);
+			assert.strictEqual(templateData.template, template);
+			assert.strictEqual(templateData.cid, parentCid);
+			assert.deepStrictEqual(templateData.sections, ['Steps to reproduce', 'Expected, actual behaviour']);
+		});
+
+		it('should only share the template with child categories if enabled', async function () {
+			assert.strictEqual((await categories.getTopicTemplate(childCid)).template, '');
+			await categories.update({ [parentCid]: { topicTemplateInherit: 1 } });
+			const templateData = await categories.getTopicTemplate(childCid);
+			assert.strictEqual(templateData.template, template);
+			assert.strictEqual(templateData.cid, parentCid);
+		});
+
+		it('should not validate the sections unless required', async function () {
+			await topics.post({ uid: adminUid, cid: childCid, title: 'free form bug', content: 'it is broken' });
+		});
+
+		it('should reject topics missing required sections', async function () {
+			await categories.update({ [parentCid]: { topicTemplateRequired: 1 } });
+			await assert.rejects(
+				topics.post({ uid: adminUid, cid: childCid, title: 'partial bug', content: '## Steps to reproduce\nclick it' }),
+				{ message: '[[error:missing-template-sections, Expected&#44; actual behaviour]]' }
+			);
+		});
+
+		it('should create topics with all required sections', async function () {
+			const result = await topics.post({ uid: adminUid, cid: childCid, title: 'full bug', content: '# steps to reproduce\nclick it\n### Expected, actual behaviour\nit breaks' });
+			assert(result.topicData.tid);
+		});
+	});
+
+	describe('topic events', function () {
+		var tid;
+		var otherCid;
+		before(async function () {
+			const [result, category] = await Promise.all([
+				topics.post({ uid: adminUid, cid: topic.categoryId, title: 'topic with events', content: 'content' }),
+				categories.create({ name: 'Events destination' }),
+			]);
+			tid = result.topicData.tid;
+			otherCid = category.cid;
+		});
+
+		it('should log lock and pin events', async function () {
+			await topics.tools.lock(tid, adminUid);
+			await topics.tools.pin(tid, adminUid);
+			const events = await topics.events.get(tid, adminUid);
+			const lockEvent = events.find(event => event.type === 'lock');
+			assert.deepStrictEqual(events.map(event => event.type).sort(), ['lock', 'pin']);
+			assert.strictEqual(lockEvent.user.uid, adminUid);
+			assert.strictEqual(lockEvent.text, '[[topic:events.lock]]');
+		});
+
+		it('should log moves with the category names', async function () {
+			await topics.tools.move(tid, { cid: otherCid, uid: adminUid });
+			const events = await topics.events.get(tid, adminUid);
+			const moveEvent = events.find(event => event.type === 'move');
+			assert.strictEqual(moveEvent.text, '[[topic:events.move, ' + categoryObj.name + ', Events destination]]');
+		});
+
+		it('should log forks on the original topic', async function () {
+			const reply = await topics.reply({ uid: adminUid, tid: tid, content: 'reply to fork' });
+			const newTopic = await topics.createTopicFromPosts(adminUid, 'forked events topic', [reply.pid], tid);
+			const events = await topics.events.get(tid, adminUid);
+			const forkEvent = events.find(event => event.type === 'fork');
+			assert.strictEqual(parseInt(forkEvent.toTid, 10), newTopic.tid);
+			assert.strictEqual(forkEvent.text, '[[topic:events.fork, forked events topic]]');
+		});
+
+		it('should log merges on the remaining topic', async function () {
+			const other = await topics.post({ uid: adminUid, cid: otherCid, title: 'merged events topic', content: 'content' });
+			await topics.merge([tid, other.topicData.tid], adminUid);
+			const events = await topics.events.get(tid, adminUid);
+			const mergeEvent = events.find(event => event.type === 'merge');
+			assert.strictEqual(mergeEvent.text, '[[topic:events.merge, merged events topic]]');
+		});
+
+		it('should return the events with the topic', async function () {
+			const topicData = await topics.getTopicData(tid);
+			await topics.getTopicWithPosts(topicData, 'tid:' + tid + ':posts', adminUid, 0, -1, false);
+			assert.deepStrictEqual(topicData.events.map(event => event.type).sort(), ['fork', 'lock', 'merge', 'move', 'pin']);
+		});
+
+		it('should let plugins add event types', async function () {
+			const plugins = require('../src/plugins');
+			function addType(data, callback) {
+				data.types.custom = { icon: 'fa-star', text: 'topic:events.custom' };
+				callback(null, data);
+			}
+			await assert.rejects(topics.events.log(tid, { type: 'custom', uid: adminUid }), { message: '[[error:invalid-topic-event]]' });
+			plugins.registerHook('test-plugin', { hook: 'filter:topicEvents.init', method: addType });
+			await topics.events.log(tid, { type: 'custom', uid: adminUid });
+			const events = await topics.events.get(tid, adminUid);
+			plugins.unregisterHook('test-plugin', 'filter:topicEvents.init', addType);
+			assert.strictEqual(events.find(event => event.type === 'custom').icon, 'fa-star');
+		});
+
+		it('should remove the events when the topic is purged', async function () {
+			await topics.purge(tid, adminUid);
+			assert.strictEqual(await db.exists('topic:' + tid + ':events'), false);
+		});
+	});
+
 	describe('order pinned topics', function () {
 		var tid1;
 		var tid2;
@@ -2142,4 +2465,390 @@ describe('Topic\'s', function () {
 			});
 		});
 	});
+
+	describe('polls', function () {
+		let voterUid;
+
+		async function postPoll(poll) {
+			const result = await topics.post({
+				uid: adminUid,
+				cid: categoryObj.cid,
+				title: 'Poll topic',
+				content: 'Please vote in this poll',
+				poll: poll,
+			});
+			return result.topicData.tid;
+		}
+
+		before(async function () {
+			voterUid = await User.create({ username: 'pollvoter' });
+		});
+
+		it('should create a topic with a poll', async function () {
+			const tid = await postPoll({ title: 'Favourite colour?', options: ['red', ' green ', 'blue', ''] });
+			const poll = await topics.polls.get(tid, adminUid);
+			assert.strictEqual(poll.title, 'Favourite colour?');
+			assert.deepStrictEqual(poll.options.map(option => option.title), ['red', 'green', 'blue']);
+			assert.strictEqual(poll.multiple, 0);
+			assert.strictEqual(poll.canVote, true);
+		});
+
+		it('should not create a topic with an invalid poll', async function () {
+			await assert.rejects(postPoll({ options: ['only one'] }), { message: '[[error:poll-not-enough-options]]' });
+			await assert.rejects(postPoll({ options: ['same', 'Same'] }), { message: '[[error:poll-duplicate-options]]' });
+			await assert.rejects(postPoll({ options: ['a', 'b'], endTime: Date.now() - 1000 }), { message: '[[error:poll-invalid-end-time]]' });
+			await assert.rejects(postPoll({ options: ['a', 'b'], resultsVisibility: 'never' }), { message: '[[error:invalid-data]]' });
+		});
+
+		it('should not create a poll without the poll:create privilege', async function () {
+			await privileges.categories.rescind(['poll:create'], categoryObj.cid, 'registered-users');
+			await assert.rejects(topics.post({
+				uid: voterUid,
+				cid: categoryObj.cid,
+				title: 'Poll topic',
+				content: 'Please vote in this poll',
+				poll: { options: ['a', 'b'] },
+			}), { message: '[[error:no-privileges]]' });
+			await privileges.categories.give(['poll:create'], categoryObj.cid, 'registered-users');
+		});
+
+		it('should vote in a single choice poll only once', async function () {
+			const tid = await postPoll({ options: ['a', 'b'] });
+			await assert.rejects(socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [0, 1] }), { message: '[[error:poll-single-choice]]' });
+			const poll = await socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [1] });
+			assert.strictEqual(poll.voterCount, 1);
+			assert.deepStrictEqual(poll.options.map(option => option.votecount), [0, 1]);
+			assert.deepStrictEqual(poll.options.map(option => option.voted), [false, true]);
+			assert.strictEqual(poll.canVote, false);
+			await assert.rejects(socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [0] }), { message: '[[error:poll-already-voted]]' });
+			await assert.rejects(socketTopics.unvotePoll({ uid: voterUid }, { tid: tid }), { message: '[[error:poll-cant-change-vote]]' });
+		});
+
+		it('should not count concurrent votes by the same user twice', async function () {
+			const tid = await postPoll({ options: ['a', 'b'] });
+			const results = await Promise.allSettled([
+				topics.polls.vote(tid, voterUid, [0]),
+				topics.polls.vote(tid, voterUid, [1]),
+			]);
+			assert.strictEqual(results[0].status, 'fulfilled');
+			assert.strictEqual(results[1].reason.message, '[[error:poll-vote-in-progress]]');
+			const poll = await topics.polls.get(tid, voterUid);
+			assert.strictEqual(poll.voterCount, 1);
+			assert.deepStrictEqual(poll.options.map(option => option.votecount), [1, 0]);
+		});
+
+		it('should allow changing the vote in a multiple choice poll', async function () {
+			const tid = await postPoll({ options: ['a', 'b', 'c'], multiple: true, allowChangeVote: true });
+			await socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [0, 2] });
+			let poll = await socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [1] });
+			assert.strictEqual(poll.voterCount, 1);
+			assert.deepStrictEqual(poll.options.map(option => option.votecount), [0, 1, 0]);
+			poll = await socketTopics.unvotePoll({ uid: voterUid }, { tid: tid });
+			assert.strictEqual(poll.voterCount, 0);
+			assert.strictEqual(poll.hasVoted, false);
+		});
+
+		it('should hide results until the user has voted', async function () {
+			const tid = await postPoll({ options: ['a', 'b'], resultsVisibility: 'voted' });
+			await socketTopics.votePoll({ uid: adminUid }, { tid: tid, options: [0] });
+			let poll = await socketTopics.getPoll({ uid: voterUid }, { tid: tid });
+			assert.strictEqual(poll.resultsVisible, false);
+			assert.strictEqual(poll.voterCount, null);
+			assert.deepStrictEqual(poll.options.map(option => option.votecount), [null, null]);
+			poll = await socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [1] });
+			assert.strictEqual(poll.resultsVisible, true);
+			assert.deepStrictEqual(poll.options.map(option => option.votecount), [1, 1]);
+		});
+
+		it('should show voters unless the poll is anonymous', async function () {
+			const publicTid = await postPoll({ options: ['a', 'b'] });
+			const anonymousTid = await postPoll({ options: ['a', 'b'], anonymous: true });
+			await socketTopics.votePoll({ uid: voterUid }, { tid: publicTid, options: [0] });
+			await socketTopics.votePoll({ uid: voterUid }, { tid: anonymousTid, options: [0] });
+			const [publicPoll, anonymousPoll] = await Promise.all([
+				topics.polls.get(publicTid, adminUid),
+				topics.polls.get(anonymousTid, adminUid),
+			]);
+			assert.deepStrictEqual(publicPoll.options[0].voters.map(voter => voter.username), ['pollvoter']);
+			assert.strictEqual(anonymousPoll.options[0].voters, undefined);
+			assert.strictEqual(anonymousPoll.options[0].votecount, 1);
+		});
+
+		it('should not allow voting after the poll has ended', async function () {
+			const tid = await postPoll({ options: ['a', 'b'], endTime: Date.now() + 60000, resultsVisibility: 'ended' });
+			await db.setObjectField('topic:' + tid + ':poll', 'endTime', Date.now() - 1000);
+			const poll = await topics.polls.get(tid, voterUid);
+			assert.strictEqual(poll.ended, true);
+			assert.strictEqual(poll.canVote, false);
+			assert.strictEqual(poll.resultsVisible, true);
+			await assert.rejects(socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [0] }), { message: '[[error:poll-ended]]' });
+		});
+
+		it('should not allow guests to vote', async function () {
+			const tid = await postPoll({ options: ['a', 'b'] });
+			await assert.rejects(socketTopics.votePoll({ uid: 0 }, { tid: tid, options: [0] }), { message: '[[error:not-logged-in]]' });
+		});
+
+		it('should include the poll when loading the topic', async function () {
+			const tid = await postPoll({ options: ['a', 'b'] });
+			const topicData = await topics.getTopicData(tid);
+			const data = await topics.getTopicWithPosts(topicData, 'tid:' + tid + ':posts', voterUid, 0, -1, false);
+			assert.strictEqual(data.poll.tid, tid);
+		});
+
+		it('should delete the poll when the topic is purged', async function () {
+			const tid = await postPoll({ options: ['a', 'b'] });
+			await socketTopics.votePoll({ uid: voterUid }, { tid: tid, options: [0] });
+			await topics.purgePostsAndTopic(tid, adminUid);
+			assert.strictEqual(await topics.polls.exists(tid), false);
+			assert.strictEqual(await db.exists('topic:' + tid + ':poll:option:0:voters'), false);
+		});
+	});
+
+	describe('scheduled topics', function () {
+		let authorUid;
+
+		async function postScheduled(uid, timestamp) {
+			const result = await topics.post({
+				uid: uid || adminUid,
+				cid: categoryObj.cid,
+				title: 'Scheduled topic',
+				content: 'This topic goes live later',
+				timestamp: timestamp || Date.now() + 3600000,
+			});
+			return result.topicData.tid;
+		}
+
+		before(async function () {
+			authorUid = await User.create({ username: 'scheduleauthor' });
+		});
+
+		it('should not list a scheduled topic until it is published', async function () {
+			const tid = await postScheduled();
+			const topicData = await topics.getTopicData(tid);
+			assert.strictEqual(topicData.scheduled, 1);
+			assert(await db.isSortedSetMember('topics:scheduled', tid));
+			assert.strictEqual(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', tid), false);
+			assert.strictEqual(await db.isSortedSetMember('topics:recent', tid), false);
+			assert.strictEqual(await db.isSortedSetMember('topics:tid', tid), false);
+		});
+
+		it('should not let users without the privilege schedule topics', async function () {
+			await assert.rejects(postScheduled(authorUid), { message: '[[error:no-privileges]]' });
+		});
+
+		it('should schedule a topic posted over the socket', async function () {
+			const timestamp = Date.now() + 3600000;
+			const topicData = await socketTopics.post({ uid: adminUid }, {
+				cid: categoryObj.cid,
+				title: 'Scheduled socket topic',
+				content: 'This topic was scheduled from the composer',
+				timestamp: timestamp,
+			});
+			assert.strictEqual(topicData.scheduled, 1);
+			assert.strictEqual(await db.sortedSetScore('topics:scheduled', topicData.tid), timestamp);
+			await assert.rejects(socketTopics.post({ uid: authorUid }, {
+				cid: categoryObj.cid,
+				title: 'Scheduled socket topic',
+				content: 'This topic was scheduled from the composer',
+				timestamp: timestamp,
+			}), { message: '[[error:no-privileges]]' });
+		});
+
+		it('should only add a scheduled topic to its tags once it is published', async function () {
+			const result = await topics.post({
+				uid: adminUid,
+				cid: categoryObj.cid,
+				title: 'Scheduled tagged topic',
+				content: 'This topic goes live later',
+				tags: ['scheduledtag'],
+				timestamp: Date.now() + 3600000,
+			});
+			const tid = result.topicData.tid;
+			assert.deepStrictEqual(await topics.getTopicTags(tid), ['scheduledtag']);
+			assert.strictEqual(await db.isSortedSetMember('tag:scheduledtag:topics', tid), false);
+			assert.strictEqual(await topics.getTagTopicCount('scheduledtag'), 0);
+
+			await topics.scheduled.publish(tid);
+			assert(await db.isSortedSetMember('tag:scheduledtag:topics', tid));
+			assert.strictEqual(await topics.getTagTopicCount('scheduledtag'), 1);
+		});
+
+		it('should hide a scheduled topic from other users', async function () {
+			const tid = await postScheduled();
+			const [authorPrivileges, otherPrivileges] = await Promise.all([
+				privileges.topics.get(tid, adminUid),
+				privileges.topics.get(tid, authorUid),
+			]);
+			assert.strictEqual(authorPrivileges.view_scheduled, true);
+			assert.strictEqual(otherPrivileges.view_scheduled, false);
+			assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], authorUid), []);
+		});
+
+		it('should not allow replies to a scheduled topic', async function () {
+			const tid = await postScheduled();
+			await assert.rejects(topics.reply({ uid: adminUid, tid: tid, content: 'too early' }), { message: '[[error:topic-scheduled]]' });
+		});
+
+		it('should reschedule a topic', async function () {
+			const tid = await postScheduled();
+			const timestamp = Date.now() + 7200000;
+			await assert.rejects(socketTopics.reschedule({ uid: authorUid }, { tid: tid, timestamp: timestamp }), { message: '[[error:no-privileges]]' });
+			await assert.rejects(socketTopics.reschedule({ uid: adminUid }, { tid: tid, timestamp: Date.now() - 1000 }), { message: '[[error:invalid-schedule-date]]' });
+			await socketTopics.reschedule({ uid: adminUid }, { tid: tid, timestamp: timestamp });
+			const topicData = await topics.getTopicData(tid);
+			assert.strictEqual(topicData.timestamp, timestamp);
+			assert.strictEqual(await db.sortedSetScore('topics:scheduled', tid), timestamp);
+			assert.strictEqual(await posts.getPostField(topicData.mainPid, 'timestamp'), timestamp);
+		});
+
+		it('should publish a topic on demand', async function () {
+			const tid = await postScheduled();
+			await socketTopics.publish({ uid: adminUid }, { tid: tid });
+			const topicData = await topics.getTopicData(tid);
+			assert.strictEqual(topicData.scheduled, 0);
+			assert(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', tid));
+			assert(await db.isSortedSetMember('topics:recent', tid));
+			assert.strictEqual(await db.isSortedSetMember('topics:scheduled', tid), false);
+			await assert.rejects(socketTopics.publish({ uid: adminUid }, { tid: tid }), { message: '[[error:topic-not-scheduled]]' });
+		});
+
+		it('should publish topics whose time has come', async function () {
+			const tid = await postScheduled();
+			await db.sortedSetAdd('topics:scheduled', Date.now() - 1000, tid);
+			await topics.scheduled.handleExpired();
+			assert.strictEqual(await topics.getTopicField(tid, 'scheduled'), 0);
+			assert(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', tid));
+		});
+
+		it('should only list a pinned scheduled topic as pinned once it is published', async function () {
+			const tid = await postScheduled();
+			await topics.tools.pin(tid, adminUid);
+			assert.strictEqual(await topics.getTopicField(tid, 'pinned'), 1);
+			assert.strictEqual(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids:pinned', tid), false);
+
+			await topics.scheduled.publish(tid);
+			assert(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids:pinned', tid));
+			assert.strictEqual(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', tid), false);
+			assert.strictEqual(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids:votes', tid), false);
+		});
+
+		it('should only list a moved scheduled topic in its new category once it is published', async function () {
+			const category = await categories.create({ name: 'Scheduled move target' });
+			const tid = await postScheduled();
+			const countBefore = await categories.getCategoryField(categoryObj.cid, 'topic_count');
+			await topics.tools.move(tid, { cid: category.cid, uid: adminUid });
+			assert.strictEqual(await topics.getTopicField(tid, 'cid'), category.cid);
+			assert.strictEqual(await categories.getCategoryField(categoryObj.cid, 'topic_count'), countBefore);
+			assert.strictEqual(await categories.getCategoryField(category.cid, 'topic_count'), 0);
+			assert.strictEqual(await db.isSortedSetMember('cid:' + category.cid + ':tids', tid), false);
+
+			await topics.scheduled.publish(tid);
+			assert(await db.isSortedSetMember('cid:' + category.cid + ':tids', tid));
+			assert.strictEqual(await db.isSortedSetMember('cid:' + categoryObj.cid + ':tids', tid), false);
+			assert.strictEqual(await categories.getCategoryField(category.cid, 'topic_count'), 1);
+		});
+
+		it('should not change counters when a scheduled topic is purged', async function () {
+			const before = await db.getObjectFields('global', ['topicCount', 'postCount']);
+			const tid = await postScheduled();
+			await topics.purgePostsAndTopic(tid, adminUid);
+			const after = await db.getObjectFields('global', ['topicCount', 'postCount']);
+			assert.deepStrictEqual(after, before);
+			assert.strictEqual(await db.isSortedSetMember('topics:scheduled', tid), false);
+		});
+	});
+
+	describe('question and answer', function () {
+		let qaCid;
+		let askerUid;
+		let answererUid;
+		let otherUid;
+
+		async function ask() {
+			const result = await topics.post({ uid: askerUid, cid: qaCid, title: 'How do I do this?', content: 'I have no idea how this works' });
+			const reply = await topics.reply({ uid: answererUid, tid: result.topicData.tid, content: 'Like this' });
+			return { tid: result.topicData.tid, mainPid: result.postData.pid, pid: reply.pid };
+		}
+
+		before(async function () {
+			const category = await categories.create({ name: 'Support', questionAndAnswer: 1 });
+			qaCid = category.cid;
+			[askerUid, answererUid, otherUid] = await Promise.all([
+				User.create({ username: 'asker' }),
+				User.create({ username: 'answerer' }),
+				User.create({ username: 'bystander' }),
+			]);
+		});
+
+		it('should create topics as unsolved questions', async function () {
+			const { tid } = await ask();
+			const topicData = await topics.getTopicData(tid);
+			assert.strictEqual(topicData.isQuestion, 1);
+			assert.strictEqual(topicData.isSolved, 0);
+			assert(await db.isSortedSetMember('topics:unsolved', tid));
+		});
+
+		it('should not let other users accept an answer', async function () {
+			const { pid } = await ask();
+			await assert.rejects(socketPosts.acceptAnswer({ uid: otherUid }, { pid: pid }), { message: '[[error:no-privileges]]' });
+		});
+
+		it('should not accept the question itself', async function () {
+			const { mainPid } = await ask();
+			await assert.rejects(socketPosts.acceptAnswer({ uid: askerUid }, { pid: mainPid }), { message: '[[error:cant-accept-main-post]]' });
+		});
+
+		it('should accept an answer', async function () {
+			const { tid, pid } = await ask();
+			await socketPosts.acceptAnswer({ uid: askerUid }, { pid: pid });
+			const topicData = await topics.getTopicFields(tid, ['isSolved', 'solvedPid']);
+			assert.strictEqual(topicData.isSolved, 1);
+			assert.strictEqual(topicData.solvedPid, pid);
+			assert(await db.isSortedSetMember('topics:solved', tid));
+			assert.strictEqual(await db.isSortedSetMember('topics:unsolved', tid), false);
+			assert.strictEqual(await User.getUserField(answererUid, 'acceptedanswers'), 1);
+		});
+
+		it('should show the accepted answer with the topic', async function () {
+			const { tid, pid } = await ask();
+			await socketPosts.acceptAnswer({ uid: adminUid }, { pid: pid });
+			const topicData = await topics.getTopicData(tid);
+			const data = await topics.getTopicWithPosts(topicData, 'tid:' + tid + ':posts', otherUid, 0, -1, true);
+			assert.strictEqual(data.acceptedAnswer.pid, pid);
+			assert.strictEqual(data.posts.find(post => post.pid === pid).accepted, true);
+		});
+
+		it('should filter category topics by solved state', async function () {
+			const { tid: solvedTid, pid } = await ask();
+			const { tid: unsolvedTid } = await ask();
+			await socketPosts.acceptAnswer({ uid: askerUid }, { pid: pid });
+			const [solved, unsolved] = await Promise.all([
+				categories.getTopicIds({ cid: qaCid, start: 0, stop: -1, filter: 'solved' }),
+				categories.getTopicIds({ cid: qaCid, start: 0, stop: -1, filter: 'unsolved' }),
+			]);
+			assert(solved.includes(String(solvedTid)));
+			assert(!solved.includes(String(unsolvedTid)));
+			assert(unsolved.includes(String(unsolvedTid)));
+			assert(!unsolved.includes(String(solvedTid)));
+		});
+
+		it('should remove the accepted answer', async function () {
+			const { tid, pid } = await ask();
+			await socketPosts.acceptAnswer({ uid: askerUid }, { pid: pid });
+			const before = await User.getUserField(answererUid, 'acceptedanswers');
+			await socketPosts.unacceptAnswer({ uid: askerUid }, { pid: pid });
+			assert.strictEqual(await topics.getTopicField(tid, 'solvedPid'), 0);
+			assert(await db.isSortedSetMember('topics:unsolved', tid));
+			assert.strictEqual(await User.getUserField(answererUid, 'acceptedanswers'), before - 1);
+		});
+
+		it('should mark the question unsolved when the answer is purged', async function () {
+			const { tid, pid } = await ask();
+			await socketPosts.acceptAnswer({ uid: askerUid }, { pid: pid });
+			await posts.purge(pid, adminUid);
+			assert.strictEqual(await topics.getTopicField(tid, 'isSolved'), 0);
+			assert(await db.isSortedSetMember('topics:unsolved', tid));
+		});
+	});
 });
@@ -17,6 +17,11 @@ var helpers = require('./helpers');
 var meta = require('../src/meta');
 var plugins = require('../src/plugins');
 var socketUser = require('../src/socket.io/user');
+var socketAdmin = require('../src/socket.io/admin');
+var events = require('../src/events');
+var Posts = require('../src/posts');
+var Messaging = require('../src/messaging');
+var Flags = require('../src/flags');
 
 describe('User', function () {
 	var userData;
@@ -414,6 +419,518 @@ describe('User', function () {
 		});
 	});
 
+	describe('api tokens', function () {
+		var uid;
+		before(async function () {
+			uid = await User.create({ username: 'tokenuser' });
+		});
+
+		it('should create and verify a token', async function () {
+			const tokenData = await User.tokens.create(uid, { description: 'my token', scopes: ['read', 'write:posts'] });
+			assert(tokenData.token);
+			assert.deepStrictEqual(tokenData.scopes, ['read', 'write:posts']);
+			const verified = await User.tokens.verify(tokenData.token, '127.0.0.1');
+			assert.strictEqual(verified.uid, uid);
+			assert.strictEqual(verified.lastSeenIp, '127.0.0.1');
+			assert(!verified.hasOwnProperty('token'));
+		});
+
+		it('should not create a token with an invalid scope or expiry', async function () {
+			await assert.rejects(User.tokens.create(uid, { scopes: ['read', 'delete:everything'] }), { message: '[[error:invalid-token-scope]]' });
+			await assert.rejects(User.tokens.create(uid, { scopes: ['read'], expiry: Date.now() - 1000 }), { message: '[[error:invalid-token-expiry]]' });
+		});
+
+		it('should check token scopes', function () {
+			assert(User.tokens.hasScope({ scopes: ['write:posts'] }, 'read'));
+			assert(User.tokens.hasScope({ scopes: ['admin'] }, 'moderate'));
+			assert(!User.tokens.hasScope({ scopes: ['read'] }, 'write:posts'));
+		});
+
+		it('should not verify an expired token', async function () {
+			const tokenData = await User.tokens.create(uid, { scopes: ['read'], expiry: Date.now() + 1000 });
+			await db.setObjectField('apiToken:' + tokenData.id, 'expiry', Date.now() - 1000);
+			await assert.rejects(User.tokens.verify(tokenData.token), { message: '[[error:token-expired]]' });
+		});
+
+		it('should revoke a token', async function () {
+			const tokenData = await User.tokens.create(uid, { scopes: ['read'] });
+			await User.tokens.revoke(tokenData.id);
+			await assert.rejects(User.tokens.verify(tokenData.token), { message: '[[error:invalid-token]]' });
+			const tokens = await User.tokens.list(uid);
+			assert(!tokens.some(token => token.id === tokenData.id));
+		});
+
+		it('should revoke all tokens of a user', async function () {
+			await User.tokens.revokeAll(uid);
+			assert.deepStrictEqual(await User.tokens.list(uid), []);
+		});
+	});
+
+	describe('drafts', function () {
+		var uid;
+		var oldConfig;
+		before(async function () {
+			oldConfig = {
+				draftMaxPerUser: meta.config.draftMaxPerUser,
+				draftMaxAgeDays: meta.config.draftMaxAgeDays,
+			};
+			uid = await User.create({ username: 'draftuser' });
+		});
+
+		it('should save and get a draft', async function () {
+			const draft = await User.drafts.save(uid, { type: 'topic', id: testCid, title: 'draft title', content: 'draft content', tags: ['a', 'b'] });
+			assert.strictEqual(draft.id, testCid);
+			const saved = await User.drafts.get(uid, { type: 'topic', id: testCid });
+			assert.strictEqual(saved.title, 'draft title');
+			assert.strictEqual(saved.content, 'draft content');
+			assert.deepStrictEqual(saved.tags, ['a', 'b']);
+			assert.strictEqual(await User.drafts.count(uid), 1);
+		});
+
+		it('should not save a draft with an invalid context', async function () {
+			await assert.rejects(User.drafts.save(uid, { type: 'chat', id: 1, content: 'hi' }), { message: '[[error:invalid-draft-context]]' });
+			await assert.rejects(User.drafts.save(uid, { type: 'reply', id: 0, content: 'hi' }), { message: '[[error:invalid-draft-context]]' });
+			await assert.rejects(User.drafts.save(0, { type: 'topic', id: testCid, content: 'hi' }), { message: '[[error:not-logged-in]]' });
+		});
+
+		it('should remove the draft when it is saved empty', async function () {
+			await User.drafts.save(uid, { type: 'topic', id: testCid, title: '', content: ' ' });
+			assert.strictEqual(await User.drafts.get(uid, { type: 'topic', id: testCid }), null);
+		});
+
+		it('should not save more drafts than allowed', async function () {
+			const topic = await Topics.post({ uid: uid, cid: testCid, title: 'draft topic', content: 'topic content' });
+			meta.config.draftMaxPerUser = 1;
+			try {
+				await User.drafts.save(uid, { type: 'topic', id: testCid, content: 'first' });
+				await assert.rejects(User.drafts.save(uid, { type: 'reply', id: topic.topicData.tid, content: 'second' }), { message: '[[error:too-many-drafts, 1]]' });
+				await User.drafts.save(uid, { type: 'topic', id: testCid, content: 'first again' });
+			} finally {
+				meta.config.draftMaxPerUser = oldConfig.draftMaxPerUser;
+			}
+		});
+
+		it('should remove the draft after replying', async function () {
+			const topic = await Topics.post({ uid: uid, cid: testCid, title: 'reply topic', content: 'topic content' });
+			const tid = topic.topicData.tid;
+			await User.drafts.save(uid, { type: 'reply', id: tid, content: 'my reply' });
+			const drafts = await User.drafts.list(uid, 0, -1);
+			assert.strictEqual(drafts[0].type, 'reply');
+			await Topics.reply({ uid: uid, tid: tid, content: 'my reply' });
+			assert.strictEqual(await User.drafts.get(uid, { type: 'reply', id: tid }), null);
+		});
+
+		it('should remove old drafts', async function () {
+			await User.drafts.save(uid, { type: 'topic', id: testCid, content: 'old draft' });
+			await db.sortedSetAdd('drafts:timestamp', Date.now() - (40 * 86400000), uid + ':topic:' + testCid);
+			meta.config.draftMaxAgeDays = 30;
+			try {
+				await User.drafts.clean();
+			} finally {
+				meta.config.draftMaxAgeDays = oldConfig.draftMaxAgeDays;
+			}
+			assert.strictEqual(await User.drafts.get(uid, { type: 'topic', id: testCid }), null);
+			assert.strictEqual(await User.drafts.count(uid), 0);
+		});
+
+		it('should save drafts via sockets', async function () {
+			await socketUser.saveDraft({ uid: uid }, { type: 'topic', id: testCid, content: 'socket draft' });
+			const draft = await socketUser.getDraft({ uid: uid }, { type: 'topic', id: testCid });
+			assert.strictEqual(draft.content, 'socket draft');
+			await socketUser.discardDraft({ uid: uid }, { type: 'topic', id: testCid });
+			assert.strictEqual(await socketUser.getDraft({ uid: uid }, { type: 'topic', id: testCid }), null);
+		});
+	});
+
+	describe('two-factor authentication', function () {
+		var uid;
+		before(async function () {
+			uid = await User.create({ username: 'totpuser' });
+		});
+
+		it('should generate rfc 6238 codes', function () {
+			// Test vector from RFC 6238, secret is "12345678901234567890" in base32
+			assert.strictEqual(User.totp.generateCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1), '287082');
+			assert.strictEqual(User.totp.checkCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', '287082', 59000), 1);
+			assert.strictEqual(User.totp.checkCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', '287082', 600000), false);
+		});
+
+		it('should not enable 2fa with a wrong code', async function () {
+			await User.totp.setup(uid);
+			await assert.rejects(User.totp.enable(uid, '123'), { message: '[[error:invalid-2fa-code]]' });
+			assert.strictEqual(await User.totp.isEnabled(uid), false);
+		});
+
+		it('should keep the pending secret until 2fa is enabled', async function () {
+			const first = await User.totp.setup(uid);
+			const second = await User.totp.setup(uid);
+			assert.strictEqual(second.secret, first.secret);
+		});
+
+		it('should enable 2fa and return recovery codes', async function () {
+			const setup = await User.totp.setup(uid);
+			assert(setup.otpauthUrl.startsWith('otpauth://totp/'));
+			const codes = await User.totp.enable(uid, User.totp.generateCode(setup.secret, User.totp.getStep()));
+			assert.strictEqual(codes.length, User.totp.recoveryCodeCount);
+			assert.strictEqual(await User.totp.isEnabled(uid), true);
+			assert.strictEqual(await User.totp.getRecoveryCodeCount(uid), User.totp.recoveryCodeCount);
+			await assert.rejects(User.totp.setup(uid), { message: '[[error:2fa-already-enabled]]' });
+		});
+
+		it('should require 2fa for admins when enabled', async function () {
+			const adminUid = await User.create({ username: 'totpadmin' });
+			await groups.join('administrators', adminUid);
+			assert.strictEqual(await User.totp.isRequired(adminUid), false);
+			meta.config['twoFactor:requirePrivileged'] = 1;
+			assert.strictEqual(await User.totp.isRequired(adminUid), true);
+			assert.strictEqual(await User.totp.isRequired(uid), false);
+			meta.config['twoFactor:requirePrivileged'] = 0;
+		});
+
+		it('should reset 2fa from the admin panel and log an event', async function () {
+			const adminUid = await User.create({ username: 'totpresetter' });
+			await groups.join('administrators', adminUid);
+			await socketAdmin.user.resetTwoFactor({ uid: adminUid }, [uid]);
+			assert.strictEqual(await User.totp.isEnabled(uid), false);
+			assert.strictEqual(await User.totp.getRecoveryCodeCount(uid), 0);
+			const data = await events.getEvents('2fa-reset', 0, 0);
+			assert.strictEqual(data[0].type, '2fa-reset');
+			assert.strictEqual(parseInt(data[0].targetUid, 10), uid);
+		});
+	});
+
+	describe('password hashing', function () {
+		var uid;
+		var algorithm;
+
+		before(async function () {
+			algorithm = meta.config.passwordHashAlgorithm;
+			meta.config.passwordHashAlgorithm = 'bcrypt';
+			uid = await User.create({ username: 'rehashme', password: 'rehashpass' });
+		});
+
+		after(function () {
+			meta.config.passwordHashAlgorithm = algorithm;
+		});
+
+		it('should detect the algorithm from the hash format', function () {
+			assert.strictEqual(Password.getAlgorithm('$2a$12$abcdefghijklmnopqrstuu'), 'bcrypt');
+			assert.strictEqual(Password.getAlgorithm('$2b$12$abcdefghijklmnopqrstuu'), 'bcrypt');
+			assert.strictEqual(Password.getAlgorithm('$argon2id$v=19$m=1024,t=1,p=1$c2FsdA$aGFzaA'), 'argon2id');
+			assert.strictEqual(Password.getAlgorithm('$scrypt$ln=4,r=8,p=1$c2FsdA==$aGFzaA=='), 'scrypt');
+			assert.strictEqual(Password.getAlgorithm('5f4dcc3b5aa765d61d8327deb882cf99'), null);
+		});
+
+		it('should fall back to bcrypt for unknown algorithms', function () {
+			assert.strictEqual(Password.resolveAlgorithm('md5'), 'bcrypt');
+			assert.strictEqual(Password.resolveAlgorithm('scrypt'), 'scrypt');
+		});
+
+		Password.algorithms.forEach(function (name) {
+			it('should hash and verify passwords with ' + name, async function () {
+				var hash = await Password.hash(1, 'swordfish', name);
+				assert.strictEqual(Password.getAlgorithm(hash), Password.resolveAlgorithm(name));
+				assert.strictEqual(await Password.compare('swordfish', hash), true);
+				assert.strictEqual(await Password.compare('swordfishes', hash), false);
+			});
+		});
+
+		it('should rehash an old bcrypt hash with the current algorithm on login', async function () {
+			meta.config.passwordHashAlgorithm = 'scrypt';
+			var oldHash = await db.getObjectField('user:' + uid, 'password');
+			assert.strictEqual(Password.getAlgorithm(oldHash), 'bcrypt');
+
+			assert.strictEqual(await User.isPasswordCorrect(uid, 'rehashpass', '127.0.0.1'), true);
+			var newHash = await db.getObjectField('user:' + uid, 'password');
+			assert.strictEqual(Password.getAlgorithm(newHash), 'scrypt');
+			assert.strictEqual(await User.isPasswordCorrect(uid, 'rehashpass', '127.0.0.1'), true);
+			assert.strictEqual(await db.getObjectField('user:' + uid, 'password'), newHash);
+		});
+
+		it('should not rehash on a failed login', async function () {
+			meta.config.passwordHashAlgorithm = 'bcrypt';
+			var hash = await db.getObjectField('user:' + uid, 'password');
+			assert.strictEqual(await User.isPasswordCorrect(uid, 'wrongpass', '127.0.0.1'), false);
+			assert.strictEqual(await db.getObjectField('user:' + uid, 'password'), hash);
+		});
+
+		it('should rehash when the cost changes', async function () {
+			var hash = await Password.hash(1, 'swordfish', 'scrypt');
+			assert.strictEqual(Password.needsRehash(hash, 'scrypt'), false);
+			var params = Password.params.scrypt;
+			Password.params.scrypt = { ...params, ln: params.ln + 1 };
+			assert.strictEqual(Password.needsRehash(hash, 'scrypt'), true);
+			Password.params.scrypt = params;
+			assert.strictEqual(Password.needsRehash('$2a$04$abcdefghijklmnopqrstuu', 'bcrypt', 4), false);
+			assert.strictEqual(Password.needsRehash('$2a$04$abcdefghijklmnopqrstuu', 'bcrypt', 5), true);
+		});
+
+		it('should count users per algorithm', async function () {
+			var counts = await User.getPasswordAlgorithmCounts();
+			var userCount = await db.sortedSetCard('users:joindate');
+			assert(counts.scrypt >= 1);
+			assert.strictEqual(Object.keys(counts).reduce((sum, key) => sum + counts[key], 0), userCount);
+		});
+	});
+
+	describe('password policy', function () {
+		var fs = require('fs');
+		var os = require('os');
+		var crypto = require('crypto');
+		var dir = path.join(os.tmpdir(), 'nodebb-breached-' + Date.now());
+
+		function sha1(value) {
+			return crypto.createHash('sha1').update(value).digest('hex').toUpperCase();
+		}
+
+		afterEach(function () {
+			meta.config['password:forbidden'] = '';
+			meta.config['password:breachedPath'] = '';
+			meta.config['password:breachedMinCount'] = 1;
+			meta.config['password:historySize'] = 0;
+			meta.config.passwordExpiryDays = 0;
+		});
+
+		it('should reject forbidden passwords case-insensitively', async function () {
+			meta.config['password:forbidden'] = 'Password123\nletmein';
+			await assert.rejects(User.create({ username: 'policy1', password: 'LETMEIN' }), { message: '[[error:password-forbidden]]' });
+		});
+
+		it('should reject the username as password', async function () {
+			await assert.rejects(User.create({ username: 'samenameaspass', password: 'SameNameAsPass' }), { message: '[[error:password-forbidden]]' });
+		});
+
+		it('should import a breached hash list into prefix files', async function () {
+			var source = path.join(os.tmpdir(), 'nodebb-breached-source-' + Date.now() + '.txt');
+			var hash = sha1('correcthorse');
+			fs.writeFileSync(source, [hash + ':12', sha1('batterystaple') + ':1', 'not a hash'].join('\r\n'));
+			var count = await User.passwordPolicy.importBreachedHashes(source, dir);
+			assert.strictEqual(count, 2);
+			var content = fs.readFileSync(path.join(dir, hash.slice(0, 5) + '.txt'), 'utf8');
+			assert(content.includes(hash.slice(5) + ':12'));
+			fs.unlinkSync(source);
+		});
+
+		it('should reject breached passwords', async function () {
+			meta.config['password:breachedPath'] = dir;
+			assert.strictEqual(await User.passwordPolicy.isBreached('correcthorse'), true);
+			assert.strictEqual(await User.passwordPolicy.isBreached('not in the list'), false);
+			await assert.rejects(User.create({ username: 'breached1', password: 'correcthorse' }), { message: '[[error:password-breached]]' });
+		});
+
+		it('should allow breached passwords seen fewer times than the threshold', async function () {
+			meta.config['password:breachedPath'] = dir;
+			meta.config['password:breachedMinCount'] = 5;
+			assert.strictEqual(await User.passwordPolicy.isBreached('correcthorse'), true);
+			assert.strictEqual(await User.passwordPolicy.isBreached('batterystaple'), false);
+		});
+
+		it('should reject reuse of the last N passwords', async function () {
+			meta.config['password:historySize'] = 3;
+			var uid = await User.create({ username: 'reuser', password: 'reusepass1' });
+			async function change(currentPassword, newPassword) {
+				await User.changePassword(uid, { uid: uid, currentPassword: currentPassword, newPassword: newPassword });
+			}
+			await change('reusepass1', 'reusepass2');
+			await change('reusepass2', 'reusepass3');
+			await assert.rejects(change('reusepass3', 'reusepass1'), { message: '[[error:password-reused, 3]]' });
+			await assert.rejects(change('reusepass3', 'reusepass3'), { message: '[[error:password-reused, 3]]' });
+			await change('reusepass3', 'reusepass4');
+			assert.strictEqual(await db.sortedSetCard('uid:' + uid + ':passwords'), 2);
+			await change('reusepass4', 'reusepass1');
+		});
+
+		it('should start the password age of existing accounts on their next login', async function () {
+			meta.config.passwordExpiryDays = 1;
+			var uid = await User.create({ username: 'oldaccount', password: 'oldaccountpass' });
+			await db.deleteObjectField('user:' + uid, 'passwordExpiry');
+			assert.strictEqual(await User.passwordPolicy.isExpired(uid, {}), false);
+			var expiry = await User.getUserField(uid, 'passwordExpiry');
+			assert(expiry > Date.now());
+			assert.strictEqual(await User.passwordPolicy.isExpired(uid, { passwordExpiry: Date.now() - 1000 }), true);
+		});
+	});
+
+	describe('warnings', function () {
+		var adminUid;
+		var modUid;
+		var warnedUid;
+		before(async function () {
+			adminUid = await User.create({ username: 'warningadmin' });
+			modUid = await User.create({ username: 'warningmod' });
+			warnedUid = await User.create({ username: 'warneduser' });
+			await groups.join('administrators', adminUid);
+			await groups.join('Global Moderators', modUid);
+		});
+
+		after(async function () {
+			const rules = await User.warnings.getRules();
+			await Promise.all(rules.map(rule => User.warnings.removeRule(rule.id)));
+		});
+
+		it('should not warn without a reason or with invalid points', async function () {
+			await assert.rejects(User.warnings.add(warnedUid, { fromUid: modUid, reason: '', points: 1 }), { message: '[[error:warning-reason-required]]' });
+			await assert.rejects(User.warnings.add(warnedUid, { fromUid: modUid, reason: 'spam', points: 0 }), { message: '[[error:invalid-warning-points, 100]]' });
+		});
+
+		it('should not let regular users or the target warn', async function () {
+			await assert.rejects(socketUser.warn({ uid: warnedUid }, { uid: modUid, reason: 'spam', points: 1 }), { message: '[[error:no-privileges]]' });
+			await assert.rejects(socketUser.warn({ uid: modUid }, { uid: modUid, reason: 'spam', points: 1 }), { message: '[[error:cant-warn-self]]' });
+		});
+
+		it('should add warnings and only count active points', async function () {
+			const result = await socketUser.warn({ uid: modUid }, { uid: warnedUid, reason: 'off topic', points: 2 });
+			assert.strictEqual(result.warning.points, 2);
+			assert.strictEqual(result.escalation, null);
+
+			const expiring = await User.warnings.add(warnedUid, { fromUid: modUid, reason: 'spam', points: 5, expire: Date.now() + 1000 });
+			await db.setObjectField('warning:' + expiring.warning.id, 'expire', Date.now() - 1000);
+
+			assert.strictEqual(await User.warnings.getPoints(warnedUid), 2);
+			const warnings = await User.warnings.list(warnedUid);
+			assert.strictEqual(warnings.length, 2);
+			assert(warnings[0].expired);
+		});
+
+		it('should revoke a warning', async function () {
+			const { warning } = await User.warnings.add(warnedUid, { fromUid: modUid, reason: 'rude', points: 1 });
+			await socketUser.revokeWarning({ uid: modUid }, { id: warning.id });
+			const revoked = await User.warnings.get(warning.id);
+			assert(revoked.revoked);
+			assert.strictEqual(revoked.revokedBy, modUid);
+			assert.strictEqual(await User.warnings.getPoints(warnedUid), 2);
+		});
+
+		it('should not add an escalation rule with an unknown action', async function () {
+			await assert.rejects(socketAdmin.warnings.addRule({ uid: adminUid }, { points: 3, action: 'explode', duration: 1 }), { message: '[[error:invalid-warning-rule]]' });
+		});
+
+		it('should ban once the points reach an escalation rule', async function () {
+			await socketAdmin.warnings.addRule({ uid: adminUid }, { points: 3, action: 'ban', duration: 24 });
+			await socketAdmin.warnings.addRule({ uid: adminUid }, { points: 10, action: 'ban', duration: 0 });
+
+			const result = await socketUser.warn({ uid: modUid }, { uid: warnedUid, reason: 'again', points: 1 });
+			assert.strictEqual(result.escalation.points, 3);
+			assert(await User.bans.isBanned(warnedUid));
+			const expire = await User.getUserField(warnedUid, 'banned:expire');
+			assert(expire > Date.now() + (23 * 3600000));
+
+			const eventData = await events.getEvents('user-warning-escalate', 0, 0);
+			assert.strictEqual(parseInt(eventData[0].targetUid, 10), warnedUid);
+			assert.strictEqual(eventData[0].action, 'ban');
+		});
+
+		it('should not let a category moderator warn a user into a ban', async function () {
+			const catModUid = await User.create({ username: 'warningcatmod' });
+			const targetUid = await User.create({ username: 'warningtarget' });
+			await groups.join('cid:1:privileges:moderate', catModUid);
+			assert(await User.isPrivileged(catModUid));
+
+			await assert.rejects(socketUser.warn({ uid: catModUid }, { uid: targetUid, reason: 'spam', points: 10 }), { message: '[[error:no-privileges]]' });
+			assert.strictEqual(await User.warnings.getPoints(targetUid), 0);
+			assert.strictEqual(await User.bans.isBanned(targetUid), false);
+		});
+
+		it('should only let admins warn global moderators', async function () {
+			const otherModUid = await User.create({ username: 'warningmod2' });
+			await groups.join('Global Moderators', otherModUid);
+			await assert.rejects(socketUser.warn({ uid: modUid }, { uid: otherModUid, reason: 'rude', points: 1 }), { message: '[[error:cant-warn-global-mods]]' });
+			const result = await socketUser.warn({ uid: adminUid }, { uid: otherModUid, reason: 'rude', points: 1 });
+			assert.strictEqual(result.warning.uid, otherModUid);
+		});
+
+		it('should remove the warnings of a deleted user', async function () {
+			const ids = await db.getSortedSetRange('uid:' + warnedUid + ':warnings', 0, -1);
+			await User.deleteAccount(warnedUid);
+			assert.strictEqual(await db.exists('uid:' + warnedUid + ':warnings'), false);
+			assert.strictEqual(await db.exists('warning:' + ids[0]), false);
+		});
+	});
+
+	describe('mutes', function () {
+		var adminUid;
+		var mutedUid;
+		var topicData;
+		var mainPid;
+		before(async function () {
+			adminUid = await User.create({ username: 'muteadmin' });
+			mutedUid = await User.create({ username: 'muteduser' });
+			await groups.join('administrators', adminUid);
+			const category = await Categories.create({ name: 'Mute category' });
+			const result = await Topics.post({ uid: adminUid, cid: category.cid, title: 'Mute topic', content: 'the main post of this topic' });
+			topicData = result.topicData;
+			mainPid = result.postData.pid;
+		});
+
+		it('should not let regular users mute or admins be muted', async function () {
+			await assert.rejects(socketUser.muteUsers({ uid: mutedUid }, { uids: [adminUid] }), { message: '[[error:no-privileges]]' });
+			await assert.rejects(socketUser.muteUsers({ uid: adminUid }, { uids: [adminUid] }), { message: '[[error:cant-mute-admins]]' });
+		});
+
+		it('should mute a user until the given time', async function () {
+			const until = Date.now() + 3600000;
+			await socketUser.muteUsers({ uid: adminUid }, { uids: [mutedUid], until: until, reason: 'cool down' });
+			assert.strictEqual(await User.mutes.isMuted(mutedUid), true);
+			const userData = await User.getUserFields(mutedUid, ['muted']);
+			assert.strictEqual(userData['muted:expire'], until);
+			assert.strictEqual(userData.mutedUntilISO, new Date(until).toISOString());
+			assert(await db.isSortedSetMember('users:muted', mutedUid));
+
+			const eventData = await events.getEvents('user-mute', 0, 0);
+			assert.strictEqual(parseInt(eventData[0].targetUid, 10), mutedUid);
+		});
+
+		it('should not let a muted user post, chat, vote or flag', async function () {
+			const error = { message: '[[error:user-muted-until, ' + (await User.getUserFields(mutedUid, ['muted'])).mutedUntilISO + ']]' };
+			await assert.rejects(Topics.reply({ uid: mutedUid, tid: topicData.tid, content: 'a reply while muted' }), error);
+			await assert.rejects(Topics.post({ uid: mutedUid, cid: topicData.cid, title: 'Muted topic', content: 'a topic while muted' }), error);
+			await assert.rejects(Messaging.canMessageUser(mutedUid, adminUid), error);
+			await assert.rejects(Messaging.sendMessage({ uid: mutedUid, roomId: 1, content: 'hello' }), error);
+			await assert.rejects(Posts.upvote(mainPid, mutedUid), error);
+			const pollTopic = await Topics.post({ uid: adminUid, cid: topicData.cid, title: 'Muted poll', content: 'a poll to vote in', poll: { options: ['a', 'b'] } });
+			await assert.rejects(Topics.polls.vote(pollTopic.topicData.tid, mutedUid, [0]), error);
+			await assert.rejects(Topics.polls.unvote(pollTopic.topicData.tid, mutedUid), error);
+			await assert.rejects(Flags.validate({ type: 'post', id: mainPid, uid: mutedUid, reason: 'spam' }), error);
+		});
+
+		it('should still let a muted user read', async function () {
+			const topics = await Topics.getTopicsByTids([topicData.tid], mutedUid);
+			assert.strictEqual(topics[0].tid, topicData.tid);
+			assert.strictEqual(await User.bans.isBanned(mutedUid), false);
+		});
+
+		it('should unmute a user', async function () {
+			await socketUser.unmuteUsers({ uid: adminUid }, [mutedUid]);
+			assert.strictEqual(await User.mutes.isMuted(mutedUid), false);
+			await User.mutes.check(mutedUid);
+			const postData = await Topics.reply({ uid: mutedUid, tid: topicData.tid, content: 'a reply after the mute' });
+			assert(postData.pid);
+		});
+
+		it('should lift an expired mute when the user is loaded', async function () {
+			await User.mutes.mute(mutedUid, Date.now() + 1000, 'short');
+			await User.setUserField(mutedUid, 'muted:expire', Date.now() - 1000);
+			assert.strictEqual(await User.mutes.isMuted(mutedUid), false);
+			assert.strictEqual(await db.isSortedSetMember('users:muted', mutedUid), false);
+		});
+
+		it('should mute when a warning escalation rule says so', async function () {
+			await User.warnings.addRule({ points: 1, action: 'mute', duration: 2 });
+			const result = await User.warnings.add(mutedUid, { fromUid: adminUid, reason: 'rude', points: 1 });
+			assert.strictEqual(result.escalation.action, 'mute');
+			assert.strictEqual(await User.mutes.isMuted(mutedUid), true);
+			assert.strictEqual(await User.bans.isBanned(mutedUid), false);
+			const rules = await User.warnings.getRules();
+			await Promise.all(rules.map(rule => User.warnings.removeRule(rule.id)));
+		});
+
+		it('should remove the mutes of a deleted user', async function () {
+			await User.deleteAccount(mutedUid);
+			assert.strictEqual(await db.exists('uid:' + mutedUid + ':mutes:timestamp'), false);
+			assert.strictEqual(await db.isSortedSetMember('users:muted', mutedUid), false);
+		});
+	});
+
 	describe('passwordReset', function () {
 		var uid;
 		var code;
@@ -0,0 +1,198 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const db = require('./mocks/databasemock');
+const webhooks = require('../src/webhooks');
+const plugins = require('../src/plugins');
+const socketAdmin = require('../src/socket.io/admin');
+const user = require('../src/user');
+const groups = require('../src/groups');
+
+describe('Webhooks', function () {
+	let server;
+	let url;
+	let statusCode = 200;
+	let received = [];
+	let onRequest = function () {};
+
+	function waitForRequest() {
+		return new Promise(function (resolve) {
+			onRequest = resolve;
+		});
+	}
+
+	before(function (done) {
+		server = http.createServer(function (req, res) {
+			let body = '';
+			req.on('data', function (chunk) {
+				body += chunk;
+			});
+			req.on('end', function () {
+				const request = { headers: req.headers, body: body };
+				received.push(request);
+				res.writeHead(statusCode);
+				res.end('ok');
+				setImmediate(onRequest, request);
+			});
+		});
+		server.listen(0, '127.0.0.1', function () {
+			url = 'http://127.0.0.1:' + server.address().port + '/hook';
+			done();
+		});
+	});
+
+	after(function (done) {
+		server.close(done);
+	});
+
+	beforeEach(function () {
+		statusCode = 200;
+		received = [];
+	});
+
+	it('should not create a webhook with an invalid url or hooks', async function () {
+		await assert.rejects(webhooks.create({ url: 'ftp://example.org', hooks: ['action:topic.post'] }), { message: '[[error:invalid-webhook-url]]' });
+		await assert.rejects(webhooks.create({ url: url, hooks: [] }), { message: '[[error:invalid-webhook-hooks]]' });
+		await assert.rejects(webhooks.create({ url: url, hooks: ['filter:topic.post'] }), { message: '[[error:invalid-webhook-hooks]]' });
+		await assert.rejects(webhooks.create({ url: url, hooks: ['action:plugins.firehook'] }), { message: '[[error:invalid-webhook-hooks]]' });
+	});
+
+	it('should not let a webhook subscribe to the hooks it fires itself', async function () {
+		await assert.rejects(webhooks.create({ url: url, hooks: ['action:webhooks.delivered'] }), { message: '[[error:invalid-webhook-hooks]]' });
+		await assert.rejects(webhooks.create({ url: url, hooks: ['action:topic.post', 'action:webhooks.failed'] }), { message: '[[error:invalid-webhook-hooks]]' });
+	});
+
+	describe('delivery', function () {
+		let webhook;
+
+		before(async function () {
+			webhook = await webhooks.create({ name: 'test hook', url: url, hooks: ['action:webhooks.test'] });
+		});
+
+		it('should generate a secret', function () {
+			assert(webhook.secret);
+			assert.strictEqual(webhook.enabled, true);
+		});
+
+		it('should post signed payloads for subscribed hooks', async function () {
+			const request = waitForRequest();
+			plugins.fireHook('action:webhooks.test', { foo: 'bar', password: 'hunter2' });
+			const { headers, body } = await request;
+			const payload = JSON.parse(body);
+
+			assert.strictEqual(headers['x-nodebb-event'], 'action:webhooks.test');
+			assert.strictEqual(headers['x-nodebb-signature'], webhooks.sign(webhook.secret, body));
+			assert.strictEqual(payload.hook, 'action:webhooks.test');
+			assert.strictEqual(payload.data.foo, 'bar');
+			assert(!payload.data.hasOwnProperty('password'));
+		});
+
+		it('should log the delivery', async function () {
+			await new Promise(resolve => setTimeout(resolve, 100));
+			const deliveries = await webhooks.getDeliveries(webhook.id, 0, 0);
+			assert.strictEqual(deliveries[0].status, 'success');
+			assert.strictEqual(deliveries[0].statusCode, 200);
+			assert.strictEqual(deliveries[0].attempts, 1);
+		});
+
+		it('should schedule a retry with backoff when the endpoint fails', async function () {
+			statusCode = 500;
+			const request = waitForRequest();
+			plugins.fireHook('action:webhooks.test', { foo: 'baz' });
+			await request;
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			const deliveries = await webhooks.getDeliveries(webhook.id, 0, 0);
+			assert.strictEqual(deliveries[0].status, 'retrying');
+			assert.strictEqual(deliveries[0].statusCode, 500);
+			const score = await db.sortedSetScore('webhooks:queue', deliveries[0].did);
+			assert(score > Date.now());
+
+			statusCode = 200;
+			await db.sortedSetAdd('webhooks:queue', Date.now() - 1000, deliveries[0].did);
+			await webhooks.processQueue();
+			const retried = await webhooks.getDeliveries(webhook.id, 0, 0);
+			assert.strictEqual(retried[0].status, 'success');
+			assert.strictEqual(retried[0].attempts, 2);
+			assert.strictEqual(await db.isSortedSetMember('webhooks:queue', deliveries[0].did), false);
+		});
+
+		it('should give up after the maximum number of attempts', async function () {
+			statusCode = 500;
+			const request = waitForRequest();
+			plugins.fireHook('action:webhooks.test', { foo: 'qux' });
+			await request;
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			const [delivery] = await webhooks.getDeliveries(webhook.id, 0, 0);
+			await db.setObjectField('webhook:delivery:' + delivery.did, 'attempts', webhooks.maxAttempts - 1);
+			await db.sortedSetAdd('webhooks:queue', Date.now() - 1000, delivery.did);
+			await webhooks.processQueue();
+			const [failed] = await webhooks.getDeliveries(webhook.id, 0, 0);
+			assert.strictEqual(failed.status, 'failed');
+			assert.strictEqual(await db.isSortedSetMember('webhooks:queue', delivery.did), false);
+		});
+
+		it('should redeliver a logged delivery with the same payload', async function () {
+			const [original] = await webhooks.getDeliveries(webhook.id, 0, 0);
+			const request = waitForRequest();
+			const did = await webhooks.redeliver(original.did);
+			const { body } = await request;
+			assert.strictEqual(body, original.payload);
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			const [redelivery] = await webhooks.getDeliveries(webhook.id, 0, 0);
+			assert.strictEqual(redelivery.did, did);
+			assert.strictEqual(redelivery.redeliveryOf, original.did);
+			assert.strictEqual(redelivery.status, 'success');
+		});
+
+		it('should not deliver hooks of a disabled webhook', async function () {
+			await webhooks.update(webhook.id, { url: url, hooks: webhook.hooks, enabled: false });
+			const count = await webhooks.getDeliveryCount(webhook.id);
+			await plugins.fireHook('action:webhooks.test', { foo: 'bar' });
+			await new Promise(resolve => setTimeout(resolve, 100));
+			assert.strictEqual(await webhooks.getDeliveryCount(webhook.id), count);
+			assert.strictEqual(received.length, 0);
+		});
+
+		it('should keep the secret when updating without one', async function () {
+			const updated = await webhooks.get(webhook.id);
+			assert.strictEqual(updated.secret, webhook.secret);
+		});
+
+		it('should delete a webhook and its deliveries', async function () {
+			const [delivery] = await webhooks.getDeliveries(webhook.id, 0, 0);
+			await webhooks.delete(webhook.id);
+			assert.strictEqual(await webhooks.get(webhook.id), null);
+			assert.strictEqual(await db.exists('webhook:delivery:' + delivery.did), false);
+		});
+	});
+
+	describe('socket methods', function () {
+		let adminUid;
+		let regularUid;
+
+		before(async function () {
+			adminUid = await user.create({ username: 'webhookadmin' });
+			regularUid = await user.create({ username: 'webhookuser' });
+			await groups.join('administrators', adminUid);
+		});
+
+		it('should only allow admins to manage webhooks', async function () {
+			await assert.rejects(socketAdmin.before({ uid: regularUid }, 'admin.webhooks.create'), { message: '[[error:no-privileges]]' });
+			await socketAdmin.before({ uid: adminUid }, 'admin.webhooks.create');
+		});
+
+		it('should create and ping a webhook', async function () {
+			const webhook = await socketAdmin.webhooks.create({ uid: adminUid }, { url: url, hooks: ['action:topic.post'] });
+			const request = waitForRequest();
+			await socketAdmin.webhooks.ping({ uid: adminUid }, webhook.id);
+			const { headers } = await request;
+			assert.strictEqual(headers['x-nodebb-event'], 'action:webhooks.ping');
+			await socketAdmin.webhooks.delete({ uid: adminUid }, webhook.id);
+		});
+	});
+});